@@ -0,0 +1,5 @@
+-- Drop the core tables (indexes go with them)
+
+DROP TABLE IF EXISTS sync_status;
+DROP TABLE IF EXISTS bids;
+DROP TABLE IF EXISTS auctions;
\ No newline at end of file
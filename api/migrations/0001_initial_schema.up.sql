@@ -49,20 +49,20 @@ VALUES (1, 0)
 ON CONFLICT (id) DO NOTHING;
 
 -- Indexes for performance
-CREATE INDEX idx_auctions_cast_hash ON auctions(cast_hash);
-CREATE INDEX idx_auctions_creator_fid ON auctions(creator_fid);
-CREATE INDEX idx_auctions_end_time ON auctions(end_time);
-CREATE INDEX idx_auctions_block_number ON auctions(block_number);
-CREATE INDEX idx_auctions_state ON auctions(state);
+CREATE INDEX IF NOT EXISTS idx_auctions_cast_hash ON auctions(cast_hash);
+CREATE INDEX IF NOT EXISTS idx_auctions_creator_fid ON auctions(creator_fid);
+CREATE INDEX IF NOT EXISTS idx_auctions_end_time ON auctions(end_time);
+CREATE INDEX IF NOT EXISTS idx_auctions_block_number ON auctions(block_number);
+CREATE INDEX IF NOT EXISTS idx_auctions_state ON auctions(state);
 
-CREATE INDEX idx_bids_cast_hash ON bids(cast_hash);
-CREATE INDEX idx_bids_bidder_fid ON bids(bidder_fid);
-CREATE INDEX idx_bids_timestamp ON bids(timestamp);
-CREATE INDEX idx_bids_amount ON bids(amount);
-CREATE INDEX idx_bids_auction_id ON bids(auction_id);
-CREATE INDEX idx_bids_block_number ON bids(block_number);
+CREATE INDEX IF NOT EXISTS idx_bids_cast_hash ON bids(cast_hash);
+CREATE INDEX IF NOT EXISTS idx_bids_bidder_fid ON bids(bidder_fid);
+CREATE INDEX IF NOT EXISTS idx_bids_timestamp ON bids(timestamp);
+CREATE INDEX IF NOT EXISTS idx_bids_amount ON bids(amount);
+CREATE INDEX IF NOT EXISTS idx_bids_auction_id ON bids(auction_id);
+CREATE INDEX IF NOT EXISTS idx_bids_block_number ON bids(block_number);
 
 -- Composite indexes for common queries
-CREATE INDEX idx_bids_auction_amount ON bids(auction_id, amount DESC);
-CREATE INDEX idx_bids_bidder_timestamp ON bids(bidder_fid, timestamp DESC);
-CREATE INDEX idx_auctions_state_endtime ON auctions(state, end_time);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_bids_auction_amount ON bids(auction_id, amount DESC);
+CREATE INDEX IF NOT EXISTS idx_bids_bidder_timestamp ON bids(bidder_fid, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_auctions_state_endtime ON auctions(state, end_time);
\ No newline at end of file
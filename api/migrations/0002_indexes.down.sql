@@ -0,0 +1,9 @@
+-- Drop the indexes this migration added; the rest belong to 0001_initial_schema
+
+DROP INDEX IF EXISTS idx_bids_bidder_auction;
+DROP INDEX IF EXISTS idx_bids_bidder_auction_amount;
+DROP INDEX IF EXISTS idx_auctions_created_at;
+DROP INDEX IF EXISTS idx_auctions_creator_state;
+DROP INDEX IF EXISTS idx_auctions_state_created;
+DROP INDEX IF EXISTS idx_bids_timestamp_bidder;
+DROP INDEX IF EXISTS idx_bids_auction_timestamp;
\ No newline at end of file
@@ -0,0 +1,4 @@
+-- Drop P2P transfer tracking
+
+DROP TABLE IF EXISTS nft_sync_status;
+DROP TABLE IF EXISTS transfers;
\ No newline at end of file
@@ -14,18 +14,18 @@ CREATE TABLE IF NOT EXISTS transfers (
 );
 
 -- Indexes for performance
-CREATE INDEX idx_transfers_timestamp ON transfers(timestamp DESC);
-CREATE INDEX idx_transfers_token_id ON transfers(token_id);
-CREATE INDEX idx_transfers_from_address ON transfers(from_address);
-CREATE INDEX idx_transfers_to_address ON transfers(to_address);
-CREATE INDEX idx_transfers_is_p2p ON transfers(is_p2p);
-CREATE INDEX idx_transfers_block_number ON transfers(block_number);
+CREATE INDEX IF NOT EXISTS idx_transfers_timestamp ON transfers(timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_transfers_token_id ON transfers(token_id);
+CREATE INDEX IF NOT EXISTS idx_transfers_from_address ON transfers(from_address);
+CREATE INDEX IF NOT EXISTS idx_transfers_to_address ON transfers(to_address);
+CREATE INDEX IF NOT EXISTS idx_transfers_is_p2p ON transfers(is_p2p);
+CREATE INDEX IF NOT EXISTS idx_transfers_block_number ON transfers(block_number);
 
 -- Composite index for P2P transfers query
-CREATE INDEX idx_transfers_p2p_timestamp ON transfers(is_p2p, timestamp DESC) WHERE is_p2p = true;
+CREATE INDEX IF NOT EXISTS idx_transfers_p2p_timestamp ON transfers(is_p2p, timestamp DESC) WHERE is_p2p = true;
 
 -- Unique constraint to prevent duplicate transfers
-CREATE UNIQUE INDEX idx_transfers_unique ON transfers(transaction_hash, token_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transfers_unique ON transfers(transaction_hash, token_id);
 
 -- Track NFT contract sync status separately
 CREATE TABLE IF NOT EXISTS nft_sync_status (
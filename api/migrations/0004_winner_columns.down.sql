@@ -0,0 +1,6 @@
+-- Remove winner columns (their indexes are dropped with them)
+
+ALTER TABLE auctions
+DROP COLUMN IF EXISTS winner_address,
+DROP COLUMN IF EXISTS winner_fid,
+DROP COLUMN IF EXISTS winning_bid;
\ No newline at end of file
@@ -0,0 +1,17 @@
+-- Drop the hot route optimization indexes
+
+DROP INDEX IF EXISTS idx_auctions_creator_state_id;
+DROP INDEX IF EXISTS idx_bids_auction_amount_bidder;
+DROP INDEX IF EXISTS idx_bids_auction_bidder_amount_timestamp;
+DROP INDEX IF EXISTS idx_bids_auction_amount_desc;
+DROP INDEX IF EXISTS idx_bids_bidder_auction_amount_timestamp;
+DROP INDEX IF EXISTS idx_bids_bidder_amount;
+DROP INDEX IF EXISTS idx_bids_timestamp_desc;
+DROP INDEX IF EXISTS idx_auctions_created_at_desc;
+DROP INDEX IF EXISTS idx_auctions_active;
+DROP INDEX IF EXISTS idx_auctions_settled;
+DROP INDEX IF EXISTS idx_bids_covering_aggregates;
+DROP INDEX IF EXISTS idx_bids_auction_timestamp_asc;
+DROP INDEX IF EXISTS idx_bids_bidder_auction_covering;
+DROP INDEX IF EXISTS idx_bids_timestamp_auction;
+DROP INDEX IF EXISTS idx_auctions_creator_created;
\ No newline at end of file
@@ -1,3 +1,4 @@
+-- migrate:no-transaction
 -- Performance optimization indexes for hot routes
 -- Run this in your Neon DB to improve query performance
 -- Created: 2025-07-23
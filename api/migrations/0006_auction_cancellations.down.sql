@@ -0,0 +1,3 @@
+-- Drop cancellation tracking
+
+DROP TABLE IF EXISTS auction_cancellations;
\ No newline at end of file
@@ -0,0 +1,18 @@
+-- Track AuctionCancelled events so refunds can be audited
+
+CREATE TABLE IF NOT EXISTS auction_cancellations (
+    id SERIAL PRIMARY KEY,
+    auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+    cast_hash VARCHAR(66) UNIQUE NOT NULL,
+    refunded_bidder_address VARCHAR(42) NOT NULL,
+    refunded_bidder_fid INTEGER NOT NULL,
+    authorizer VARCHAR(42) NOT NULL,
+    transaction_hash VARCHAR(66) NOT NULL,
+    block_number BIGINT NOT NULL,
+    timestamp TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for performance
+CREATE INDEX IF NOT EXISTS idx_auction_cancellations_refunded_fid ON auction_cancellations(refunded_bidder_fid);
+CREATE INDEX IF NOT EXISTS idx_auction_cancellations_block_number ON auction_cancellations(block_number);
\ No newline at end of file
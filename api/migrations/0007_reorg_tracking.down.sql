@@ -0,0 +1,6 @@
+-- Drop reorg tracking
+
+DROP TABLE IF EXISTS block_hashes;
+
+ALTER TABLE auctions
+DROP COLUMN IF EXISTS updated_block_number;
\ No newline at end of file
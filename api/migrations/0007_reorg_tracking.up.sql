@@ -0,0 +1,18 @@
+-- Reorg tracking for the auction and NFT indexers
+
+-- Hashes of recently synced blocks, per indexer ('auction' or 'nft').
+-- Only blocks within the confirmation depth are kept; older ones are pruned.
+CREATE TABLE IF NOT EXISTS block_hashes (
+    indexer VARCHAR(16) NOT NULL,
+    block_number BIGINT NOT NULL,
+    block_hash VARCHAR(66) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (indexer, block_number)
+);
+
+-- Block of the last extension, settlement or cancellation applied to an auction,
+-- so those updates can be reverted when that block is orphaned
+ALTER TABLE auctions
+ADD COLUMN IF NOT EXISTS updated_block_number BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_auctions_updated_block_number ON auctions(updated_block_number) WHERE updated_block_number IS NOT NULL;
\ No newline at end of file
@@ -0,0 +1,7 @@
+-- Drop the (transaction_hash, log_index) key. Duplicates removed by the up
+-- migration are not restored.
+
+DROP INDEX IF EXISTS idx_bids_unique;
+
+ALTER TABLE bids
+DROP COLUMN IF EXISTS log_index;
\ No newline at end of file
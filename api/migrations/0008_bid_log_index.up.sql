@@ -0,0 +1,26 @@
+-- Make bid ingestion idempotent: every bid is keyed on (transaction_hash, log_index)
+-- Run scripts/backfill-bid-log-index.js afterwards to fill log_index for existing rows
+
+ALTER TABLE bids
+ADD COLUMN IF NOT EXISTS log_index INTEGER;
+
+-- Preview duplicates left behind by retried batches or overlapping syncs:
+-- SELECT transaction_hash, auction_id, bidder_fid, amount, COUNT(*) as copies
+-- FROM bids
+-- GROUP BY transaction_hash, auction_id, bidder_fid, amount
+-- HAVING COUNT(*) > 1
+-- ORDER BY copies DESC;
+
+-- Remove duplicates, keeping the earliest inserted row
+DELETE FROM bids b
+USING bids d
+WHERE b.transaction_hash = d.transaction_hash
+  AND b.auction_id = d.auction_id
+  AND b.bidder_fid = d.bidder_fid
+  AND b.amount = d.amount
+  AND b.id > d.id;
+
+-- Unique constraint to prevent duplicate bids
+CREATE UNIQUE INDEX IF NOT EXISTS idx_bids_unique ON bids(transaction_hash, log_index);
+
+ANALYZE bids;
\ No newline at end of file
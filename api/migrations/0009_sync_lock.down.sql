@@ -0,0 +1,3 @@
+-- Drop the sync lock
+
+DROP TABLE IF EXISTS sync_lock;
\ No newline at end of file
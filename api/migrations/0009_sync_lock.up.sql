@@ -0,0 +1,16 @@
+-- Lease-based lock shared by the cron sync and the manual POST /sync route
+
+CREATE TABLE IF NOT EXISTS sync_lock (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    owner_id VARCHAR(64),
+    acquired_at TIMESTAMP,
+    heartbeat_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    progress JSONB NOT NULL DEFAULT '{}',
+    CONSTRAINT single_row CHECK (id = 1)
+);
+
+-- Insert the unlocked row
+INSERT INTO sync_lock (id)
+VALUES (1)
+ON CONFLICT (id) DO NOTHING;
\ No newline at end of file
@@ -0,0 +1,5 @@
+-- Drop the address-to-FID mapping
+
+DROP INDEX IF EXISTS idx_transfers_from_address_lower;
+DROP INDEX IF EXISTS idx_transfers_to_address_lower;
+DROP TABLE IF EXISTS address_fids;
\ No newline at end of file
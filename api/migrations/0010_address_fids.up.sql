@@ -0,0 +1,31 @@
+-- Map wallet addresses to Farcaster FIDs so P2P transfers can show profiles
+
+CREATE TABLE IF NOT EXISTS address_fids (
+    address VARCHAR(42) PRIMARY KEY, -- always lowercase
+    fid INTEGER NOT NULL,
+    source VARCHAR(16) NOT NULL, -- bidder, creator, winner or verified (Neynar)
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_address_fids_fid ON address_fids(fid);
+
+-- Seed from addresses already seen on-chain, keeping the most recent FID per address
+INSERT INTO address_fids (address, fid, source)
+SELECT DISTINCT ON (address) address, fid, source
+FROM (
+    SELECT LOWER(bidder_address) as address, bidder_fid as fid, 'bidder' as source, block_number
+    FROM bids
+    UNION ALL
+    SELECT LOWER(creator_address), creator_fid, 'creator', block_number
+    FROM auctions
+    UNION ALL
+    SELECT LOWER(winner_address), winner_fid, 'winner', COALESCE(updated_block_number, block_number)
+    FROM auctions
+    WHERE winner_address IS NOT NULL AND winner_fid IS NOT NULL
+) seen
+ORDER BY address, block_number DESC
+ON CONFLICT (address) DO NOTHING;
+
+-- Speeds up the LOWER() joins from transfers
+CREATE INDEX IF NOT EXISTS idx_transfers_from_address_lower ON transfers(LOWER(from_address));
+CREATE INDEX IF NOT EXISTS idx_transfers_to_address_lower ON transfers(LOWER(to_address));
\ No newline at end of file
@@ -0,0 +1,3 @@
+-- Drop backfill checkpoints
+
+DROP TABLE IF EXISTS backfill_checkpoints;
\ No newline at end of file
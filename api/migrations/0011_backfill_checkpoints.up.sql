@@ -0,0 +1,9 @@
+-- Resumable progress for scripts/backfill.js, one row per distinct run
+-- (contract set, event filter and block range)
+
+CREATE TABLE IF NOT EXISTS backfill_checkpoints (
+    name VARCHAR(255) PRIMARY KEY,
+    last_block_number BIGINT NOT NULL,
+    events_processed INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
\ No newline at end of file
@@ -0,0 +1,4 @@
+-- Drop reconciliation reports
+
+DROP TABLE IF EXISTS reconciliation_discrepancies;
+DROP TABLE IF EXISTS reconciliation_runs;
\ No newline at end of file
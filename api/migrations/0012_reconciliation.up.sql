@@ -0,0 +1,26 @@
+-- Reports from the auction reconciliation job (src/reconcile.js)
+
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id SERIAL PRIMARY KEY,
+    block_number BIGINT NOT NULL, -- auction sync cursor the contract was read at
+    auctions_checked INTEGER NOT NULL,
+    discrepancies_found INTEGER NOT NULL,
+    discrepancies_fixed INTEGER NOT NULL,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reconciliation_discrepancies (
+    id SERIAL PRIMARY KEY,
+    run_id INTEGER REFERENCES reconciliation_runs(id) ON DELETE CASCADE,
+    auction_id INTEGER REFERENCES auctions(id) ON DELETE CASCADE,
+    cast_hash VARCHAR(66) NOT NULL,
+    field VARCHAR(32) NOT NULL, -- state, end_time, highest_bid or bid_count
+    db_value TEXT,
+    chain_value TEXT,
+    fixed BOOLEAN NOT NULL DEFAULT false
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_runs_started_at ON reconciliation_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_run_id ON reconciliation_discrepancies(run_id);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_discrepancies_cast_hash ON reconciliation_discrepancies(cast_hash);
\ No newline at end of file
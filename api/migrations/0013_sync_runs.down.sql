@@ -0,0 +1,3 @@
+-- Drop sync run history
+
+DROP TABLE IF EXISTS sync_runs;
\ No newline at end of file
@@ -0,0 +1,19 @@
+-- History of sync runs for GET /sync/status
+
+CREATE TABLE IF NOT EXISTS sync_runs (
+    id SERIAL PRIMARY KEY,
+    trigger VARCHAR(32) NOT NULL, -- cron or manual
+    status VARCHAR(16) NOT NULL DEFAULT 'running', -- running, success or failed
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP,
+    auction_events_processed INTEGER,
+    transfer_events_processed INTEGER,
+    auction_block BIGINT, -- cursors when the run finished
+    nft_block BIGINT,
+    http_requests INTEGER,
+    rpc_calls JSONB,
+    error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sync_runs_started_at ON sync_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sync_runs_status_finished ON sync_runs(status, finished_at DESC);
\ No newline at end of file
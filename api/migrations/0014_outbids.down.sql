@@ -0,0 +1,3 @@
+-- Drop precomputed outbids
+
+DROP TABLE IF EXISTS outbids;
\ No newline at end of file
@@ -0,0 +1,46 @@
+-- One row per bid that replaced the previous high bid of its auction, written
+-- at ingest time so rivalry analytics don't have to self-join bids
+
+CREATE TABLE IF NOT EXISTS outbids (
+    id SERIAL PRIMARY KEY,
+    auction_id INTEGER NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+    bid_id INTEGER NOT NULL UNIQUE REFERENCES bids(id) ON DELETE CASCADE, -- the outbidding bid
+    previous_bid_id INTEGER NOT NULL REFERENCES bids(id) ON DELETE CASCADE, -- the high bid it replaced
+    outbidder_fid INTEGER NOT NULL,
+    outbidder_address VARCHAR(42) NOT NULL,
+    victim_fid INTEGER NOT NULL,
+    victim_address VARCHAR(42) NOT NULL,
+    winning_amount NUMERIC(78, 0) NOT NULL,
+    losing_amount NUMERIC(78, 0) NOT NULL,
+    time_gap_seconds INTEGER NOT NULL, -- seconds between the two bids
+    block_number BIGINT NOT NULL,
+    timestamp TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_outbids_outbidder_victim ON outbids(outbidder_fid, victim_fid);
+CREATE INDEX IF NOT EXISTS idx_outbids_victim_outbidder ON outbids(victim_fid, outbidder_fid);
+CREATE INDEX IF NOT EXISTS idx_outbids_auction_id ON outbids(auction_id);
+CREATE INDEX IF NOT EXISTS idx_outbids_previous_bid_id ON outbids(previous_bid_id);
+
+-- Backfill from existing bids, using the same rule as db.js saveOutbid
+INSERT INTO outbids (
+    auction_id, bid_id, previous_bid_id, outbidder_fid, outbidder_address,
+    victim_fid, victim_address, winning_amount, losing_amount,
+    time_gap_seconds, block_number, timestamp
+)
+SELECT
+    b.auction_id, b.id, prev.id, b.bidder_fid, b.bidder_address,
+    prev.bidder_fid, prev.bidder_address, b.amount, prev.amount,
+    EXTRACT(EPOCH FROM b.timestamp - prev.timestamp)::integer, b.block_number, b.timestamp
+FROM bids b
+JOIN LATERAL (
+    SELECT p.id, p.bidder_fid, p.bidder_address, p.amount, p.timestamp
+    FROM bids p
+    WHERE p.auction_id = b.auction_id
+      AND (p.block_number, COALESCE(p.log_index, 0)) < (b.block_number, COALESCE(b.log_index, 0))
+    ORDER BY p.amount DESC, p.block_number DESC, p.log_index DESC NULLS LAST
+    LIMIT 1
+) prev ON prev.amount < b.amount
+ON CONFLICT (bid_id) DO NOTHING;
+
+ANALYZE outbids;
\ No newline at end of file
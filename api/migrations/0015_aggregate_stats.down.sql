@@ -0,0 +1,5 @@
+-- Drop the aggregate stats tables
+
+DROP TABLE IF EXISTS global_stats;
+DROP TABLE IF EXISTS creator_stats;
+DROP TABLE IF EXISTS user_bid_stats;
\ No newline at end of file
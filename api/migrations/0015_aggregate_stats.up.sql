@@ -0,0 +1,118 @@
+-- Aggregates kept up to date by the sync processors (src/stats.js) so the
+-- leaderboard and stats routes don't rescan bids on every request.
+-- Volumes count only a user's highest bid in each auction.
+-- `npm run rebuild-stats` recomputes everything from auctions and bids.
+
+CREATE TABLE IF NOT EXISTS user_bid_stats (
+    bidder_fid INTEGER PRIMARY KEY,
+    total_bids INTEGER NOT NULL DEFAULT 0,
+    auctions_participated INTEGER NOT NULL DEFAULT 0,
+    total_volume NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    highest_bid NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    first_bid_at TIMESTAMP,
+    last_bid_at TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Leaderboard order and rank lookups
+CREATE INDEX IF NOT EXISTS idx_user_bid_stats_bids_volume ON user_bid_stats(total_bids DESC, total_volume DESC);
+CREATE INDEX IF NOT EXISTS idx_user_bid_stats_volume ON user_bid_stats(total_volume DESC);
+CREATE INDEX IF NOT EXISTS idx_user_bid_stats_highest_bid ON user_bid_stats(highest_bid DESC);
+
+CREATE TABLE IF NOT EXISTS creator_stats (
+    creator_fid INTEGER PRIMARY KEY,
+    total_auctions INTEGER NOT NULL DEFAULT 0,
+    active_auctions INTEGER NOT NULL DEFAULT 0, -- state 1
+    settled_auctions INTEGER NOT NULL DEFAULT 0, -- state 3 and above
+    auctions_with_bids INTEGER NOT NULL DEFAULT 0,
+    total_revenue NUMERIC(78, 0) NOT NULL DEFAULT 0, -- sum of each auction's highest bid
+    highest_auction_revenue NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    total_bids_received INTEGER NOT NULL DEFAULT 0,
+    unique_simps INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_stats_revenue ON creator_stats(total_revenue DESC);
+
+CREATE TABLE IF NOT EXISTS global_stats (
+    id INTEGER PRIMARY KEY DEFAULT 1,
+    total_simps INTEGER NOT NULL DEFAULT 0,
+    total_bids INTEGER NOT NULL DEFAULT 0,
+    total_volume NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    highest_bid NUMERIC(78, 0) NOT NULL DEFAULT 0,
+    total_auctions INTEGER NOT NULL DEFAULT 0,
+    active_auctions INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT single_row CHECK (id = 1)
+);
+
+-- Backfill from existing data, using the same queries as src/stats.js
+INSERT INTO user_bid_stats (
+    bidder_fid, total_bids, auctions_participated, total_volume, highest_bid, first_bid_at, last_bid_at
+)
+SELECT
+    bidder_fid,
+    SUM(bid_count),
+    COUNT(*),
+    SUM(max_bid_amount),
+    MAX(max_bid_amount),
+    MIN(first_bid_at),
+    MAX(last_bid_at)
+FROM (
+    SELECT
+        bidder_fid,
+        auction_id,
+        COUNT(*) as bid_count,
+        MAX(amount) as max_bid_amount,
+        MIN(timestamp) as first_bid_at,
+        MAX(timestamp) as last_bid_at
+    FROM bids
+    GROUP BY bidder_fid, auction_id
+) max_bids_per_auction
+GROUP BY bidder_fid
+ON CONFLICT (bidder_fid) DO NOTHING;
+
+INSERT INTO creator_stats (
+    creator_fid, total_auctions, active_auctions, settled_auctions, auctions_with_bids,
+    total_revenue, highest_auction_revenue, total_bids_received, unique_simps
+)
+SELECT
+    a.creator_fid,
+    COUNT(*),
+    COUNT(*) FILTER (WHERE a.state = 1),
+    COUNT(*) FILTER (WHERE a.state >= 3),
+    COUNT(*) FILTER (WHERE b.max_bid IS NOT NULL),
+    COALESCE(SUM(b.max_bid), 0),
+    COALESCE(MAX(b.max_bid), 0),
+    COALESCE(SUM(b.bid_count), 0),
+    (SELECT COUNT(DISTINCT b2.bidder_fid)
+     FROM auctions a2
+     JOIN bids b2 ON b2.auction_id = a2.id
+     WHERE a2.creator_fid = a.creator_fid)
+FROM auctions a
+LEFT JOIN LATERAL (
+    SELECT MAX(amount) as max_bid, COUNT(*) as bid_count
+    FROM bids
+    WHERE auction_id = a.id
+) b ON true
+GROUP BY a.creator_fid
+ON CONFLICT (creator_fid) DO NOTHING;
+
+INSERT INTO global_stats (id, total_simps, total_bids, total_volume, highest_bid, total_auctions, active_auctions)
+SELECT
+    1,
+    u.total_simps,
+    u.total_bids,
+    u.total_volume,
+    u.highest_bid,
+    c.total_auctions,
+    c.active_auctions
+FROM (
+    SELECT COUNT(*) as total_simps, COALESCE(SUM(total_bids), 0) as total_bids,
+           COALESCE(SUM(total_volume), 0) as total_volume, COALESCE(MAX(highest_bid), 0) as highest_bid
+    FROM user_bid_stats
+) u, (
+    SELECT COALESCE(SUM(total_auctions), 0) as total_auctions, COALESCE(SUM(active_auctions), 0) as active_auctions
+    FROM creator_stats
+) c
+ON CONFLICT (id) DO NOTHING;
\ No newline at end of file
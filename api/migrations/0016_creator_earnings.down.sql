@@ -0,0 +1,3 @@
+-- Drop the creator earnings ledger
+
+DROP TABLE IF EXISTS creator_earnings;
\ No newline at end of file
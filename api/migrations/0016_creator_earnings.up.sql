@@ -0,0 +1,43 @@
+-- Earnings ledger: one line per settled auction with the creator's gross,
+-- the protocol fee and the net proceeds, all in USDC units (6 decimals)
+
+CREATE TABLE IF NOT EXISTS creator_earnings (
+    auction_id INTEGER PRIMARY KEY REFERENCES auctions(id) ON DELETE CASCADE,
+    creator_fid INTEGER NOT NULL,
+    cast_hash VARCHAR(66) NOT NULL,
+    winner_fid INTEGER,
+    gross_amount NUMERIC(78, 0) NOT NULL, -- winning bid
+    protocol_fee_bps INTEGER NOT NULL,
+    protocol_fee NUMERIC(78, 0) NOT NULL, -- gross * bps / 10000, rounded down
+    net_amount NUMERIC(78, 0) NOT NULL, -- gross - protocol fee
+    settled_at TIMESTAMP NOT NULL,
+    block_number BIGINT NOT NULL,
+    transaction_hash VARCHAR(66) -- NULL when the settlement event wasn't seen
+);
+
+CREATE INDEX IF NOT EXISTS idx_creator_earnings_creator_settled ON creator_earnings(creator_fid, settled_at DESC);
+CREATE INDEX IF NOT EXISTS idx_creator_earnings_block_number ON creator_earnings(block_number);
+
+-- Backfill auctions settled before the ledger existed. Their settlement time
+-- isn't stored, so the end time stands in for it; re-running
+-- `node scripts/backfill.js --events settled` replaces these lines with exact
+-- timestamps and transaction hashes.
+INSERT INTO creator_earnings (
+    auction_id, creator_fid, cast_hash, winner_fid, gross_amount, protocol_fee_bps,
+    protocol_fee, net_amount, settled_at, block_number, transaction_hash
+)
+SELECT
+    id,
+    creator_fid,
+    cast_hash,
+    winner_fid,
+    winning_bid,
+    protocol_fee_bps,
+    div(winning_bid * protocol_fee_bps, 10000),
+    winning_bid - div(winning_bid * protocol_fee_bps, 10000),
+    end_time,
+    COALESCE(updated_block_number, block_number),
+    NULL
+FROM auctions
+WHERE state = 3 AND winning_bid > 0
+ON CONFLICT (auction_id) DO NOTHING;
\ No newline at end of file
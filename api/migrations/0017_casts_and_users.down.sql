@@ -0,0 +1,4 @@
+-- Drop the stored casts and Farcaster profiles
+
+DROP TABLE IF EXISTS farcaster_users;
+DROP TABLE IF EXISTS casts;
\ No newline at end of file
@@ -0,0 +1,30 @@
+-- Farcaster data kept in Postgres so enrichment doesn't have to ask Neynar
+-- every time, and so queries can sort and filter on usernames and follower
+-- counts. Casts never change once posted; profiles are refreshed hourly.
+
+CREATE TABLE IF NOT EXISTS casts (
+    hash VARCHAR(66) PRIMARY KEY, -- lowercased, as in auctions.cast_hash
+    text TEXT NOT NULL DEFAULT '',
+    first_embed JSONB,
+    cast_timestamp TIMESTAMP,
+    fetched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS farcaster_users (
+    fid INTEGER PRIMARY KEY,
+    username VARCHAR(255),
+    display_name VARCHAR(255),
+    pfp_url TEXT,
+    follower_count INTEGER,
+    following_count INTEGER,
+    bio TEXT,
+    primary_address VARCHAR(42),
+    power_badge BOOLEAN NOT NULL DEFAULT false,
+    fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Username lookups (usernames can move between FIDs, the newest row wins)
+CREATE INDEX IF NOT EXISTS idx_farcaster_users_username ON farcaster_users(LOWER(username), fetched_at DESC);
+CREATE INDEX IF NOT EXISTS idx_farcaster_users_follower_count ON farcaster_users(follower_count DESC);
+-- Oldest profiles first for the refresh job
+CREATE INDEX IF NOT EXISTS idx_farcaster_users_fetched_at ON farcaster_users(fetched_at);
\ No newline at end of file
@@ -0,0 +1,5 @@
+-- Drop the user search indexes. pg_trgm stays enabled, since other objects
+-- may have come to depend on it.
+
+DROP INDEX IF EXISTS idx_farcaster_users_display_name_trgm;
+DROP INDEX IF EXISTS idx_farcaster_users_username_trgm;
\ No newline at end of file
@@ -0,0 +1,9 @@
+-- Trigram indexes for /users/search, which prefix- and fuzzy-matches
+-- usernames and display names in farcaster_users. pg_trgm ships with Postgres
+-- (and Neon); only the extension has to be enabled.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Serve both LIKE 'prefix%' and similarity (%) matches on the lowercased names
+CREATE INDEX IF NOT EXISTS idx_farcaster_users_username_trgm ON farcaster_users USING GIN (LOWER(username) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_farcaster_users_display_name_trgm ON farcaster_users USING GIN (LOWER(display_name) gin_trgm_ops);
\ No newline at end of file
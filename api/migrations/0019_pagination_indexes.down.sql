@@ -0,0 +1,10 @@
+-- migrate:no-transaction
+-- Drop the cursor pagination indexes
+
+DROP INDEX CONCURRENTLY IF EXISTS idx_creator_stats_revenue_fid;
+DROP INDEX CONCURRENTLY IF EXISTS idx_user_bid_stats_leaderboard;
+DROP INDEX CONCURRENTLY IF EXISTS idx_transfers_p2p_timestamp_id;
+DROP INDEX CONCURRENTLY IF EXISTS idx_bids_timestamp_id;
+DROP INDEX CONCURRENTLY IF EXISTS idx_auctions_creator_settled_end_time;
+DROP INDEX CONCURRENTLY IF EXISTS idx_auctions_settled_winning_bid_id;
+DROP INDEX CONCURRENTLY IF EXISTS idx_auctions_created_id;
\ No newline at end of file
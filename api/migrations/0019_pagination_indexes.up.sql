@@ -0,0 +1,30 @@
+-- migrate:no-transaction
+-- Indexes for the cursor-paginated lists (src/pagination.js). Each list
+-- orders by its sort tuple down to a unique column, so an index on the whole
+-- tuple lets a page seek straight to its cursor instead of sorting.
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_auctions_created_id
+ON auctions(created_at DESC, id DESC);
+
+-- /analytics/top-winning-casts
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_auctions_settled_winning_bid_id
+ON auctions(winning_bid DESC, id DESC) WHERE state = 3 AND winner_fid IS NOT NULL;
+
+-- /analytics/user-authored-collections/:fid
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_auctions_creator_settled_end_time
+ON auctions(creator_fid, end_time DESC, id DESC) WHERE state = 3 AND winner_fid IS NOT NULL;
+
+-- /analytics/recent-activity
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_bids_timestamp_id
+ON bids(timestamp DESC, id DESC);
+
+-- /analytics/p2p-transfers
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_transfers_p2p_timestamp_id
+ON transfers(timestamp DESC, id DESC) WHERE is_p2p = true;
+
+-- Top bidders and hot users leaderboards
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_user_bid_stats_leaderboard
+ON user_bid_stats(total_bids DESC, total_volume DESC, bidder_fid DESC);
+
+CREATE INDEX CONCURRENTLY IF NOT EXISTS idx_creator_stats_revenue_fid
+ON creator_stats(total_revenue DESC, creator_fid DESC) WHERE total_revenue > 0;
\ No newline at end of file
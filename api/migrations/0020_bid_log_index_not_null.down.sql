@@ -0,0 +1,4 @@
+-- Allow bids without a log_index again
+
+ALTER TABLE bids
+ALTER COLUMN log_index DROP NOT NULL;
\ No newline at end of file
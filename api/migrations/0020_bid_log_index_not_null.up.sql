@@ -0,0 +1,17 @@
+-- Require log_index on every bid. 0008_bid_log_index added it as nullable and
+-- Postgres treats NULLs as distinct, so bids stored before it are not covered
+-- by idx_bids_unique or ON CONFLICT until they have one.
+-- Run scripts/backfill-bid-log-index.js first; this stops while any are missing.
+
+DO $$
+DECLARE
+  missing BIGINT;
+BEGIN
+  SELECT COUNT(*) INTO missing FROM bids WHERE log_index IS NULL;
+  IF missing > 0 THEN
+    RAISE EXCEPTION '% bids have no log_index. Run node scripts/backfill-bid-log-index.js, then migrate again', missing;
+  END IF;
+END $$;
+
+ALTER TABLE bids
+ALTER COLUMN log_index SET NOT NULL;
\ No newline at end of file
@@ -0,0 +1,120 @@
+import dotenv from 'dotenv';
+import './node-db.js';
+import { decodeEventLog } from 'viem';
+import { createViemClient, BID_PLACED_ABI, parseBidPlacedEvent } from '../src/contract.js';
+import { getDbClient } from '../src/db.js';
+import { getNetwork } from '../src/networks.js';
+import { formatCastHash } from '../src/utils.js';
+
+// Load environment variables
+dotenv.config({ path: '.dev.vars' });
+
+const DELAY_MS = 100; // Delay between receipts to avoid rate limits
+
+// Bids inserted before log_index existed have it NULL. Look up each transaction's
+// receipt and match its BidPlaced logs back to the stored rows.
+async function backfillTransaction(dbClient, viemClient, transactionHash) {
+  const receipt = await viemClient.getTransactionReceipt({ hash: transactionHash });
+  let updated = 0;
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== viemClient.network.auctionContract.toLowerCase()) continue;
+
+    let decoded;
+    try {
+      decoded = decodeEventLog({
+        abi: [BID_PLACED_ABI],
+        data: log.data,
+        topics: log.topics,
+      });
+    } catch {
+      continue; // Not a BidPlaced log
+    }
+
+    const data = parseBidPlacedEvent({
+      ...decoded,
+      blockNumber: log.blockNumber,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+    });
+
+    const result = await dbClient.query(
+      `UPDATE bids SET log_index = $1
+       WHERE id = (
+         SELECT id FROM bids
+         WHERE transaction_hash = $2
+           AND cast_hash = $3
+           AND bidder_fid = $4
+           AND amount = $5
+           AND log_index IS NULL
+         ORDER BY id ASC
+         LIMIT 1
+       )
+       AND NOT EXISTS (
+         SELECT 1 FROM bids WHERE transaction_hash = $2 AND log_index = $1
+       )`,
+      [
+        data.logIndex,
+        transactionHash,
+        formatCastHash(data.castHash),
+        data.bidderFid,
+        data.amount
+      ]
+    );
+
+    updated += result.rowCount;
+  }
+
+  return updated;
+}
+
+async function backfillBidLogIndex() {
+  console.log('Starting bid log index backfill...');
+
+  const dbClient = await getDbClient({
+    DATABASE_URL: process.env.DATABASE_URL
+  });
+
+  const viemClient = createViemClient(getNetwork(process.env));
+
+  try {
+    const txResult = await dbClient.query(
+      'SELECT DISTINCT transaction_hash FROM bids WHERE log_index IS NULL'
+    );
+
+    console.log(`Found ${txResult.rows.length} transactions with bids missing a log index`);
+
+    let totalUpdated = 0;
+    let processed = 0;
+
+    for (const row of txResult.rows) {
+      try {
+        totalUpdated += await backfillTransaction(dbClient, viemClient, row.transaction_hash);
+      } catch (error) {
+        console.error(`Error processing transaction ${row.transaction_hash}:`, error);
+      }
+
+      processed++;
+      if (processed % 50 === 0) {
+        console.log(`Processed ${processed} transactions, updated ${totalUpdated} bids...`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, DELAY_MS));
+    }
+
+    const remainingResult = await dbClient.query(
+      'SELECT COUNT(*) as remaining FROM bids WHERE log_index IS NULL'
+    );
+
+    console.log('\n=== Backfill Complete ===');
+    console.log(`Bids updated: ${totalUpdated}`);
+    console.log(`Bids still missing a log index: ${remainingResult.rows[0].remaining}`);
+  } catch (error) {
+    console.error('Backfill error:', error);
+  } finally {
+    await dbClient.end();
+  }
+}
+
+// Run the backfill
+backfillBidLogIndex().catch(console.error);
@@ -1,174 +1,337 @@
 #!/usr/bin/env node
 
+import { parseArgs } from 'node:util';
 import { config } from 'dotenv';
-import { createViemClient, getContractEvents, parseAuctionStartedEvent, parseBidPlacedEvent, getAuctionData, CONTRACT_ADDRESS } from '../src/contract.js';
-import { Client } from 'pg';
+import './node-db.js';
+import { createViemClient, createRpcStats, getContractEvents, getNFTTransferEvents } from '../src/contract.js';
+import { getNetwork } from '../src/networks.js';
+import { withTransaction, saveVerifiedAddressFids, rebuildAuctionOutbids, getBackfillCheckpoint, saveBackfillCheckpoint, deleteBackfillCheckpoint, acquireSyncLock, heartbeatSyncLock, renewSyncLockLease, releaseSyncLock, getSyncLock } from '../src/db.js';
+import { loadBatchContext, resolveTransferAddresses, processEvent } from '../src/processors.js';
+import { getFinalizedBlock } from '../src/sync.js';
 import { formatCastHash } from '../src/utils.js';
+import { createProfileProvider, hasProfileProvider } from '../src/profiles.js';
 
 // Load environment variables
 config({ path: '.dev.vars' });
 
-const CONTRACT_DEPLOYMENT_BLOCK = 33200651n; // Starting block for sync
+const BATCH_SIZE = 500n;
+const DELAY_MS = 100; // Delay between batches to avoid rate limits
+const LOCK_LEASE_SECONDS = 120;
 
-async function getDbClient() {
-  const client = new Client({
-    connectionString: process.env.DATABASE_URL,
+// Each indexer reads one contract, starting at that contract's deployment block
+// in the network profile. --events picks from the keys of `events`.
+const INDEXERS = [
+  {
+    name: 'auction',
+    cursorTable: 'sync_status',
+    deploymentBlockKey: 'auctionDeploymentBlock',
+    getEvents: getContractEvents,
+    events: {
+      started: 'AuctionStarted',
+      bids: 'BidPlaced',
+      extended: 'AuctionExtended',
+      settled: 'AuctionSettled',
+      cancelled: 'AuctionCancelled'
+    }
+  },
+  {
+    name: 'nft',
+    cursorTable: 'nft_sync_status',
+    deploymentBlockKey: 'nftDeploymentBlock',
+    getEvents: getNFTTransferEvents,
+    events: {
+      transfers: 'Transfer'
+    }
+  }
+];
+
+const ALL_EVENT_KEYS = INDEXERS.flatMap(indexer => Object.keys(indexer.events));
+
+const USAGE = `Usage: node scripts/backfill.js [options]
+
+Options:
+  --from <block>     First block to process (default: earliest deployment block of the selected contracts)
+  --to <block>       Last block to process (default: latest confirmed block)
+  --events <list>    Comma-separated subset of ${ALL_EVENT_KEYS.join(',')} (default: all)
+  --dry-run          Fetch and count events without writing anything
+  --restart          Ignore the saved checkpoint for this run and start at --from
+  --help             Show this message`;
+
+function parseOptions() {
+  const { values } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      to: { type: 'string' },
+      events: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      restart: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
   });
-  await client.connect();
-  return client;
+  
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  
+  const eventKeys = values.events
+    ? values.events.split(',').map(key => key.trim()).filter(Boolean)
+    : ALL_EVENT_KEYS;
+  
+  const unknownKeys = eventKeys.filter(key => !ALL_EVENT_KEYS.includes(key));
+  if (unknownKeys.length > 0 || eventKeys.length === 0) {
+    throw new Error(`Unknown --events ${unknownKeys.join(',') || '(empty)'}; expected any of ${ALL_EVENT_KEYS.join(',')}`);
+  }
+  
+  const parseBlock = (name) => {
+    if (values[name] === undefined) return null;
+    if (!/^\d+$/.test(values[name])) {
+      throw new Error(`--${name} must be a block number, got "${values[name]}"`);
+    }
+    return BigInt(values[name]);
+  };
+  
+  return {
+    from: parseBlock('from'),
+    to: parseBlock('to'),
+    eventKeys,
+    dryRun: values['dry-run'],
+    restart: values.restart
+  };
 }
 
-async function processEvents(client, dbClient, fromBlock, toBlock) {
-  console.log(`Processing blocks ${fromBlock} to ${toBlock}`);
-  
-  const events = await getContractEvents(client, fromBlock, toBlock);
-  let startEvents = 0;
-  let bidEvents = 0;
+// Pick the indexers the run touches and which of their events to keep.
+// An indexer running every one of its events is "complete", which lets the
+// backfill move that indexer's live sync cursor forward.
+function selectIndexers(network, eventKeys) {
+  return INDEXERS
+    .map(indexer => {
+      const keys = Object.keys(indexer.events).filter(key => eventKeys.includes(key));
+      return {
+        ...indexer,
+        deploymentBlock: network[indexer.deploymentBlockKey],
+        eventNames: new Set(keys.map(key => indexer.events[key])),
+        complete: keys.length === Object.keys(indexer.events).length
+      };
+    })
+    .filter(indexer => indexer.eventNames.size > 0);
+}
+
+async function fetchBatchEvents(client, indexers, fromBlock, toBlock) {
+  const results = await Promise.all(indexers.map(async (indexer) => {
+    if (toBlock < indexer.deploymentBlock) return [];
+    
+    const events = await indexer.getEvents(client, fromBlock, toBlock);
+    return events.filter(event => indexer.eventNames.has(event.eventName));
+  }));
   
+  // Keep chain order across both contracts
+  return results.flat().sort((a, b) => {
+    if (a.blockNumber !== b.blockNumber) return a.blockNumber < b.blockNumber ? -1 : 1;
+    return a.logIndex - b.logIndex;
+  });
+}
+
+// Move a live sync cursor up to toBlock, but only when the backfill picks up
+// right where the cursor is. A gap would make live sync skip blocks.
+async function advanceSyncCursor(db, indexer, fromBlock, toBlock) {
+  await db.query(
+    `UPDATE ${indexer.cursorTable}
+     SET last_block_number = $2, last_sync_time = CURRENT_TIMESTAMP
+     WHERE id = 1
+       AND GREATEST(last_block_number, $3) >= $1 - 1
+       AND last_block_number < $2`,
+    [fromBlock.toString(), toBlock.toString(), (indexer.deploymentBlock - 1n).toString()]
+  );
+}
+
+function countByEventName(events, counts) {
   for (const event of events) {
-    if (event.eventName === 'AuctionStarted') {
-      await processAuctionStartedEvent(dbClient, client, event);
-      startEvents++;
-    } else if (event.eventName === 'BidPlaced') {
-      await processBidPlacedEvent(dbClient, client, event);
-      bidEvents++;
-    }
+    counts[event.eventName] = (counts[event.eventName] || 0) + 1;
   }
-  
-  console.log(`Processed ${startEvents} start events and ${bidEvents} bid events`);
-  return events.length;
 }
 
-async function processAuctionStartedEvent(dbClient, viemClient, event) {
-  const data = parseAuctionStartedEvent(event);
+async function main() {
+  const options = parseOptions();
+  
+  const env = {
+    DATABASE_URL: process.env.DATABASE_URL,
+    BASE_RPC_URL: process.env.BASE_RPC_URL,
+    NEYNAR_API_KEY: process.env.NEYNAR_API_KEY,
+    PROFILE_PROVIDER: process.env.PROFILE_PROVIDER,
+    PROFILE_FIXTURES: process.env.PROFILE_FIXTURES,
+    FARCASTER_HUB_URL: process.env.FARCASTER_HUB_URL,
+    FARCASTER_HUB_API_KEY: process.env.FARCASTER_HUB_API_KEY,
+    SYNC_CONFIRMATIONS: process.env.SYNC_CONFIRMATIONS,
+    NETWORK: process.env.NETWORK,
+    AUCTION_CONTRACT_ADDRESS: process.env.AUCTION_CONTRACT_ADDRESS,
+    NFT_CONTRACT_ADDRESS: process.env.NFT_CONTRACT_ADDRESS,
+    AUCTION_DEPLOYMENT_BLOCK: process.env.AUCTION_DEPLOYMENT_BLOCK,
+    NFT_DEPLOYMENT_BLOCK: process.env.NFT_DEPLOYMENT_BLOCK
+  };
   
-  // Get block timestamp
-  const block = await viemClient.getBlock({ blockNumber: event.blockNumber });
-  const timestamp = new Date(Number(block.timestamp) * 1000);
+  const network = getNetwork(env);
+  const indexers = selectIndexers(network, options.eventKeys);
   
-  // Get additional auction data from contract
-  const auctionData = await getAuctionData(viemClient, data.castHash);
+  const rpcStats = createRpcStats();
+  const viemClient = createViemClient(network, { rpcStats });
   
-  if (!auctionData) {
-    console.error(`Could not read auction data for ${data.castHash}`);
-    return;
+  // Stay below the confirmation depth so a backfill never writes blocks that
+  // could still be reorged; those are left to live sync
+  const currentBlock = await viemClient.getBlockNumber();
+  const finalizedBlock = getFinalizedBlock(env, currentBlock);
+  
+  let toBlock = options.to ?? finalizedBlock;
+  if (toBlock > finalizedBlock) {
+    console.warn(`--to ${toBlock} is not confirmed yet, stopping at block ${finalizedBlock}`);
+    toBlock = finalizedBlock;
   }
   
-  // Calculate end time from the event data
-  const endTime = new Date(data.endTime * 1000);
-  
-  await dbClient.query(
-    `INSERT INTO auctions (
-      cast_hash, creator_address, creator_fid, min_bid, 
-      min_bid_increment_bps, protocol_fee_bps, duration, 
-      extension, extension_threshold, end_time,
-      transaction_hash, block_number, authorizer, created_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-    ON CONFLICT (cast_hash) DO NOTHING`,
-    [
-      formatCastHash(data.castHash),
-      data.creator,
-      data.creatorFid,
-      auctionData.params.minBid,
-      auctionData.params.minBidIncrementBps,
-      auctionData.params.protocolFeeBps,
-      auctionData.params.duration,
-      auctionData.params.extension,
-      auctionData.params.extensionThreshold,
-      endTime,
-      data.transactionHash,
-      data.blockNumber.toString(),
-      data.authorizer,
-      timestamp
-    ]
+  const startBlock = options.from ?? indexers.reduce(
+    (min, indexer) => indexer.deploymentBlock < min ? indexer.deploymentBlock : min,
+    indexers[0].deploymentBlock
   );
-}
-
-async function processBidPlacedEvent(dbClient, viemClient, event) {
-  const data = parseBidPlacedEvent(event);
   
-  // Get block timestamp
-  const block = await viemClient.getBlock({ blockNumber: event.blockNumber });
-  const timestamp = new Date(Number(block.timestamp) * 1000);
+  const checkpointName = `${options.eventKeys.join(',')}:${startBlock}-${options.to ?? 'head'}`;
   
-  // Find the auction ID
-  const auctionResult = await dbClient.query(
-    'SELECT id FROM auctions WHERE cast_hash = $1',
-    [formatCastHash(data.castHash)]
-  );
+  console.log(`Backfilling ${options.eventKeys.join(', ')} on ${network.name} from block ${startBlock} to ${toBlock}${options.dryRun ? ' (dry run)' : ''}`);
   
-  if (auctionResult.rows.length === 0) {
-    console.error(`Auction not found for bid on cast hash: ${data.castHash}`);
-    return;
+  if (options.dryRun) {
+    await dryRun(viemClient, indexers, startBlock, toBlock);
+  } else {
+    await backfill(env, viemClient, indexers, options, checkpointName, startBlock, toBlock);
   }
   
-  const auctionId = auctionResult.rows[0].id;
-  
-  await dbClient.query(
-    `INSERT INTO bids (
-      auction_id, cast_hash, bidder_address, bidder_fid, 
-      amount, transaction_hash, block_number, authorizer, timestamp
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-    ON CONFLICT DO NOTHING`, // Avoid duplicates
-    [
-      auctionId,
-      formatCastHash(data.castHash),
-      data.bidder,
-      data.bidderFid,
-      data.amount,
-      data.transactionHash,
-      data.blockNumber.toString(),
-      data.authorizer,
-      timestamp
-    ]
-  );
+  console.log(`RPC usage: ${rpcStats.httpRequests} HTTP requests, calls by method: ${JSON.stringify(rpcStats.calls)}`);
 }
 
-async function main() {
-  console.log('Starting backfill process...');
-  console.log(`Contract address: ${CONTRACT_ADDRESS}`);
+async function dryRun(viemClient, indexers, startBlock, toBlock) {
+  const counts = {};
+  
+  for (let fromBlock = startBlock; fromBlock <= toBlock; fromBlock += BATCH_SIZE) {
+    const batchToBlock = fromBlock + BATCH_SIZE - 1n > toBlock ? toBlock : fromBlock + BATCH_SIZE - 1n;
+    
+    const events = await fetchBatchEvents(viemClient, indexers, fromBlock, batchToBlock);
+    countByEventName(events, counts);
+    console.log(`Blocks ${fromBlock} to ${batchToBlock}: ${events.length} events`);
+  }
   
-  const viemClient = createViemClient(process.env.BASE_RPC_URL);
-  const dbClient = await getDbClient();
+  console.log('\n=== Dry Run Complete ===');
+  console.log('Events that would be processed:', counts);
+}
+
+async function backfill(env, viemClient, indexers, options, checkpointName, startBlock, toBlock) {
+  // Share the sync lock so live sync and the backfill never write at the same time
+  const ownerId = `backfill:${crypto.randomUUID()}`;
+  if (!(await acquireSyncLock(env, ownerId, LOCK_LEASE_SECONDS))) {
+    const holder = await getSyncLock(env);
+    throw new Error(`Sync already in progress (held by ${holder?.owner_id}), try again once it finishes`);
+  }
   
   try {
-    // Get current block
-    const currentBlock = await viemClient.getBlockNumber();
-    console.log(`Current block: ${currentBlock}`);
+    if (options.restart) {
+      await deleteBackfillCheckpoint(env, checkpointName);
+    }
+    
+    const checkpoint = await getBackfillCheckpoint(env, checkpointName);
+    let fromBlock = startBlock;
+    let eventsProcessed = 0;
+    
+    if (checkpoint) {
+      fromBlock = checkpoint.lastBlock + 1n;
+      eventsProcessed = checkpoint.eventsProcessed;
+      console.log(`Resuming checkpoint "${checkpointName}" at block ${fromBlock}`);
+    }
     
-    // Process in batches
-    const batchSize = 500n;
-    let fromBlock = CONTRACT_DEPLOYMENT_BLOCK;
-    let totalEvents = 0;
+    const profiles = hasProfileProvider(env) ? createProfileProvider(env) : null;
+    const counts = {};
     
-    while (fromBlock <= currentBlock) {
-      const toBlock = fromBlock + batchSize - 1n > currentBlock ? currentBlock : fromBlock + batchSize - 1n;
+    while (fromBlock <= toBlock) {
+      const batchToBlock = fromBlock + BATCH_SIZE - 1n > toBlock ? toBlock : fromBlock + BATCH_SIZE - 1n;
       
-      const eventsProcessed = await processEvents(viemClient, dbClient, fromBlock, toBlock);
-      totalEvents += eventsProcessed;
+      const events = await fetchBatchEvents(viemClient, indexers, fromBlock, batchToBlock);
       
-      // Update sync status
-      await dbClient.query(
-        'UPDATE sync_status SET last_block_number = $1, last_sync_time = CURRENT_TIMESTAMP WHERE id = 1',
-        [toBlock.toString()]
-      );
+      const [context, verifiedAddressFids] = await Promise.all([
+        loadBatchContext(viemClient, events, batchToBlock, batchToBlock),
+        resolveTransferAddresses(env, profiles, events)
+      ]);
       
-      fromBlock = toBlock + 1n;
+      // Same transaction shape as live sync: rows, then progress
+      eventsProcessed += await withTransaction(env, async (db) => {
+        let batchEventsProcessed = 0;
+        
+        for (const event of events) {
+          if (await processEvent(db, context, event)) {
+            batchEventsProcessed++;
+          }
+        }
+        
+        await saveVerifiedAddressFids(db, verifiedAddressFids);
+        await rebuildBatchOutbids(db, events);
+        
+        for (const indexer of indexers) {
+          if (indexer.complete) {
+            await advanceSyncCursor(db, indexer, fromBlock, batchToBlock);
+          }
+        }
+        
+        await saveBackfillCheckpoint(db, checkpointName, batchToBlock, eventsProcessed + batchEventsProcessed);
+        
+        // Roll the batch back rather than commit it if the lease ran out and
+        // live sync may have taken over
+        if (!(await renewSyncLockLease(db, ownerId, LOCK_LEASE_SECONDS))) {
+          throw new Error(`Sync lock lost by ${ownerId}, rolled back blocks ${fromBlock} to ${batchToBlock}`);
+        }
+        
+        return batchEventsProcessed;
+      });
+      
+      countByEventName(events, counts);
+      console.log(`Blocks ${fromBlock} to ${batchToBlock}: ${events.length} events (${eventsProcessed} total)`);
+      
+      const stillHeld = await heartbeatSyncLock(env, ownerId, LOCK_LEASE_SECONDS, 'backfill', {
+        lastBlock: batchToBlock.toString(),
+        targetBlock: toBlock.toString(),
+        eventsProcessed
+      });
+      if (!stillHeld) {
+        throw new Error(`Sync lock lost by ${ownerId}, stopping at block ${batchToBlock}`);
+      }
+      
+      fromBlock = batchToBlock + 1n;
       
       // Small delay to avoid rate limits
-      if (eventsProcessed > 0) {
-        await new Promise(resolve => setTimeout(resolve, 100));
+      if (events.length > 0) {
+        await new Promise(resolve => setTimeout(resolve, DELAY_MS));
       }
     }
     
-    console.log(`Backfill complete! Total events processed: ${totalEvents}`);
-    
-  } catch (error) {
-    console.error('Backfill error:', error);
+    console.log('\n=== Backfill Complete ===');
+    console.log(`Events processed: ${eventsProcessed}`);
+    console.log('Events this run:', counts);
   } finally {
-    await dbClient.end();
+    await releaseSyncLock(env, ownerId);
+  }
+}
+
+// processEvent records a new bid's outbid against the bids stored before it,
+// and a repaired bid can land between bids we already have. Recompute the
+// outbids of every auction the batch added bids to, so later bids point at
+// the right previous high bid.
+async function rebuildBatchOutbids(db, events) {
+  const castHashes = [...new Set(events
+    .filter(event => event.eventName === 'BidPlaced')
+    .map(event => formatCastHash(event.args.castHash)))];
+  if (castHashes.length === 0) return;
+  
+  const result = await db.query('SELECT id FROM auctions WHERE cast_hash = ANY($1::varchar[])', [castHashes]);
+  for (const { id } of result.rows) {
+    await rebuildAuctionOutbids(db, id);
   }
 }
 
 // Run the backfill
-main().catch(console.error);
\ No newline at end of file
+main().catch((error) => {
+  console.error('Backfill error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+
+import { writeFile } from 'node:fs/promises';
+import worker from '../src/index.js';
+
+// Regenerate the frontend's API client (src/api.js at the repo root) from
+// the OpenAPI document the Worker serves at GET /openapi.json. Run it after
+// adding a route or changing its params or response schema.
+
+const CLIENT_FILE = new URL('../../src/api.js', import.meta.url);
+
+// Enough of a Worker execution context to serve /openapi.json in-process
+const ctx = {
+  waitUntil() {},
+  passThroughOnException() {}
+};
+
+async function main() {
+  const response = await worker.fetch(new Request('http://localhost/openapi.json'), {}, ctx);
+  if (!response.ok) {
+    throw new Error(`GET /openapi.json answered ${response.status}`);
+  }
+  const document = await response.json();
+
+  const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ path, method: method.toUpperCase(), ...operation }))
+  );
+
+  await writeFile(CLIENT_FILE, renderClient(document, operations));
+  console.log(`Wrote ${operations.length} operations and ${Object.keys(document.components.schemas).length} types to src/api.js`);
+}
+
+function renderClient(document, operations) {
+  const typedefs = Object.entries(document.components.schemas).map(([name, schema]) => renderTypedef(name, schema));
+  const methods = operations.map(renderMethod);
+
+  return `// Client for the Simps R Us API, generated from its OpenAPI document
+// (GET /openapi.json) by api/scripts/generate-client.js. Don't edit it by
+// hand: change the route or its schema in api/src, then run
+// \`npm run generate-client\` in api/.
+const API_BASE = '${document.servers[0].url}';
+
+// Error responses from the API are { error, code, details }; the message is
+// meant to be shown, and code says what went wrong (e.g. user_not_found)
+export class ApiError extends Error {
+  constructor(message, { status, code, details }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Helper function for API calls with error handling. Query params left
+// undefined or null aren't sent.
+async function request(method, path, { query = {}, token = null } = {}) {
+  const url = new URL(path, API_BASE);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) url.searchParams.set(name, value);
+  }
+  
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: token ? { Authorization: \`Bearer \${token}\` } : {}
+    });
+    if (!response.ok) {
+      const body = await response.json().catch(() => null);
+      throw new ApiError(body?.error || \`Request failed with status \${response.status}\`, {
+        status: response.status,
+        code: body?.code || 'http_error',
+        details: body?.details
+      });
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('API Error:', error);
+    throw error;
+  }
+}
+
+${typedefs.join('\n\n')}
+
+export const api = {
+  baseUrl: API_BASE,
+  
+${methods.join(',\n  \n')}
+};`;
+}
+
+function renderTypedef(name, schema) {
+  const lines = [`/**`, ` * @typedef {${schema.properties ? 'object' : typeOf(schema)}} ${name}`];
+  for (const [property, propertySchema] of Object.entries(schema.properties || {})) {
+    const optional = !schema.required?.includes(property);
+    lines.push(` * @property {${typeOf(propertySchema)}} ${optional ? `[${property}]` : property}${describe(propertySchema)}`);
+  }
+  lines.push(' */');
+  return lines.join('\n');
+}
+
+// One method per operation: path params first, in order, then an object of
+// query params, then { token } for routes that need Quick Auth
+function renderMethod(operation) {
+  const pathParams = (operation.parameters || []).filter(param => param.in === 'path');
+  const queryParams = (operation.parameters || []).filter(param => param.in === 'query');
+  const queryRequired = queryParams.some(param => param.required);
+
+  const args = pathParams.map(param => param.name);
+  const docs = [`   * ${operation.summary}`];
+  for (const param of pathParams) {
+    docs.push(`   * @param {${typeOf(param.schema)}} ${param.name}${describe(param.schema)}`);
+  }
+
+  const options = [];
+  if (queryParams.length > 0) {
+    args.push(queryRequired ? 'query' : 'query = {}');
+    options.push('query');
+    docs.push(`   * @param {object} ${queryRequired ? 'query' : '[query]'}`);
+    for (const param of queryParams) {
+      const name = `query.${param.name}`;
+      docs.push(`   * @param {${typeOf(param.schema)}} ${param.required ? name : `[${name}]`}${describe(param.schema)}`);
+    }
+  }
+  if (operation.security) {
+    args.push('{ token } = {}');
+    options.push('token');
+    docs.push('   * @param {object} [auth]', '   * @param {string} [auth.token] Farcaster Quick Auth token');
+  }
+
+  const responseRef = operation.responses['200'].content['application/json'].schema;
+  docs.push(`   * @returns {Promise<${typeOf(responseRef)}>}`);
+
+  const path = operation.path.replace(/\{(\w+)\}/g, '${encodeURIComponent($1)}');
+  const pathLiteral = pathParams.length > 0 ? `\`${path}\`` : `'${path}'`;
+  const requestArgs = [`'${operation.method}'`, pathLiteral];
+  if (options.length > 0) requestArgs.push(`{ ${options.join(', ')} }`);
+
+  return [
+    '  /**',
+    ...docs,
+    '   */',
+    `  ${operation.operationId}: (${args.join(', ')}) => `,
+    `    request(${requestArgs.join(', ')})`
+  ].join('\n');
+}
+
+// JSDoc type for a JSON Schema
+function typeOf(schema) {
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.anyOf) return schema.anyOf.map(typeOf).join('|');
+  if (schema.enum) return schema.enum.map(value => JSON.stringify(value)).join('|');
+  if (Array.isArray(schema.type)) return schema.type.map(type => typeOf({ ...schema, type })).join('|');
+
+  switch (schema.type) {
+    case 'integer':
+    case 'number':
+      return 'number';
+    case 'string':
+    case 'boolean':
+    case 'null':
+      return schema.type;
+    case 'array':
+      return `Array<${typeOf(schema.items)}>`;
+    case 'object':
+      if (schema.properties) {
+        const properties = Object.entries(schema.properties).map(([name, property]) =>
+          `${name}${schema.required?.includes(name) ? '' : '?'}: ${typeOf(property)}`
+        );
+        return `{ ${properties.join(', ')} }`;
+      }
+      if (schema.additionalProperties) return `Object<string, ${typeOf(schema.additionalProperties)}>`;
+      return 'object';
+    default:
+      return '*';
+  }
+}
+
+function describe(schema) {
+  return schema.description ? ` ${schema.description}` : '';
+}
+
+main().catch((error) => {
+  console.error('Client generation error:', error.message);
+  process.exitCode = 1;
+});
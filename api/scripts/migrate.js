@@ -0,0 +1,244 @@
+#!/usr/bin/env node
+
+import { readdir, readFile } from 'node:fs/promises';
+import { createHash } from 'node:crypto';
+import { parseArgs } from 'node:util';
+import dotenv from 'dotenv';
+import './node-db.js';
+import { getDbClient } from '../src/db.js';
+
+// Load environment variables
+dotenv.config({ path: '.dev.vars' });
+
+const MIGRATIONS_DIR = new URL('../migrations/', import.meta.url);
+
+// Migrations starting with this line run statement by statement outside a
+// transaction (needed for CREATE INDEX CONCURRENTLY)
+const NO_TRANSACTION_DIRECTIVE = '-- migrate:no-transaction';
+
+// Arbitrary key so two migrate runs never apply migrations at the same time
+const ADVISORY_LOCK_KEY = 72163001;
+
+const USAGE = `Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  up [--to <version>]        Apply pending migrations, optionally stopping after <version>
+  down [--steps <n>]         Roll back the last <n> applied migrations (default 1)
+  status                     List migrations and whether they are applied
+  baseline --to <version>    Record migrations up to <version> as applied without running
+                             them, for databases set up from the old loose SQL files`;
+
+// Migrations are pairs of files: NNNN_name.up.sql and NNNN_name.down.sql
+async function loadMigrations() {
+  const files = await readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(/^(\d+)_(.+)\.(up|down)\.sql$/);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    migration[direction] = await readFile(new URL(file, MIGRATIONS_DIR), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  const sorted = [...migrations.values()].sort((a, b) => a.version.localeCompare(b.version));
+  for (const migration of sorted) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+    migration.checksum = createHash('sha256').update(migration.up).digest('hex');
+  }
+  return sorted;
+}
+
+async function ensureMigrationsTable(dbClient) {
+  await dbClient.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedMigrations(dbClient) {
+  const result = await dbClient.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Split a script into single statements. Good enough for our migrations,
+// which never put semicolons inside strings or function bodies.
+function splitStatements(sql) {
+  return sql
+    .split(/;\s*(?:\n|$)/)
+    .map(statement => statement.trim())
+    .filter(statement => statement.split('\n').some(line => line.trim() && !line.trim().startsWith('--')));
+}
+
+async function runScript(dbClient, sql, recordChange) {
+  if (sql.startsWith(NO_TRANSACTION_DIRECTIVE)) {
+    for (const statement of splitStatements(sql)) {
+      await dbClient.query(statement);
+    }
+    await recordChange();
+    return;
+  }
+
+  try {
+    await dbClient.query('BEGIN');
+    await dbClient.query(sql);
+    await recordChange();
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    throw error;
+  }
+}
+
+function findVersion(migrations, version) {
+  const migration = migrations.find(migration => migration.version === version.padStart(4, '0'));
+  if (!migration) {
+    throw new Error(`Unknown migration version ${version}`);
+  }
+  return migration;
+}
+
+async function up(dbClient, migrations, applied, { to }) {
+  const target = to ? findVersion(migrations, to).version : null;
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (!target || migration.version <= target)
+  );
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    console.log(`Applying ${migration.version}_${migration.name}...`);
+    await runScript(dbClient, migration.up, () => dbClient.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    ));
+  }
+
+  console.log(`Applied ${pending.length} migration(s)`);
+}
+
+async function down(dbClient, migrations, applied, { steps }) {
+  const count = steps ? parseInt(steps) : 1;
+  if (isNaN(count) || count < 1) {
+    throw new Error(`--steps must be a positive number, got "${steps}"`);
+  }
+
+  const toRollBack = migrations
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, count);
+
+  if (toRollBack.length === 0) {
+    console.log('No applied migrations to roll back');
+    return;
+  }
+
+  for (const migration of toRollBack) {
+    console.log(`Rolling back ${migration.version}_${migration.name}...`);
+    await runScript(dbClient, migration.down, () => dbClient.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [migration.version]
+    ));
+  }
+
+  console.log(`Rolled back ${toRollBack.length} migration(s)`);
+}
+
+function status(migrations, applied) {
+  for (const migration of migrations) {
+    const record = applied.get(migration.version);
+    let state = 'pending';
+
+    if (record) {
+      state = `applied ${new Date(record.applied_at).toISOString()}`;
+      if (record.checksum !== migration.checksum) {
+        state += ' (file changed since it was applied)';
+      }
+    }
+
+    console.log(`${migration.version}_${migration.name.padEnd(28)} ${state}`);
+  }
+
+  // Versions recorded in the database without a file on disk
+  for (const [version, record] of applied) {
+    if (!migrations.some(migration => migration.version === version)) {
+      console.log(`${version}_${record.name.padEnd(28)} applied, but its files are missing`);
+    }
+  }
+}
+
+async function baseline(dbClient, migrations, applied, { to }) {
+  if (!to) {
+    throw new Error('baseline needs --to <version>');
+  }
+
+  const target = findVersion(migrations, to).version;
+  const toRecord = migrations.filter(migration => migration.version <= target && !applied.has(migration.version));
+
+  for (const migration of toRecord) {
+    await dbClient.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+  }
+
+  console.log(`Recorded ${toRecord.length} migration(s) as applied without running them`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      to: { type: 'string' },
+      steps: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  const command = positionals[0];
+  const commands = { up, down, status, baseline };
+
+  if (values.help || !commands[command]) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  const migrations = await loadMigrations();
+
+  const dbClient = await getDbClient({
+    DATABASE_URL: process.env.DATABASE_URL
+  });
+
+  try {
+    await dbClient.query('SELECT pg_advisory_lock($1)', [ADVISORY_LOCK_KEY]);
+    await ensureMigrationsTable(dbClient);
+
+    const applied = await getAppliedMigrations(dbClient);
+
+    if (command === 'status') {
+      status(migrations, applied);
+    } else {
+      await commands[command](dbClient, migrations, applied, values);
+    }
+  } finally {
+    await dbClient.query('SELECT pg_advisory_unlock($1)', [ADVISORY_LOCK_KEY]).catch(() => {});
+    await dbClient.end();
+  }
+}
+
+main().catch((error) => {
+  console.error('Migration error:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,10 @@
+import pg from 'pg';
+import { setDbClientFactory } from '../src/db.js';
+
+// Import this first in Node entry points. src/db.js defaults to Neon's
+// serverless driver, which needs a WebSocket to Neon's proxy: Node 20 has no
+// WebSocket and a local Postgres has no proxy. node-postgres connects over
+// TCP to either, and returns the same row types (BIGINT and NUMERIC as strings).
+setDbClientFactory((env) => new pg.Client({
+  connectionString: env.DATABASE_URL
+}));
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+import { config } from 'dotenv';
+import './node-db.js';
+import { executeQuery, withTransaction, acquireSyncLock, releaseSyncLock, getSyncLock } from '../src/db.js';
+import { rebuildStats } from '../src/stats.js';
+
+// Load environment variables
+config({ path: '.dev.vars' });
+
+const LOCK_LEASE_SECONDS = 300;
+
+// Recompute user_bid_stats, creator_stats and global_stats from auctions and
+// bids. Sync keeps them current on its own; run this after editing bids by
+// hand or if the aggregates ever look off.
+async function main() {
+  const env = {
+    DATABASE_URL: process.env.DATABASE_URL
+  };
+
+  // Hold the sync lock so no batch writes bids halfway through the rebuild
+  const ownerId = `rebuild-stats:${crypto.randomUUID()}`;
+  if (!(await acquireSyncLock(env, ownerId, LOCK_LEASE_SECONDS))) {
+    const holder = await getSyncLock(env);
+    throw new Error(`Sync already in progress (held by ${holder?.owner_id}), try again once it finishes`);
+  }
+
+  try {
+    console.log('Rebuilding aggregate stats...');
+    await withTransaction(env, rebuildStats);
+
+    const result = await executeQuery(
+      env,
+      `SELECT
+        (SELECT COUNT(*) FROM user_bid_stats) as bidders,
+        (SELECT COUNT(*) FROM creator_stats) as creators,
+        g.total_bids,
+        g.total_auctions
+      FROM global_stats g`
+    );
+    const totals = result.rows[0];
+
+    console.log('\n=== Rebuild Complete ===');
+    console.log(`Bidders: ${totals.bidders}, creators: ${totals.creators}`);
+    console.log(`Bids: ${totals.total_bids}, auctions: ${totals.total_auctions}`);
+  } finally {
+    await releaseSyncLock(env, ownerId);
+  }
+}
+
+main().catch((error) => {
+  console.error('Rebuild error:', error.message);
+  process.exitCode = 1;
+});
\ No newline at end of file
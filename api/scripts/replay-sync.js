@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { config } from 'dotenv';
+import './node-db.js';
+import { syncEvents } from '../src/sync.js';
+import { reconcileAuctions } from '../src/reconcile.js';
+import { replayChainSource, captureChainSource, createFixture } from '../src/replay.js';
+
+// Load environment variables
+config({ path: '.dev.vars' });
+
+const USAGE = `Usage: node scripts/replay-sync.js [options] <fixture>...
+
+Runs the Worker's sync against recorded chain data instead of BASE_RPC_URL,
+one sync per fixture in the order given. A reorg is two fixtures where the
+second changes the hashes (and logs) of blocks the first one synced.
+
+Options:
+  --capture <file>   Sync against BASE_RPC_URL and record everything it read to <file>
+  --reconcile        Run auction reconciliation after each sync, from the same source
+  --help             Show this message`;
+
+function parseOptions() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      capture: { type: 'string' },
+      reconcile: { type: 'boolean', default: false },
+      help: { type: 'boolean', default: false }
+    }
+  });
+  
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+  
+  if (values.capture ? positionals.length > 0 : positionals.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+  
+  return {
+    capture: values.capture,
+    reconcile: values.reconcile,
+    fixtures: positionals
+  };
+}
+
+async function main() {
+  const options = parseOptions();
+  
+  // No NEYNAR_API_KEY or hub: transfer parties resolve from on-chain addresses
+  // and, with PROFILE_PROVIDER=local, fixture profiles, so captured and
+  // replayed runs stay offline and identical
+  const env = {
+    DATABASE_URL: process.env.DATABASE_URL,
+    PROFILE_PROVIDER: process.env.PROFILE_PROVIDER === 'local' ? 'local' : undefined,
+    PROFILE_FIXTURES: process.env.PROFILE_FIXTURES,
+    BASE_RPC_URL: process.env.BASE_RPC_URL,
+    SYNC_CONFIRMATIONS: process.env.SYNC_CONFIRMATIONS,
+    NETWORK: process.env.NETWORK,
+    AUCTION_CONTRACT_ADDRESS: process.env.AUCTION_CONTRACT_ADDRESS,
+    NFT_CONTRACT_ADDRESS: process.env.NFT_CONTRACT_ADDRESS,
+    AUCTION_DEPLOYMENT_BLOCK: process.env.AUCTION_DEPLOYMENT_BLOCK,
+    NFT_DEPLOYMENT_BLOCK: process.env.NFT_DEPLOYMENT_BLOCK
+  };
+  
+  if (options.capture) {
+    const fixture = createFixture();
+    
+    try {
+      await run(env, options, 'capture', captureChainSource(fixture));
+    } finally {
+      // Keep what was read even if the run failed, it's often the interesting part
+      if (fixture.head !== null) {
+        await writeFile(options.capture, JSON.stringify(fixture, null, 2));
+        console.log(`Recorded ${fixture.logs.length} logs and ${Object.keys(fixture.blocks).length} blocks at head ${fixture.head} to ${options.capture}`);
+      }
+    }
+    return;
+  }
+  
+  for (const path of options.fixtures) {
+    const fixture = JSON.parse(await readFile(path, 'utf8'));
+    console.log(`\n=== Replaying ${path} (head ${fixture.head}) ===`);
+    await run(env, options, 'replay', replayChainSource(fixture));
+  }
+}
+
+async function run(env, options, trigger, chainSource) {
+  const syncResult = await syncEvents(env, { trigger, chainSource });
+  console.log('Sync result:', JSON.stringify(syncResult, stringifyBigInt, 2));
+  
+  if (options.reconcile) {
+    const reconcileResult = await reconcileAuctions(env, { trigger, chainSource });
+    console.log('Reconcile result:', JSON.stringify(reconcileResult, stringifyBigInt, 2));
+  }
+}
+
+function stringifyBigInt(key, value) {
+  return typeof value === 'bigint' ? value.toString() : value;
+}
+
+main().catch((error) => {
+  console.error('Replay error:', error.message);
+  process.exitCode = 1;
+});
\ No newline at end of file
@@ -1,12 +1,12 @@
 import { Errors, createClient } from '@farcaster/quick-auth';
 import { createMiddleware } from 'hono/factory';
-import { HTTPException } from 'hono/http-exception';
+import { ApiError } from './errors.js';
 
 const client = createClient();
 
 // Resolve information about the authenticated Farcaster user
-async function resolveUser(fid, neynarClient) {
-  const userInfo = await neynarClient.getUser(fid);
+async function resolveUser(fid, profiles) {
+  const userInfo = await profiles.getUser(fid);
   
   return {
     fid,
@@ -18,28 +18,65 @@ async function resolveUser(fid, neynarClient) {
   };
 }
 
-export const quickAuthMiddleware = createMiddleware(async (c, next) => {
+function bearerToken(c) {
   const authorization = c.req.header('Authorization');
-  if (!authorization || !authorization.startsWith('Bearer ')) {
-    throw new HTTPException(401, { message: 'Missing token' });
+  return authorization?.startsWith('Bearer ') ? authorization.split(' ')[1] : null;
+}
+
+// FID from the request's Quick Auth token, or null without one. The token
+// is verified once per request, so the rate limiter and quickAuthMiddleware
+// can both ask. Rejects when the token doesn't verify.
+export function getTokenFid(c) {
+  const token = bearerToken(c);
+  if (!token) return Promise.resolve(null);
+
+  let verified = c.get('tokenFid');
+  if (!verified) {
+    verified = client.verifyJwt({ token, domain: c.env.HOSTNAME }).then(payload => payload.sub);
+    c.set('tokenFid', verified);
   }
+  return verified;
+}
 
-  try {
-    const payload = await client.verifyJwt({
-      token: authorization.split(' ')[1],
-      domain: c.env.HOSTNAME,
-    });
+export const quickAuthMiddleware = createMiddleware(async (c, next) => {
+  if (!bearerToken(c)) {
+    throw new ApiError(401, 'missing_token', 'Missing token');
+  }
 
-    const user = await resolveUser(payload.sub, c.get('neynarClient'));
+  try {
+    const fid = await getTokenFid(c);
+    const user = await resolveUser(fid, c.get('profiles'));
     c.set('user', user);
   } catch (e) {
-    if (e instanceof Errors.InvalidTokenError) {
+    // Tokens that don't even parse as a JWT fail in jose (ERR_JWS_*, ERR_JWT_*)
+    // before quick-auth gets to wrap them
+    if (e instanceof Errors.InvalidTokenError || e.code?.startsWith('ERR_JW')) {
       console.info('Invalid token:', e.message);
-      throw new HTTPException(401, { message: 'Invalid token' });
+      throw new ApiError(401, 'invalid_token', 'Invalid token');
     }
 
     throw e;
   }
 
   await next();
-});
\ No newline at end of file
+});
+
+// For the OpenAPI document (src/openapi.js)
+quickAuthMiddleware.openapi = { security: [{ quickAuth: [] }], errors: [401] };
+
+// Only FIDs listed in ADMIN_FIDS (comma-separated) get through.
+// Must run after quickAuthMiddleware.
+export const adminMiddleware = createMiddleware(async (c, next) => {
+  const adminFids = (c.env.ADMIN_FIDS || '')
+    .split(',')
+    .map(fid => parseInt(fid.trim()))
+    .filter(fid => !isNaN(fid));
+
+  if (!adminFids.includes(Number(c.get('user')?.fid))) {
+    throw new ApiError(403, 'forbidden', 'Admin access required');
+  }
+
+  await next();
+});
+
+adminMiddleware.openapi = { errors: [403] };
\ No newline at end of file
@@ -0,0 +1,158 @@
+import { executeQuery, getFidsByAddresses } from './db.js';
+import { parseTransferEvent } from './contract.js';
+import { isP2PTransfer } from './processors.js';
+import { formatCastHash, waitUntil } from './utils.js';
+
+// Response cache for read routes, kept in the NEYNAR_CACHE KV namespace.
+//
+// Each route declares a TTL and the tags its data depends on:
+//   auctions    - auction rows (started, extended, settled, cancelled)
+//   bids        - bids, and everything aggregated from them
+//   settlements - settled auctions and winners
+//   transfers   - P2P transfers
+//   sync        - sync runs and cursors
+//   fid:<fid>   - anything about one user, as bidder, creator, winner or holder
+//
+// KV can't delete by tag, so every tag has a version (cache-tag:<tag>) and
+// entries are keyed on the versions of their tags. Purging a tag bumps its
+// version, which orphans its entries until their TTL runs out. KV takes up to
+// a minute to show a new version everywhere.
+
+// No entry outlives this, so version keys can expire after it too
+const MAX_CACHE_TTL = 86400; // 1 day
+
+// KV's minimum expirationTtl; entries also carry their own expiry so
+// shorter TTLs still work
+const MIN_KV_TTL = 60;
+
+// Hono middleware caching a route's 200 JSON responses. tags is a list, or a
+// function of the context for tags that depend on route params.
+export function cacheResponse({ ttl, tags = [] }) {
+  const cacheTTL = Math.min(ttl, MAX_CACHE_TTL);
+  
+  return async (c, next) => {
+    const kv = c.env.NEYNAR_CACHE;
+    if (!kv) return next();
+    
+    const routeTags = typeof tags === 'function' ? tags(c) : tags;
+    const versions = await Promise.all(routeTags.map(tag => kv.get(`cache-tag:${tag}`)));
+    const cacheKey = `response:${c.req.path}?${sortedQuery(c.req.url)}@${versions.map(version => version || 0).join('.')}`;
+    
+    const cached = await kv.get(cacheKey, { type: 'json' });
+    if (cached && cached.expiresAt > Date.now()) {
+      return respond(c, cached.body, cached.etag, 'HIT');
+    }
+    
+    await next();
+    
+    if (c.res.status !== 200 || !c.res.headers.get('content-type')?.includes('application/json')) return;
+    
+    const body = await c.res.text();
+    const etag = await computeETag(body);
+    
+    const entry = { body, etag, expiresAt: Date.now() + cacheTTL * 1000 };
+    const written = kv.put(cacheKey, JSON.stringify(entry), {
+      expirationTtl: Math.max(cacheTTL, MIN_KV_TTL)
+    }).catch(error => console.error(`Failed to cache ${c.req.path}:`, error));
+    waitUntil(c, written);
+    
+    c.res = respond(c, body, etag, 'MISS');
+  };
+}
+
+// Invalidate every cached response tagged with any of these tags
+export async function purgeCacheTags(env, tags) {
+  const kv = env.NEYNAR_CACHE;
+  if (!kv || tags.length === 0) return;
+  
+  const version = String(Date.now());
+  await Promise.all([...new Set(tags)].map(tag =>
+    kv.put(`cache-tag:${tag}`, version, { expirationTtl: MAX_CACHE_TTL })
+  ));
+}
+
+// Tags each auction event invalidates, besides its creator's and bidders' fid tags
+const AUCTION_EVENT_TAGS = {
+  AuctionStarted: ['auctions'],
+  BidPlaced: ['bids'],
+  AuctionExtended: ['auctions'],
+  AuctionSettled: ['auctions', 'settlements'],
+  AuctionCancelled: ['auctions']
+};
+
+// Tags touched by a batch of indexed events. Auction events also tag the
+// auction's creator and everyone who bid on it, since their ranks, outbids
+// and refunds change too; transfers tag both parties we know an FID for.
+export async function cacheTagsForEvents(env, network, events) {
+  // Nothing to purge outside the Worker (backfill, replay)
+  if (!env.NEYNAR_CACHE) return [];
+  
+  const tags = new Set();
+  const castHashes = new Set();
+  const addresses = new Set();
+  
+  for (const event of events) {
+    if (event.eventName === 'Transfer') {
+      const data = parseTransferEvent(event);
+      if (isP2PTransfer(network, data)) {
+        tags.add('transfers');
+        addresses.add(data.fromAddress.toLowerCase());
+        addresses.add(data.toAddress.toLowerCase());
+      }
+    } else if (AUCTION_EVENT_TAGS[event.eventName]) {
+      AUCTION_EVENT_TAGS[event.eventName].forEach(tag => tags.add(tag));
+      castHashes.add(formatCastHash(event.args.castHash));
+    }
+  }
+  
+  const [participantsResult, addressFids] = await Promise.all([
+    castHashes.size > 0
+      ? executeQuery(
+          env,
+          `SELECT a.creator_fid as fid FROM auctions a WHERE a.cast_hash = ANY($1::varchar[])
+           UNION
+           SELECT b.bidder_fid FROM bids b JOIN auctions a ON a.id = b.auction_id WHERE a.cast_hash = ANY($1::varchar[])`,
+          [[...castHashes]]
+        )
+      : { rows: [] },
+    getFidsByAddresses(env, [...addresses])
+  ]);
+  
+  for (const row of participantsResult.rows) {
+    tags.add(`fid:${row.fid}`);
+  }
+  for (const fid of addressFids.values()) {
+    tags.add(`fid:${fid}`);
+  }
+  
+  return [...tags];
+}
+
+function respond(c, body, etag, cacheStatus) {
+  const headers = {
+    'Content-Type': 'application/json; charset=UTF-8',
+    // Clients may keep a copy but must revalidate it, so a purge shows up
+    // right away; an unchanged body only costs a 304
+    'Cache-Control': 'public, max-age=0, must-revalidate',
+    'ETag': etag,
+    'X-Cache': cacheStatus
+  };
+  
+  if (c.req.header('if-none-match') === etag) {
+    return c.body(null, 304, headers);
+  }
+  return c.body(body, 200, headers);
+}
+
+// Same query in any parameter order shares an entry
+function sortedQuery(url) {
+  const params = new URL(url).searchParams;
+  params.sort();
+  return params.toString();
+}
+
+async function computeETag(body) {
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(body));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  return `"${hex}"`;
+}
\ No newline at end of file
@@ -1,8 +1,4 @@
 import { createPublicClient, http, parseAbiItem, decodeEventLog } from 'viem';
-import { base } from 'viem/chains';
-
-export const CONTRACT_ADDRESS = '0xFC52e33F48Dd3fcd5EE428c160722efda645D74A';
-export const NFT_CONTRACT_ADDRESS = '0xc011Ec7Ca575D4f0a2eDA595107aB104c7Af7A09';
 
 // ABI for the events we're interested in
 export const AUCTION_STARTED_ABI = parseAbiItem(
@@ -13,7 +9,6 @@ export const BID_PLACED_ABI = parseAbiItem(
   'event BidPlaced(bytes32 indexed castHash, address indexed bidder, uint96 indexed bidderFid, uint256 amount, address authorizer)'
 );
 
-// Additional events we might want to track
 export const AUCTION_EXTENDED_ABI = parseAbiItem(
   'event AuctionExtended(bytes32 indexed castHash, uint256 newEndTime)'
 );
@@ -62,17 +57,50 @@ export const AUCTION_ABI = [{
   ]
 }];
 
-export function createViemClient(rpcUrl) {
-  return createPublicClient({
-    chain: base,
-    transport: http(rpcUrl),
+// Counts RPC traffic for a sync run: HTTP requests sent and JSON-RPC calls per method
+export function createRpcStats() {
+  return { httpRequests: 0, calls: {} };
+}
+
+// A chain source turns a network profile into the viem transport the client
+// reads through. This one is the network's JSON-RPC endpoint; src/replay.js
+// has fixture-backed ones for running sync offline.
+export function rpcChainSource(network, { rpcStats } = {}) {
+  return http(network.rpcUrl, {
+    // Concurrent calls (e.g. a batch's block lookups) share one HTTP request
+    batch: { batchSize: 50 },
+    onFetchRequest: rpcStats ? async (request) => {
+      const body = await request.clone().json();
+      rpcStats.httpRequests++;
+      for (const { method } of [].concat(body)) {
+        rpcStats.calls[method] = (rpcStats.calls[method] || 0) + 1;
+      }
+    } : undefined,
   });
 }
 
+// Client for a network profile from getNetwork(). The profile rides along as
+// client.network, so every read below uses that network's contracts.
+export function createViemClient(network, { rpcStats, chainSource = rpcChainSource } = {}) {
+  return createPublicClient({
+    chain: network.chain,
+    transport: chainSource(network, { rpcStats }),
+  }).extend(() => ({ network }));
+}
+
+// Every auction lifecycle event the sync loop handles
+export const AUCTION_EVENTS_ABI = [
+  AUCTION_STARTED_ABI,
+  BID_PLACED_ABI,
+  AUCTION_EXTENDED_ABI,
+  AUCTION_SETTLED_ABI,
+  AUCTION_CANCELLED_ABI,
+];
+
 export async function getContractEvents(client, fromBlock, toBlock) {
   const logs = await client.getLogs({
-    address: CONTRACT_ADDRESS,
-    events: [AUCTION_STARTED_ABI, BID_PLACED_ABI, AUCTION_SETTLED_ABI],
+    address: client.network.auctionContract,
+    events: AUCTION_EVENTS_ABI,
     fromBlock,
     toBlock,
   });
@@ -80,7 +108,7 @@ export async function getContractEvents(client, fromBlock, toBlock) {
   return logs.map(log => {
     try {
       const decoded = decodeEventLog({
-        abi: [AUCTION_STARTED_ABI, BID_PLACED_ABI, AUCTION_SETTLED_ABI],
+        abi: AUCTION_EVENTS_ABI,
         data: log.data,
         topics: log.topics,
       });
@@ -90,6 +118,7 @@ export async function getContractEvents(client, fromBlock, toBlock) {
         blockNumber: log.blockNumber,
         transactionHash: log.transactionHash,
         logIndex: log.logIndex,
+        blockHash: log.blockHash,
       };
     } catch (error) {
       console.error('Error decoding log:', error);
@@ -98,40 +127,111 @@ export async function getContractEvents(client, fromBlock, toBlock) {
   }).filter(Boolean);
 }
 
+// BidPlaced events for a single auction, filtered on the indexed castHash topic
+export async function getAuctionBidEvents(client, castHash, fromBlock, toBlock) {
+  const logs = await client.getLogs({
+    address: client.network.auctionContract,
+    event: BID_PLACED_ABI,
+    args: { castHash },
+    fromBlock,
+    toBlock,
+  });
+
+  return logs.map(log => ({
+    eventName: log.eventName,
+    args: log.args,
+    blockNumber: log.blockNumber,
+    transactionHash: log.transactionHash,
+    logIndex: log.logIndex,
+    blockHash: log.blockHash,
+  }));
+}
+
+// Fetch each distinct block once. Returns a Map of blockNumber -> { hash, timestamp }
+export async function getBlocks(client, blockNumbers) {
+  const uniqueBlockNumbers = [...new Set(blockNumbers)];
+  const blocks = await Promise.all(
+    uniqueBlockNumbers.map(blockNumber => client.getBlock({ blockNumber }))
+  );
+
+  return new Map(blocks.map(block => [block.number, {
+    hash: block.hash,
+    timestamp: new Date(Number(block.timestamp) * 1000),
+  }]));
+}
+
 export async function getAuctionData(client, castHash) {
   try {
     const data = await client.readContract({
-      address: CONTRACT_ADDRESS,
+      address: client.network.auctionContract,
       abi: AUCTION_ABI,
       functionName: 'auctions',
       args: [castHash],
     });
 
-    return {
-      creator: data[0],
-      creatorFid: Number(data[1]),
-      highestBidder: data[2],
-      highestBidderFid: Number(data[3]),
-      highestBid: data[4].toString(),
-      lastBidAt: Number(data[5]),
-      endTime: Number(data[6]),
-      bids: Number(data[7]),
-      state: Number(data[8]),
-      params: {
-        minBid: data[9].minBid.toString(),
-        minBidIncrementBps: Number(data[9].minBidIncrementBps),
-        protocolFeeBps: Number(data[9].protocolFeeBps),
-        duration: Number(data[9].duration),
-        extension: Number(data[9].extension),
-        extensionThreshold: Number(data[9].extensionThreshold),
-      }
-    };
+    return formatAuctionData(data);
   } catch (error) {
     console.error('Error reading auction data:', error);
     return null;
   }
 }
 
+// Read many auctions with one multicall. Returns a Map of castHash -> auction
+// data; auctions whose read failed are left out. Pass blockNumber to read the
+// state as of that block instead of the latest one.
+export async function getAuctionDataBatch(client, castHashes, { blockNumber } = {}) {
+  const uniqueCastHashes = [...new Set(castHashes)];
+  if (uniqueCastHashes.length === 0) return new Map();
+
+  const contracts = uniqueCastHashes.map(castHash => ({
+    address: client.network.auctionContract,
+    abi: AUCTION_ABI,
+    functionName: 'auctions',
+    args: [castHash],
+  }));
+
+  // Without a multicall3 contract (see MULTICALL_ADDRESS), read them one by one
+  const { multicallAddress } = client.network;
+  const results = multicallAddress
+    ? await client.multicall({ contracts, blockNumber, multicallAddress })
+    : await Promise.all(contracts.map(contract => client.readContract({ ...contract, blockNumber }).then(
+      result => ({ status: 'success', result }),
+      error => ({ status: 'failure', error })
+    )));
+
+  const auctions = new Map();
+  results.forEach((result, index) => {
+    if (result.status === 'success') {
+      auctions.set(uniqueCastHashes[index], formatAuctionData(result.result));
+    } else {
+      console.error(`Error reading auction data for ${uniqueCastHashes[index]}:`, result.error);
+    }
+  });
+  return auctions;
+}
+
+function formatAuctionData(data) {
+  return {
+    creator: data[0],
+    creatorFid: Number(data[1]),
+    highestBidder: data[2],
+    highestBidderFid: Number(data[3]),
+    highestBid: data[4].toString(),
+    lastBidAt: Number(data[5]),
+    endTime: Number(data[6]),
+    bids: Number(data[7]),
+    state: Number(data[8]),
+    params: {
+      minBid: data[9].minBid.toString(),
+      minBidIncrementBps: Number(data[9].minBidIncrementBps),
+      protocolFeeBps: Number(data[9].protocolFeeBps),
+      duration: Number(data[9].duration),
+      extension: Number(data[9].extension),
+      extensionThreshold: Number(data[9].extensionThreshold),
+    }
+  };
+}
+
 export function parseAuctionStartedEvent(event) {
   return {
     castHash: event.args.castHash,
@@ -153,12 +253,13 @@ export function parseBidPlacedEvent(event) {
     authorizer: event.args.authorizer,
     blockNumber: event.blockNumber,
     transactionHash: event.transactionHash,
+    logIndex: event.logIndex,
   };
 }
 
 export async function getNFTTransferEvents(client, fromBlock, toBlock) {
   const logs = await client.getLogs({
-    address: NFT_CONTRACT_ADDRESS,
+    address: client.network.nftContract,
     events: [TRANSFER_ABI],
     fromBlock,
     toBlock,
@@ -177,6 +278,7 @@ export async function getNFTTransferEvents(client, fromBlock, toBlock) {
         blockNumber: log.blockNumber,
         transactionHash: log.transactionHash,
         logIndex: log.logIndex,
+        blockHash: log.blockHash,
       };
     } catch (error) {
       console.error('Error decoding transfer log:', error);
@@ -204,4 +306,24 @@ export function parseAuctionSettledEvent(event) {
     blockNumber: event.blockNumber,
     transactionHash: event.transactionHash,
   };
+}
+
+export function parseAuctionExtendedEvent(event) {
+  return {
+    castHash: event.args.castHash,
+    newEndTime: Number(event.args.newEndTime),
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+  };
+}
+
+export function parseAuctionCancelledEvent(event) {
+  return {
+    castHash: event.args.castHash,
+    refundedBidder: event.args.refundedBidder,
+    refundedBidderFid: Number(event.args.refundedBidderFid),
+    authorizer: event.args.authorizer,
+    blockNumber: event.blockNumber,
+    transactionHash: event.transactionHash,
+  };
 }
\ No newline at end of file
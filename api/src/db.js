@@ -1,9 +1,18 @@
 import { Client } from '@neondatabase/serverless';
 
+// Builds an unconnected client for env.DATABASE_URL. The Worker uses Neon's
+// serverless driver, which only speaks WebSockets to Neon; Node scripts swap
+// in node-postgres (scripts/node-db.js) and the tests an in-process Postgres.
+let createClient = (env) => new Client({
+  connectionString: env.DATABASE_URL,
+});
+
+export function setDbClientFactory(factory) {
+  createClient = factory;
+}
+
 export async function getDbClient(env) {
-  const client = new Client({
-    connectionString: env.DATABASE_URL,
-  });
+  const client = createClient(env);
   
   await client.connect();
   return client;
@@ -19,6 +28,25 @@ export async function executeQuery(env, query, params = []) {
   }
 }
 
+// Run callback(client) on a single connection inside one transaction.
+// Everything the callback writes is rolled back if it throws.
+export async function withTransaction(env, callback) {
+  const client = await getDbClient(env);
+  try {
+    await client.query('BEGIN');
+    const result = await callback(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    // A failed ROLLBACK (e.g. the connection dropped) mustn't hide the error
+    // that caused it; the transaction dies with the connection either way
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    await client.end();
+  }
+}
+
 export async function getLastSyncedBlock(env) {
   const result = await executeQuery(
     env,
@@ -34,9 +62,9 @@ export async function getLastSyncedBlock(env) {
   return 0n;
 }
 
-export async function updateLastSyncedBlock(env, blockNumber) {
-  await executeQuery(
-    env,
+// Cursor writes take a connected client so they commit with the batch they cover
+export async function updateLastSyncedBlock(db, blockNumber) {
+  await db.query(
     'UPDATE sync_status SET last_block_number = $1, last_sync_time = CURRENT_TIMESTAMP WHERE id = 1',
     [blockNumber.toString()]
   );
@@ -50,10 +78,432 @@ export async function getLastNFTSyncedBlock(env) {
   return BigInt(result.rows[0]?.last_block_number || 0);
 }
 
-export async function updateLastNFTSyncedBlock(env, blockNumber) {
-  await executeQuery(
-    env,
+export async function updateLastNFTSyncedBlock(db, blockNumber) {
+  await db.query(
     'UPDATE nft_sync_status SET last_block_number = $1, last_sync_time = CURRENT_TIMESTAMP WHERE id = 1',
     [blockNumber.toString()]
   );
+}
+
+// Block hashes recorded for the unconfirmed tail of each indexer, oldest first
+export async function getBlockHashesFrom(env, indexer, fromBlock) {
+  const result = await executeQuery(
+    env,
+    `SELECT block_number, block_hash FROM block_hashes
+     WHERE indexer = $1 AND block_number >= $2
+     ORDER BY block_number ASC`,
+    [indexer, fromBlock.toString()]
+  );
+  return result.rows.map(row => ({
+    blockNumber: BigInt(row.block_number),
+    blockHash: row.block_hash
+  }));
+}
+
+export async function saveBlockHashes(db, indexer, hashes) {
+  if (hashes.length === 0) return;
+  
+  await db.query(
+    `INSERT INTO block_hashes (indexer, block_number, block_hash)
+     SELECT $1, * FROM unnest($2::bigint[], $3::varchar[])
+     ON CONFLICT (indexer, block_number) DO UPDATE SET block_hash = EXCLUDED.block_hash`,
+    [
+      indexer,
+      hashes.map(([blockNumber]) => blockNumber.toString()),
+      hashes.map(([, blockHash]) => blockHash)
+    ]
+  );
+}
+
+export async function deleteBlockHashesFrom(db, indexer, fromBlock) {
+  await db.query(
+    'DELETE FROM block_hashes WHERE indexer = $1 AND block_number >= $2',
+    [indexer, fromBlock.toString()]
+  );
+}
+
+export async function pruneBlockHashes(env, indexer, finalizedBlock) {
+  await executeQuery(
+    env,
+    'DELETE FROM block_hashes WHERE indexer = $1 AND block_number <= $2',
+    [indexer, finalizedBlock.toString()]
+  );
+}
+
+// Addresses seen signing auction events are authoritative for their FID,
+// so they replace whatever mapping was there before
+export async function saveAddressFid(db, address, fid, source) {
+  await db.query(
+    `INSERT INTO address_fids (address, fid, source, updated_at)
+     VALUES (LOWER($1), $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (address) DO UPDATE SET
+       fid = EXCLUDED.fid,
+       source = EXCLUDED.source,
+       updated_at = EXCLUDED.updated_at`,
+    [address, fid, source]
+  );
+}
+
+// Neynar verified addresses only fill gaps and never override on-chain mappings.
+// entries is a list of [address, fid] pairs
+export async function saveVerifiedAddressFids(db, entries) {
+  if (entries.length === 0) return;
+  
+  await db.query(
+    `INSERT INTO address_fids (address, fid, source)
+     SELECT LOWER(address), fid, 'verified' FROM unnest($1::varchar[], $2::integer[]) AS t(address, fid)
+     ON CONFLICT (address) DO NOTHING`,
+    [
+      entries.map(([address]) => address),
+      entries.map(([, fid]) => fid)
+    ]
+  );
+}
+
+// Returns a Map of lowercased address -> FID for the addresses we know about
+export async function getFidsByAddresses(env, addresses) {
+  if (addresses.length === 0) return new Map();
+  
+  const result = await executeQuery(
+    env,
+    'SELECT address, fid FROM address_fids WHERE address = ANY($1::varchar[])',
+    [addresses.map(address => address.toLowerCase())]
+  );
+  return new Map(result.rows.map(row => [row.address, row.fid]));
+}
+
+// Record that a bid replaced the previous high bid of its auction. The previous
+// high bid is taken in chain order, so the result doesn't depend on insert order.
+export async function saveOutbid(db, bidId) {
+  await insertOutbids(db, 'b.id = $1', [bidId]);
+}
+
+// Recompute every outbid of an auction, for when bids were inserted out of
+// chain order (e.g. reconciliation restoring missed bids)
+export async function rebuildAuctionOutbids(db, auctionId) {
+  await db.query('DELETE FROM outbids WHERE auction_id = $1', [auctionId]);
+  await insertOutbids(db, 'b.auction_id = $1', [auctionId]);
+}
+
+// Keep in sync with the backfill in migrations/0014_outbids.up.sql
+async function insertOutbids(db, condition, params) {
+  await db.query(
+    `INSERT INTO outbids (
+      auction_id, bid_id, previous_bid_id, outbidder_fid, outbidder_address,
+      victim_fid, victim_address, winning_amount, losing_amount,
+      time_gap_seconds, block_number, timestamp
+    )
+    SELECT
+      b.auction_id, b.id, prev.id, b.bidder_fid, b.bidder_address,
+      prev.bidder_fid, prev.bidder_address, b.amount, prev.amount,
+      EXTRACT(EPOCH FROM b.timestamp - prev.timestamp)::integer, b.block_number, b.timestamp
+    FROM bids b
+    JOIN LATERAL (
+      SELECT p.id, p.bidder_fid, p.bidder_address, p.amount, p.timestamp
+      FROM bids p
+      WHERE p.auction_id = b.auction_id
+        AND (p.block_number, COALESCE(p.log_index, 0)) < (b.block_number, COALESCE(b.log_index, 0))
+      ORDER BY p.amount DESC, p.block_number DESC, p.log_index DESC NULLS LAST
+      LIMIT 1
+    ) prev ON prev.amount < b.amount
+    WHERE ${condition}
+    ON CONFLICT (bid_id) DO NOTHING`,
+    params
+  );
+}
+
+// Write (or rewrite) the earnings line of a settled auction from its stored
+// winning bid and fee. Auctions settled without bids earn nothing and get no line.
+export async function saveCreatorEarnings(db, auctionId, { settledAt, blockNumber, transactionHash = null }) {
+  await db.query(
+    `INSERT INTO creator_earnings (
+      auction_id, creator_fid, cast_hash, winner_fid, gross_amount, protocol_fee_bps,
+      protocol_fee, net_amount, settled_at, block_number, transaction_hash
+    )
+    SELECT
+      id,
+      creator_fid,
+      cast_hash,
+      winner_fid,
+      winning_bid,
+      protocol_fee_bps,
+      div(winning_bid * protocol_fee_bps, 10000),
+      winning_bid - div(winning_bid * protocol_fee_bps, 10000),
+      $2,
+      $3,
+      $4
+    FROM auctions
+    WHERE id = $1 AND state = 3 AND winning_bid > 0
+    ON CONFLICT (auction_id) DO UPDATE SET
+      winner_fid = EXCLUDED.winner_fid,
+      gross_amount = EXCLUDED.gross_amount,
+      protocol_fee_bps = EXCLUDED.protocol_fee_bps,
+      protocol_fee = EXCLUDED.protocol_fee,
+      net_amount = EXCLUDED.net_amount,
+      settled_at = EXCLUDED.settled_at,
+      block_number = EXCLUDED.block_number,
+      transaction_hash = EXCLUDED.transaction_hash`,
+    [auctionId, settledAt, blockNumber.toString(), transactionHash]
+  );
+}
+
+// Stored Farcaster profiles in the profile provider's shape.
+// Returns a Map of FID -> { user, fetchedAt }
+export async function getFarcasterUsers(env, fids) {
+  if (fids.length === 0) return new Map();
+  
+  const result = await executeQuery(
+    env,
+    'SELECT * FROM farcaster_users WHERE fid = ANY($1::integer[])',
+    [fids.map(Number)]
+  );
+  return new Map(result.rows.map(row => [row.fid, { user: formatFarcasterUser(row), fetchedAt: row.fetched_at }]));
+}
+
+export async function getFarcasterUserByUsername(env, username) {
+  const result = await executeQuery(
+    env,
+    `SELECT * FROM farcaster_users
+     WHERE LOWER(username) = LOWER($1)
+     ORDER BY fetched_at DESC
+     LIMIT 1`,
+    [username]
+  );
+  return result.rows[0] ? formatFarcasterUser(result.rows[0]) : null;
+}
+
+// Insert or refresh profiles as returned by a profile provider
+export async function saveFarcasterUsers(env, users) {
+  if (users.length === 0) return;
+  
+  await executeQuery(
+    env,
+    `INSERT INTO farcaster_users (
+      fid, username, display_name, pfp_url, follower_count, following_count, bio, primary_address, power_badge
+    )
+    SELECT * FROM unnest(
+      $1::integer[], $2::varchar[], $3::varchar[], $4::text[], $5::integer[],
+      $6::integer[], $7::text[], $8::varchar[], $9::boolean[]
+    )
+    ON CONFLICT (fid) DO UPDATE SET
+      username = EXCLUDED.username,
+      display_name = EXCLUDED.display_name,
+      pfp_url = EXCLUDED.pfp_url,
+      follower_count = EXCLUDED.follower_count,
+      following_count = EXCLUDED.following_count,
+      bio = EXCLUDED.bio,
+      primary_address = EXCLUDED.primary_address,
+      power_badge = EXCLUDED.power_badge,
+      fetched_at = CURRENT_TIMESTAMP`,
+    [
+      users.map(user => user.fid),
+      users.map(user => user.username ?? null),
+      users.map(user => user.displayName ?? null),
+      users.map(user => user.pfpUrl ?? null),
+      users.map(user => user.followerCount ?? null),
+      users.map(user => user.followingCount ?? null),
+      users.map(user => user.bio ?? null),
+      users.map(user => user.primaryAddress ?? null),
+      users.map(user => user.powerBadge || false)
+    ]
+  );
+}
+
+// Stored casts keyed by the hashes they were asked for
+export async function getCasts(env, hashes) {
+  if (hashes.length === 0) return {};
+  
+  const result = await executeQuery(
+    env,
+    'SELECT * FROM casts WHERE hash = ANY($1::varchar[])',
+    [hashes.map(hash => hash.toLowerCase())]
+  );
+  const castsByHash = new Map(result.rows.map(row => [row.hash, row]));
+  
+  const casts = {};
+  for (const hash of hashes) {
+    const row = castsByHash.get(hash.toLowerCase());
+    if (row) {
+      casts[hash] = {
+        hash: row.hash,
+        text: row.text,
+        timestamp: row.cast_timestamp,
+        firstEmbed: row.first_embed
+      };
+    }
+  }
+  return casts;
+}
+
+// Casts are immutable, so a stored cast is never overwritten
+export async function saveCasts(env, casts) {
+  if (casts.length === 0) return;
+  
+  await executeQuery(
+    env,
+    `INSERT INTO casts (hash, text, first_embed, cast_timestamp)
+     SELECT LOWER(hash), text, first_embed, cast_timestamp
+     FROM unnest($1::varchar[], $2::text[], $3::jsonb[], $4::timestamp[]) AS t(hash, text, first_embed, cast_timestamp)
+     ON CONFLICT (hash) DO NOTHING`,
+    [
+      casts.map(cast => cast.hash),
+      casts.map(cast => cast.text || ''),
+      casts.map(cast => (cast.firstEmbed ? JSON.stringify(cast.firstEmbed) : null)),
+      casts.map(cast => cast.timestamp ?? null)
+    ]
+  );
+}
+
+function formatFarcasterUser(row) {
+  return {
+    fid: row.fid,
+    username: row.username,
+    displayName: row.display_name,
+    pfpUrl: row.pfp_url,
+    followerCount: row.follower_count,
+    followingCount: row.following_count,
+    bio: row.bio ?? undefined,
+    primaryAddress: row.primary_address,
+    powerBadge: row.power_badge
+  };
+}
+
+// Sync run history, written at the start and end of every syncEvents call
+export async function startSyncRun(env, trigger) {
+  const result = await executeQuery(
+    env,
+    'INSERT INTO sync_runs (trigger) VALUES ($1) RETURNING id',
+    [trigger]
+  );
+  return result.rows[0].id;
+}
+
+export async function finishSyncRun(env, runId, { status, auctionEventsProcessed, transferEventsProcessed, auctionBlock, nftBlock, rpcStats, error }) {
+  await executeQuery(
+    env,
+    `UPDATE sync_runs
+     SET status = $2,
+         finished_at = CURRENT_TIMESTAMP,
+         auction_events_processed = $3,
+         transfer_events_processed = $4,
+         auction_block = $5,
+         nft_block = $6,
+         http_requests = $7,
+         rpc_calls = $8,
+         error = $9
+     WHERE id = $1`,
+    [
+      runId,
+      status,
+      auctionEventsProcessed ?? null,
+      transferEventsProcessed ?? null,
+      auctionBlock?.toString() ?? null,
+      nftBlock?.toString() ?? null,
+      rpcStats?.httpRequests ?? null,
+      rpcStats ? JSON.stringify(rpcStats.calls) : null,
+      error ?? null
+    ]
+  );
+}
+
+// Backfill checkpoints, keyed by a name describing the run
+export async function getBackfillCheckpoint(env, name) {
+  const result = await executeQuery(
+    env,
+    'SELECT last_block_number, events_processed FROM backfill_checkpoints WHERE name = $1',
+    [name]
+  );
+  const row = result.rows[0];
+  return row ? { lastBlock: BigInt(row.last_block_number), eventsProcessed: row.events_processed } : null;
+}
+
+export async function saveBackfillCheckpoint(db, name, blockNumber, eventsProcessed) {
+  await db.query(
+    `INSERT INTO backfill_checkpoints (name, last_block_number, events_processed, updated_at)
+     VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+     ON CONFLICT (name) DO UPDATE SET
+       last_block_number = EXCLUDED.last_block_number,
+       events_processed = EXCLUDED.events_processed,
+       updated_at = EXCLUDED.updated_at`,
+    [name, blockNumber.toString(), eventsProcessed]
+  );
+}
+
+export async function deleteBackfillCheckpoint(env, name) {
+  await executeQuery(env, 'DELETE FROM backfill_checkpoints WHERE name = $1', [name]);
+}
+
+// Lease-based lock so only one worker syncs at a time. Taking the lock
+// succeeds when nobody holds it or the previous holder's lease expired.
+export async function acquireSyncLock(env, ownerId, leaseSeconds) {
+  const result = await executeQuery(
+    env,
+    `INSERT INTO sync_lock (id, owner_id, acquired_at, heartbeat_at, expires_at, progress)
+     VALUES (1, $1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP + make_interval(secs => $2), '{}')
+     ON CONFLICT (id) DO UPDATE SET
+       owner_id = EXCLUDED.owner_id,
+       acquired_at = EXCLUDED.acquired_at,
+       heartbeat_at = EXCLUDED.heartbeat_at,
+       expires_at = EXCLUDED.expires_at,
+       progress = EXCLUDED.progress
+     WHERE sync_lock.owner_id IS NULL OR sync_lock.expires_at < CURRENT_TIMESTAMP
+     RETURNING owner_id`,
+    [ownerId, leaseSeconds]
+  );
+  return result.rows.length > 0;
+}
+
+// Extends the lease and stores the indexer's progress. Returns false if the
+// lease was lost to another worker.
+export async function heartbeatSyncLock(env, ownerId, leaseSeconds, indexer, progress) {
+  const result = await executeQuery(
+    env,
+    `UPDATE sync_lock
+     SET heartbeat_at = CURRENT_TIMESTAMP,
+         expires_at = CURRENT_TIMESTAMP + make_interval(secs => $2),
+         progress = progress || jsonb_build_object($3::text, $4::jsonb)
+     WHERE id = 1 AND owner_id = $1 AND expires_at > CURRENT_TIMESTAMP
+     RETURNING owner_id`,
+    [ownerId, leaseSeconds, indexer, JSON.stringify(progress)]
+  );
+  return result.rows.length > 0;
+}
+
+// Extends the lease from inside a write transaction, just before COMMIT.
+// The row lock it takes holds off any other worker's acquireSyncLock until
+// the transaction ends, so a false return (lease expired or taken over) means
+// the caller must roll back instead of committing. CURRENT_TIMESTAMP is when
+// the transaction began, so this reads the wall clock with clock_timestamp():
+// a lease that ran out during a long batch must fail here, and the renewed
+// lease has to count from the commit.
+export async function renewSyncLockLease(db, ownerId, leaseSeconds) {
+  const result = await db.query(
+    `UPDATE sync_lock
+     SET heartbeat_at = clock_timestamp(),
+         expires_at = clock_timestamp() + make_interval(secs => $2)
+     WHERE id = 1 AND owner_id = $1 AND expires_at > clock_timestamp()
+     RETURNING owner_id`,
+    [ownerId, leaseSeconds]
+  );
+  return result.rows.length > 0;
+}
+
+export async function releaseSyncLock(env, ownerId) {
+  await executeQuery(
+    env,
+    `UPDATE sync_lock
+     SET owner_id = NULL, expires_at = CURRENT_TIMESTAMP
+     WHERE id = 1 AND owner_id = $1`,
+    [ownerId]
+  );
+}
+
+export async function getSyncLock(env) {
+  const result = await executeQuery(
+    env,
+    `SELECT owner_id, acquired_at, heartbeat_at, expires_at, progress
+     FROM sync_lock
+     WHERE id = 1 AND owner_id IS NOT NULL AND expires_at >= CURRENT_TIMESTAMP`
+  );
+  return result.rows[0] || null;
 }
\ No newline at end of file
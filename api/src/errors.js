@@ -0,0 +1,54 @@
+import { HTTPException } from 'hono/http-exception';
+import { SyncInProgressError } from './sync.js';
+
+// Every error response has the same JSON shape:
+//   { "error": "Human-readable message", "code": "invalid_params", "details": { ... } }
+// `error` stays a plain string so clients that only read it keep working.
+// `details` is optional and depends on the code.
+
+// Codes for HTTPExceptions thrown without one (e.g. by Hono itself)
+const CODES_BY_STATUS = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  429: 'rate_limited'
+};
+
+// Throw from a route or middleware to answer with an error response
+export class ApiError extends HTTPException {
+  constructor(status, code, message, details = undefined) {
+    super(status, { message });
+    this.name = 'ApiError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export function errorBody(code, message, details = undefined) {
+  return details === undefined ? { error: message, code } : { error: message, code, details };
+}
+
+// app.onError handler
+export function handleError(error, c) {
+  if (error instanceof ApiError) {
+    return c.json(errorBody(error.code, error.message, error.details), error.status);
+  }
+  
+  if (error instanceof HTTPException) {
+    return c.json(errorBody(CODES_BY_STATUS[error.status] || 'error', error.message), error.status);
+  }
+  
+  if (error instanceof SyncInProgressError) {
+    return c.json(errorBody('sync_in_progress', error.message, { holder: error.holder }), 409);
+  }
+  
+  console.error(`Unhandled error on ${c.req.method} ${c.req.path}:`, error);
+  return c.json(errorBody('internal_error', 'Something went wrong'), 500);
+}
+
+// app.notFound handler
+export function handleNotFound(c) {
+  return c.json(errorBody('not_found', `No route for ${c.req.method} ${c.req.path}`), 404);
+}
\ No newline at end of file
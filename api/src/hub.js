@@ -0,0 +1,144 @@
+// Farcaster Hub user data types we map onto our profile fields
+const USER_DATA_FIELDS = {
+  USER_DATA_TYPE_USERNAME: 'username',
+  USER_DATA_TYPE_DISPLAY: 'displayName',
+  USER_DATA_TYPE_PFP: 'pfpUrl',
+  USER_DATA_TYPE_BIO: 'bio'
+};
+
+// Profile provider reading a Farcaster Hub's HTTP API (e.g. a self-hosted
+// hubble at http://localhost:2281). Hubs have no follower counts or power
+// badges, only resolve custody addresses (not verified ones) to FIDs, and
+// can't look casts up by hash alone, so cast content comes back empty.
+export class HubClient {
+  constructor(hubUrl, { apiKey = null, kvCache = null } = {}) {
+    this.baseUrl = `${hubUrl.replace(/\/+$/, '')}/v1`;
+    this.apiKey = apiKey;
+    this.kvCache = kvCache;
+    this.cacheTTL = 3600; // 1 hour cache
+  }
+
+  async getUsersByFids(fids) {
+    if (!fids || fids.length === 0) return {};
+    
+    const users = await Promise.all(fids.map(fid => this.fetchUser(fid)));
+    
+    const allUsers = {};
+    fids.forEach((fid, index) => {
+      if (users[index]) {
+        allUsers[fid] = users[index];
+      }
+    });
+    return allUsers;
+  }
+
+  async getUser(fid) {
+    const users = await this.getUsersByFids([fid]);
+    return users[fid] || null;
+  }
+
+  async getUserByUsername(username) {
+    const proof = await this.request('/userNameProofByName', { name: username });
+    return proof?.fid ? this.getUser(proof.fid) : null;
+  }
+
+  // Only custody addresses are indexed by address on a hub
+  async getUsersByAddresses(addresses) {
+    if (!addresses || addresses.length === 0) return {};
+    
+    const uniqueAddresses = [...new Set(addresses.map(address => address.toLowerCase()))];
+    const events = await Promise.all(
+      uniqueAddresses.map(address => this.request('/onChainIdRegistryEventByAddress', { address }))
+    );
+    
+    const usersByAddress = {};
+    await Promise.all(uniqueAddresses.map(async (address, index) => {
+      const user = events[index]?.fid ? await this.getUser(events[index].fid) : null;
+      if (user) {
+        usersByAddress[address] = user;
+      }
+    }));
+    return usersByAddress;
+  }
+
+  // castById needs the author's FID as well as the hash
+  async getCastsByHashes() {
+    return {};
+  }
+
+  async getCast() {
+    return null;
+  }
+
+  async fetchUser(fid) {
+    if (this.kvCache) {
+      const cached = await this.kvCache.get(`hub:user:${fid}`, { type: 'json' });
+      if (cached) return cached;
+    }
+    
+    const [userData, verifications] = await Promise.all([
+      this.request('/userDataByFid', { fid }),
+      this.request('/verificationsByFid', { fid })
+    ]);
+    
+    if (!userData?.messages?.length) return null;
+    
+    const user = {
+      fid: Number(fid),
+      username: null,
+      displayName: null,
+      pfpUrl: null,
+      followerCount: null,
+      followingCount: null,
+      bio: undefined,
+      primaryAddress: null,
+      powerBadge: false
+    };
+    
+    for (const message of userData.messages) {
+      const body = message.data?.userDataBody;
+      const field = USER_DATA_FIELDS[body?.type];
+      if (field) {
+        user[field] = body.value;
+      }
+    }
+    
+    // Older hubs call the body verificationAddEthAddressBody
+    const ethAddress = (verifications?.messages || [])
+      .map(message => message.data?.verificationAddAddressBody || message.data?.verificationAddEthAddressBody)
+      .find(body => body && (!body.protocol || body.protocol === 'PROTOCOL_ETHEREUM'));
+    user.primaryAddress = ethAddress?.address || null;
+    
+    if (this.kvCache) {
+      await this.kvCache.put(`hub:user:${fid}`, JSON.stringify(user), {
+        expirationTtl: this.cacheTTL
+      });
+    }
+    
+    return user;
+  }
+
+  async request(path, params) {
+    let response;
+    try {
+      response = await fetch(
+        `${this.baseUrl}${path}?${new URLSearchParams(params)}`,
+        { headers: this.apiKey ? { 'x-api-key': this.apiKey } : {} }
+      );
+    } catch (error) {
+      // Unreachable hub, DNS failure or dropped connection: same as an HTTP error
+      console.error(`Failed to fetch ${path} from hub:`, error.message);
+      return null;
+    }
+    
+    // Unknown FIDs, names and addresses
+    if (response.status === 404) return null;
+    
+    if (!response.ok) {
+      console.error(`Failed to fetch ${path} from hub:`, response.statusText);
+      return null;
+    }
+    
+    return response.json();
+  }
+}
\ No newline at end of file
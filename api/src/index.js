@@ -1,29 +1,81 @@
 import { Hono } from 'hono';
 import { cors } from 'hono/cors';
-import { quickAuthMiddleware } from './auth.js';
-import { NeynarClient } from './neynar.js';
-import { executeQuery } from './db.js';
-import { syncEvents } from './sync.js';
-import { formatCastHash, padCastHash, usdcToCents } from './utils.js';
+import { quickAuthMiddleware, adminMiddleware } from './auth.js';
+import { createProfileProvider, hasProfileProvider } from './profiles.js';
+import { StoredProfileProvider, refreshStoredProfiles } from './stored-profiles.js';
+import { getNetwork, getTransactionUrl, getTokenUrl } from './networks.js';
+import { executeQuery, getSyncLock } from './db.js';
+import { syncEvents, getSyncStatus, SyncInProgressError } from './sync.js';
+import { reconcileAuctions } from './reconcile.js';
+import { formatCastHash, padCastHash, usdcToCents, waitUntil } from './utils.js';
+import { cacheResponse } from './cache.js';
+import { ApiError, handleError, handleNotFound } from './errors.js';
+import { validate, integerParam, limitParam, cursorParam, fidParam, castHashParam, enumParam, textParam } from './validation.js';
+import { afterCursor, cursorColumns, toPage, pageInfo } from './pagination.js';
+import { describeRoute, buildOpenApiDocument } from './openapi.js';
+import { rateLimit } from './rate-limit.js';
 
 const app = new Hono();
 
-// Middleware to inject Neynar client with KV cache
+// Cached read routes (src/cache.js) live this long unless a sync purges them
+// first; the TTL only has to catch what changes with time, like auctions ending
+const RESPONSE_CACHE_TTL = 300; // 5 minutes
+
+// Cache tag for routes about one user
+const fidTags = (c) => [`fid:${c.req.valid('param').fid}`];
+
+// Middleware to inject the profile provider (Neynar by default) behind the
+// stored profiles and KV cache, and log how well those did for the request
 app.use('*', async (c, next) => {
-  c.set('neynarClient', new NeynarClient(c.env.NEYNAR_API_KEY, c.env.NEYNAR_CACHE));
+  const runInBackground = (promise) => waitUntil(c, promise);
+  const profiles = new StoredProfileProvider(
+    c.env,
+    createProfileProvider(c.env, { kvCache: c.env.NEYNAR_CACHE, waitUntil: runInBackground }),
+    { waitUntil: runInBackground }
+  );
+  c.set('profiles', profiles);
+  
   await next();
+  
+  const metrics = profiles.getMetrics();
+  if (metrics.lookups > 0) {
+    console.log(
+      `Profile cache for ${c.req.method} ${c.req.path}: ${metrics.storedHits} stored, ${Math.round(metrics.hitRate * 100)}% KV hit rate ` +
+      `(${metrics.hits} fresh, ${metrics.staleHits} stale, ${metrics.negativeHits} known missing, ${metrics.misses} misses), ` +
+      `${metrics.apiRequests} API requests, ${metrics.retries} retries, ${metrics.failures} failures`
+    );
+  }
 });
 
-// Enable CORS
-app.use(cors());
+// Enable CORS, letting browsers read the rate limit headers
+app.use(cors({
+  exposeHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
+}));
+
+// Every client's overall budget (src/rate-limit.js); expensive routes and
+// /sync also spend from their own
+app.use('*', rateLimit('default'));
+
+// Every error, from validation, auth, routes or anything unexpected, answers
+// with the same JSON shape (see src/errors.js)
+app.onError(handleError);
+app.notFound(handleNotFound);
 
 // Health check
-app.get('/', (c) => {
+app.get('/', describeRoute({ operationId: 'getHealth', summary: 'Health check', tags: ['meta'], response: 'Health' }), (c) => {
   return c.json({ message: 'NFT Bidding Tracker API', version: '1.0.0' });
 });
 
+// OpenAPI document for the routes (src/openapi.js). They're all registered
+// by the first request, so it's built then and kept.
+let openApiDocument = null;
+app.get('/openapi.json', (c) => {
+  openApiDocument ??= buildOpenApiDocument(app.routes);
+  return c.json(openApiDocument);
+});
+
 // Protected route - Get authenticated user info
-app.get('/me', quickAuthMiddleware, async (c) => {
+app.get('/me', describeRoute({ operationId: 'getMe', summary: 'The signed-in user and their bidding stats', tags: ['users'], response: 'Me' }), quickAuthMiddleware, async (c) => {
   const user = c.get('user');
   
   // Get user's bidding stats
@@ -58,34 +110,46 @@ app.get('/me', quickAuthMiddleware, async (c) => {
   });
 });
 
+// Sort tuple for /auctions (src/pagination.js), newest first
+const AUCTIONS_SORT = [
+  { column: 'a.created_at', type: 'timestamp' },
+  { column: 'a.id', type: 'integer' }
+];
+
 // Public route - Get all auctions
-app.get('/auctions', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  const offset = parseInt(c.req.query('offset') || '0');
-  
-  const result = await executeQuery(
-    c.env,
-    `SELECT 
-      a.*,
-      COUNT(b.id) as bid_count,
-      MAX(b.amount) as highest_bid
-    FROM auctions a
-    LEFT JOIN bids b ON a.id = b.auction_id
-    GROUP BY a.id
-    ORDER BY a.created_at DESC
-    LIMIT $1 OFFSET $2`,
-    [limit, offset]
-  );
+app.get('/auctions', describeRoute({ operationId: 'getAuctions', summary: 'Auctions, newest first', tags: ['auctions'], response: 'AuctionList' }), validate({ query: { limit: limitParam(20, 100), cursor: cursorParam(AUCTIONS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['auctions', 'bids'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
+  
+  const params = [limit + 1];
+  const [result, countResult] = await Promise.all([
+    executeQuery(
+      c.env,
+      `SELECT 
+        a.*,
+        COUNT(b.id) as bid_count,
+        MAX(b.amount) as highest_bid,
+        ${cursorColumns(AUCTIONS_SORT)}
+      FROM auctions a
+      LEFT JOIN bids b ON a.id = b.auction_id
+      WHERE ${afterCursor(AUCTIONS_SORT, cursor, params)}
+      GROUP BY a.id
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT $1`,
+      params
+    ),
+    executeQuery(c.env, 'SELECT COUNT(*) as total FROM auctions')
+  ]);
+  const page = toPage(AUCTIONS_SORT, result.rows, limit);
   
   // Get unique FIDs for enrichment
-  const fids = [...new Set(result.rows.map(row => row.creator_fid))];
-  const users = await c.get('neynarClient').getUsersByFids(fids);
+  const fids = [...new Set(page.rows.map(row => row.creator_fid))];
+  const users = await c.get('profiles').getUsersByFids(fids);
   
   // Get cast content
-  const castHashes = result.rows.map(row => row.cast_hash);
-  const castContent = await c.get('neynarClient').getCastsByHashes(castHashes);
+  const castHashes = page.rows.map(row => row.cast_hash);
+  const castContent = await c.get('profiles').getCastsByHashes(castHashes);
   
-  const auctions = result.rows.map(row => ({
+  const auctions = page.rows.map(row => ({
     id: row.id,
     cast_hash: row.cast_hash,
     creator_address: row.creator_address,
@@ -101,12 +165,12 @@ app.get('/auctions', async (c) => {
     castData: castContent[row.cast_hash] || null
   }));
   
-  return c.json({ auctions });
+  return c.json({ auctions, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) });
 });
 
 // Public route - Get specific auction with bids
-app.get('/auctions/:castHash', async (c) => {
-  const castHash = c.req.param('castHash');
+app.get('/auctions/:castHash', describeRoute({ operationId: 'getAuction', summary: 'An auction and its bids', tags: ['auctions'], response: 'Auction', errors: [404] }), validate({ param: { castHash: castHashParam() } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['auctions', 'bids'] }), async (c) => {
+  const { castHash } = c.req.valid('param');
   
   // Format the cast hash to match our storage format (remove padding if it's a full bytes32)
   const formattedCastHash = castHash.length > 42 ? formatCastHash(castHash) : castHash;
@@ -119,7 +183,7 @@ app.get('/auctions/:castHash', async (c) => {
   );
   
   if (auctionResult.rows.length === 0) {
-    return c.json({ error: 'Auction not found' }, 404);
+    throw new ApiError(404, 'auction_not_found', 'Auction not found');
   }
   
   const auction = auctionResult.rows[0];
@@ -139,10 +203,10 @@ app.get('/auctions/:castHash', async (c) => {
     ...bidsResult.rows.map(bid => bid.bidder_fid)
   ];
   const uniqueFids = [...new Set(fids)];
-  const users = await c.get('neynarClient').getUsersByFids(uniqueFids);
+  const users = await c.get('profiles').getUsersByFids(uniqueFids);
   
   // Get cast content
-  const castData = await c.get('neynarClient').getCast(auction.cast_hash);
+  const castData = await c.get('profiles').getCast(auction.cast_hash);
   
   return c.json({
     id: auction.id,
@@ -170,21 +234,19 @@ app.get('/auctions/:castHash', async (c) => {
   });
 });
 
+// Sort tuple for /analytics/hot-casts, biggest bid first
+const HOT_CASTS_SORT = [
+  { column: 'highest_bid', type: 'numeric' },
+  { column: 'bid_count', type: 'integer' },
+  { column: 'id', type: 'integer' }
+];
+
 // Analytics route - Get hot casts (most bid on)
-app.get('/analytics/hot-casts', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '10');
-  
-  // KV cache with 4-minute TTL
-  const CACHE_TTL = 240; // 4 minutes
-  const cacheKey = `hot-casts:${limit}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
-  }
+app.get('/analytics/hot-casts', describeRoute({ operationId: 'getHotCasts', summary: 'Casts with the biggest bids', tags: ['leaderboards'], response: 'HotCastList' }), validate({ query: { limit: limitParam(10, 100), cursor: cursorParam(HOT_CASTS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['auctions', 'bids'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
   
   // Optimized query using arrays instead of JSON aggregation
+  const params = [limit + 1];
   const result = await executeQuery(
     c.env,
     `WITH auction_metrics AS (
@@ -248,9 +310,17 @@ app.get('/analytics/hot-casts', async (c) => {
       WHERE b.bid_count > 0
     )
     SELECT * FROM auction_metrics
-    ORDER BY highest_bid DESC, bid_count DESC
+    WHERE ${afterCursor(HOT_CASTS_SORT, cursor, params)}
+    ORDER BY highest_bid DESC, bid_count DESC, id DESC
     LIMIT $1`,
-    [limit]
+    params
+  );
+  const page = toPage(HOT_CASTS_SORT, result.rows, limit);
+  
+  // Every auction with a bid is in the list
+  const countResult = await executeQuery(
+    c.env,
+    'SELECT COUNT(DISTINCT auction_id) as total FROM bids'
   );
   
   // Extract unique FIDs for batch fetching
@@ -258,7 +328,7 @@ app.get('/analytics/hot-casts', async (c) => {
   const bidderFids = new Set();
   const castHashes = [];
   
-  result.rows.forEach(row => {
+  page.rows.forEach(row => {
     creatorFids.add(row.creator_fid);
     castHashes.push(row.cast_hash);
     
@@ -272,12 +342,12 @@ app.get('/analytics/hot-casts', async (c) => {
   
   // Parallel API calls
   const [users, castContent] = await Promise.all([
-    allFids.length > 0 ? c.get('neynarClient').getUsersByFids(allFids) : {},
-    castHashes.length > 0 ? c.get('neynarClient').getCastsByHashes(castHashes) : {}
+    allFids.length > 0 ? c.get('profiles').getUsersByFids(allFids) : {},
+    castHashes.length > 0 ? c.get('profiles').getCastsByHashes(castHashes) : {}
   ]);
   
   // Format the response
-  const hotCasts = result.rows.map(row => {
+  const hotCasts = page.rows.map(row => {
     // Build top 3 bidders from arrays
     const top3Bidders = [];
     if (row.top_bidder_fids) {
@@ -344,48 +414,44 @@ app.get('/analytics/hot-casts', async (c) => {
     };
   });
   
-  const response = { hotCasts };
-  
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
+  const response = { hotCasts, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) };
   
   return c.json(response);
 });
 
+// Sort tuple for the top bidders leaderboards, most bids first
+const TOP_BIDDERS_SORT = [
+  { column: 'total_bids', type: 'integer' },
+  { column: 'total_volume', type: 'numeric' },
+  { column: 'bidder_fid', type: 'integer' }
+];
+
 // Analytics route - Get top bidders
-app.get('/analytics/top-bidders', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '10');
-  
-  const result = await executeQuery(
-    c.env,
-    `WITH max_bids_per_auction AS (
-      SELECT 
+app.get('/analytics/top-bidders', describeRoute({ operationId: 'getTopSimps', summary: 'Bidders with the most bids', tags: ['leaderboards'], response: 'TopBidderList' }), validate({ query: { limit: limitParam(10, 100), cursor: cursorParam(TOP_BIDDERS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['bids'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
+  
+  const params = [limit + 1];
+  const [result, countResult] = await Promise.all([
+    executeQuery(
+      c.env,
+      `SELECT 
         bidder_fid,
-        auction_id,
-        MAX(amount) as max_bid_amount,
-        COUNT(*) as bid_count_per_auction
-      FROM bids
-      GROUP BY bidder_fid, auction_id
-    )
-    SELECT 
-      bidder_fid,
-      COUNT(DISTINCT auction_id) as auctions_participated,
-      SUM(bid_count_per_auction) as total_bids,
-      SUM(max_bid_amount) as total_volume,
-      MAX(max_bid_amount) as highest_bid
-    FROM max_bids_per_auction
-    GROUP BY bidder_fid
-    ORDER BY total_bids DESC, total_volume DESC
-    LIMIT $1`,
-    [limit]
-  );
+        auctions_participated,
+        total_bids,
+        total_volume,
+        highest_bid
+      FROM user_bid_stats
+      WHERE ${afterCursor(TOP_BIDDERS_SORT, cursor, params)}
+      ORDER BY total_bids DESC, total_volume DESC, bidder_fid DESC
+      LIMIT $1`,
+      params
+    ),
+    executeQuery(c.env, 'SELECT COUNT(*) as total FROM user_bid_stats')
+  ]);
+  const page = toPage(TOP_BIDDERS_SORT, result.rows, limit);
   
   // Get all top creators for all top bidders in one query
-  const topBidderFids = result.rows.map(row => row.bidder_fid);
+  const topBidderFids = page.rows.map(row => row.bidder_fid);
   
   const topCreatorsResult = await executeQuery(
     c.env,
@@ -430,10 +496,10 @@ app.get('/analytics/top-bidders', async (c) => {
   
   // Get all user profiles (both bidders and creators) in one call
   const allFids = [...new Set([...topBidderFids, ...allCreatorFids])];
-  const allProfiles = await c.get('neynarClient').getUsersByFids(allFids);
+  const allProfiles = await c.get('profiles').getUsersByFids(allFids);
   
   // Build final response
-  const topBidders = result.rows.map(row => {
+  const topBidders = page.rows.map(row => {
     const topCreators = (creatorsByBidder[row.bidder_fid] || []).map(creator => ({
       creator_fid: creator.creator_fid,
       auctions_bid_on: parseInt(creator.auctions_bid_on) || 0,
@@ -453,30 +519,43 @@ app.get('/analytics/top-bidders', async (c) => {
     };
   });
   
-  return c.json({ topBidders });
+  return c.json({ topBidders, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) });
 });
 
+// Sort tuple for /analytics/recent-activity, latest bid first
+const RECENT_ACTIVITY_SORT = [
+  { column: 'b.timestamp', type: 'timestamp' },
+  { column: 'b.id', type: 'integer' }
+];
+
 // Analytics route - Recent activity
-app.get('/analytics/recent-activity', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  
-  const result = await executeQuery(
-    c.env,
-    `SELECT 
-      b.*,
-      a.cast_hash
-    FROM bids b
-    JOIN auctions a ON b.auction_id = a.id
-    ORDER BY b.timestamp DESC
-    LIMIT $1`,
-    [limit]
-  );
+app.get('/analytics/recent-activity', describeRoute({ operationId: 'getRecentActivity', summary: 'Latest bids', tags: ['auctions'], response: 'RecentActivity' }), validate({ query: { limit: limitParam(20, 100), cursor: cursorParam(RECENT_ACTIVITY_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['bids'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
+  
+  const params = [limit + 1];
+  const [result, countResult] = await Promise.all([
+    executeQuery(
+      c.env,
+      `SELECT 
+        b.*,
+        a.cast_hash,
+        ${cursorColumns(RECENT_ACTIVITY_SORT)}
+      FROM bids b
+      JOIN auctions a ON b.auction_id = a.id
+      WHERE ${afterCursor(RECENT_ACTIVITY_SORT, cursor, params)}
+      ORDER BY b.timestamp DESC, b.id DESC
+      LIMIT $1`,
+      params
+    ),
+    executeQuery(c.env, 'SELECT COUNT(*) as total FROM bids')
+  ]);
+  const page = toPage(RECENT_ACTIVITY_SORT, result.rows, limit);
   
   // Get unique FIDs for enrichment
-  const fids = [...new Set(result.rows.map(row => row.bidder_fid))];
-  const users = await c.get('neynarClient').getUsersByFids(fids);
+  const fids = [...new Set(page.rows.map(row => row.bidder_fid))];
+  const users = await c.get('profiles').getUsersByFids(fids);
   
-  const activity = result.rows.map(row => ({
+  const activity = page.rows.map(row => ({
     id: row.id,
     auction_id: row.auction_id,
     bidder_address: row.bidder_address,
@@ -489,15 +568,15 @@ app.get('/analytics/recent-activity', async (c) => {
     bidderProfile: users[row.bidder_fid] || null
   }));
   
-  return c.json({ activity });
+  return c.json({ activity, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) });
 });
 
 // Analytics route - User bidding history
-app.get('/analytics/user/:fid', async (c) => {
-  const fid = parseInt(c.req.param('fid'));
+app.get('/analytics/user/:fid', describeRoute({ operationId: 'getUserProfile', summary: 'A user\'s bids and bidding stats', tags: ['users'], response: 'UserBidHistory' }), validate({ param: { fid: fidParam() } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
   
   // Get user profile
-  const userProfile = await c.get('neynarClient').getUser(fid);
+  const userProfile = await c.get('profiles').getUser(fid);
   
   // Get user's bids
   const bidsResult = await executeQuery(
@@ -567,26 +646,19 @@ app.get('/analytics/user/:fid', async (c) => {
 });
 
 // Analytics route - Global stats
-app.get('/analytics/stats', async (c) => {
+app.get('/analytics/stats', describeRoute({ operationId: 'getStats', summary: 'Global stats', tags: ['auctions'], response: 'GlobalStats' }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['auctions', 'bids'] }), async (c) => {
   const result = await executeQuery(
     c.env,
-    `WITH max_bids_per_auction AS (
-      SELECT 
-        bidder_fid,
-        auction_id,
-        MAX(amount) as max_bid_amount
-      FROM bids
-      GROUP BY bidder_fid, auction_id
-    )
-    SELECT 
-      COUNT(DISTINCT bidder_fid) as total_simps,
-      (SELECT COUNT(*) FROM bids) as total_bids,
-      SUM(max_bid_amount) as total_volume,
-      MAX(max_bid_amount) as highest_bid,
-      (SELECT COUNT(*) FROM auctions WHERE state = 1) as active_auctions,
-      (SELECT COUNT(*) FROM auctions WHERE state >= 2) as ended_auctions,
-      (SELECT COUNT(*) FROM auctions) as total_auctions
-    FROM max_bids_per_auction`
+    `SELECT 
+      total_simps,
+      total_bids,
+      total_volume,
+      highest_bid,
+      active_auctions,
+      total_auctions - active_auctions as ended_auctions,
+      total_auctions
+    FROM global_stats
+    WHERE id = 1`
   );
   
   return c.json({
@@ -601,9 +673,8 @@ app.get('/analytics/stats', async (c) => {
 });
 
 // Analytics route - Time-based top bidders
-app.get('/analytics/top-bidders/timeframe', async (c) => {
-  const period = c.req.query('period') || 'all-time';
-  const limit = parseInt(c.req.query('limit') || '10');
+app.get('/analytics/top-bidders/timeframe', describeRoute({ operationId: 'getTopSimpsByTimeframe', summary: 'Bidders with the most bids in a period', tags: ['leaderboards'], response: 'TimeframeTopBidderList' }), validate({ query: { period: enumParam(['day', 'week', 'month', 'all-time'], { defaultValue: 'all-time' }), limit: limitParam(10, 100), cursor: cursorParam(TOP_BIDDERS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['bids'] }), async (c) => {
+  const { period, limit, cursor } = c.req.valid('query');
   
   let timeClause = '';
   const now = new Date();
@@ -623,33 +694,71 @@ app.get('/analytics/top-bidders/timeframe', async (c) => {
       timeClause = '';
   }
   
-  const result = await executeQuery(
-    c.env,
-    `WITH max_bids_per_auction AS (
-      SELECT 
-        b.bidder_fid,
-        b.auction_id,
-        MAX(b.amount) as max_bid_amount,
-        COUNT(*) as bid_count_per_auction
-      FROM bids b
-      WHERE 1=1 ${timeClause}
-      GROUP BY b.bidder_fid, b.auction_id
-    )
-    SELECT 
-      bidder_fid,
-      COUNT(DISTINCT auction_id) as auctions_participated,
-      SUM(bid_count_per_auction) as total_bids,
-      SUM(max_bid_amount) as total_volume,
-      MAX(max_bid_amount) as highest_bid
-    FROM max_bids_per_auction
-    GROUP BY bidder_fid
-    ORDER BY total_bids DESC, total_volume DESC
-    LIMIT $1`,
-    [limit]
-  );
+  // All-time totals are precomputed; windows only scan their recent bids.
+  // Ranks are numbered over the whole leaderboard, before the cursor skips
+  // the earlier pages.
+  const params = [limit + 1];
+  const [result, countResult] = timeClause === ''
+    ? await Promise.all([
+      executeQuery(
+        c.env,
+        `WITH ranked_bidders AS (
+          SELECT 
+            bidder_fid,
+            auctions_participated,
+            total_bids,
+            total_volume,
+            highest_bid,
+            ROW_NUMBER() OVER (ORDER BY total_bids DESC, total_volume DESC, bidder_fid DESC) as rank
+          FROM user_bid_stats
+        )
+        SELECT * FROM ranked_bidders
+        WHERE ${afterCursor(TOP_BIDDERS_SORT, cursor, params)}
+        ORDER BY total_bids DESC, total_volume DESC, bidder_fid DESC
+        LIMIT $1`,
+        params
+      ),
+      executeQuery(c.env, 'SELECT COUNT(*) as total FROM user_bid_stats')
+    ])
+    : await Promise.all([
+      executeQuery(
+        c.env,
+        `WITH max_bids_per_auction AS (
+          SELECT 
+            b.bidder_fid,
+            b.auction_id,
+            MAX(b.amount) as max_bid_amount,
+            COUNT(*) as bid_count_per_auction
+          FROM bids b
+          WHERE 1=1 ${timeClause}
+          GROUP BY b.bidder_fid, b.auction_id
+        ),
+        ranked_bidders AS (
+          SELECT 
+            bidder_fid,
+            COUNT(DISTINCT auction_id) as auctions_participated,
+            SUM(bid_count_per_auction) as total_bids,
+            SUM(max_bid_amount) as total_volume,
+            MAX(max_bid_amount) as highest_bid,
+            ROW_NUMBER() OVER (ORDER BY SUM(bid_count_per_auction) DESC, SUM(max_bid_amount) DESC, bidder_fid DESC) as rank
+          FROM max_bids_per_auction
+          GROUP BY bidder_fid
+        )
+        SELECT * FROM ranked_bidders
+        WHERE ${afterCursor(TOP_BIDDERS_SORT, cursor, params)}
+        ORDER BY total_bids DESC, total_volume DESC, bidder_fid DESC
+        LIMIT $1`,
+        params
+      ),
+      executeQuery(
+        c.env,
+        `SELECT COUNT(DISTINCT b.bidder_fid) as total FROM bids b WHERE 1=1 ${timeClause}`
+      )
+    ]);
+  const page = toPage(TOP_BIDDERS_SORT, result.rows, limit);
   
   // Get all top creators for all top bidders in one query
-  const topBidderFids = result.rows.map(row => row.bidder_fid);
+  const topBidderFids = page.rows.map(row => row.bidder_fid);
   
   const topCreatorsResult = await executeQuery(
     c.env,
@@ -694,10 +803,10 @@ app.get('/analytics/top-bidders/timeframe', async (c) => {
   
   // Get all user profiles (both bidders and creators) in one call
   const allFids = [...new Set([...topBidderFids, ...allCreatorFids])];
-  const allProfiles = await c.get('neynarClient').getUsersByFids(allFids);
+  const allProfiles = await c.get('profiles').getUsersByFids(allFids);
   
   // Build final response
-  const topBidders = result.rows.map((row, index) => {
+  const topBidders = page.rows.map(row => {
     const topCreators = (creatorsByBidder[row.bidder_fid] || []).map(creator => ({
       creator_fid: creator.creator_fid,
       auctions_bid_on: parseInt(creator.auctions_bid_on) || 0,
@@ -712,64 +821,117 @@ app.get('/analytics/top-bidders/timeframe', async (c) => {
       total_bids: parseInt(row.total_bids) || 0,
       total_volume_cents: usdcToCents(row.total_volume),
       highest_bid_cents: usdcToCents(row.highest_bid),
-      rank: index + 1,
+      rank: parseInt(row.rank),
       period,
       profile: allProfiles[row.bidder_fid] || null,
       top_creators: topCreators
     };
   });
   
-  return c.json({ topBidders, period });
+  return c.json({ topBidders, period, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) });
 });
 
-// Analytics route - Simp battles (head-to-head comparison)
-app.get('/analytics/simp-battles', async (c) => {
-  // Check for username parameters
-  const user1 = c.req.query('user1');
-  const user2 = c.req.query('user2');
+// User search - prefix and fuzzy matches on username and display name among
+// everyone who has bid or created an auction, most active first. Only users
+// in farcaster_users are found; the profile refresh adds every bidder and creator.
+app.get('/users/search', describeRoute({ operationId: 'searchUsers', summary: 'Find bidders and creators by username or display name', tags: ['users'], response: 'UserSearchResults' }), validate({ query: { q: textParam({ maxLength: 100 }), limit: limitParam(10, 25) } }), rateLimit('expensive'), async (c) => {
+  const { q, limit } = c.req.valid('query');
+  const query = q.replace(/^@/, '').toLowerCase();
+  
+  // Escape LIKE wildcards so "_" and "%" in a query match themselves
+  const prefix = `${query.replace(/[\\%_]/g, '\\$&')}%`;
+  const fid = /^\d+$/.test(query) ? parseInt(query) : null;
+  
+  // Exact username first, then prefix matches, then fuzzy (trigram) ones;
+  // within each, by bids placed plus auctions created
+  const result = await executeQuery(
+    c.env,
+    `WITH activity AS (
+      SELECT fid, SUM(bids_placed) as bids_placed, SUM(auctions_created) as auctions_created
+      FROM (
+        SELECT bidder_fid as fid, total_bids as bids_placed, 0 as auctions_created FROM user_bid_stats
+        UNION ALL
+        SELECT creator_fid, 0, total_auctions FROM creator_stats
+      ) counts
+      GROUP BY fid
+    )
+    SELECT
+      u.fid,
+      u.username,
+      u.display_name,
+      u.pfp_url,
+      u.follower_count,
+      u.power_badge,
+      a.bids_placed,
+      a.auctions_created,
+      CASE
+        WHEN u.fid = $4 OR LOWER(u.username) = $1 THEN 0
+        WHEN LOWER(u.username) LIKE $2 OR LOWER(u.display_name) LIKE $2 THEN 1
+        ELSE 2
+      END as match_rank,
+      GREATEST(similarity(LOWER(u.username), $1), similarity(LOWER(u.display_name), $1)) as similarity
+    FROM farcaster_users u
+    JOIN activity a ON a.fid = u.fid
+    WHERE u.fid = $4
+      OR LOWER(u.username) LIKE $2
+      OR LOWER(u.display_name) LIKE $2
+      OR LOWER(u.username) % $1
+      OR LOWER(u.display_name) % $1
+    ORDER BY match_rank, a.bids_placed + a.auctions_created DESC, similarity DESC NULLS LAST, u.fid
+    LIMIT $3`,
+    [query, prefix, limit, fid]
+  );
   
-  // Check for FID parameters
-  const fid1Param = c.req.query('fid1');
-  const fid2Param = c.req.query('fid2');
+  const users = result.rows.map(row => ({
+    fid: row.fid,
+    username: row.username,
+    displayName: row.display_name,
+    pfpUrl: row.pfp_url,
+    followerCount: row.follower_count,
+    powerBadge: row.power_badge,
+    bidsPlaced: parseInt(row.bids_placed) || 0,
+    auctionsCreated: parseInt(row.auctions_created) || 0
+  }));
+  
+  return c.json({ query, users });
+});
+
+// Analytics route - Simp battles (head-to-head comparison)
+app.get('/analytics/simp-battles', describeRoute({ operationId: 'getSimpBattle', summary: 'Compare two bidders head to head', tags: ['users'], response: 'SimpBattle', errors: [404] }), validate({
+  query: {
+    user1: textParam({ optional: true }),
+    user2: textParam({ optional: true }),
+    fid1: fidParam({ optional: true }),
+    fid2: fidParam({ optional: true })
+  }
+}), rateLimit('expensive'), async (c) => {
+  // Usernames (user1/user2) or FIDs (fid1/fid2) for each side
+  const { user1, user2, fid1: fid1Param, fid2: fid2Param } = c.req.valid('query');
   
   if ((!user1 && !fid1Param) || (!user2 && !fid2Param)) {
-    return c.json({ error: 'Both users must be specified. Use either user1/user2 (for usernames) or fid1/fid2 (for FIDs)' }, 400);
+    throw new ApiError(400, 'invalid_params', 'Both users must be specified. Use either user1/user2 (for usernames) or fid1/fid2 (for FIDs)');
   }
   
   // Resolve to FIDs
-  let fid1, fid2;
-  const neynarClient = c.get('neynarClient');
+  let fid1 = fid1Param;
+  let fid2 = fid2Param;
+  const profiles = c.get('profiles');
   
-  // Handle user1/fid1
+  // Usernames win over FIDs when both are given
   if (user1) {
-    // It's a username, look it up
-    const userData = await neynarClient.getUserByUsername(user1);
+    const userData = await profiles.getUserByUsername(user1);
     if (!userData) {
-      return c.json({ error: `User not found: ${user1}` }, 404);
+      throw new ApiError(404, 'user_not_found', `User not found: ${user1}`, { param: 'user1' });
     }
     fid1 = userData.fid;
-  } else {
-    // It's an FID
-    fid1 = parseInt(fid1Param);
-    if (isNaN(fid1)) {
-      return c.json({ error: 'fid1 must be a valid number' }, 400);
-    }
   }
   
-  // Handle user2/fid2
   if (user2) {
-    // It's a username, look it up
-    const userData = await neynarClient.getUserByUsername(user2);
+    const userData = await profiles.getUserByUsername(user2);
     if (!userData) {
-      return c.json({ error: `User not found: ${user2}` }, 404);
+      throw new ApiError(404, 'user_not_found', `User not found: ${user2}`, { param: 'user2' });
     }
     fid2 = userData.fid;
-  } else {
-    // It's an FID
-    fid2 = parseInt(fid2Param);
-    if (isNaN(fid2)) {
-      return c.json({ error: 'fid2 must be a valid number' }, 400);
-    }
   }
   
   // Get stats for both users
@@ -801,7 +963,7 @@ app.get('/analytics/simp-battles', async (c) => {
   );
   
   // Get user profiles first
-  const users = await c.get('neynarClient').getUsersByFids([fid1, fid2]);
+  const users = await c.get('profiles').getUsersByFids([fid1, fid2]);
   
   // Find common auctions they both bid on
   const commonAuctionsResult = await executeQuery(
@@ -843,11 +1005,11 @@ app.get('/analytics/simp-battles', async (c) => {
   
   // Get creator profiles for common auctions
   const creatorFids = [...new Set(commonAuctionsResult.rows.map(row => row.creator_fid))];
-  const creatorProfiles = creatorFids.length > 0 ? await c.get('neynarClient').getUsersByFids(creatorFids) : {};
+  const creatorProfiles = creatorFids.length > 0 ? await c.get('profiles').getUsersByFids(creatorFids) : {};
   
   // Get cast content for common auctions
   const castHashes = commonAuctionsResult.rows.map(row => row.cast_hash);
-  const castContent = castHashes.length > 0 ? await c.get('neynarClient').getCastsByHashes(castHashes) : {};
+  const castContent = castHashes.length > 0 ? await c.get('profiles').getCastsByHashes(castHashes) : {};
   
   const commonAuctions = commonAuctionsResult.rows.map(auction => ({
     cast_hash: auction.cast_hash,
@@ -905,7 +1067,7 @@ function determineWinner(user1Stats, user2Stats) {
 }
 
 // Analytics route - Trending data
-app.get('/analytics/trending', async (c) => {
+app.get('/analytics/trending', describeRoute({ operationId: 'getTrending', summary: 'Auctions and bidders heating up', tags: ['leaderboards'], response: 'Trending' }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['auctions', 'bids'] }), async (c) => {
   // Hot auctions in last 24h
   const hotAuctionsResult = await executeQuery(
     c.env,
@@ -974,7 +1136,7 @@ app.get('/analytics/trending', async (c) => {
   
   // Get user profiles for rising simps
   const fids = risingSimpsResult.rows.map(row => row.bidder_fid);
-  const users = await c.get('neynarClient').getUsersByFids(fids);
+  const users = await c.get('profiles').getUsersByFids(fids);
   
   const risingSimps = risingSimpsResult.rows.map(row => ({
     ...row,
@@ -983,11 +1145,11 @@ app.get('/analytics/trending', async (c) => {
   
   // Get cast content for hot auctions
   const castHashes = hotAuctionsResult.rows.map(row => row.cast_hash);
-  const castContent = castHashes.length > 0 ? await c.get('neynarClient').getCastsByHashes(castHashes) : {};
+  const castContent = castHashes.length > 0 ? await c.get('profiles').getCastsByHashes(castHashes) : {};
   
   // Get creator profiles for hot auctions
   const creatorFids = [...new Set(hotAuctionsResult.rows.map(row => row.creator_fid))];
-  const creatorProfiles = creatorFids.length > 0 ? await c.get('neynarClient').getUsersByFids(creatorFids) : {};
+  const creatorProfiles = creatorFids.length > 0 ? await c.get('profiles').getUsersByFids(creatorFids) : {};
   
   const hotAuctions = hotAuctionsResult.rows.map(auction => ({
     cast_hash: auction.cast_hash,
@@ -1018,68 +1180,32 @@ app.get('/analytics/trending', async (c) => {
 });
 
 // Analytics route - Simp level calculator
-app.get('/analytics/simp-level/:fid', async (c) => {
-  const fid = parseInt(c.req.param('fid'));
+app.get('/analytics/simp-level/:fid', describeRoute({ operationId: 'getSimpLevel', summary: 'A user\'s simp level, achievements and next milestone', tags: ['users'], response: 'SimpLevel' }), validate({ param: { fid: fidParam() } }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
   
-  // Get user stats
+  // Get user stats and rank. A rank is one more than the number of users
+  // strictly ahead, which matches RANK() without ranking everyone.
   const statsResult = await executeQuery(
     c.env,
-    `WITH max_bids_per_auction AS (
-      SELECT 
-        auction_id,
-        MAX(amount) as max_bid_amount,
-        MIN(timestamp) as first_bid_in_auction,
-        MAX(timestamp) as last_bid_in_auction
-      FROM bids
-      WHERE bidder_fid = $1
-      GROUP BY auction_id
-    )
-    SELECT 
-      COUNT(DISTINCT b.auction_id) as auctions_participated,
-      COUNT(*) as total_bids,
-      (SELECT SUM(max_bid_amount) FROM max_bids_per_auction) as total_volume,
-      MAX(b.amount) as highest_bid,
-      (SELECT MIN(first_bid_in_auction) FROM max_bids_per_auction) as first_bid_date,
-      (SELECT MAX(last_bid_in_auction) FROM max_bids_per_auction) as last_bid_date
-    FROM bids b
-    WHERE b.bidder_fid = $1`,
-    [fid]
-  );
-  
-  // Get user's rank
-  const rankResult = await executeQuery(
-    c.env,
-    `WITH max_bids_per_user_auction AS (
-      SELECT 
-        bidder_fid,
-        auction_id,
-        MAX(amount) as max_bid_amount,
-        COUNT(*) as bid_count_per_auction
-      FROM bids
-      GROUP BY bidder_fid, auction_id
-    ),
-    user_ranks AS (
-      SELECT 
-        bidder_fid,
-        SUM(bid_count_per_auction) as total_bids,
-        RANK() OVER (ORDER BY SUM(bid_count_per_auction) DESC) as bid_rank,
-        RANK() OVER (ORDER BY SUM(max_bid_amount) DESC) as volume_rank
-      FROM max_bids_per_user_auction
-      GROUP BY bidder_fid
-    )
-    SELECT * FROM user_ranks WHERE bidder_fid = $1`,
+    `SELECT 
+      u.auctions_participated,
+      u.total_bids,
+      u.total_volume,
+      u.highest_bid,
+      u.first_bid_at as first_bid_date,
+      u.last_bid_at as last_bid_date,
+      (SELECT COUNT(*) FROM user_bid_stats WHERE total_bids > u.total_bids) + 1 as bid_rank,
+      (SELECT COUNT(*) FROM user_bid_stats WHERE total_volume > u.total_volume) + 1 as volume_rank,
+      g.total_simps
+    FROM user_bid_stats u
+    CROSS JOIN global_stats g
+    WHERE u.bidder_fid = $1`,
     [fid]
   );
   
-  // Get total number of simps for percentile
-  const totalSimpsResult = await executeQuery(
-    c.env,
-    'SELECT COUNT(DISTINCT bidder_fid) as total FROM bids'
-  );
-  
   const stats = statsResult.rows[0];
-  const rank = rankResult.rows[0];
-  const totalSimps = parseInt(totalSimpsResult.rows[0].total);
+  const rank = stats; // bid_rank and volume_rank come back on the same row
+  const totalSimps = stats ? parseInt(stats.total_simps) : 0;
   
   if (!stats || parseInt(stats.total_bids) === 0) {
     return c.json({
@@ -1107,7 +1233,7 @@ app.get('/analytics/simp-level/:fid', async (c) => {
   const percentile = rank ? ((totalSimps - parseInt(rank.bid_rank) + 1) / totalSimps * 100).toFixed(1) : 0;
   
   // Get user profile
-  const userProfile = await c.get('neynarClient').getUser(fid);
+  const userProfile = await c.get('profiles').getUser(fid);
   
   // Calculate achievements
   const achievements = getAchievements(stats);
@@ -1207,90 +1333,73 @@ function getNextMilestone(stats) {
   };
 }
 
+// Sort tuple for /analytics/hot-users, most revenue first
+const HOT_USERS_SORT = [
+  { column: 'cs.total_revenue', type: 'numeric' },
+  { column: 'cs.creator_fid', type: 'integer' }
+];
+
 // Analytics route - Hot users (creators with most money gained)
-app.get('/analytics/hot-users', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  
-  // KV cache with 4-minute TTL (data updates every 5 minutes)
-  const CACHE_TTL = 240; // 4 minutes
-  const cacheKey = `hot-users:${limit}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
-  }
+app.get('/analytics/hot-users', describeRoute({ operationId: 'getHotUsers', summary: 'Creators who earned the most', tags: ['leaderboards'], response: 'HotUserList' }), validate({ query: { limit: limitParam(20, 100), cursor: cursorParam(HOT_USERS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['auctions', 'bids'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
   
   // Single optimized query that gets all data at once
+  const params = [limit + 1];
   const result = await executeQuery(
     c.env,
-    `WITH creator_stats AS (
-      SELECT 
-        a.creator_fid,
-        COUNT(DISTINCT a.id) as total_auctions,
-        COUNT(DISTINCT CASE WHEN a.state >= 3 THEN a.id END) as settled_auctions,
-        SUM(COALESCE(b.max_bid, 0)) as total_revenue,
-        MAX(b.max_bid) as highest_auction_revenue,
-        AVG(CASE WHEN b.max_bid > 0 THEN b.max_bid END) as avg_auction_revenue,
-        SUM(COALESCE(b.bid_count, 0)) as total_bids_received,
-        array_agg(
-          json_build_object(
-            'cast_hash', a.cast_hash,
-            'end_time', a.end_time,
-            'state', a.state,
-            'revenue', COALESCE(b.max_bid, 0),
-            'bid_count', COALESCE(b.bid_count, 0),
-            'created_at', a.created_at
-          ) ORDER BY a.created_at DESC
-        ) FILTER (WHERE a.created_at >= NOW() - INTERVAL '30 days') as recent_auctions_raw
-      FROM auctions a
-      LEFT JOIN LATERAL (
-        SELECT 
-          MAX(amount) as max_bid,
-          COUNT(*) as bid_count
-        FROM bids
-        WHERE auction_id = a.id
-      ) b ON true
-      GROUP BY a.creator_fid
-      HAVING SUM(COALESCE(b.max_bid, 0)) > 0
-    ),
-    top_creators AS (
-      SELECT 
-        *,
-        -- Extract unique bidder FIDs from all auctions
-        (SELECT COUNT(DISTINCT bidder_fid) 
-         FROM auctions a2 
-         JOIN bids b2 ON a2.id = b2.auction_id 
-         WHERE a2.creator_fid = creator_stats.creator_fid) as total_unique_simps
-      FROM creator_stats
-      ORDER BY total_revenue DESC
-      LIMIT $1
-    )
-    SELECT 
-      creator_fid,
-      total_auctions,
-      settled_auctions,
-      total_revenue,
-      highest_auction_revenue,
-      avg_auction_revenue,
-      total_bids_received,
-      total_unique_simps as unique_simps,
-      -- Only keep top 3 recent auctions
-      (SELECT json_agg(auction) 
+    `SELECT 
+      cs.creator_fid,
+      cs.total_auctions,
+      cs.settled_auctions,
+      cs.total_revenue,
+      cs.highest_auction_revenue,
+      cs.total_revenue / NULLIF(cs.auctions_with_bids, 0) as avg_auction_revenue,
+      cs.total_bids_received,
+      cs.unique_simps,
+      -- Only the 3 most recent auctions from the last 30 days
+      (SELECT json_agg(
+         json_build_object(
+           'cast_hash', recent.cast_hash,
+           'end_time', recent.end_time,
+           'state', recent.state,
+           'revenue', COALESCE(b.max_bid, 0),
+           'bid_count', COALESCE(b.bid_count, 0),
+           'created_at', recent.created_at
+         ) ORDER BY recent.created_at DESC
+       )
        FROM (
-         SELECT unnest(recent_auctions_raw) as auction
+         SELECT id, cast_hash, end_time, state, created_at
+         FROM auctions
+         WHERE creator_fid = cs.creator_fid
+           AND created_at >= NOW() - INTERVAL '30 days'
+         ORDER BY created_at DESC
          LIMIT 3
-       ) t
+       ) recent
+       LEFT JOIN LATERAL (
+         SELECT MAX(amount) as max_bid, COUNT(*) as bid_count
+         FROM bids
+         WHERE auction_id = recent.id
+       ) b ON true
       ) as recent_auctions
-    FROM top_creators`,
-    [limit]
+    FROM creator_stats cs
+    WHERE cs.total_revenue > 0
+      AND ${afterCursor(HOT_USERS_SORT, cursor, params)}
+    ORDER BY cs.total_revenue DESC, cs.creator_fid DESC
+    LIMIT $1`,
+    params
+  );
+  const page = toPage(HOT_USERS_SORT, result.rows, limit);
+  
+  const countResult = await executeQuery(
+    c.env,
+    'SELECT COUNT(*) as total FROM creator_stats WHERE total_revenue > 0'
   );
   
   // Extract all FIDs and cast hashes for batch fetching
-  const creatorFids = result.rows.map(row => row.creator_fid);
+  const creatorFids = page.rows.map(row => row.creator_fid);
   const allCastHashes = new Set();
   
-  result.rows.forEach(row => {
+  page.rows.forEach(row => {
     if (row.recent_auctions) {
       const auctions = typeof row.recent_auctions === 'string' 
         ? JSON.parse(row.recent_auctions) 
@@ -1303,12 +1412,12 @@ app.get('/analytics/hot-users', async (c) => {
   
   // Parallel API calls for profiles and cast data
   const [creatorProfiles, castContent] = await Promise.all([
-    creatorFids.length > 0 ? c.get('neynarClient').getUsersByFids(creatorFids) : {},
-    allCastHashes.size > 0 ? c.get('neynarClient').getCastsByHashes([...allCastHashes]) : {}
+    creatorFids.length > 0 ? c.get('profiles').getUsersByFids(creatorFids) : {},
+    allCastHashes.size > 0 ? c.get('profiles').getCastsByHashes([...allCastHashes]) : {}
   ]);
   
   // Format the response
-  const hotUsers = result.rows.map(row => {
+  const hotUsers = page.rows.map(row => {
     const recentAuctions = row.recent_auctions 
       ? (typeof row.recent_auctions === 'string' ? JSON.parse(row.recent_auctions) : row.recent_auctions)
       : [];
@@ -1336,21 +1445,14 @@ app.get('/analytics/hot-users', async (c) => {
     };
   });
   
-  const response = { hotUsers };
-  
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
+  const response = { hotUsers, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) };
   
   return c.json(response);
 });
 
 // Analytics route - Creator stats
-app.get('/analytics/creator-stats/:fid', async (c) => {
-  const fid = parseInt(c.req.param('fid'));
+app.get('/analytics/creator-stats/:fid', describeRoute({ operationId: 'getCreatorStats', summary: 'A creator\'s auctions and the bids they got', tags: ['users'], response: 'CreatorStats' }), validate({ param: { fid: fidParam() } }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
   
   // Get creator's auction stats
   const auctionStatsResult = await executeQuery(
@@ -1359,10 +1461,8 @@ app.get('/analytics/creator-stats/:fid', async (c) => {
       COUNT(*) as total_auctions,
       COUNT(DISTINCT CASE WHEN state = 1 THEN id END) as active_auctions,
       COUNT(DISTINCT CASE WHEN state >= 2 THEN id END) as ended_auctions,
-      SUM(CASE WHEN state >= 3 THEN 
-        CAST(protocol_fee_bps AS NUMERIC) * 
-        (SELECT MAX(amount) FROM bids WHERE auction_id = auctions.id) / 10000
-      ELSE 0 END) as total_fees_earned
+      (SELECT SUM(protocol_fee) FROM creator_earnings WHERE creator_fid = $1) as total_fees_earned,
+      (SELECT SUM(net_amount) FROM creator_earnings WHERE creator_fid = $1) as net_earnings
     FROM auctions
     WHERE creator_fid = $1`,
     [fid]
@@ -1419,11 +1519,11 @@ app.get('/analytics/creator-stats/:fid', async (c) => {
   );
   
   // Get creator profile
-  const creatorProfile = await c.get('neynarClient').getUser(fid);
+  const creatorProfile = await c.get('profiles').getUser(fid);
   
   // Get simp profiles
   const simpFids = topSimpsResult.rows.map(row => row.bidder_fid);
-  const simpProfiles = await c.get('neynarClient').getUsersByFids(simpFids);
+  const simpProfiles = await c.get('profiles').getUsersByFids(simpFids);
   
   const topSimps = topSimpsResult.rows.map(row => ({
     ...row,
@@ -1455,7 +1555,8 @@ app.get('/analytics/creator-stats/:fid', async (c) => {
     total_auctions: parseInt(auctionStats.total_auctions) || 0,
     active_auctions: parseInt(auctionStats.active_auctions) || 0,
     ended_auctions: parseInt(auctionStats.ended_auctions) || 0,
-    total_fees_earned_cents: usdcToCents(auctionStats.total_fees_earned)
+    total_fees_earned_cents: usdcToCents(auctionStats.total_fees_earned),
+    net_earnings_cents: usdcToCents(auctionStats.net_earnings)
   };
   
   const formatBiddingStats = {
@@ -1476,7 +1577,7 @@ app.get('/analytics/creator-stats/:fid', async (c) => {
   
   // Get cast content for recent auctions
   const recentCastHashes = recentAuctionsResult.rows.map(row => row.cast_hash);
-  const recentCastContent = recentCastHashes.length > 0 ? await c.get('neynarClient').getCastsByHashes(recentCastHashes) : {};
+  const recentCastContent = recentCastHashes.length > 0 ? await c.get('profiles').getCastsByHashes(recentCastHashes) : {};
   
   const formattedRecentAuctions = recentAuctionsResult.rows.map(auction => ({
     cast_hash: auction.cast_hash,
@@ -1499,39 +1600,171 @@ app.get('/analytics/creator-stats/:fid', async (c) => {
   });
 });
 
+// Sort tuple for a creator's earnings ledger, latest settlement first
+const CREATOR_EARNINGS_SORT = [
+  { column: 'settled_at', type: 'timestamp' },
+  { column: 'auction_id', type: 'integer' }
+];
+
+// Analytics route - Creator earnings (what a creator actually took home)
+app.get('/analytics/creator-earnings/:fid', describeRoute({ operationId: 'getCreatorEarnings', summary: 'What a creator took home, in total, by period and by auction', tags: ['users'], response: 'CreatorEarnings' }), validate({ param: { fid: fidParam() }, query: { limit: limitParam(20, 100), cursor: cursorParam(CREATOR_EARNINGS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
+  const { limit, cursor } = c.req.valid('query');
+  
+  // Totals plus the last 30 days, 12 weeks and 12 months in one roundtrip
+  const totalsResult = await executeQuery(
+    c.env,
+    `WITH earnings AS (
+      SELECT * FROM creator_earnings WHERE creator_fid = $1
+    )
+    SELECT 
+      (SELECT row_to_json(t) FROM (
+         SELECT 
+           COUNT(*) as auctions,
+           COALESCE(SUM(gross_amount), 0) as gross,
+           COALESCE(SUM(protocol_fee), 0) as protocol_fee,
+           COALESCE(SUM(net_amount), 0) as net
+         FROM earnings
+       ) t) as totals,
+      (SELECT json_agg(t ORDER BY t.period_start DESC) FROM (
+         SELECT 
+           date_trunc('day', settled_at) as period_start,
+           COUNT(*) as auctions,
+           SUM(gross_amount) as gross,
+           SUM(protocol_fee) as protocol_fee,
+           SUM(net_amount) as net
+         FROM earnings
+         WHERE settled_at >= date_trunc('day', NOW()) - INTERVAL '29 days'
+         GROUP BY 1
+       ) t) as daily,
+      (SELECT json_agg(t ORDER BY t.period_start DESC) FROM (
+         SELECT 
+           date_trunc('week', settled_at) as period_start,
+           COUNT(*) as auctions,
+           SUM(gross_amount) as gross,
+           SUM(protocol_fee) as protocol_fee,
+           SUM(net_amount) as net
+         FROM earnings
+         WHERE settled_at >= date_trunc('week', NOW()) - INTERVAL '11 weeks'
+         GROUP BY 1
+       ) t) as weekly,
+      (SELECT json_agg(t ORDER BY t.period_start DESC) FROM (
+         SELECT 
+           date_trunc('month', settled_at) as period_start,
+           COUNT(*) as auctions,
+           SUM(gross_amount) as gross,
+           SUM(protocol_fee) as protocol_fee,
+           SUM(net_amount) as net
+         FROM earnings
+         WHERE settled_at >= date_trunc('month', NOW()) - INTERVAL '11 months'
+         GROUP BY 1
+       ) t) as monthly`,
+    [fid]
+  );
+  
+  // Per-auction ledger lines, newest first
+  const params = [fid, limit + 1];
+  const linesResult = await executeQuery(
+    c.env,
+    `SELECT 
+      auction_id,
+      cast_hash,
+      winner_fid,
+      gross_amount,
+      protocol_fee_bps,
+      protocol_fee,
+      net_amount,
+      settled_at,
+      transaction_hash,
+      ${cursorColumns(CREATOR_EARNINGS_SORT)}
+    FROM creator_earnings
+    WHERE creator_fid = $1
+      AND ${afterCursor(CREATOR_EARNINGS_SORT, cursor, params)}
+    ORDER BY settled_at DESC, auction_id DESC
+    LIMIT $2`,
+    params
+  );
+  const page = toPage(CREATOR_EARNINGS_SORT, linesResult.rows, limit);
+  
+  const data = totalsResult.rows[0];
+  const totals = data.totals;
+  
+  // Parallel API calls for creator and winner profiles
+  const winnerFids = [...new Set(page.rows.map(row => row.winner_fid).filter(Boolean))];
+  const [creatorProfile, winnerProfiles] = await Promise.all([
+    c.get('profiles').getUser(fid),
+    winnerFids.length > 0 ? c.get('profiles').getUsersByFids(winnerFids) : {}
+  ]);
+  
+  const response = {
+    creator: {
+      fid,
+      profile: creatorProfile
+    },
+    totals: {
+      settled_auctions: parseInt(totals.auctions) || 0,
+      ...formatEarningsAmounts(totals)
+    },
+    daily: formatEarningsPeriods(data.daily),
+    weekly: formatEarningsPeriods(data.weekly),
+    monthly: formatEarningsPeriods(data.monthly),
+    auctions: page.rows.map(row => ({
+      auction_id: row.auction_id,
+      cast_hash: row.cast_hash,
+      settled_at: row.settled_at,
+      transaction_hash: row.transaction_hash,
+      protocol_fee_bps: row.protocol_fee_bps,
+      ...formatEarningsAmounts({
+        gross: row.gross_amount,
+        protocol_fee: row.protocol_fee,
+        net: row.net_amount
+      }),
+      winner_fid: row.winner_fid,
+      winnerProfile: winnerProfiles[row.winner_fid] || null
+    })),
+    pagination: pageInfo(limit, totals.auctions, page.nextCursor)
+  };
+  
+  return c.json(response);
+});
+
+// Helper function for earnings amounts, in cents and in raw USDC units
+// (6 decimals) so payouts can be reconciled exactly
+function formatEarningsAmounts(row) {
+  return {
+    gross_cents: usdcToCents(row.gross),
+    protocol_fee_cents: usdcToCents(row.protocol_fee),
+    net_cents: usdcToCents(row.net),
+    gross_usdc_units: String(row.gross ?? 0),
+    protocol_fee_usdc_units: String(row.protocol_fee ?? 0),
+    net_usdc_units: String(row.net ?? 0)
+  };
+}
+
+// Helper function for daily/weekly/monthly earnings buckets
+function formatEarningsPeriods(periods) {
+  return (periods || []).map(period => ({
+    period_start: period.period_start,
+    settled_auctions: parseInt(period.auctions) || 0,
+    ...formatEarningsAmounts(period)
+  }));
+}
+
 // Analytics route - Outbid history (rivalry tracker)
-app.get('/analytics/outbid-history/:fid', async (c) => {
-  const fid = parseInt(c.req.param('fid'));
+app.get('/analytics/outbid-history/:fid', describeRoute({ operationId: 'getOutbidHistory', summary: 'Who a user outbid, and who outbid them', tags: ['users'], response: 'OutbidHistory' }), validate({ param: { fid: fidParam() } }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
   
   // Find who this user has outbid most often
   const outbidByUserResult = await executeQuery(
     c.env,
-    `WITH bid_sequences AS (
-      SELECT 
-        b1.auction_id,
-        b1.bidder_fid as outbidder,
-        b2.bidder_fid as outbid_victim,
-        b1.amount as winning_amount,
-        b2.amount as losing_amount
-      FROM bids b1
-      JOIN bids b2 ON b1.auction_id = b2.auction_id 
-        AND b1.timestamp > b2.timestamp
-        AND b1.amount > b2.amount
-      WHERE b1.bidder_fid = $1
-        AND NOT EXISTS (
-          SELECT 1 FROM bids b3 
-          WHERE b3.auction_id = b1.auction_id 
-            AND b3.timestamp > b2.timestamp 
-            AND b3.timestamp < b1.timestamp
-        )
-    )
-    SELECT 
-      outbid_victim as victim_fid,
+    `SELECT 
+      victim_fid,
       COUNT(*) as times_outbid,
       SUM(winning_amount - losing_amount) as total_outbid_amount,
       MAX(winning_amount - losing_amount) as max_outbid_amount
-    FROM bid_sequences
-    GROUP BY outbid_victim
+    FROM outbids
+    WHERE outbidder_fid = $1
+    GROUP BY victim_fid
     ORDER BY times_outbid DESC
     LIMIT 10`,
     [fid]
@@ -1540,45 +1773,27 @@ app.get('/analytics/outbid-history/:fid', async (c) => {
   // Find who has outbid this user most often
   const outbidThisUserResult = await executeQuery(
     c.env,
-    `WITH bid_sequences AS (
-      SELECT 
-        b1.auction_id,
-        b1.bidder_fid as outbidder,
-        b2.bidder_fid as outbid_victim,
-        b1.amount as winning_amount,
-        b2.amount as losing_amount
-      FROM bids b1
-      JOIN bids b2 ON b1.auction_id = b2.auction_id 
-        AND b1.timestamp > b2.timestamp
-        AND b1.amount > b2.amount
-      WHERE b2.bidder_fid = $1
-        AND NOT EXISTS (
-          SELECT 1 FROM bids b3 
-          WHERE b3.auction_id = b1.auction_id 
-            AND b3.timestamp > b2.timestamp 
-            AND b3.timestamp < b1.timestamp
-        )
-    )
-    SELECT 
-      outbidder as rival_fid,
+    `SELECT 
+      outbidder_fid as rival_fid,
       COUNT(*) as times_been_outbid,
       SUM(winning_amount - losing_amount) as total_outbid_amount,
       MAX(winning_amount - losing_amount) as max_outbid_amount
-    FROM bid_sequences
-    GROUP BY outbidder
+    FROM outbids
+    WHERE victim_fid = $1
+    GROUP BY outbidder_fid
     ORDER BY times_been_outbid DESC
     LIMIT 10`,
     [fid]
   );
   
   // Get user profile
-  const userProfile = await c.get('neynarClient').getUser(fid);
+  const userProfile = await c.get('profiles').getUser(fid);
   
   // Get profiles for victims and rivals
   const victimFids = outbidByUserResult.rows.map(row => row.victim_fid);
   const rivalFids = outbidThisUserResult.rows.map(row => row.rival_fid);
   const allFids = [...new Set([...victimFids, ...rivalFids])];
-  const profiles = await c.get('neynarClient').getUsersByFids(allFids);
+  const profiles = await c.get('profiles').getUsersByFids(allFids);
   
   // Format results
   const victimsWithProfiles = outbidByUserResult.rows.map(row => ({
@@ -1633,36 +1848,189 @@ app.get('/analytics/outbid-history/:fid', async (c) => {
 });
 
 // Protected route - Manual sync
-app.post('/sync', quickAuthMiddleware, async (c) => {
+app.post('/sync', describeRoute({ operationId: 'runSync', summary: 'Index new chain events now', tags: ['sync'], response: 'SyncResult', errors: [409, 500] }), quickAuthMiddleware, rateLimit('sync'), async (c) => {
   try {
-    const result = await syncEvents(c.env);
+    const result = await syncEvents(c.env, { trigger: 'manual' });
     return c.json({
       success: true,
+      runId: result.runId,
       eventsProcessed: result.eventsProcessed,
-      lastBlock: result.lastBlock
+      lastBlock: result.lastBlock.toString(),
+      rpcStats: result.rpcStats
     });
   } catch (error) {
+    // handleError answers 409 sync_in_progress
+    if (error instanceof SyncInProgressError) throw error;
+    
+    // The message can carry RPC URLs or SQL, so it stays in the logs
     console.error('Sync error:', error);
-    return c.json({ error: 'Sync failed', details: error.message }, 500);
+    throw new ApiError(500, 'sync_failed', 'Sync failed');
   }
 });
 
-// Analytics route - Top Winning Casts (highest winning bids)
-app.get('/analytics/top-winning-casts', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  const offset = parseInt(c.req.query('offset') || '0');
-  
-  // KV cache with 4-minute TTL
-  const CACHE_TTL = 240; // 4 minutes
-  const cacheKey = `top-winning-casts:${limit}:${offset}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
+// Public route - Indexer health and how fresh the data is. Cached for 30
+// seconds so polling clients don't hit the RPC.
+app.get('/sync/status', describeRoute({ operationId: 'getSyncStatus', summary: 'Indexer health and the block the data is current to', tags: ['sync'], response: 'SyncStatus' }), cacheResponse({ ttl: 30, tags: ['sync'] }), async (c) => {
+  const syncStatus = await getSyncStatus(c.env);
+  
+  const response = {
+    status: syncStatus.status,
+    chainHead: syncStatus.chainHead.toString(),
+    dataAsOfBlock: syncStatus.indexers.auction?.lastBlock.toString() || null,
+    indexers: formatIndexers(syncStatus.indexers),
+    lastSuccessAt: syncStatus.lastSuccessAt,
+    lastFailureAt: syncStatus.lastFailureAt,
+    recentRuns: syncStatus.runs.map(run => formatSyncRun(run)),
+    recentErrors: syncStatus.errors.map(run => ({
+      at: run.finished_at,
+      // Only the first line: the rest of an RPC error names the endpoint,
+      // API key included. The admin route has the full text
+      message: run.error?.split('\n')[0].slice(0, 200) || null
+    }))
+  };
+  
+  return c.json(response);
+});
+
+// Admin route - Detailed indexer health, lock holder and run history
+app.get('/admin/sync/status', describeRoute({ operationId: 'getAdminSyncStatus', summary: 'Indexer health with the lock holder and run history', tags: ['admin'], response: 'AdminSyncStatus' }), quickAuthMiddleware, adminMiddleware, validate({ query: { limit: limitParam(50, 200) } }), async (c) => {
+  const { limit } = c.req.valid('query');
+  
+  const [syncStatus, lock] = await Promise.all([
+    getSyncStatus(c.env, { runLimit: limit, errorLimit: 20 }),
+    getSyncLock(c.env)
+  ]);
+  
+  const lockHeld = lock?.owner_id && new Date(lock.expires_at) > new Date();
+  
+  return c.json({
+    status: syncStatus.status,
+    chainHead: syncStatus.chainHead.toString(),
+    dataAsOfBlock: syncStatus.indexers.auction?.lastBlock.toString() || null,
+    indexers: formatIndexers(syncStatus.indexers),
+    lastSuccessAt: syncStatus.lastSuccessAt,
+    lastFailureAt: syncStatus.lastFailureAt,
+    lock: lockHeld ? {
+      ownerId: lock.owner_id,
+      acquiredAt: lock.acquired_at,
+      heartbeatAt: lock.heartbeat_at,
+      expiresAt: lock.expires_at,
+      progress: lock.progress
+    } : null,
+    runs: syncStatus.runs.map(run => formatSyncRun(run, { detailed: true })),
+    errors: syncStatus.errors.map(run => ({
+      runId: run.id,
+      trigger: run.trigger,
+      at: run.finished_at,
+      message: run.error
+    }))
+  });
+});
+
+// Helper function to serialize indexer cursors (block numbers are BigInts)
+function formatIndexers(indexers) {
+  return Object.fromEntries(Object.entries(indexers).map(([name, indexer]) => [name, {
+    lastBlock: indexer.lastBlock.toString(),
+    lastSyncTime: indexer.lastSyncTime,
+    lag: Number(indexer.lag)
+  }]));
+}
+
+// Helper function to shape a sync_runs row
+function formatSyncRun(run, { detailed = false } = {}) {
+  const formatted = {
+    id: run.id,
+    trigger: run.trigger,
+    status: run.status,
+    startedAt: run.started_at,
+    finishedAt: run.finished_at,
+    durationMs: run.finished_at ? new Date(run.finished_at) - new Date(run.started_at) : null,
+    auctionEventsProcessed: run.auction_events_processed,
+    transferEventsProcessed: run.transfer_events_processed
+  };
+  
+  if (detailed) {
+    formatted.auctionBlock = run.auction_block;
+    formatted.nftBlock = run.nft_block;
+    formatted.httpRequests = run.http_requests;
+    formatted.rpcCalls = run.rpc_calls;
+    formatted.error = run.error;
   }
   
+  return formatted;
+}
+
+// Admin route - Run the auction reconciliation job now
+app.post('/admin/reconcile', describeRoute({ operationId: 'runReconciliation', summary: 'Check auctions against the contract and fix what differs', tags: ['admin'], response: 'ReconcileResult', errors: [409, 500] }), quickAuthMiddleware, adminMiddleware, async (c) => {
+  try {
+    const result = await reconcileAuctions(c.env, { trigger: 'manual' });
+    return c.json({
+      success: true,
+      runId: result.runId,
+      blockNumber: result.blockNumber.toString(),
+      auctionsChecked: result.auctionsChecked,
+      discrepanciesFound: result.discrepanciesFound,
+      discrepanciesFixed: result.discrepanciesFixed,
+      discrepancies: result.discrepancies
+    });
+  } catch (error) {
+    // handleError answers 409 sync_in_progress
+    if (error instanceof SyncInProgressError) throw error;
+    
+    // The message can carry RPC URLs or SQL, so it stays in the logs
+    console.error('Reconciliation error:', error);
+    throw new ApiError(500, 'reconciliation_failed', 'Reconciliation failed');
+  }
+});
+
+// Admin route - Discrepancy report from the latest (or a given) reconciliation run
+app.get('/admin/reconciliation', describeRoute({ operationId: 'getReconciliation', summary: 'Discrepancies found by the latest, or a given, reconciliation run', tags: ['admin'], response: 'ReconciliationReport', errors: [404] }), quickAuthMiddleware, adminMiddleware, validate({ query: { run_id: integerParam({ min: 1, defaultValue: null }) } }), async (c) => {
+  const { run_id: runId } = c.req.valid('query');
+  
+  const runsResult = await executeQuery(
+    c.env,
+    `SELECT id, block_number, auctions_checked, discrepancies_found, discrepancies_fixed, started_at, finished_at
+     FROM reconciliation_runs
+     ORDER BY id DESC
+     LIMIT 10`
+  );
+  
+  const run = runId
+    ? (await executeQuery(c.env, 'SELECT * FROM reconciliation_runs WHERE id = $1', [runId])).rows[0]
+    : runsResult.rows[0];
+  
+  if (!run) {
+    throw new ApiError(404, 'not_found', runId ? 'Reconciliation run not found' : 'No reconciliation runs yet');
+  }
+  
+  const discrepanciesResult = await executeQuery(
+    c.env,
+    `SELECT auction_id, cast_hash, field, db_value, chain_value, fixed
+     FROM reconciliation_discrepancies
+     WHERE run_id = $1
+     ORDER BY id ASC`,
+    [run.id]
+  );
+  
+  return c.json({
+    run,
+    discrepancies: discrepanciesResult.rows,
+    recentRuns: runsResult.rows
+  });
+});
+
+// Sort tuple for /analytics/top-winning-casts, highest winning bid first
+const TOP_WINNING_CASTS_SORT = [
+  { column: 'a.winning_bid', type: 'numeric' },
+  { column: 'a.id', type: 'integer' }
+];
+
+// Analytics route - Top Winning Casts (highest winning bids)
+app.get('/analytics/top-winning-casts', describeRoute({ operationId: 'getTopWinningCasts', summary: 'Settled auctions with the highest winning bids', tags: ['leaderboards'], response: 'TopWinningCastList' }), validate({ query: { limit: limitParam(20, 100), cursor: cursorParam(TOP_WINNING_CASTS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['settlements'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
+  
   // Get settled auctions with highest winning bids
+  const params = [limit + 1];
   const result = await executeQuery(
     c.env,
     `SELECT 
@@ -1681,19 +2049,21 @@ app.get('/analytics/top-winning-casts', async (c) => {
       COUNT(DISTINCT b.bidder_fid) as unique_bidders
     FROM auctions a
     LEFT JOIN bids b ON a.id = b.auction_id
-    WHERE a.state = 3 AND a.winner_fid IS NOT NULL
+    WHERE a.state = 3 AND a.winner_fid IS NOT NULL AND a.winning_bid IS NOT NULL
+      AND ${afterCursor(TOP_WINNING_CASTS_SORT, cursor, params)}
     GROUP BY a.id
-    ORDER BY a.winning_bid DESC NULLS LAST
-    LIMIT $1 OFFSET $2`,
-    [limit, offset]
+    ORDER BY a.winning_bid DESC, a.id DESC
+    LIMIT $1`,
+    params
   );
+  const page = toPage(TOP_WINNING_CASTS_SORT, result.rows, limit);
   
   // Get unique FIDs for enrichment
   const creatorFids = new Set();
   const winnerFids = new Set();
   const castHashes = [];
   
-  result.rows.forEach(row => {
+  page.rows.forEach(row => {
     creatorFids.add(row.creator_fid);
     if (row.winner_fid) winnerFids.add(row.winner_fid);
     castHashes.push(row.cast_hash);
@@ -1703,11 +2073,13 @@ app.get('/analytics/top-winning-casts', async (c) => {
   
   // Parallel API calls
   const [users, castContent] = await Promise.all([
-    allFids.length > 0 ? c.get('neynarClient').getUsersByFids(allFids) : {},
-    castHashes.length > 0 ? c.get('neynarClient').getCastsByHashes(castHashes) : {}
+    allFids.length > 0 ? c.get('profiles').getUsersByFids(allFids) : {},
+    castHashes.length > 0 ? c.get('profiles').getCastsByHashes(castHashes) : {}
   ]);
   
-  const casts = result.rows
+  // Casts we have no content for are left out, so a page can come up short;
+  // nextCursor still follows the last auction on it
+  const casts = page.rows
     .map(row => ({
       id: row.id,
       castHash: row.cast_hash,
@@ -1731,44 +2103,30 @@ app.get('/analytics/top-winning-casts', async (c) => {
   // Get total count
   const countResult = await executeQuery(
     c.env,
-    'SELECT COUNT(*) as total FROM auctions WHERE state = 3 AND winner_fid IS NOT NULL'
+    'SELECT COUNT(*) as total FROM auctions WHERE state = 3 AND winner_fid IS NOT NULL AND winning_bid IS NOT NULL'
   );
   
   const response = {
     casts,
-    pagination: {
-      total: parseInt(countResult.rows[0].total) || 0,
-      limit,
-      offset,
-      hasMore: offset + limit < parseInt(countResult.rows[0].total)
-    }
+    pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor)
   };
   
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
-  
   return c.json(response);
 });
 
+// Sort tuple for /analytics/top-collectors, most casts collected first
+const TOP_COLLECTORS_SORT = [
+  { column: 'cs.casts_collected', type: 'integer' },
+  { column: 'cs.total_spent', type: 'numeric' },
+  { column: 'cs.collector_fid', type: 'integer' }
+];
+
 // Analytics route - Top Collectors (who collected most casts)
-app.get('/analytics/top-collectors', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  
-  // KV cache with 4-minute TTL
-  const CACHE_TTL = 240; // 4 minutes
-  const cacheKey = `top-collectors:${limit}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
-  }
+app.get('/analytics/top-collectors', describeRoute({ operationId: 'getTopCollectors', summary: 'Users who collected the most casts', tags: ['leaderboards'], response: 'TopCollectorList' }), validate({ query: { limit: limitParam(20, 50), cursor: cursorParam(TOP_COLLECTORS_SORT) } }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['settlements'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
   
   // Get top collectors with comprehensive stats
+  const params = [limit + 1];
   const result = await executeQuery(
     c.env,
     `WITH collector_base_stats AS (
@@ -1843,9 +2201,16 @@ app.get('/analytics/top-collectors', async (c) => {
     FROM collector_base_stats cs
     LEFT JOIN recent_collections rc ON cs.collector_fid = rc.collector_fid
     LEFT JOIN aggregated_top_creators atc ON cs.collector_fid = atc.collector_fid
-    ORDER BY cs.casts_collected DESC, cs.total_spent DESC
+    WHERE ${afterCursor(TOP_COLLECTORS_SORT, cursor, params)}
+    ORDER BY cs.casts_collected DESC, cs.total_spent DESC, cs.collector_fid DESC
     LIMIT $1`,
-    [limit]
+    params
+  );
+  const page = toPage(TOP_COLLECTORS_SORT, result.rows, limit);
+  
+  const countResult = await executeQuery(
+    c.env,
+    'SELECT COUNT(DISTINCT winner_fid) as total FROM auctions WHERE state = 3 AND winner_fid IS NOT NULL'
   );
   
   // Extract all FIDs and cast hashes for batch fetching
@@ -1853,7 +2218,7 @@ app.get('/analytics/top-collectors', async (c) => {
   const creatorFids = new Set();
   const castHashes = new Set();
   
-  result.rows.forEach(row => {
+  page.rows.forEach(row => {
     collectorFids.add(row.collector_fid);
     
     // Extract from recent collections
@@ -1882,12 +2247,12 @@ app.get('/analytics/top-collectors', async (c) => {
   
   // Parallel API calls
   const [users, castContent] = await Promise.all([
-    allFids.length > 0 ? c.get('neynarClient').getUsersByFids(allFids) : {},
-    castHashes.size > 0 ? c.get('neynarClient').getCastsByHashes([...castHashes]) : {}
+    allFids.length > 0 ? c.get('profiles').getUsersByFids(allFids) : {},
+    castHashes.size > 0 ? c.get('profiles').getCastsByHashes([...castHashes]) : {}
   ]);
   
   // Format response
-  const collectors = result.rows.map(row => {
+  const collectors = page.rows.map(row => {
     const recentCollections = row.recent_collections 
       ? (typeof row.recent_collections === 'string' ? JSON.parse(row.recent_collections) : row.recent_collections)
       : [];
@@ -1924,33 +2289,24 @@ app.get('/analytics/top-collectors', async (c) => {
     };
   });
   
-  const response = { collectors };
-  
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
+  const response = { collectors, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) };
   
   return c.json(response);
 });
 
+// Sort tuple for /analytics/top-collected-creators, most casts collected first
+const TOP_COLLECTED_CREATORS_SORT = [
+  { column: 'cs.casts_collected', type: 'integer' },
+  { column: 'cs.total_revenue', type: 'numeric' },
+  { column: 'cs.creator_fid', type: 'integer' }
+];
+
 // Analytics route - Top Collected Creators (whose casts get collected most)
-app.get('/analytics/top-collected-creators', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  
-  // KV cache with 4-minute TTL
-  const CACHE_TTL = 240; // 4 minutes
-  const cacheKey = `top-collected-creators:${limit}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
-  }
+app.get('/analytics/top-collected-creators', describeRoute({ operationId: 'getTopCollectedCreators', summary: 'Creators whose casts were collected the most', tags: ['leaderboards'], response: 'TopCollectedCreatorList' }), validate({ query: { limit: limitParam(20, 50), cursor: cursorParam(TOP_COLLECTED_CREATORS_SORT) } }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['settlements'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
   
   // Get creators whose casts have been collected most
+  const params = [limit + 1];
   const result = await executeQuery(
     c.env,
     `WITH creator_base_stats AS (
@@ -2027,9 +2383,16 @@ app.get('/analytics/top-collected-creators', async (c) => {
     FROM creator_base_stats cs
     LEFT JOIN recent_collected_casts rc ON cs.creator_fid = rc.creator_fid
     LEFT JOIN aggregated_top_collectors atc ON cs.creator_fid = atc.creator_fid
-    ORDER BY cs.casts_collected DESC, cs.total_revenue DESC
+    WHERE ${afterCursor(TOP_COLLECTED_CREATORS_SORT, cursor, params)}
+    ORDER BY cs.casts_collected DESC, cs.total_revenue DESC, cs.creator_fid DESC
     LIMIT $1`,
-    [limit]
+    params
+  );
+  const page = toPage(TOP_COLLECTED_CREATORS_SORT, result.rows, limit);
+  
+  const countResult = await executeQuery(
+    c.env,
+    'SELECT COUNT(DISTINCT creator_fid) as total FROM auctions WHERE state = 3 AND winner_fid IS NOT NULL'
   );
   
   // Extract all FIDs and cast hashes for batch fetching
@@ -2037,7 +2400,7 @@ app.get('/analytics/top-collected-creators', async (c) => {
   const collectorFids = new Set();
   const castHashes = new Set();
   
-  result.rows.forEach(row => {
+  page.rows.forEach(row => {
     creatorFids.add(row.creator_fid);
     
     // Extract from recent collected
@@ -2066,12 +2429,12 @@ app.get('/analytics/top-collected-creators', async (c) => {
   
   // Parallel API calls
   const [users, castContent] = await Promise.all([
-    allFids.length > 0 ? c.get('neynarClient').getUsersByFids(allFids) : {},
-    castHashes.size > 0 ? c.get('neynarClient').getCastsByHashes([...castHashes]) : {}
+    allFids.length > 0 ? c.get('profiles').getUsersByFids(allFids) : {},
+    castHashes.size > 0 ? c.get('profiles').getCastsByHashes([...castHashes]) : {}
   ]);
   
   // Format response
-  const creators = result.rows.map(row => {
+  const creators = page.rows.map(row => {
     const recentCollected = row.recent_collected 
       ? (typeof row.recent_collected === 'string' ? JSON.parse(row.recent_collected) : row.recent_collected)
       : [];
@@ -2109,66 +2472,79 @@ app.get('/analytics/top-collected-creators', async (c) => {
     };
   });
   
-  const response = { creators };
-  
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
+  const response = { creators, pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor) };
   
   return c.json(response);
 });
 
+// Sort tuple for /analytics/p2p-transfers, latest first
+const P2P_TRANSFERS_SORT = [
+  { column: 't.timestamp', type: 'timestamp' },
+  { column: 't.id', type: 'integer' }
+];
+
 // Analytics route - P2P Transfers
-app.get('/analytics/p2p-transfers', async (c) => {
-  const limit = parseInt(c.req.query('limit') || '20');
-  const offset = parseInt(c.req.query('offset') || '0');
+app.get('/analytics/p2p-transfers', describeRoute({ operationId: 'getP2PTransfers', summary: 'Cast NFTs traded between users, latest first', tags: ['auctions'], response: 'P2PTransferList' }), validate({ query: { limit: limitParam(20, 100), cursor: cursorParam(P2P_TRANSFERS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: ['transfers'] }), async (c) => {
+  const { limit, cursor } = c.req.valid('query');
   
-  // Get recent P2P transfers
+  // Get recent P2P transfers with FIDs from the address mapping
+  const params = [limit + 1];
   const result = await executeQuery(
     c.env,
     `SELECT 
       t.*,
-      -- Try to get FIDs from known addresses (this would need a mapping table in production)
-      NULL as from_fid,
-      NULL as to_fid
+      fa.fid as from_fid,
+      ta.fid as to_fid,
+      ${cursorColumns(P2P_TRANSFERS_SORT)}
     FROM transfers t
+    LEFT JOIN address_fids fa ON fa.address = LOWER(t.from_address)
+    LEFT JOIN address_fids ta ON ta.address = LOWER(t.to_address)
     WHERE t.is_p2p = true
-    ORDER BY t.timestamp DESC
-    LIMIT $1 OFFSET $2`,
-    [limit, offset]
+      AND ${afterCursor(P2P_TRANSFERS_SORT, cursor, params)}
+    ORDER BY t.timestamp DESC, t.id DESC
+    LIMIT $1`,
+    params
   );
+  const page = toPage(P2P_TRANSFERS_SORT, result.rows, limit);
+  
+  // Fall back to Neynar verified addresses for anyone not in the mapping yet
+  const unmappedAddresses = new Set();
+  page.rows.forEach(row => {
+    if (!row.from_fid) unmappedAddresses.add(row.from_address.toLowerCase());
+    if (!row.to_fid) unmappedAddresses.add(row.to_address.toLowerCase());
+  });
+  
+  const usersByAddress = unmappedAddresses.size > 0
+    ? await c.get('profiles').getUsersByAddresses([...unmappedAddresses])
+    : {};
   
-  // For now, we'll need to resolve addresses to FIDs if we have a mapping
-  // In production, you might want to maintain an address->FID mapping table
+  const resolveFid = (fid, address) => fid || usersByAddress[address.toLowerCase()]?.fid || null;
   
-  // Get unique addresses for potential profile enrichment
-  const addresses = new Set();
-  result.rows.forEach(row => {
-    addresses.add(row.from_address.toLowerCase());
-    addresses.add(row.to_address.toLowerCase());
+  const fids = new Set();
+  page.rows.forEach(row => {
+    row.from_fid = resolveFid(row.from_fid, row.from_address);
+    row.to_fid = resolveFid(row.to_fid, row.to_address);
+    if (row.from_fid) fids.add(row.from_fid);
+    if (row.to_fid) fids.add(row.to_fid);
   });
   
-  // Note: Neynar doesn't directly support address->profile lookup
-  // You would need to maintain your own mapping or use another service
-  // For now, we'll return the raw data
+  const users = fids.size > 0 ? await c.get('profiles').getUsersByFids([...fids]) : {};
+  const network = getNetwork(c.env);
   
-  const transfers = result.rows.map(row => ({
+  const transfers = page.rows.map(row => ({
     id: row.id,
     from_address: row.from_address,
-    from_fid: row.from_fid || null,
-    fromProfile: null, // Would be populated if we had FID mapping
+    from_fid: row.from_fid,
+    fromProfile: row.from_fid ? users[row.from_fid] || null : null,
     to_address: row.to_address,
-    to_fid: row.to_fid || null,
-    toProfile: null, // Would be populated if we had FID mapping
+    to_fid: row.to_fid,
+    toProfile: row.to_fid ? users[row.to_fid] || null : null,
     token_id: row.token_id,
     transaction_hash: row.transaction_hash,
     block_number: row.block_number,
     timestamp: row.timestamp,
-    explorer_url: `https://basescan.org/tx/${row.transaction_hash}`,
-    opensea_url: `https://opensea.io/assets/base/0xc011ec7ca575d4f0a2eda595107ab104c7af7a09/${row.token_id}`
+    explorer_url: getTransactionUrl(network, row.transaction_hash),
+    opensea_url: getTokenUrl(network, row.token_id)
   }));
   
   // Get total count of P2P transfers
@@ -2179,34 +2555,19 @@ app.get('/analytics/p2p-transfers', async (c) => {
   
   return c.json({
     transfers,
-    pagination: {
-      total: parseInt(countResult.rows[0].total) || 0,
-      limit,
-      offset,
-      hasMore: offset + limit < parseInt(countResult.rows[0].total)
-    }
+    pagination: pageInfo(limit, countResult.rows[0].total, page.nextCursor)
   });
 });
 
 // Analytics route - Hall of Shame user profile (consolidated data for popup)
-app.get('/analytics/hall-of-shame/:fid', async (c) => {
-  const fid = parseInt(c.req.param('fid'));
-  
-  // KV cache with 4-minute TTL
-  const CACHE_TTL = 240; // 4 minutes  
-  const cacheKey = `hall-of-shame:${fid}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
-  }
+app.get('/analytics/hall-of-shame/:fid', describeRoute({ operationId: 'getHallOfShameProfile', summary: 'Everything about a user\'s bidding, for the profile popup', tags: ['users'], response: 'HallOfShame', errors: [404] }), validate({ param: { fid: fidParam() } }), rateLimit('expensive'), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
   
   // Get user profile first to check if user exists
-  const userProfile = await c.get('neynarClient').getUser(fid);
+  const userProfile = await c.get('profiles').getUser(fid);
   
   if (!userProfile) {
-    return c.json({ error: 'User not found' }, 404);
+    throw new ApiError(404, 'user_not_found', 'User not found');
   }
   
   // Single optimized query that gets all data at once
@@ -2248,26 +2609,15 @@ app.get('/analytics/hall-of-shame/:fid', async (c) => {
         GROUP BY auction_id
       ) user_max_bids
     ),
-    all_user_ranks AS (
-      SELECT 
-        bidder_fid,
-        SUM(bid_count) as total_bids,
-        SUM(max_amount) as total_volume,
-        RANK() OVER (ORDER BY SUM(bid_count) DESC) as bid_rank,
-        RANK() OVER (ORDER BY SUM(max_amount) DESC) as volume_rank
-      FROM (
-        SELECT 
-          bidder_fid,
-          auction_id,
-          MAX(amount) as max_amount,
-          COUNT(*) as bid_count
-        FROM bids
-        GROUP BY bidder_fid, auction_id
-      ) bidder_stats
-      GROUP BY bidder_fid
-    ),
     user_rank AS (
-      SELECT * FROM all_user_ranks WHERE bidder_fid = $1
+      SELECT 
+        u.bidder_fid,
+        u.total_bids,
+        u.total_volume,
+        (SELECT COUNT(*) FROM user_bid_stats WHERE total_bids > u.total_bids) + 1 as bid_rank,
+        (SELECT COUNT(*) FROM user_bid_stats WHERE total_volume > u.total_volume) + 1 as volume_rank
+      FROM user_bid_stats u
+      WHERE u.bidder_fid = $1
     ),
     top_creators AS (
       SELECT 
@@ -2396,8 +2746,8 @@ app.get('/analytics/hall-of-shame/:fid', async (c) => {
   
   // Parallel API calls
   const [creatorProfiles, castData] = await Promise.all([
-    creatorFids.size > 0 ? c.get('neynarClient').getUsersByFids([...creatorFids]) : {},
-    allCastHashes.size > 0 ? c.get('neynarClient').getCastsByHashes([...allCastHashes]) : {}
+    creatorFids.size > 0 ? c.get('profiles').getUsersByFids([...creatorFids]) : {},
+    allCastHashes.size > 0 ? c.get('profiles').getCastsByHashes([...allCastHashes]) : {}
   ]);
   
   // Calculate simp level
@@ -2491,40 +2841,29 @@ app.get('/analytics/hall-of-shame/:fid', async (c) => {
     }))
   };
   
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
-  
   return c.json(response);
 });
 
+// Sort tuple for a user's authored collections, latest ending first
+const AUTHORED_COLLECTIONS_SORT = [
+  { column: 'a.end_time', type: 'timestamp' },
+  { column: 'a.id', field: 'auction_id', type: 'integer' }
+];
+
 // Analytics route - User Authored Collections (casts created by user that have been collected)
-app.get('/analytics/user-authored-collections/:fid', async (c) => {
-  const fid = parseInt(c.req.param('fid'));
-  const limit = Math.min(parseInt(c.req.query('limit') || '20'), 50);
-  const offset = parseInt(c.req.query('offset') || '0');
-  
-  // KV cache with 4-minute TTL
-  const CACHE_TTL = 240; // 4 minutes  
-  const cacheKey = `authored-collections:${fid}:${limit}:${offset}:${Math.floor(Date.now() / 240000)}`;
-  
-  // Try to get from cache first
-  const cached = await c.env.NEYNAR_CACHE?.get(cacheKey);
-  if (cached) {
-    return c.json(JSON.parse(cached));
-  }
+app.get('/analytics/user-authored-collections/:fid', describeRoute({ operationId: 'getUserAuthoredCollections', summary: 'A user\'s casts that were collected', tags: ['users'], response: 'AuthoredCollections', errors: [404] }), validate({ param: { fid: fidParam() }, query: { limit: limitParam(20, 50), cursor: cursorParam(AUTHORED_COLLECTIONS_SORT) } }), cacheResponse({ ttl: RESPONSE_CACHE_TTL, tags: fidTags }), async (c) => {
+  const { fid } = c.req.valid('param');
+  const { limit, cursor } = c.req.valid('query');
   
   // Get user profile first to check if user exists
-  const userProfile = await c.get('neynarClient').getUser(fid);
+  const userProfile = await c.get('profiles').getUser(fid);
   
   if (!userProfile) {
-    return c.json({ error: 'User not found' }, 404);
+    throw new ApiError(404, 'user_not_found', 'User not found');
   }
   
   // Query to get auctions created by this user that have been collected
+  const params = [fid, limit + 1];
   const result = await executeQuery(
     c.env,
     `WITH authored_collections AS (
@@ -2545,13 +2884,15 @@ app.get('/analytics/user-authored-collections/:fid', async (c) => {
         COALESCE(
           (SELECT MIN(timestamp) FROM bids WHERE auction_id = a.id),
           a.created_at
-        ) as start_time
+        ) as start_time,
+        ${cursorColumns(AUTHORED_COLLECTIONS_SORT)}
       FROM auctions a
       WHERE a.creator_fid = $1 
         AND a.state = 3 
         AND a.winner_fid IS NOT NULL
-      ORDER BY a.end_time DESC
-      LIMIT $2 OFFSET $3
+        AND ${afterCursor(AUTHORED_COLLECTIONS_SORT, cursor, params)}
+      ORDER BY a.end_time DESC, a.id DESC
+      LIMIT $2
     )
     SELECT 
       auction_id,
@@ -2564,10 +2905,13 @@ app.get('/analytics/user-authored-collections/:fid', async (c) => {
       min_bid,
       total_bids,
       unique_bidders,
-      start_time
-    FROM authored_collections`,
-    [fid, limit, offset]
+      start_time,
+      end_time_cursor
+    FROM authored_collections
+    ORDER BY end_time DESC, auction_id DESC`,
+    params
   );
+  const page = toPage(AUTHORED_COLLECTIONS_SORT, result.rows, limit);
   
   // Get total count for pagination
   const countResult = await executeQuery(
@@ -2580,25 +2924,23 @@ app.get('/analytics/user-authored-collections/:fid', async (c) => {
     [fid]
   );
   
-  const totalCount = parseInt(countResult.rows[0]?.total || 0);
-  
   // Extract winner FIDs and cast hashes for batch fetching
   const winnerFids = new Set();
   const castHashes = new Set();
   
-  result.rows.forEach(row => {
+  page.rows.forEach(row => {
     if (row.winner_fid) winnerFids.add(row.winner_fid);
     if (row.cast_hash) castHashes.add(row.cast_hash);
   });
   
   // Parallel API calls for winner profiles and cast data
   const [winnerProfiles, castData] = await Promise.all([
-    winnerFids.size > 0 ? c.get('neynarClient').getUsersByFids([...winnerFids]) : {},
-    castHashes.size > 0 ? c.get('neynarClient').getCastsByHashes([...castHashes]) : {}
+    winnerFids.size > 0 ? c.get('profiles').getUsersByFids([...winnerFids]) : {},
+    castHashes.size > 0 ? c.get('profiles').getCastsByHashes([...castHashes]) : {}
   ]);
   
   // Format the collections
-  const collections = result.rows.map(row => ({
+  const collections = page.rows.map(row => ({
     auctionId: row.auction_id,
     castHash: row.cast_hash,
     creatorFid: row.creator_fid,
@@ -2620,24 +2962,18 @@ app.get('/analytics/user-authored-collections/:fid', async (c) => {
       profile: userProfile
     },
     collections,
-    pagination: {
-      total: totalCount,
-      limit,
-      offset,
-      hasMore: offset + limit < totalCount
-    }
+    pagination: pageInfo(limit, countResult.rows[0]?.total, page.nextCursor)
   };
   
-  // Cache the response
-  if (c.env.NEYNAR_CACHE) {
-    await c.env.NEYNAR_CACHE.put(cacheKey, JSON.stringify(response), {
-      expirationTtl: CACHE_TTL
-    });
-  }
-  
   return c.json(response);
 });
 
+// Durable Object class behind the RATE_LIMITER binding in wrangler.toml
+export { RateLimiter } from './rate-limit.js';
+
+// Must match the reconciliation schedule in wrangler.toml
+const RECONCILE_CRON = '17 * * * *';
+
 // Export for Cloudflare Workers
 export default {
   async fetch(request, env, ctx) {
@@ -2646,12 +2982,39 @@ export default {
   
   // Scheduled handler for automatic syncing
   async scheduled(event, env, ctx) {
+    if (event.cron === RECONCILE_CRON) {
+      console.log('Running scheduled reconciliation...');
+      try {
+        await reconcileAuctions(env, { trigger: 'cron' });
+      } catch (error) {
+        if (error instanceof SyncInProgressError) {
+          console.log(`Skipping scheduled reconciliation, lock held by ${error.holder?.ownerId}`);
+        } else {
+          console.error('Scheduled reconciliation failed:', error);
+        }
+      }
+      
+      // Doesn't need the sync lock, so it runs even when reconciliation was skipped
+      if (hasProfileProvider(env)) {
+        try {
+          await refreshStoredProfiles(env, createProfileProvider(env, { kvCache: env.NEYNAR_CACHE }));
+        } catch (error) {
+          console.error('Scheduled profile refresh failed:', error);
+        }
+      }
+      return;
+    }
+    
     console.log('Running scheduled sync...');
     try {
-      const result = await syncEvents(env);
+      const result = await syncEvents(env, { trigger: 'cron' });
       console.log(`Sync completed. Processed ${result.eventsProcessed} events up to block ${result.lastBlock}`);
     } catch (error) {
+      if (error instanceof SyncInProgressError) {
+        console.log(`Skipping scheduled sync, lock held by ${error.holder?.ownerId}`);
+        return;
+      }
       console.error('Scheduled sync failed:', error);
     }
   }
-};
+};
\ No newline at end of file
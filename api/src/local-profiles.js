@@ -0,0 +1,125 @@
+// Profile provider for local development and tests, needing no network or
+// API key. Users and casts come from fixtures:
+//
+//   {
+//     "users": [{ "fid": 977233, "username": "alice", "displayName": "Alice", "pfpUrl": "https://...",
+//                 "followerCount": 120, "bio": "...", "addresses": ["0x8d7f..."], "powerBadge": false }],
+//     "casts": [{ "hash": "0xabc...", "text": "gm", "timestamp": "2024-01-01T00:00:00Z", "firstEmbed": null }]
+//   }
+//
+// Any FID or cast missing from the fixtures gets a stand-in (username
+// fid-<fid>), so every page has something to render. Addresses are only ever
+// resolved from fixtures, since sync stores those mappings.
+export class LocalProfileProvider {
+  constructor(fixtures = {}) {
+    this.users = new Map((fixtures.users || []).map(user => [Number(user.fid), formatFixtureUser(user)]));
+    this.casts = new Map((fixtures.casts || []).map(cast => [cast.hash.toLowerCase(), formatFixtureCast(cast)]));
+    
+    this.usersByAddress = new Map();
+    for (const user of fixtures.users || []) {
+      for (const address of user.addresses || []) {
+        this.usersByAddress.set(address.toLowerCase(), this.users.get(Number(user.fid)));
+      }
+    }
+  }
+
+  async getUsersByFids(fids) {
+    if (!fids || fids.length === 0) return {};
+    
+    const users = {};
+    for (const fid of fids) {
+      users[fid] = this.users.get(Number(fid)) || standInUser(Number(fid));
+    }
+    return users;
+  }
+
+  async getUser(fid) {
+    const users = await this.getUsersByFids([fid]);
+    return users[fid] || null;
+  }
+
+  async getUserByUsername(username) {
+    const name = username.toLowerCase();
+    for (const user of this.users.values()) {
+      if (user.username.toLowerCase() === name) return user;
+    }
+    
+    // Stand-in usernames resolve back to their FID
+    const standIn = name.match(/^fid-(\d+)$/);
+    return standIn ? this.getUser(Number(standIn[1])) : null;
+  }
+
+  async getUsersByAddresses(addresses) {
+    if (!addresses || addresses.length === 0) return {};
+    
+    const usersByAddress = {};
+    for (const address of addresses) {
+      const user = this.usersByAddress.get(address.toLowerCase());
+      if (user) {
+        usersByAddress[address.toLowerCase()] = user;
+      }
+    }
+    return usersByAddress;
+  }
+
+  async getCastsByHashes(hashes) {
+    if (!hashes || hashes.length === 0) return {};
+    
+    const casts = {};
+    for (const hash of new Set(hashes)) {
+      casts[hash] = this.casts.get(hash.toLowerCase()) || standInCast(hash);
+    }
+    return casts;
+  }
+
+  async getCast(hash) {
+    const casts = await this.getCastsByHashes([hash]);
+    return casts[hash] || null;
+  }
+}
+
+function formatFixtureUser(user) {
+  return {
+    fid: Number(user.fid),
+    username: user.username,
+    displayName: user.displayName ?? user.username,
+    pfpUrl: user.pfpUrl ?? null,
+    followerCount: user.followerCount ?? 0,
+    followingCount: user.followingCount ?? 0,
+    bio: user.bio,
+    primaryAddress: user.primaryAddress ?? user.addresses?.[0] ?? null,
+    powerBadge: user.powerBadge || false
+  };
+}
+
+function formatFixtureCast(cast) {
+  return {
+    hash: cast.hash,
+    text: cast.text || '',
+    timestamp: cast.timestamp ?? null,
+    firstEmbed: cast.firstEmbed ?? null
+  };
+}
+
+function standInUser(fid) {
+  return {
+    fid,
+    username: `fid-${fid}`,
+    displayName: `FID ${fid}`,
+    pfpUrl: null,
+    followerCount: 0,
+    followingCount: 0,
+    bio: undefined,
+    primaryAddress: null,
+    powerBadge: false
+  };
+}
+
+function standInCast(hash) {
+  return {
+    hash,
+    text: `Cast ${hash.slice(0, 10)}`,
+    timestamp: null,
+    firstEmbed: null
+  };
+}
\ No newline at end of file
@@ -0,0 +1,95 @@
+import { base, baseSepolia, anvil } from 'viem/chains';
+
+// Which chain and contracts an environment indexes, picked with the NETWORK
+// variable. Addresses and deployment blocks can be overridden per environment
+// (AUCTION_CONTRACT_ADDRESS, NFT_CONTRACT_ADDRESS, AUCTION_DEPLOYMENT_BLOCK,
+// NFT_DEPLOYMENT_BLOCK) and have to be for networks without a canonical
+// deployment, so staging and local runs never fall back to production contracts.
+// MULTICALL_ADDRESS points batched reads at a multicall3 deployment on chains
+// viem doesn't know one for, like a bare Anvil node.
+const NETWORK_PROFILES = {
+  'base-mainnet': {
+    chain: base,
+    auctionContract: '0xFC52e33F48Dd3fcd5EE428c160722efda645D74A',
+    nftContract: '0xc011Ec7Ca575D4f0a2eDA595107aB104c7Af7A09',
+    // Blocks the contracts were deployed in; nothing to index before these
+    auctionDeploymentBlock: 33200651n,
+    nftDeploymentBlock: 33200645n,
+    explorerUrl: 'https://basescan.org',
+    marketplaceUrl: 'https://opensea.io/assets/base'
+  },
+  'base-sepolia': {
+    chain: baseSepolia,
+    explorerUrl: 'https://sepolia.basescan.org',
+    marketplaceUrl: 'https://testnets.opensea.io/assets/base_sepolia'
+  },
+  // Anvil or Hardhat node; contracts are deployed fresh, so index from genesis
+  local: {
+    chain: anvil,
+    rpcUrl: 'http://127.0.0.1:8545',
+    auctionDeploymentBlock: 0n,
+    nftDeploymentBlock: 0n,
+    explorerUrl: null,
+    marketplaceUrl: null
+  }
+};
+
+export const DEFAULT_NETWORK = 'base-mainnet';
+
+// Resolve the network profile for an env (Worker bindings or process.env).
+// Throws when the profile is unknown or incomplete.
+export function getNetwork(env) {
+  const name = env.NETWORK || DEFAULT_NETWORK;
+  const profile = NETWORK_PROFILES[name];
+  
+  if (!profile) {
+    throw new Error(`Unknown NETWORK "${name}", expected one of ${Object.keys(NETWORK_PROFILES).join(', ')}`);
+  }
+  
+  const network = {
+    name,
+    chain: profile.chain,
+    // BASE_RPC_URL, else the profile's own, else the chain's public (rate-limited) endpoint
+    rpcUrl: env.BASE_RPC_URL || profile.rpcUrl || profile.chain.rpcUrls.default.http[0],
+    auctionContract: env.AUCTION_CONTRACT_ADDRESS || profile.auctionContract,
+    nftContract: env.NFT_CONTRACT_ADDRESS || profile.nftContract,
+    auctionDeploymentBlock: parseBlock(env, 'AUCTION_DEPLOYMENT_BLOCK') ?? profile.auctionDeploymentBlock,
+    nftDeploymentBlock: parseBlock(env, 'NFT_DEPLOYMENT_BLOCK') ?? profile.nftDeploymentBlock,
+    multicallAddress: env.MULTICALL_ADDRESS || profile.chain.contracts?.multicall3?.address,
+    explorerUrl: profile.explorerUrl,
+    marketplaceUrl: profile.marketplaceUrl
+  };
+  
+  const missing = [
+    ['AUCTION_CONTRACT_ADDRESS', network.auctionContract],
+    ['NFT_CONTRACT_ADDRESS', network.nftContract],
+    ['AUCTION_DEPLOYMENT_BLOCK', network.auctionDeploymentBlock],
+    ['NFT_DEPLOYMENT_BLOCK', network.nftDeploymentBlock]
+  ].filter(([, value]) => value === undefined).map(([variable]) => variable);
+  
+  if (missing.length > 0) {
+    throw new Error(`NETWORK ${name} needs ${missing.join(', ')} to be set`);
+  }
+  
+  return network;
+}
+
+// Block explorer link for a transaction, or null on networks without one
+export function getTransactionUrl(network, transactionHash) {
+  return network.explorerUrl ? `${network.explorerUrl}/tx/${transactionHash}` : null;
+}
+
+// Marketplace link for one of our NFTs, or null on networks without one
+export function getTokenUrl(network, tokenId) {
+  return network.marketplaceUrl ? `${network.marketplaceUrl}/${network.nftContract.toLowerCase()}/${tokenId}` : null;
+}
+
+function parseBlock(env, variable) {
+  const value = env[variable];
+  if (value === undefined || value === '') return undefined;
+  
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${variable} must be a block number, got "${value}"`);
+  }
+  return BigInt(value);
+}
\ No newline at end of file
@@ -1,99 +1,127 @@
+const NEYNAR_API_URL = 'https://api.neynar.com/v2';
+
+// Entries past their TTL are still served for this long while a refresh runs
+const STALE_TTL = 86400; // 1 day
+
+// FIDs, usernames, addresses and casts Neynar doesn't know (e.g. deleted
+// casts) are remembered for this long instead of being asked for every time.
+// KV's minimum expirationTtl is 60.
+const NEGATIVE_TTL = 300; // 5 minutes
+
+// 429s, 5xx responses and network errors are retried with exponential
+// backoff, or after the wait the rate-limit headers ask for
+const MAX_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 500;
+const MAX_RETRY_DELAY_MS = 10000;
+
+function formatUser(user) {
+  return {
+    fid: user.fid,
+    username: user.username,
+    displayName: user.display_name,
+    pfpUrl: user.pfp_url,
+    followerCount: user.follower_count,
+    followingCount: user.following_count,
+    bio: user.profile?.bio?.text,
+    primaryAddress: user.verified_addresses?.eth_addresses?.[0] || null,
+    powerBadge: user.power_badge || false
+  };
+}
+
+function formatCast(cast) {
+  // Process first embed - could be a URL, image, or cast
+  let firstEmbed = null;
+  if (cast.embeds && cast.embeds.length > 0) {
+    const embed = cast.embeds[0];
+    
+    // Check if it's a cast embed (quote cast)
+    if (embed.cast_id || embed.cast) {
+      firstEmbed = {
+        type: 'cast',
+        cast_id: embed.cast_id,
+        cast_hash: embed.cast_id?.hash || embed.cast?.hash,
+        cast_text: embed.cast?.text || null,
+        cast_author: embed.cast?.author?.username || null
+      };
+    }
+    // Check if it's a URL/image embed
+    else if (embed.url) {
+      firstEmbed = {
+        type: embed.metadata?.content_type?.startsWith('image/') ? 'image' : 'url',
+        url: embed.url,
+        metadata: embed.metadata || null
+      };
+    }
+    // Otherwise just pass through the raw embed
+    else {
+      firstEmbed = embed;
+    }
+  }
+
+  return {
+    hash: cast.hash,
+    text: cast.text || '',
+    timestamp: cast.timestamp,
+    firstEmbed: firstEmbed
+  };
+}
+
+// Split keys into Neynar-sized batches
+function chunk(keys, size) {
+  const batches = [];
+  for (let i = 0; i < keys.length; i += size) {
+    batches.push(keys.slice(i, i + size));
+  }
+  return batches;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
 export class NeynarClient {
-  constructor(apiKey, kvCache = null) {
+  // Pass waitUntil (the Worker's ctx.waitUntil) to refresh stale entries and
+  // write the cache in the background; without it that happens inline
+  constructor(apiKey, kvCache = null, { waitUntil = null } = {}) {
     this.apiKey = apiKey;
-    this.baseUrl = 'https://api.neynar.com/v2';
+    this.baseUrl = NEYNAR_API_URL;
     this.kvCache = kvCache;
+    this.waitUntil = waitUntil;
     this.cacheTTL = 3600; // 1 hour cache
+    this.metrics = {
+      hits: 0,
+      staleHits: 0,
+      negativeHits: 0,
+      misses: 0,
+      apiRequests: 0,
+      retries: 0,
+      failures: 0
+    };
   }
 
   async getUsersByFids(fids) {
     if (!fids || fids.length === 0) return {};
     
-    const allUsers = {};
-    const uncachedFids = [];
-    
-    // Check cache first if available
-    if (this.kvCache) {
-      const cachePromises = fids.map(fid => 
-        this.kvCache.get(`user:${fid}`, { type: 'json' })
-      );
-      const cachedResults = await Promise.all(cachePromises);
-      
-      fids.forEach((fid, index) => {
-        if (cachedResults[index]) {
-          allUsers[fid] = cachedResults[index];
-        } else {
-          uncachedFids.push(fid);
-        }
-      });
-    } else {
-      uncachedFids.push(...fids);
-    }
-    
-    // Fetch uncached users
-    if (uncachedFids.length > 0) {
-      // Batch fetch users (Neynar supports up to 100 FIDs per request)
-      const batchSize = 100;
-      const batches = [];
-      
-      for (let i = 0; i < uncachedFids.length; i += batchSize) {
-        batches.push(uncachedFids.slice(i, i + batchSize));
-      }
+    // Neynar supports up to 100 FIDs per request
+    return this.lookup('user', fids, async (uncachedFids) => {
+      const found = {};
+      const failed = [];
       
-      for (const batch of batches) {
-        const response = await fetch(
-          `${this.baseUrl}/farcaster/user/bulk/?fids=${batch.join(',')}`,
-          {
-            headers: {
-              'x-api-key': this.apiKey,
-              'x-neynar-experimental': 'false'
-            }
-          }
-        );
+      for (const batch of chunk(uncachedFids, 100)) {
+        const response = await this.request(`/farcaster/user/bulk/?fids=${batch.join(',')}`);
         
-        if (!response.ok) {
-          console.error('Failed to fetch users from Neynar:', response.statusText);
+        if (!response?.ok) {
+          console.error('Failed to fetch users from Neynar:', response?.statusText ?? 'network error');
+          failed.push(...batch);
           continue;
         }
         
         const data = await response.json();
-        
-        // Process and cache results
-        const cachePromises = [];
-        
         for (const user of data.users) {
-          const userData = {
-            fid: user.fid,
-            username: user.username,
-            displayName: user.display_name,
-            pfpUrl: user.pfp_url,
-            followerCount: user.follower_count,
-            followingCount: user.following_count,
-            bio: user.profile?.bio?.text,
-            primaryAddress: user.verified_addresses?.eth_addresses?.[0] || null,
-            powerBadge: user.power_badge || false
-          };
-          
-          allUsers[user.fid] = userData;
-          
-          // Cache the result
-          if (this.kvCache) {
-            cachePromises.push(
-              this.kvCache.put(`user:${user.fid}`, JSON.stringify(userData), {
-                expirationTtl: this.cacheTTL
-              })
-            );
-          }
-        }
-        
-        // Wait for all cache writes to complete
-        if (cachePromises.length > 0) {
-          await Promise.all(cachePromises);
+          found[user.fid] = formatUser(user);
         }
       }
-    }
-    
-    return allUsers;
+      
+      return { found, failed };
+    });
   }
 
   async getUser(fid) {
@@ -102,59 +130,61 @@ export class NeynarClient {
   }
 
   async getUserByUsername(username) {
-    // Check cache first
-    if (this.kvCache) {
-      const cached = await this.kvCache.get(`username:${username}`, { type: 'json' });
-      if (cached) {
-        return cached;
+    const users = await this.lookup('username', [username], async () => {
+      const response = await this.request(`/farcaster/user/by_username/?username=${encodeURIComponent(username)}`);
+      
+      // Unknown usernames come back as 404
+      if (response?.status === 404) {
+        return { found: {}, failed: [] };
       }
-    }
-    
-    const response = await fetch(
-      `${this.baseUrl}/farcaster/user/by_username/?username=${encodeURIComponent(username)}`,
-      {
-        headers: {
-          'x-api-key': this.apiKey,
-          'x-neynar-experimental': 'false'
-        }
+      
+      if (!response?.ok) {
+        console.error('Failed to fetch user by username from Neynar:', response?.statusText ?? 'network error');
+        return { found: {}, failed: [username] };
       }
-    );
-    
-    if (!response.ok) {
-      console.error('Failed to fetch user by username from Neynar:', response.statusText);
-      return null;
-    }
-    
-    const data = await response.json();
-    const user = data.user;
+      
+      const data = await response.json();
+      return { found: data.user ? { [username]: formatUser(data.user) } : {}, failed: [] };
+    });
     
-    if (!user) return null;
+    return users[username] || null;
+  }
+
+  // Resolve wallet addresses (custody or verified) to users.
+  // Returns an object keyed by lowercased address; unknown addresses are left out.
+  async getUsersByAddresses(addresses) {
+    if (!addresses || addresses.length === 0) return {};
     
-    const userData = {
-      fid: user.fid,
-      username: user.username,
-      displayName: user.display_name,
-      pfpUrl: user.pfp_url,
-      followerCount: user.follower_count,
-      followingCount: user.following_count,
-      bio: user.profile?.bio?.text,
-      primaryAddress: user.verified_addresses?.eth_addresses?.[0] || null,
-      powerBadge: user.power_badge || false
-    };
+    const uniqueAddresses = [...new Set(addresses.map(address => address.toLowerCase()))];
     
-    // Cache both by username and FID
-    if (this.kvCache) {
-      await Promise.all([
-        this.kvCache.put(`username:${username}`, JSON.stringify(userData), {
-          expirationTtl: this.cacheTTL
-        }),
-        this.kvCache.put(`user:${user.fid}`, JSON.stringify(userData), {
-          expirationTtl: this.cacheTTL
-        })
-      ]);
-    }
-    
-    return userData;
+    // Neynar supports up to 350 addresses per request
+    return this.lookup('address', uniqueAddresses, async (uncachedAddresses) => {
+      const found = {};
+      const failed = [];
+      
+      for (const batch of chunk(uncachedAddresses, 350)) {
+        const response = await this.request(`/farcaster/user/bulk-by-address/?addresses=${batch.join(',')}`);
+        
+        // Neynar answers 404 when none of the addresses belong to a user
+        if (response?.status === 404) continue;
+        
+        if (!response?.ok) {
+          console.error('Failed to fetch users by address from Neynar:', response?.statusText ?? 'network error');
+          failed.push(...batch);
+          continue;
+        }
+        
+        const data = await response.json();
+        for (const [address, users] of Object.entries(data)) {
+          if (!users || users.length === 0) continue;
+          
+          // An address can be verified by several accounts; take the first one Neynar returns
+          found[address.toLowerCase()] = formatUser(users[0]);
+        }
+      }
+      
+      return { found, failed };
+    });
   }
 
   async getCastsByHashes(hashes) {
@@ -162,119 +192,203 @@ export class NeynarClient {
     
     // Remove duplicates
     const uniqueHashes = [...new Set(hashes)];
-    const allCasts = {};
-    const uncachedHashes = [];
-    
-    // Check cache first if available
-    if (this.kvCache) {
-      const cachePromises = uniqueHashes.map(hash => 
-        this.kvCache.get(`cast:${hash}`, { type: 'json' })
-      );
-      const cachedResults = await Promise.all(cachePromises);
-      
-      uniqueHashes.forEach((hash, index) => {
-        if (cachedResults[index]) {
-          allCasts[hash] = cachedResults[index];
-        } else {
-          uncachedHashes.push(hash);
-        }
-      });
-    } else {
-      uncachedHashes.push(...uniqueHashes);
-    }
     
-    // Fetch uncached casts
-    if (uncachedHashes.length > 0) {
-      // Batch fetch casts (Neynar supports up to 50 casts per request)
-      const batchSize = 50;
-      const batches = [];
+    return this.lookup('cast', uniqueHashes, async (uncachedHashes) => {
+      const found = {};
+      const failed = [];
       
-      for (let i = 0; i < uncachedHashes.length; i += batchSize) {
-        batches.push(uncachedHashes.slice(i, i + batchSize));
-      }
+      // Neynar supports up to 50 casts per request
+      const batches = chunk(uncachedHashes, 50);
       
-      for (const batch of batches) {
-        const response = await fetch(
-          `${this.baseUrl}/farcaster/casts/?casts=${batch.join(',')}`,
-          {
-            headers: {
-              'x-api-key': this.apiKey,
-              'x-neynar-experimental': 'false'
-            }
+      while (batches.length > 0) {
+        const batch = batches.shift();
+        const response = await this.request(`/farcaster/casts/?casts=${batch.join(',')}`);
+        
+        // A deleted cast can fail the whole batch, so ask for each cast on its
+        // own to find out which one is gone
+        if (response?.status === 404) {
+          if (batch.length > 1) {
+            batches.push(...batch.map(hash => [hash]));
           }
-        );
+          continue;
+        }
         
-        if (!response.ok) {
-          console.error('Failed to fetch casts from Neynar:', response.statusText);
+        if (!response?.ok) {
+          console.error('Failed to fetch casts from Neynar:', response?.statusText ?? 'network error');
+          failed.push(...batch);
           continue;
         }
         
         const data = await response.json();
-        const cachePromises = [];
-        
         for (const result of data.result.casts) {
           const cast = result.cast || result;
-          
-          // Process first embed - could be a URL, image, or cast
-          let firstEmbed = null;
-          if (cast.embeds && cast.embeds.length > 0) {
-            const embed = cast.embeds[0];
-            
-            // Check if it's a cast embed (quote cast)
-            if (embed.cast_id || embed.cast) {
-              firstEmbed = {
-                type: 'cast',
-                cast_id: embed.cast_id,
-                cast_hash: embed.cast_id?.hash || embed.cast?.hash,
-                cast_text: embed.cast?.text || null,
-                cast_author: embed.cast?.author?.username || null
-              };
-            } 
-            // Check if it's a URL/image embed
-            else if (embed.url) {
-              firstEmbed = {
-                type: embed.metadata?.content_type?.startsWith('image/') ? 'image' : 'url',
-                url: embed.url,
-                metadata: embed.metadata || null
-              };
-            }
-            // Otherwise just pass through the raw embed
-            else {
-              firstEmbed = embed;
-            }
-          }
-          
-          const castData = {
-            hash: cast.hash,
-            text: cast.text || '',
-            timestamp: cast.timestamp,
-            firstEmbed: firstEmbed
-          };
-          
-          allCasts[cast.hash] = castData;
-          
-          // Cache the result
-          if (this.kvCache) {
-            cachePromises.push(
-              this.kvCache.put(`cast:${cast.hash}`, JSON.stringify(castData), {
-                expirationTtl: this.cacheTTL
-              })
-            );
-          }
-        }
-        
-        // Wait for all cache writes to complete
-        if (cachePromises.length > 0) {
-          await Promise.all(cachePromises);
+          found[cast.hash] = formatCast(cast);
         }
       }
-    }
-    
-    return allCasts;
+      
+      return { found, failed };
+    });
   }
 
   async getCast(hash) {
     const casts = await this.getCastsByHashes([hash]);
     return casts[hash] || null;
   }
+
+  // Cache counters for this client's lifetime (one request in the Worker)
+  getMetrics() {
+    const lookups = this.metrics.hits + this.metrics.staleHits + this.metrics.negativeHits + this.metrics.misses;
+    return {
+      ...this.metrics,
+      lookups,
+      hitRate: lookups > 0 ? (lookups - this.metrics.misses) / lookups : null
+    };
+  }
+
+  // Read keys through the KV cache. fetchUncached(keys) asks Neynar for the
+  // rest and returns { found: { key: value }, failed: [keys] }. Keys it didn't
+  // find are cached as misses; failed keys fall back to stale entries.
+  async lookup(kind, keys, fetchUncached) {
+    const results = {};
+    const stale = {};
+    const uncached = [];
+    
+    const entries = this.kvCache
+      ? await Promise.all(keys.map(key => this.kvCache.get(`${kind}:${key}`, { type: 'json' })))
+      : [];
+    
+    keys.forEach((key, index) => {
+      const entry = readEntry(entries[index]);
+      
+      if (!entry) {
+        this.metrics.misses++;
+        uncached.push(key);
+      } else if (entry.expiresAt > Date.now()) {
+        if (entry.value === null) {
+          this.metrics.negativeHits++;
+        } else {
+          this.metrics.hits++;
+          results[key] = entry.value;
+        }
+      } else {
+        this.metrics.staleHits++;
+        stale[key] = entry.value;
+      }
+    });
+    
+    const staleKeys = Object.keys(stale);
+    if (staleKeys.length > 0 && this.waitUntil) {
+      // Serve what we have now and refresh it after the response
+      for (const key of staleKeys) {
+        if (stale[key] !== null) results[key] = stale[key];
+      }
+      this.waitUntil(this.fetchAndStore(kind, staleKeys, fetchUncached).catch(error =>
+        console.error(`Failed to refresh stale Neynar ${kind} entries:`, error)
+      ));
+    } else {
+      uncached.push(...staleKeys);
+    }
+    
+    if (uncached.length === 0) return results;
+    
+    const { found, failed } = await this.fetchAndStore(kind, uncached, fetchUncached);
+    Object.assign(results, found);
+    
+    for (const key of failed) {
+      if (stale[key] !== undefined && stale[key] !== null) {
+        results[key] = stale[key];
+      }
+    }
+    
+    return results;
+  }
+
+  async fetchAndStore(kind, keys, fetchUncached) {
+    const { found, failed } = await fetchUncached(keys);
+    
+    if (this.kvCache) {
+      const failedKeys = new Set(failed.map(String));
+      const writes = keys
+        .filter(key => !failedKeys.has(String(key)))
+        .map(key => {
+          const value = found[key] ?? null;
+          const ttl = value === null ? NEGATIVE_TTL : this.cacheTTL;
+          return this.kvCache.put(
+            `${kind}:${key}`,
+            JSON.stringify({ value, expiresAt: Date.now() + ttl * 1000 }),
+            { expirationTtl: value === null ? NEGATIVE_TTL : this.cacheTTL + STALE_TTL }
+          );
+        });
+      
+      // Cache writes never hold up the response when we can run them after it
+      const written = Promise.all(writes).catch(error => console.error(`Failed to cache Neynar ${kind} entries:`, error));
+      if (this.waitUntil) {
+        this.waitUntil(written);
+      } else {
+        await written;
+      }
+    }
+    
+    return { found, failed };
+  }
+
+  // GET a Neynar path, retrying rate limits, server errors and network
+  // failures. Returns the last response, or null if the network never answered.
+  async request(path) {
+    for (let attempt = 0; ; attempt++) {
+      let response = null;
+      this.metrics.apiRequests++;
+      
+      try {
+        response = await fetch(`${this.baseUrl}${path}`, {
+          headers: {
+            'x-api-key': this.apiKey,
+            'x-neynar-experimental': 'false'
+          }
+        });
+        
+        if (response.status !== 429 && response.status < 500) {
+          if (!response.ok && response.status !== 404) {
+            this.metrics.failures++;
+          }
+          return response;
+        }
+      } catch (error) {
+        console.error('Neynar request failed:', error.message);
+      }
+      
+      const delay = retryDelay(response, attempt);
+      if (attempt >= MAX_RETRIES || delay > MAX_RETRY_DELAY_MS) {
+        this.metrics.failures++;
+        return response;
+      }
+      
+      this.metrics.retries++;
+      await sleep(delay);
+    }
+  }
+}
+
+// Old entries were the bare value; treat them as fresh until KV expires them
+function readEntry(entry) {
+  if (!entry) return null;
+  if (typeof entry === 'object' && 'expiresAt' in entry) return entry;
+  return { value: entry, expiresAt: Infinity };
+}
+
+// How long to wait before retrying: whatever Retry-After or
+// X-RateLimit-Reset ask for, otherwise exponential backoff with jitter
+function retryDelay(response, attempt) {
+  const retryAfter = response?.headers.get('retry-after');
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    return Number.isNaN(seconds) ? Math.max(0, new Date(retryAfter).getTime() - Date.now()) : seconds * 1000;
+  }
+
+  const reset = response?.headers.get('x-ratelimit-reset');
+  if (reset && !Number.isNaN(Number(reset))) {
+    return Math.max(0, Number(reset) * 1000 - Date.now());
+  }
+
+  return BASE_RETRY_DELAY_MS * 2 ** attempt + Math.random() * 100;
 }
\ No newline at end of file
@@ -0,0 +1,114 @@
+import { components } from './schemas.js';
+
+// OpenAPI 3.1 document for the API, served at GET /openapi.json and built from
+// the routes themselves. A documented route starts with describeRoute(),
+// naming the operation and its response schema (src/schemas.js):
+//
+//   app.get('/analytics/user/:fid', describeRoute({ operationId: 'getUserProfile', summary: 'Bids by a user', response: 'UserBidHistory' }), validate(...), ...)
+//
+// Middleware later in the chain add what they bring: validate() its params
+// and the 400, the auth middleware the bearer token, 401 and 403, and
+// middleware used app-wide (app.use('*', ...)) add theirs to every route,
+// like the rate limiter's 429. Routes without describeRoute() are left out. The frontend's src/api.js is
+// generated from this document by scripts/generate-client.js.
+
+const API_URL = 'https://simps-api.kasra.codes';
+
+const ERROR_DESCRIPTIONS = {
+  400: 'Invalid params (invalid_params)',
+  401: 'Missing or invalid Quick Auth token',
+  403: 'Not an admin',
+  404: 'Not found',
+  409: 'A sync or reconciliation already holds the sync lock (sync_in_progress)',
+  429: 'Rate limit exceeded (rate_limited); see the Retry-After header',
+  500: 'The job failed'
+};
+
+// Pass-through middleware carrying a route's OpenAPI description. errors
+// lists the statuses the route itself answers with besides 200.
+export function describeRoute({ operationId, summary, description = undefined, tags = [], response, errors = [] }) {
+  const middleware = async (c, next) => next();
+  middleware.openapi = { operationId, summary, description, tags, response, errors };
+  return middleware;
+}
+
+// The document for a Hono app's described routes (app.routes)
+export function buildOpenApiDocument(routes) {
+  const paths = {};
+  
+  for (const { method, path, meta } of describedRoutes(routes)) {
+    const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = { ...paths[openApiPath], [method.toLowerCase()]: describeOperation(meta) };
+  }
+  
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Simps R Us API',
+      version: '1.0.0',
+      description: 'Bids, auctions and leaderboards for Farcaster cast auctions on Base. Errors share one shape (ErrorResponse); amounts are in USD cents.'
+    },
+    servers: [{ url: API_URL }],
+    paths,
+    components: {
+      schemas: components,
+      securitySchemes: {
+        quickAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Farcaster Quick Auth token'
+        }
+      }
+    }
+  };
+}
+
+// Each route with its handlers' descriptions merged, in order
+function describedRoutes(routes) {
+  const described = new Map();
+  const appWideErrors = routes
+    .filter(({ method, path, handler }) => method === 'ALL' && path === '/*' && handler.openapi)
+    .flatMap(({ handler }) => handler.openapi.errors || []);
+  
+  for (const { method, path, handler } of routes) {
+    if (method === 'ALL' || !handler.openapi) continue;
+    
+    const key = `${method} ${path}`;
+    const meta = described.get(key)?.meta || { parameters: [], errors: appWideErrors };
+    const { parameters = [], errors = [], ...rest } = handler.openapi;
+    described.set(key, {
+      method,
+      path,
+      meta: {
+        ...meta,
+        ...rest,
+        parameters: [...meta.parameters, ...parameters],
+        errors: [...meta.errors, ...errors]
+      }
+    });
+  }
+  
+  return [...described.values()].filter(route => route.meta.operationId);
+}
+
+function describeOperation({ operationId, summary, description, tags, response, parameters, errors, security }) {
+  const responses = {
+    200: { description: 'OK', content: jsonContent(response) }
+  };
+  for (const status of [...new Set(errors)].sort()) {
+    responses[status] = { description: ERROR_DESCRIPTIONS[status], content: jsonContent('ErrorResponse') };
+  }
+  responses.default = { description: 'Unexpected error (internal_error)', content: jsonContent('ErrorResponse') };
+  
+  const operation = { operationId, summary, tags };
+  if (description) operation.description = description;
+  if (parameters.length > 0) operation.parameters = parameters;
+  if (security) operation.security = security;
+  operation.responses = responses;
+  return operation;
+}
+
+function jsonContent(schemaName) {
+  return { 'application/json': { schema: { $ref: `#/components/schemas/${schemaName}` } } };
+}
\ No newline at end of file
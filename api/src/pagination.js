@@ -0,0 +1,115 @@
+// Cursor pagination for list routes.
+//
+// Each list orders by a sort tuple, all descending, that ends in a unique
+// column so no two rows tie. A page's nextCursor is the tuple of its last row,
+// and the next page is the rows sorting after it. Rows a sync adds or removes
+// meanwhile don't shift later pages, as they did with OFFSET.
+//
+// A route describes its tuple once and uses it for the cursor param, the
+// WHERE clause and the cursor of the page it returns:
+//
+//   const AUCTIONS_SORT = [{ column: 'a.created_at', type: 'timestamp' }, { column: 'a.id', type: 'integer' }];
+//
+// column is the SQL to compare and field the row property holding its value
+// (by default, the column name after the table alias). Cursors are base64url
+// JSON of the values; clients should treat them as opaque.
+//
+// Timestamps don't go through a JS Date, which would cut Postgres's
+// microseconds to milliseconds and read the zoneless column in the Worker's
+// timezone. The query encodes them as epoch microseconds instead, selected
+// with cursorColumns, and the WHERE clause turns the cursor back into the
+// exact timestamp, so the column itself is compared and its index still used:
+//
+//   SELECT a.*, ${cursorColumns(AUCTIONS_SORT)} FROM auctions a ...
+
+// Cursor value types: how to check a decoded value, and how to encode one
+// from a query row. Numerics travel as strings to keep their precision, and
+// so do timestamps, with the SQL that encodes and decodes them.
+const CURSOR_TYPES = {
+  integer: {
+    check: (value) => Number.isSafeInteger(value),
+    encode: (value) => Number(value)
+  },
+  numeric: {
+    check: (value) => typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value),
+    encode: (value) => String(value)
+  },
+  timestamp: {
+    check: (value) => typeof value === 'string' && /^-?\d+$/.test(value),
+    encode: (value) => String(value),
+    sql: (column) => `(EXTRACT(EPOCH FROM ${column}) * 1000000)::bigint`,
+    placeholder: (param) => `(TIMESTAMP 'epoch' + ${param}::bigint * INTERVAL '1 microsecond')`
+  }
+};
+
+// Select-list entries for the sort values a query encodes in SQL, to add to
+// the SELECT of any route whose sort tuple has a timestamp
+export function cursorColumns(sortKey) {
+  return sortKey
+    .filter(key => CURSOR_TYPES[key.type].sql)
+    .map(key => `${CURSOR_TYPES[key.type].sql(key.column)} as ${cursorFieldOf(key)}`)
+    .join(', ');
+}
+
+// The cursor for a row
+export function encodeCursor(sortKey, row) {
+  const values = sortKey.map(key => CURSOR_TYPES[key.type].encode(row[cursorFieldOf(key)]));
+  return btoa(JSON.stringify(values)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// A cursor's values, or null when it isn't a cursor for this sort tuple
+export function decodeCursor(sortKey, cursor) {
+  let values;
+  try {
+    values = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+  } catch {
+    return null;
+  }
+  
+  const valid = Array.isArray(values)
+    && values.length === sortKey.length
+    && sortKey.every((key, index) => CURSOR_TYPES[key.type].check(values[index]));
+  return valid ? values : null;
+}
+
+// SQL condition for the rows after a cursor ('TRUE' on the first page). The
+// cursor values are appended to params, so build the clause after the
+// params it follows.
+export function afterCursor(sortKey, cursor, params) {
+  if (!cursor) return 'TRUE';
+  
+  const placeholders = sortKey.map((key, index) => {
+    params.push(cursor[index]);
+    return CURSOR_TYPES[key.type].placeholder?.(`$${params.length}`) || `$${params.length}::${key.type}`;
+  });
+  return `(${sortKey.map(key => key.column).join(', ')}) < (${placeholders.join(', ')})`;
+}
+
+// Split the rows of a query that asked for limit + 1 into the page and the
+// cursor for the next one (null on the last page)
+export function toPage(sortKey, rows, limit) {
+  if (rows.length <= limit) return { rows, nextCursor: null };
+  
+  const pageRows = rows.slice(0, limit);
+  return { rows: pageRows, nextCursor: encodeCursor(sortKey, pageRows[pageRows.length - 1]) };
+}
+
+// The pagination object list responses carry
+export function pageInfo(limit, total, nextCursor) {
+  return {
+    limit,
+    total: parseInt(total) || 0,
+    nextCursor,
+    hasMore: nextCursor !== null
+  };
+}
+
+function fieldOf(key) {
+  return key.field || key.column.split('.').pop();
+}
+
+// The row property holding a key's cursor value: the field itself, or the
+// cursorColumns alias for values encoded in SQL
+function cursorFieldOf(key) {
+  return CURSOR_TYPES[key.type].sql ? `${fieldOf(key)}_cursor` : fieldOf(key);
+}
\ No newline at end of file
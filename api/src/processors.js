@@ -0,0 +1,347 @@
+import { parseAuctionStartedEvent, parseBidPlacedEvent, parseAuctionExtendedEvent, parseAuctionSettledEvent, parseAuctionCancelledEvent, getBlocks, getAuctionDataBatch, parseTransferEvent } from './contract.js';
+import { saveAddressFid, saveOutbid, saveCreatorEarnings, getFidsByAddresses } from './db.js';
+import { getNetwork } from './networks.js';
+import { recordBidStats, refreshCreatorStats } from './stats.js';
+import { formatCastHash } from './utils.js';
+
+// Event processors shared by the Worker sync and the backfill CLI, so live
+// sync and historical repair always store an event the same way
+
+// Events whose rows store the block timestamp
+const TIMESTAMPED_EVENTS = new Set(['AuctionStarted', 'BidPlaced', 'AuctionSettled', 'AuctionCancelled', 'Transfer']);
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Write one decoded event using a connected db client (normally inside the
+// batch transaction). Returns false for events we don't index.
+export async function processEvent(db, context, event) {
+  if (event.eventName === 'AuctionStarted') {
+    await processAuctionStartedEvent(db, context, event);
+  } else if (event.eventName === 'BidPlaced') {
+    await processBidPlacedEvent(db, context, event);
+  } else if (event.eventName === 'AuctionExtended') {
+    await processAuctionExtendedEvent(db, event);
+  } else if (event.eventName === 'AuctionSettled') {
+    await processAuctionSettledEvent(db, context, event);
+  } else if (event.eventName === 'AuctionCancelled') {
+    await processAuctionCancelledEvent(db, context, event);
+  } else if (event.eventName === 'Transfer') {
+    await processTransferEvent(db, context, event);
+  } else {
+    return false;
+  }
+  return true;
+}
+
+// Read everything a batch needs from the chain before the write transaction
+// opens. Each distinct block is fetched once, and all new auctions' parameters
+// come back from a single multicall.
+export async function loadBatchContext(client, events, toBlock, finalizedBlock) {
+  const { network } = client;
+  const blockNumbers = events
+    .filter(event => needsTimestamp(network, event))
+    .map(event => event.blockNumber);
+  if (toBlock > finalizedBlock) {
+    blockNumbers.push(toBlock);
+  }
+  
+  const startedCastHashes = events
+    .filter(event => event.eventName === 'AuctionStarted')
+    .map(event => event.args.castHash);
+  
+  const [blocks, auctionData] = await Promise.all([
+    getBlocks(client, blockNumbers),
+    getAuctionDataBatch(client, startedCastHashes)
+  ]);
+  
+  return { network, blocks, auctionData };
+}
+
+// Look up P2P transfer parties we have no FID for with the profile provider
+// (Neynar verified addresses by default). Returns [address, fid] pairs to
+// store with the batch.
+export async function resolveTransferAddresses(env, profiles, events) {
+  if (!profiles) return [];
+  
+  const network = getNetwork(env);
+  const addresses = new Set();
+  for (const event of events) {
+    // The backfill passes auction events in the same list
+    if (event.eventName !== 'Transfer') continue;
+    
+    const data = parseTransferEvent(event);
+    if (isP2PTransfer(network, data)) {
+      addresses.add(data.fromAddress.toLowerCase());
+      addresses.add(data.toAddress.toLowerCase());
+    }
+  }
+  
+  if (addresses.size === 0) return [];
+  
+  const known = await getFidsByAddresses(env, [...addresses]);
+  const unknown = [...addresses].filter(address => !known.has(address));
+  if (unknown.length === 0) return [];
+  
+  const users = await profiles.getUsersByAddresses(unknown);
+  return Object.entries(users).map(([address, user]) => [address, user.fid]);
+}
+
+function needsTimestamp(network, event) {
+  // Non-P2P transfers are skipped, so their blocks don't need fetching
+  if (event.eventName === 'Transfer') {
+    return isP2PTransfer(network, parseTransferEvent(event));
+  }
+  return TIMESTAMPED_EVENTS.has(event.eventName);
+}
+
+
+async function processAuctionStartedEvent(db, context, event) {
+  const data = parseAuctionStartedEvent(event);
+  
+  // Get block timestamp
+  const timestamp = context.blocks.get(event.blockNumber).timestamp;
+  
+  // Get additional auction data from contract
+  const auctionData = context.auctionData.get(data.castHash);
+  
+  if (!auctionData) {
+    console.error(`Could not read auction data for ${data.castHash}`);
+    return;
+  }
+  
+  // Calculate end time from the event data
+  const endTime = new Date(data.endTime * 1000);
+  
+  const auctionResult = await db.query(
+    `INSERT INTO auctions (
+      cast_hash, creator_address, creator_fid, min_bid, 
+      min_bid_increment_bps, protocol_fee_bps, duration, 
+      extension, extension_threshold, end_time,
+      transaction_hash, block_number, authorizer, created_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    ON CONFLICT (cast_hash) DO NOTHING
+    RETURNING id`,
+    [
+      formatCastHash(data.castHash),
+      data.creator,
+      data.creatorFid,
+      auctionData.params.minBid,
+      auctionData.params.minBidIncrementBps,
+      auctionData.params.protocolFeeBps,
+      auctionData.params.duration,
+      auctionData.params.extension,
+      auctionData.params.extensionThreshold,
+      endTime,
+      data.transactionHash,
+      data.blockNumber.toString(),
+      data.authorizer,
+      timestamp
+    ]
+  );
+  
+  if (auctionResult.rows.length > 0) {
+    await refreshCreatorStats(db, [data.creatorFid]);
+  }
+  
+  await saveAddressFid(db, data.creator, data.creatorFid, 'creator');
+}
+
+async function processBidPlacedEvent(db, context, event) {
+  const data = parseBidPlacedEvent(event);
+  
+  // Get block timestamp
+  const timestamp = context.blocks.get(event.blockNumber).timestamp;
+  
+  // Find the auction ID
+  const auctionResult = await db.query(
+    'SELECT id, creator_fid FROM auctions WHERE cast_hash = $1',
+    [formatCastHash(data.castHash)]
+  );
+  
+  if (auctionResult.rows.length === 0) {
+    console.error(`Auction not found for bid on cast hash: ${data.castHash}`);
+    return;
+  }
+  
+  const { id: auctionId, creator_fid: creatorFid } = auctionResult.rows[0];
+  
+  const bidResult = await db.query(
+    `INSERT INTO bids (
+      auction_id, cast_hash, bidder_address, bidder_fid, 
+      amount, transaction_hash, log_index, block_number, authorizer, timestamp
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (transaction_hash, log_index) DO NOTHING
+    RETURNING id`,
+    [
+      auctionId,
+      formatCastHash(data.castHash),
+      data.bidder,
+      data.bidderFid,
+      data.amount,
+      data.transactionHash,
+      data.logIndex,
+      data.blockNumber.toString(),
+      data.authorizer,
+      timestamp
+    ]
+  );
+  
+  // Replays of a bid we already have return no row
+  if (bidResult.rows.length > 0) {
+    await saveOutbid(db, bidResult.rows[0].id);
+    await recordBidStats(db, {
+      id: bidResult.rows[0].id,
+      auctionId,
+      creatorFid,
+      bidderFid: data.bidderFid,
+      amount: data.amount,
+      timestamp
+    });
+  }
+  
+  await saveAddressFid(db, data.bidder, data.bidderFid, 'bidder');
+}
+
+async function processAuctionExtendedEvent(db, event) {
+  const data = parseAuctionExtendedEvent(event);
+  
+  // Late bids push the end time out, so keep it in sync with the contract
+  await db.query(
+    'UPDATE auctions SET end_time = $2, updated_block_number = $3 WHERE cast_hash = $1',
+    [
+      formatCastHash(data.castHash),
+      new Date(data.newEndTime * 1000),
+      data.blockNumber.toString()
+    ]
+  );
+  
+  console.log(`Auction extended: ${data.castHash} - New end time: ${data.newEndTime}`);
+}
+
+async function processAuctionSettledEvent(db, context, event) {
+  const data = parseAuctionSettledEvent(event);
+  
+  // Get block timestamp
+  const timestamp = context.blocks.get(event.blockNumber).timestamp;
+  
+  // Update the auction state to settled (3) and store winner information
+  const auctionResult = await db.query(
+    `UPDATE auctions 
+     SET state = 3,
+         winner_address = $2,
+         winner_fid = $3,
+         winning_bid = $4,
+         updated_block_number = $5
+     WHERE cast_hash = $1
+     RETURNING id, creator_fid`,
+    [
+      formatCastHash(data.castHash),
+      data.winner,
+      data.winnerFid,
+      data.amount,
+      data.blockNumber.toString()
+    ]
+  );
+  
+  for (const auction of auctionResult.rows) {
+    await saveCreatorEarnings(db, auction.id, {
+      settledAt: timestamp,
+      blockNumber: data.blockNumber,
+      transactionHash: data.transactionHash
+    });
+  }
+  
+  await refreshCreatorStats(db, auctionResult.rows.map(row => row.creator_fid));
+  
+  // Auctions that end without bids settle to the zero address
+  if (data.winner !== ZERO_ADDRESS) {
+    await saveAddressFid(db, data.winner, data.winnerFid, 'winner');
+  }
+  
+  console.log(`Auction settled: ${data.castHash} - Winner: ${data.winner} (FID: ${data.winnerFid}) - Amount: ${data.amount}`);
+}
+
+async function processAuctionCancelledEvent(db, context, event) {
+  const data = parseAuctionCancelledEvent(event);
+  
+  // Get block timestamp
+  const timestamp = context.blocks.get(event.blockNumber).timestamp;
+  
+  // Update the auction state to cancelled (4)
+  const auctionResult = await db.query(
+    'UPDATE auctions SET state = 4, updated_block_number = $2 WHERE cast_hash = $1 RETURNING id, creator_fid',
+    [formatCastHash(data.castHash), data.blockNumber.toString()]
+  );
+  
+  if (auctionResult.rows.length === 0) {
+    console.error(`Auction not found for cancellation on cast hash: ${data.castHash}`);
+    return;
+  }
+  
+  await refreshCreatorStats(db, [auctionResult.rows[0].creator_fid]);
+  
+  // Record who got refunded and who authorized the cancellation
+  await db.query(
+    `INSERT INTO auction_cancellations (
+      auction_id, cast_hash, refunded_bidder_address, refunded_bidder_fid,
+      authorizer, transaction_hash, block_number, timestamp
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (cast_hash) DO NOTHING`,
+    [
+      auctionResult.rows[0].id,
+      formatCastHash(data.castHash),
+      data.refundedBidder,
+      data.refundedBidderFid,
+      data.authorizer,
+      data.transactionHash,
+      data.blockNumber.toString(),
+      timestamp
+    ]
+  );
+  
+  console.log(`Auction cancelled: ${data.castHash} - Refunded: ${data.refundedBidder} (FID: ${data.refundedBidderFid})`);
+}
+
+// Only consider transfers as P2P if they meet ALL these criteria:
+// 1. NOT from the zero address (mints)
+// 2. NOT to the zero address (burns)
+// 3. NOT from the auction contract
+// 4. NOT to the auction contract
+export function isP2PTransfer(network, data) {
+  const from = data.fromAddress.toLowerCase();
+  const to = data.toAddress.toLowerCase();
+  const auctionContract = network.auctionContract.toLowerCase();
+  
+  return from !== ZERO_ADDRESS && to !== ZERO_ADDRESS &&
+    from !== auctionContract && to !== auctionContract;
+}
+
+async function processTransferEvent(db, context, event) {
+  const data = parseTransferEvent(event);
+  
+  // Only insert if it's a true P2P transfer
+  if (!isP2PTransfer(context.network, data)) {
+    return; // Skip non-P2P transfers entirely
+  }
+  
+  // Get block timestamp
+  const timestamp = context.blocks.get(event.blockNumber).timestamp;
+  
+  // Insert the P2P transfer record
+  await db.query(
+    `INSERT INTO transfers (
+      from_address, to_address, token_id, 
+      transaction_hash, block_number, timestamp, is_p2p
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    ON CONFLICT (transaction_hash, token_id) DO NOTHING`,
+    [
+      data.fromAddress,
+      data.toAddress,
+      data.tokenId,
+      data.transactionHash,
+      data.blockNumber.toString(),
+      timestamp,
+      true // Always true since we're only inserting P2P transfers
+    ]
+  );
+}
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { NeynarClient } from './neynar.js';
+import { HubClient } from './hub.js';
+import { LocalProfileProvider } from './local-profiles.js';
+
+// Where Farcaster profiles, usernames, verified addresses and cast content
+// come from, picked with the PROFILE_PROVIDER variable. Every provider has the
+// same methods and returns the same shapes as NeynarClient:
+//   getUsersByFids(fids), getUser(fid), getUserByUsername(username),
+//   getUsersByAddresses(addresses), getCastsByHashes(hashes), getCast(hash)
+// Providers with a cache may also have getMetrics() for its hit rate.
+const PROFILE_PROVIDERS = {
+  neynar: (env, kvCache, waitUntil) => new NeynarClient(env.NEYNAR_API_KEY, kvCache, { waitUntil }),
+
+  // Farcaster Hub HTTP API; no API key needed for self-hosted hubs
+  hub: (env, kvCache) => {
+    if (!env.FARCASTER_HUB_URL) {
+      throw new Error('PROFILE_PROVIDER hub needs FARCASTER_HUB_URL to be set');
+    }
+    return new HubClient(env.FARCASTER_HUB_URL, { apiKey: env.FARCASTER_HUB_API_KEY, kvCache });
+  },
+
+  // Fixture profiles from PROFILE_FIXTURES, stand-ins for everyone else
+  local: (env) => new LocalProfileProvider(parseFixtures(env.PROFILE_FIXTURES))
+};
+
+export const DEFAULT_PROFILE_PROVIDER = 'neynar';
+
+// Build the provider for an env (Worker bindings or process.env). Pass the KV
+// namespace to cache lookups in (the local provider never needs one), and
+// the Worker's waitUntil to let cache refreshes finish after the response.
+export function createProfileProvider(env, { kvCache = null, waitUntil = null } = {}) {
+  const name = env.PROFILE_PROVIDER || DEFAULT_PROFILE_PROVIDER;
+  const createProvider = PROFILE_PROVIDERS[name];
+
+  if (!createProvider) {
+    throw new Error(`Unknown PROFILE_PROVIDER "${name}", expected one of ${Object.keys(PROFILE_PROVIDERS).join(', ')}`);
+  }
+
+  return createProvider(env, kvCache, waitUntil);
+}
+
+// Whether an env picked a provider that can look anything up. Sync skips
+// resolving transfer parties without one rather than calling Neynar keyless.
+export function hasProfileProvider(env) {
+  return Boolean(env.PROFILE_PROVIDER || env.NEYNAR_API_KEY);
+}
+
+function parseFixtures(json) {
+  if (!json) return {};
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    throw new Error(`PROFILE_FIXTURES is not valid JSON: ${error.message}`);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,136 @@
+import { getTokenFid } from './auth.js';
+import { ApiError } from './errors.js';
+
+// Token-bucket rate limits, kept in the RateLimiter Durable Object.
+//
+// Each client gets a bucket per budget. A bucket holds up to `capacity`
+// tokens, every request takes one, and tokens come back at `refillPerMinute`.
+// Clients are keyed on their FID when they send a valid Quick Auth token,
+// and on their IP otherwise.
+//
+// Budgets:
+//   default   - every route, applied app-wide
+//   expensive - routes running the heavy queries or Neynar lookups, on top of default
+//   sync      - POST /sync, on top of default
+//
+// Override one with RATE_LIMIT_<BUDGET> set to "<capacity>,<refillPerMinute>"
+// (e.g. RATE_LIMIT_EXPENSIVE="20,10"), or "off" to turn it off. Every bucket is
+// its own Durable Object instance, which handles one request at a time, so
+// concurrent requests from anywhere can't spend the same token twice.
+
+const BUDGETS = {
+  default: { capacity: 120, refillPerMinute: 60 },
+  expensive: { capacity: 20, refillPerMinute: 10 },
+  sync: { capacity: 3, refillPerMinute: 1 }
+};
+
+// Hono middleware spending one token from the client's bucket for this budget.
+// Answers 429 rate_limited when it's empty. The RateLimit-* headers describe
+// the last budget the request went through, so a route's own budget wins over
+// the default one.
+export function rateLimit(budget) {
+  const middleware = async (c, next) => {
+    const namespace = c.env.RATE_LIMITER;
+    const limits = getBudget(c.env, budget);
+    if (!namespace || !limits) return next();
+    
+    const client = await clientKey(c);
+    let taken;
+    try {
+      const bucket = namespace.get(namespace.idFromName(`${budget}:${client}`));
+      const response = await bucket.fetch('https://rate-limiter/take', {
+        method: 'POST',
+        body: JSON.stringify(limits)
+      });
+      taken = await response.json();
+    } catch (error) {
+      // Don't take the API down with the limiter
+      console.error(`Rate limiter unavailable for ${budget}:${client}:`, error);
+      return next();
+    }
+    const { allowed, remaining, resetSeconds, retryAfterSeconds } = taken;
+    
+    c.header('RateLimit-Limit', String(limits.capacity));
+    c.header('RateLimit-Remaining', String(Math.floor(remaining)));
+    c.header('RateLimit-Reset', String(resetSeconds));
+    
+    if (!allowed) {
+      c.header('Retry-After', String(retryAfterSeconds));
+      throw new ApiError(429, 'rate_limited', 'Too many requests, slow down', {
+        budget,
+        limit: limits.capacity,
+        retryAfter: retryAfterSeconds
+      });
+    }
+    
+    await next();
+  };
+  
+  // For the OpenAPI document (src/openapi.js)
+  middleware.openapi = { errors: [429] };
+  return middleware;
+}
+
+// A budget's limits with any RATE_LIMIT_<BUDGET> override applied, or null
+// when it's turned off
+function getBudget(env, budget) {
+  const override = env[`RATE_LIMIT_${budget.toUpperCase()}`];
+  if (!override) return BUDGETS[budget];
+  if (override.trim() === 'off') return null;
+  
+  const [capacity, refillPerMinute] = override.split(',').map(value => Number(value.trim()));
+  if (!(capacity >= 1) || !(refillPerMinute > 0)) {
+    console.error(`Ignoring invalid RATE_LIMIT_${budget.toUpperCase()}: ${override}`);
+    return BUDGETS[budget];
+  }
+  return { capacity, refillPerMinute };
+}
+
+// fid:<fid> for a valid Quick Auth token, ip:<address> otherwise. A token
+// that doesn't verify counts against the IP; quickAuthMiddleware rejects it
+// on routes that need one.
+async function clientKey(c) {
+  const fid = await getTokenFid(c).catch(() => null);
+  if (fid) return `fid:${fid}`;
+  
+  return `ip:${c.req.header('CF-Connecting-IP') || 'unknown'}`;
+}
+
+// Durable Object holding a single bucket, named "<budget>:<client>" and bound
+// as RATE_LIMITER. POST a budget's { capacity, refillPerMinute } to take a
+// token; the answer says whether there was one, what's left, and the seconds
+// until the bucket is full again and until the next token.
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+  }
+  
+  async fetch(request) {
+    const { capacity, refillPerMinute } = await request.json();
+    const now = Date.now();
+    const refillPerMs = refillPerMinute / 60000;
+    
+    const bucket = await this.storage.get('bucket');
+    const tokens = bucket
+      ? Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) * refillPerMs)
+      : capacity;
+    const allowed = tokens >= 1;
+    const remaining = allowed ? tokens - 1 : tokens;
+    
+    const resetSeconds = Math.ceil((capacity - remaining) / refillPerMs / 1000);
+    const retryAfterSeconds = Math.ceil((1 - remaining) / refillPerMs / 1000);
+    
+    if (allowed) {
+      await this.storage.put('bucket', { tokens: remaining, updatedAt: now });
+      // A full bucket is the same as none, so drop it then instead of keeping
+      // an instance's storage around for every client ever seen
+      await this.storage.setAlarm(now + resetSeconds * 1000);
+    }
+    
+    return Response.json({ allowed, remaining, resetSeconds, retryAfterSeconds });
+  }
+  
+  async alarm() {
+    await this.storage.deleteAll();
+  }
+}
\ No newline at end of file
@@ -0,0 +1,296 @@
+import { createViemClient, createRpcStats, getAuctionDataBatch, getAuctionBidEvents } from './contract.js';
+import { getNetwork } from './networks.js';
+import { executeQuery, withTransaction, getLastSyncedBlock, releaseSyncLock, rebuildAuctionOutbids, saveCreatorEarnings } from './db.js';
+import { loadBatchContext, processEvent } from './processors.js';
+import { takeSyncLock, heartbeat, confirmLease } from './sync.js';
+import { refreshCreatorStats } from './stats.js';
+import { padCastHash } from './utils.js';
+import { purgeCacheTags } from './cache.js';
+
+// Settled, cancelled and recovered auctions never change again
+const FINAL_STATES = [3, 4, 5];
+
+// Base produces a block every 2 seconds
+const BLOCK_TIME_SECONDS = 2;
+
+// Slack added to the estimated end block when re-reading an auction's bids
+const END_BLOCK_MARGIN = 1800n;
+
+// Block range per getLogs call when re-reading an auction's bids
+const BID_LOG_BLOCK_RANGE = 5000n;
+
+// How often a pass renews its sync lease, repairs or not, well inside the
+// 120 second lease
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Compare every non-final auction with the contract and repair the database.
+// The contract is read as of the auction sync cursor, so events the sync
+// hasn't reached yet don't show up as drift. chainSource works as in syncEvents.
+export async function reconcileAuctions(env, { trigger = 'cron', chainSource } = {}) {
+  const lock = await takeSyncLock(env, `reconcile-${trigger}`);
+  const startedAt = new Date();
+  
+  try {
+    const rpcStats = createRpcStats();
+    const client = createViemClient(getNetwork(env), { rpcStats, chainSource });
+    
+    const syncedBlock = await getLastSyncedBlock(env);
+    
+    const auctionsResult = await executeQuery(
+      env,
+      `SELECT
+        a.id,
+        a.cast_hash,
+        a.state,
+        a.creator_fid,
+        a.end_time,
+        a.block_number,
+        a.created_at,
+        COALESCE(MAX(b.amount), 0) as highest_bid,
+        COUNT(b.id) as bid_count
+      FROM auctions a
+      LEFT JOIN bids b ON b.auction_id = a.id
+      WHERE a.state NOT IN (${FINAL_STATES.join(', ')})
+        AND a.block_number <= $1
+      GROUP BY a.id`,
+      [syncedBlock.toString()]
+    );
+    
+    const auctions = auctionsResult.rows;
+    const chainData = await getAuctionDataBatch(
+      client,
+      auctions.map(auction => padCastHash(auction.cast_hash)),
+      { blockNumber: syncedBlock }
+    );
+    
+    const discrepancies = [];
+    const repairedCreatorFids = new Set();
+    let lastHeartbeatAt = Date.now();
+    
+    for (const [index, auction] of auctions.entries()) {
+      if (Date.now() - lastHeartbeatAt >= HEARTBEAT_INTERVAL_MS) {
+        await heartbeat(env, lock, 'reconcile', {
+          auctionsChecked: index,
+          auctionsTotal: auctions.length,
+          discrepanciesFound: discrepancies.length
+        });
+        lastHeartbeatAt = Date.now();
+      }
+      
+      const onChain = chainData.get(padCastHash(auction.cast_hash));
+      
+      if (!onChain) {
+        console.error(`Could not read auction data for ${auction.cast_hash} during reconciliation`);
+        continue;
+      }
+      
+      const auctionDiscrepancies = findDiscrepancies(auction, onChain);
+      if (auctionDiscrepancies.length === 0) continue;
+      
+      // Each repair renews the lease as it commits
+      await repairAuction(env, client, lock, syncedBlock, auction, onChain, auctionDiscrepancies);
+      discrepancies.push(...auctionDiscrepancies);
+      repairedCreatorFids.add(auction.creator_fid);
+      lastHeartbeatAt = Date.now();
+    }
+    
+    const runId = await saveReport(env, syncedBlock, auctions.length, discrepancies, startedAt);
+    
+    const fixedCount = discrepancies.filter(discrepancy => discrepancy.fixed).length;
+    
+    if (repairedCreatorFids.size > 0) {
+      await purgeCacheTags(env, [
+        'auctions', 'bids', 'settlements',
+        ...[...repairedCreatorFids].map(fid => `fid:${fid}`)
+      ]).catch(error => console.error('Failed to purge response cache:', error));
+    }
+    console.log(`Reconciled ${auctions.length} auctions at block ${syncedBlock}: ${discrepancies.length} discrepancies, ${fixedCount} fixed`);
+    console.log(`RPC usage: ${rpcStats.httpRequests} HTTP requests, calls by method: ${JSON.stringify(rpcStats.calls)}`);
+    
+    return {
+      runId,
+      blockNumber: syncedBlock,
+      auctionsChecked: auctions.length,
+      discrepanciesFound: discrepancies.length,
+      discrepanciesFixed: fixedCount,
+      discrepancies
+    };
+  } finally {
+    await releaseSyncLock(env, lock.ownerId);
+  }
+}
+
+// The contract keeps an auction Active after its end time until someone
+// settles it; we store that as Ended so it stops showing as live
+function expectedState(onChain) {
+  if (onChain.state === 1 && onChain.endTime * 1000 <= Date.now()) {
+    return 2;
+  }
+  return onChain.state;
+}
+
+function findDiscrepancies(auction, onChain) {
+  const discrepancies = [];
+  const add = (field, dbValue, chainValue) => discrepancies.push({
+    auctionId: auction.id,
+    castHash: auction.cast_hash,
+    field,
+    dbValue: String(dbValue),
+    chainValue: String(chainValue),
+    fixed: false
+  });
+  
+  const state = expectedState(onChain);
+  if (auction.state !== state) {
+    add('state', auction.state, state);
+  }
+  
+  const endTime = new Date(onChain.endTime * 1000);
+  if (new Date(auction.end_time).getTime() !== endTime.getTime()) {
+    add('end_time', new Date(auction.end_time).toISOString(), endTime.toISOString());
+  }
+  
+  if (BigInt(auction.highest_bid) !== BigInt(onChain.highestBid)) {
+    add('highest_bid', auction.highest_bid, onChain.highestBid);
+  }
+  
+  if (parseInt(auction.bid_count) !== onChain.bids) {
+    add('bid_count', auction.bid_count, onChain.bids);
+  }
+  
+  return discrepancies;
+}
+
+async function repairAuction(env, client, lock, syncedBlock, auction, onChain, discrepancies) {
+  const fields = new Set(discrepancies.map(discrepancy => discrepancy.field));
+  
+  // Missing bids can only be restored from their events, so re-read this
+  // auction's BidPlaced logs and run them through the normal processors
+  if (fields.has('highest_bid') || fields.has('bid_count')) {
+    await reindexBids(env, client, lock, syncedBlock, auction, onChain);
+    
+    const bidsResult = await executeQuery(
+      env,
+      'SELECT COALESCE(MAX(amount), 0) as highest_bid, COUNT(*) as bid_count FROM bids WHERE auction_id = $1',
+      [auction.id]
+    );
+    const bids = bidsResult.rows[0];
+    
+    for (const discrepancy of discrepancies) {
+      if (discrepancy.field === 'highest_bid') {
+        discrepancy.fixed = BigInt(bids.highest_bid) === BigInt(onChain.highestBid);
+      } else if (discrepancy.field === 'bid_count') {
+        discrepancy.fixed = parseInt(bids.bid_count) === onChain.bids;
+      }
+    }
+  }
+  
+  if (fields.has('state') || fields.has('end_time')) {
+    const state = expectedState(onChain);
+    
+    await withTransaction(env, async (db) => {
+      await db.query(
+        'UPDATE auctions SET state = $2, end_time = $3, updated_block_number = $4 WHERE id = $1',
+        [auction.id, state, new Date(onChain.endTime * 1000), syncedBlock.toString()]
+      );
+      
+      // A settlement the sync never saw: take the winner from the contract
+      if (state === 3) {
+        await db.query(
+          `UPDATE auctions
+           SET winner_address = $2,
+               winner_fid = $3,
+               winning_bid = $4
+           WHERE id = $1`,
+          [auction.id, onChain.highestBidder, onChain.highestBidderFid, onChain.highestBid]
+        );
+        
+        // The settlement block is unknown, so the end time stands in for when it happened
+        await saveCreatorEarnings(db, auction.id, {
+          settledAt: new Date(onChain.endTime * 1000),
+          blockNumber: syncedBlock
+        });
+      }
+      
+      await refreshCreatorStats(db, [auction.creator_fid]);
+      await confirmLease(db, lock, 'reconcile');
+    });
+    
+    for (const discrepancy of discrepancies) {
+      if (discrepancy.field === 'state' || discrepancy.field === 'end_time') {
+        discrepancy.fixed = true;
+      }
+    }
+  }
+}
+
+async function reindexBids(env, client, lock, syncedBlock, auction, onChain) {
+  const fromBlock = BigInt(auction.block_number);
+  
+  // Bids stop at the end time, so estimate its block rather than scanning to the head
+  const durationSeconds = onChain.endTime - Math.floor(new Date(auction.created_at).getTime() / 1000);
+  const estimatedEndBlock = fromBlock + BigInt(Math.ceil(Math.max(durationSeconds, 0) / BLOCK_TIME_SECONDS)) + END_BLOCK_MARGIN;
+  const toBlock = estimatedEndBlock < syncedBlock ? estimatedEndBlock : syncedBlock;
+  
+  const ranges = [];
+  for (let start = fromBlock; start <= toBlock; start += BID_LOG_BLOCK_RANGE) {
+    const end = start + BID_LOG_BLOCK_RANGE - 1n > toBlock ? toBlock : start + BID_LOG_BLOCK_RANGE - 1n;
+    ranges.push([start, end]);
+  }
+  
+  const castHash = padCastHash(auction.cast_hash);
+  const events = (await Promise.all(
+    ranges.map(([start, end]) => getAuctionBidEvents(client, castHash, start, end))
+  )).flat();
+  
+  const context = await loadBatchContext(client, events, toBlock, toBlock);
+  
+  await withTransaction(env, async (db) => {
+    for (const event of events) {
+      await processEvent(db, context, event);
+    }
+    
+    // Restored bids landed after later ones, so redo the outbid chain
+    await rebuildAuctionOutbids(db, auction.id);
+    await confirmLease(db, lock, 'reconcile');
+  });
+  
+  console.log(`Re-indexed ${events.length} bids for auction ${auction.cast_hash} (blocks ${fromBlock} to ${toBlock})`);
+}
+
+async function saveReport(env, syncedBlock, auctionsChecked, discrepancies, startedAt) {
+  return withTransaction(env, async (db) => {
+    const runResult = await db.query(
+      `INSERT INTO reconciliation_runs (
+        block_number, auctions_checked, discrepancies_found, discrepancies_fixed, started_at
+      ) VALUES ($1, $2, $3, $4, $5)
+      RETURNING id`,
+      [
+        syncedBlock.toString(),
+        auctionsChecked,
+        discrepancies.length,
+        discrepancies.filter(discrepancy => discrepancy.fixed).length,
+        startedAt
+      ]
+    );
+    const runId = runResult.rows[0].id;
+    
+    if (discrepancies.length > 0) {
+      await db.query(
+        `INSERT INTO reconciliation_discrepancies (run_id, auction_id, cast_hash, field, db_value, chain_value, fixed)
+         SELECT $1, * FROM unnest($2::integer[], $3::varchar[], $4::varchar[], $5::text[], $6::text[], $7::boolean[])`,
+        [
+          runId,
+          discrepancies.map(discrepancy => discrepancy.auctionId),
+          discrepancies.map(discrepancy => discrepancy.castHash),
+          discrepancies.map(discrepancy => discrepancy.field),
+          discrepancies.map(discrepancy => discrepancy.dbValue),
+          discrepancies.map(discrepancy => discrepancy.chainValue),
+          discrepancies.map(discrepancy => discrepancy.fixed)
+        ]
+      );
+    }
+    
+    return runId;
+  });
+}
\ No newline at end of file
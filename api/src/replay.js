@@ -0,0 +1,245 @@
+import { custom, decodeFunctionData, decodeFunctionResult, encodeFunctionResult, multicall3Abi, hexToBigInt, toHex } from 'viem';
+import { AUCTION_ABI, rpcChainSource } from './contract.js';
+
+// Chain sources backed by a recorded fixture instead of a live RPC, so sync
+// and reconciliation can run offline with the same code paths. A fixture is
+// plain JSON holding everything those reads touch:
+//
+//   {
+//     "head": "33300000",
+//     "blocks": { "33299990": { "hash": "0x...", "timestamp": 1717000000 } },
+//     "logs": [ eth_getLogs entries as the node returned them ],
+//     "auctions": { "0x<castHash>": [ { "blockNumber": "33299990", "auction": { auctions() outputs } } ] }
+//   }
+//
+// Block numbers and integer outputs are decimal strings. An auctions() read
+// at block N answers with the latest entry recorded at or before N.
+
+const AUCTION_OUTPUTS = AUCTION_ABI[0].outputs;
+
+// Answer reads from a fixture. Reads the fixture can't answer throw, so a
+// replay never silently differs from the run it was recorded from.
+export function replayChainSource(fixture) {
+  const head = BigInt(fixture.head);
+  const logs = [...fixture.logs].sort((a, b) => compareLogs(a, b));
+  
+  return (network, { rpcStats } = {}) => custom({
+    async request({ method, params }) {
+      if (rpcStats) {
+        rpcStats.calls[method] = (rpcStats.calls[method] || 0) + 1;
+      }
+      
+      if (method === 'eth_blockNumber') {
+        return toHex(head);
+      }
+      
+      if (method === 'eth_getBlockByNumber') {
+        const blockNumber = resolveBlockTag(params[0], head);
+        if (blockNumber > head) return null;
+        
+        const block = fixture.blocks[blockNumber.toString()];
+        if (!block) {
+          throw new Error(`Block ${blockNumber} is not in the replay fixture`);
+        }
+        return {
+          number: toHex(blockNumber),
+          hash: block.hash,
+          timestamp: toHex(block.timestamp),
+          transactions: []
+        };
+      }
+      
+      if (method === 'eth_getLogs') {
+        const [filter] = params;
+        const fromBlock = resolveBlockTag(filter.fromBlock ?? 'latest', head);
+        const toBlock = resolveBlockTag(filter.toBlock ?? 'latest', head);
+        const addresses = [].concat(filter.address ?? []).map(address => address.toLowerCase());
+        
+        return logs.filter(log => {
+          const blockNumber = hexToBigInt(log.blockNumber);
+          return blockNumber >= fromBlock && blockNumber <= toBlock && blockNumber <= head
+            && (addresses.length === 0 || addresses.includes(log.address.toLowerCase()))
+            && matchesTopics(filter.topics, log.topics);
+        });
+      }
+      
+      if (method === 'eth_call') {
+        const [call, blockTag] = params;
+        const blockNumber = resolveBlockTag(blockTag ?? 'latest', head);
+        
+        if (isAuctionContract(network, call.to)) {
+          const auction = findAuction(fixture, decodeAuctionCall(call.data), blockNumber);
+          if (!auction) {
+            throw new Error(`No auctions() read recorded for ${decodeAuctionCall(call.data)} at block ${blockNumber}`);
+          }
+          return encodeAuction(auction);
+        }
+        
+        // Anything else has to be a multicall of auctions() reads; calls the
+        // fixture has nothing for come back as failures, like a reverted call
+        const { functionName, args } = decodeFunctionData({ abi: multicall3Abi, data: call.data });
+        if (functionName !== 'aggregate3') {
+          throw new Error(`Replay fixture can't answer ${functionName} on ${call.to}`);
+        }
+        
+        const results = args[0].map(({ target, callData }) => {
+          const auction = isAuctionContract(network, target)
+            ? findAuction(fixture, decodeAuctionCall(callData), blockNumber)
+            : null;
+          return auction
+            ? { success: true, returnData: encodeAuction(auction) }
+            : { success: false, returnData: '0x' };
+        });
+        return encodeFunctionResult({ abi: multicall3Abi, functionName: 'aggregate3', result: results });
+      }
+      
+      throw new Error(`Replay fixture can't answer ${method}`);
+    }
+  }, { retryCount: 0 });
+}
+
+// Read through another chain source (the network's RPC by default) and record
+// every answer sync needs into fixture. The chain head is pinned at its first
+// reading, so the recorded run sees one consistent chain and replays exactly.
+export function captureChainSource(fixture, chainSource = rpcChainSource) {
+  return (network, options) => {
+    const transport = chainSource(network, options);
+    
+    return (transportOptions) => {
+      const upstream = transport(transportOptions);
+      
+      const getHead = async () => {
+        if (fixture.head === null) {
+          const blockNumber = await upstream.request({ method: 'eth_blockNumber' });
+          fixture.head ??= hexToBigInt(blockNumber).toString();
+        }
+        return BigInt(fixture.head);
+      };
+      
+      return custom({
+        async request({ method, params }) {
+          if (method === 'eth_blockNumber') {
+            return toHex(await getHead());
+          }
+          
+          if (method === 'eth_call') {
+            // Read 'latest' as of the pinned head
+            const [call, blockTag] = params;
+            const blockNumber = resolveBlockTag(blockTag ?? 'latest', await getHead());
+            const result = await upstream.request({ method, params: [call, toHex(blockNumber)] });
+            
+            recordCall(fixture, network, call, blockNumber, result);
+            return result;
+          }
+          
+          const result = await upstream.request({ method, params });
+          
+          if (method === 'eth_getBlockByNumber' && result) {
+            fixture.blocks[hexToBigInt(result.number).toString()] = {
+              hash: result.hash,
+              timestamp: Number(hexToBigInt(result.timestamp))
+            };
+          } else if (method === 'eth_getLogs') {
+            const seen = new Set(fixture.logs.map(log => `${log.blockHash}:${log.logIndex}`));
+            fixture.logs.push(...result.filter(log => !seen.has(`${log.blockHash}:${log.logIndex}`)));
+          }
+          
+          return result;
+        }
+      }, { retryCount: 0 })(transportOptions);
+    };
+  };
+}
+
+// Empty fixture for captureChainSource to fill
+export function createFixture() {
+  return { head: null, blocks: {}, logs: [], auctions: {} };
+}
+
+// Record the auctions() reads in an eth_call, whether made directly or
+// inside a multicall. Other calls aren't needed for replay.
+function recordCall(fixture, network, call, blockNumber, result) {
+  if (isAuctionContract(network, call.to)) {
+    recordAuction(fixture, decodeAuctionCall(call.data), blockNumber, result);
+    return;
+  }
+  
+  let calls;
+  try {
+    ({ args: [calls] } = decodeFunctionData({ abi: multicall3Abi, data: call.data }));
+  } catch {
+    return;
+  }
+  
+  const results = decodeFunctionResult({ abi: multicall3Abi, functionName: 'aggregate3', data: result });
+  calls.forEach(({ target, callData }, index) => {
+    if (isAuctionContract(network, target) && results[index].success) {
+      recordAuction(fixture, decodeAuctionCall(callData), blockNumber, results[index].returnData);
+    }
+  });
+}
+
+function recordAuction(fixture, castHash, blockNumber, returnData) {
+  const outputs = decodeFunctionResult({ abi: AUCTION_ABI, functionName: 'auctions', data: returnData });
+  const entries = fixture.auctions[castHash] ??= [];
+  
+  if (entries.some(entry => entry.blockNumber === blockNumber.toString())) return;
+  
+  entries.push({ blockNumber: blockNumber.toString(), auction: toJson(AUCTION_OUTPUTS, outputs) });
+  entries.sort((a, b) => (BigInt(a.blockNumber) < BigInt(b.blockNumber) ? -1 : 1));
+}
+
+function findAuction(fixture, castHash, blockNumber) {
+  const entries = fixture.auctions[castHash] ?? [];
+  return entries.findLast(entry => BigInt(entry.blockNumber) <= blockNumber)?.auction ?? null;
+}
+
+function decodeAuctionCall(data) {
+  const { args } = decodeFunctionData({ abi: AUCTION_ABI, data });
+  return args[0].toLowerCase();
+}
+
+function encodeAuction(auction) {
+  return encodeFunctionResult({ abi: AUCTION_ABI, functionName: 'auctions', result: fromJson(AUCTION_OUTPUTS, auction) });
+}
+
+// auctions() outputs to a named JSON object with integers as decimal strings
+function toJson(components, values) {
+  return Object.fromEntries(components.map((component, index) => {
+    const value = Array.isArray(values) ? values[index] : values[component.name];
+    if (component.type === 'tuple') return [component.name, toJson(component.components, value)];
+    return [component.name, component.type.startsWith('uint') ? value.toString() : value];
+  }));
+}
+
+// The reverse of toJson: positional outputs, nested tuples as objects
+function fromJson(components, json, asObject = false) {
+  const values = components.map(component => {
+    const value = json[component.name];
+    if (component.type === 'tuple') return fromJson(component.components, value, true);
+    return component.type.startsWith('uint') ? BigInt(value) : value;
+  });
+  return asObject ? Object.fromEntries(components.map((component, index) => [component.name, values[index]])) : values;
+}
+
+function isAuctionContract(network, address) {
+  return address?.toLowerCase() === network.auctionContract.toLowerCase();
+}
+
+function resolveBlockTag(blockTag, head) {
+  if (blockTag === 'earliest') return 0n;
+  if (blockTag === 'latest' || blockTag === 'safe' || blockTag === 'finalized' || blockTag === 'pending') return head;
+  return hexToBigInt(blockTag);
+}
+
+// eth_getLogs topic filters: null matches anything, an array matches any of its topics
+function matchesTopics(filterTopics = [], logTopics) {
+  return filterTopics.every((topic, index) => topic === null
+    || [].concat(topic).some(candidate => candidate.toLowerCase() === logTopics[index]?.toLowerCase()));
+}
+
+function compareLogs(a, b) {
+  const blockDifference = hexToBigInt(a.blockNumber) - hexToBigInt(b.blockNumber);
+  if (blockDifference !== 0n) return blockDifference < 0n ? -1 : 1;
+  return Number(hexToBigInt(a.logIndex) - hexToBigInt(b.logIndex));
+}
\ No newline at end of file
@@ -0,0 +1,779 @@
+// JSON Schemas of the API's responses, published as the components of the
+// OpenAPI document (src/openapi.js). Routes name theirs with
+// describeRoute({ response }). The frontend client's types are generated
+// from these, so change them along with what a route returns.
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const boolean = { type: 'boolean' };
+
+// Dates come back as ISO 8601 strings
+const timestamp = { type: 'string', format: 'date-time' };
+
+// Amounts are in USD cents, rounded from the USDC units (6 decimals) stored
+const cents = { type: 'integer', description: 'USD cents' };
+const usdcUnits = { type: 'string', pattern: '^\\d+$', description: 'Raw USDC units (6 decimals)' };
+
+// BIGINT columns, like block numbers, come back as strings
+const bigint = { type: 'string', pattern: '^\\d+$' };
+
+const address = { type: 'string', description: 'Ethereum address' };
+const auctionState = { type: 'integer', description: '1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered' };
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+function nullable(schema) {
+  if (schema.$ref) return { anyOf: [schema, { type: 'null' }] };
+  return { ...schema, type: [schema.type, 'null'] };
+}
+
+function arrayOf(items) {
+  return { type: 'array', items };
+}
+
+// An object with every property present, except those listed as optional
+function object(properties, { optional = [] } = {}) {
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties).filter(name => !optional.includes(name))
+  };
+}
+
+// An object keyed by name, e.g. indexer
+function mapOf(values) {
+  return { type: 'object', additionalProperties: values };
+}
+
+const profile = nullable(ref('Profile'));
+const castData = nullable(ref('Cast'));
+const pagination = ref('Pagination');
+
+const auctionFields = {
+  id: integer,
+  cast_hash: string,
+  creator_address: address,
+  creator_fid: integer,
+  min_bid_cents: cents,
+  end_time: timestamp,
+  state: auctionState,
+  protocol_fee_bps: integer,
+  created_at: timestamp
+};
+
+const bidFields = {
+  id: integer,
+  auction_id: integer,
+  bidder_address: address,
+  bidder_fid: integer,
+  amount_cents: cents,
+  timestamp,
+  transaction_hash: string,
+  block_number: bigint
+};
+
+const topBidderFields = {
+  bidder_fid: integer,
+  auctions_participated: integer,
+  total_bids: integer,
+  total_volume_cents: cents,
+  highest_bid_cents: cents
+};
+
+const earningsAmounts = {
+  gross_cents: cents,
+  protocol_fee_cents: cents,
+  net_cents: cents,
+  gross_usdc_units: usdcUnits,
+  protocol_fee_usdc_units: usdcUnits,
+  net_usdc_units: usdcUnits
+};
+
+const syncStatusFields = {
+  status: { type: 'string', enum: ['ok', 'lagging', 'failing'] },
+  chainHead: bigint,
+  dataAsOfBlock: nullable(bigint),
+  indexers: mapOf(object({ lastBlock: bigint, lastSyncTime: nullable(timestamp), lag: integer })),
+  lastSuccessAt: nullable(timestamp),
+  lastFailureAt: nullable(timestamp)
+};
+
+const reconciliationRun = object({
+  id: integer,
+  block_number: bigint,
+  auctions_checked: integer,
+  discrepancies_found: integer,
+  discrepancies_fixed: integer,
+  started_at: timestamp,
+  finished_at: nullable(timestamp)
+});
+
+export const components = {
+  // Shared shapes
+  
+  ErrorResponse: object({
+    error: { ...string, description: 'Human-readable message' },
+    code: { ...string, description: 'What went wrong, e.g. invalid_params or user_not_found' },
+    details: { type: 'object', description: 'Depends on the code; invalid_params lists each bad param' }
+  }, { optional: ['details'] }),
+  
+  Pagination: object({
+    limit: integer,
+    total: integer,
+    nextCursor: nullable({ ...string, description: 'Pass as cursor for the next page; null on the last one' }),
+    hasMore: boolean
+  }),
+  
+  Profile: object({
+    fid: integer,
+    username: string,
+    displayName: string,
+    pfpUrl: string,
+    followerCount: integer,
+    followingCount: integer,
+    bio: string,
+    primaryAddress: nullable(address),
+    powerBadge: boolean
+  }, { optional: ['displayName', 'pfpUrl', 'followerCount', 'followingCount', 'bio', 'primaryAddress', 'powerBadge'] }),
+  
+  Cast: object({
+    hash: string,
+    text: string,
+    timestamp,
+    firstEmbed: nullable({
+      type: 'object',
+      description: 'The first embed: a quoted cast (type cast, with cast_hash, cast_text and cast_author), an image or link (type image or url, with url and metadata), or as Farcaster sent it'
+    })
+  }),
+  
+  SyncRun: object({
+    id: integer,
+    trigger: {
+      type: 'string',
+      enum: ['cron', 'manual', 'capture', 'replay'],
+      description: 'What ran the sync: the cron, POST /sync, or scripts/replay-sync.js capturing or replaying a fixture. Reconciliation is not recorded here'
+    },
+    status: { type: 'string', enum: ['running', 'success', 'failed'] },
+    startedAt: timestamp,
+    finishedAt: nullable(timestamp),
+    durationMs: nullable(integer),
+    auctionEventsProcessed: nullable(integer),
+    transferEventsProcessed: nullable(integer),
+    auctionBlock: nullable(bigint),
+    nftBlock: nullable(bigint),
+    httpRequests: nullable(integer),
+    rpcCalls: nullable(mapOf(integer)),
+    error: nullable(string)
+  }, { optional: ['auctionBlock', 'nftBlock', 'httpRequests', 'rpcCalls', 'error'] }),
+  
+  EarningsPeriod: object({
+    period_start: timestamp,
+    settled_auctions: integer,
+    ...earningsAmounts
+  }),
+  
+  // Route responses
+  
+  Health: object({ message: string, version: string }),
+  
+  Me: object({
+    fid: integer,
+    primaryAddress: nullable(address),
+    username: string,
+    displayName: string,
+    pfpUrl: string,
+    powerBadge: boolean,
+    stats: object({
+      auctionsParticipated: integer,
+      totalBids: integer,
+      highestBidCents: cents,
+      totalBidVolumeCents: cents
+    })
+  }, { optional: ['primaryAddress', 'username', 'displayName', 'pfpUrl'] }),
+  
+  AuctionList: object({
+    auctions: arrayOf(ref('AuctionSummary')),
+    pagination
+  }),
+  
+  AuctionSummary: object({
+    ...auctionFields,
+    bid_count: integer,
+    highest_bid_cents: cents,
+    creatorProfile: profile,
+    castData
+  }),
+  
+  Auction: object({
+    ...auctionFields,
+    creatorProfile: profile,
+    castData,
+    bids: arrayOf(ref('AuctionBid'))
+  }),
+  
+  AuctionBid: object({ ...bidFields, bidderProfile: profile }),
+  
+  HotCastList: object({
+    hotCasts: arrayOf(ref('HotCast')),
+    pagination
+  }),
+  
+  HotCast: object({
+    id: integer,
+    castHash: string,
+    creatorAddress: address,
+    creatorFid: integer,
+    creatorProfile: profile,
+    minBidCents: cents,
+    endTime: timestamp,
+    state: auctionState,
+    stateLabel: { type: 'string', enum: ['Active', 'Ended', 'Settled'] },
+    bidCount: integer,
+    uniqueBidders: integer,
+    highestBidCents: cents,
+    lowestBidCents: cents,
+    averageBidCents: cents,
+    firstBidTime: timestamp,
+    lastBidTime: timestamp,
+    isActive: boolean,
+    hasEnded: boolean,
+    timeLeftMs: integer,
+    top3Bidders: arrayOf(object({
+      bidderFid: integer,
+      highestBidCents: cents,
+      bidCount: integer,
+      profile
+    })),
+    castData,
+    protocolFeeBps: integer,
+    createdAt: timestamp,
+    blockNumber: bigint,
+    transactionHash: string
+  }),
+  
+  TopBidderList: object({
+    topBidders: arrayOf(ref('TopBidder')),
+    pagination
+  }),
+  
+  TimeframeTopBidderList: object({
+    topBidders: arrayOf(ref('TopBidder')),
+    period: { type: 'string', enum: ['day', 'week', 'month', 'all-time'] },
+    pagination
+  }),
+  
+  // rank and period are only on the timeframe leaderboard
+  TopBidder: object({
+    ...topBidderFields,
+    rank: integer,
+    period: string,
+    profile,
+    top_creators: arrayOf(object({
+      creator_fid: integer,
+      auctions_bid_on: integer,
+      total_spent_cents: cents,
+      highest_bid_cents: cents,
+      profile
+    }))
+  }, { optional: ['rank', 'period'] }),
+  
+  RecentActivity: object({
+    activity: arrayOf(ref('ActivityBid')),
+    pagination
+  }),
+  
+  ActivityBid: object({ ...bidFields, cast_hash: string, bidderProfile: profile }),
+  
+  UserBidHistory: object({
+    profile,
+    stats: object({
+      auctions_participated: integer,
+      total_bids: integer,
+      total_volume_cents: cents,
+      highest_bid_cents: cents
+    }),
+    bids: arrayOf(ref('UserBid'))
+  }),
+  
+  UserBid: object({
+    ...bidFields,
+    cast_hash: string,
+    creator_address: address,
+    creator_fid: integer,
+    min_bid_cents: cents,
+    end_time: timestamp
+  }),
+  
+  GlobalStats: object({
+    totalSimps: integer,
+    totalBids: integer,
+    totalVolumeCents: cents,
+    highestBidCents: cents,
+    activeAuctions: integer,
+    endedAuctions: integer,
+    totalAuctions: integer
+  }),
+  
+  UserSearchResults: object({
+    query: { ...string, description: 'The query as matched: lowercased, without a leading @' },
+    users: arrayOf(object({
+      fid: integer,
+      username: string,
+      displayName: nullable(string),
+      pfpUrl: nullable(string),
+      followerCount: nullable(integer),
+      powerBadge: nullable(boolean),
+      bidsPlaced: integer,
+      auctionsCreated: integer
+    }))
+  }),
+  
+  SimpBattle: object({
+    user1: ref('SimpBattleSide'),
+    user2: ref('SimpBattleSide'),
+    commonAuctions: object({
+      total: integer,
+      auctions: arrayOf(object({
+        cast_hash: string,
+        creator_fid: integer,
+        creatorProfile: profile,
+        castData,
+        user1_highest_bid_cents: cents,
+        user2_highest_bid_cents: cents,
+        user1_bid_count: integer,
+        user2_bid_count: integer
+      }))
+    }),
+    winner: nullable(object({ fid: integer, score: { ...string, description: 'e.g. 2-1' } }))
+  }),
+  
+  SimpBattleSide: object({
+    fid: integer,
+    profile,
+    // null for someone who never bid
+    stats: nullable(object({
+      ...topBidderFields,
+      first_bid_date: timestamp,
+      last_bid_date: timestamp
+    }))
+  }),
+  
+  Trending: object({
+    hotAuctions: arrayOf(ref('TrendingAuction')),
+    risingSimps: arrayOf(ref('RisingSimp'))
+  }),
+  
+  TrendingAuction: object({
+    cast_hash: string,
+    creator_fid: integer,
+    creatorProfile: profile,
+    castData,
+    end_time: timestamp,
+    recent_bid_count: integer,
+    highest_recent_bid_cents: cents,
+    unique_recent_bidders: integer
+  }),
+  
+  RisingSimp: object({
+    bidder_fid: integer,
+    recent_bids: integer,
+    recent_volume_cents: cents,
+    previous_bids: integer,
+    previous_volume_cents: cents,
+    bid_increase: integer,
+    growth_percentage: { ...number, description: '999 for someone with no bids the week before' },
+    profile
+  }),
+  
+  // Someone who never bid gets no profile and null stats, rank and percentile
+  SimpLevel: object({
+    fid: integer,
+    profile,
+    level: string,
+    emoji: string,
+    stats: nullable(object({
+      auctions_participated: integer,
+      total_bids: integer,
+      total_volume_cents: cents,
+      highest_bid_cents: cents,
+      first_bid_date: timestamp,
+      last_bid_date: timestamp
+    })),
+    rank: nullable(object({
+      bidRank: nullable(integer),
+      volumeRank: nullable(integer),
+      totalSimps: integer
+    })),
+    percentile: nullable({ ...string, description: 'e.g. Top 4.2%' }),
+    achievements: arrayOf(object({ name: string, emoji: string, description: string })),
+    nextMilestone: object({
+      name: string,
+      requirement: { type: ['integer', 'string'], description: '∞ once every milestone is reached' },
+      current: number,
+      type: { type: 'string', enum: ['bids', 'volume', 'legendary'] }
+    })
+  }, { optional: ['profile'] }),
+  
+  HotUserList: object({
+    hotUsers: arrayOf(ref('HotUser')),
+    pagination
+  }),
+  
+  HotUser: object({
+    creator_fid: integer,
+    profile,
+    stats: object({
+      total_revenue_cents: cents,
+      total_auctions: integer,
+      settled_auctions: integer,
+      unique_simps: integer,
+      total_bids_received: integer,
+      highest_auction_revenue_cents: cents,
+      avg_auction_revenue_cents: cents
+    }),
+    recent_auctions: arrayOf(object({
+      cast_hash: string,
+      end_time: timestamp,
+      state: auctionState,
+      revenue_cents: cents,
+      bid_count: integer,
+      castData
+    }))
+  }),
+  
+  CreatorStats: object({
+    creator: object({ fid: integer, profile }),
+    auctionStats: object({
+      total_auctions: integer,
+      active_auctions: integer,
+      ended_auctions: integer,
+      total_fees_earned_cents: cents,
+      net_earnings_cents: cents
+    }),
+    biddingStats: object({
+      unique_simps: integer,
+      total_bids_received: integer,
+      total_volume_cents: cents,
+      highest_bid_received_cents: cents,
+      average_bid_cents: cents
+    }),
+    topSimps: arrayOf(object({
+      bidder_fid: integer,
+      bid_count: integer,
+      total_spent_cents: cents,
+      highest_bid_cents: cents,
+      profile
+    })),
+    recentAuctions: arrayOf(object({
+      cast_hash: string,
+      end_time: timestamp,
+      state: auctionState,
+      bid_count: integer,
+      highest_bid_cents: cents,
+      castData
+    }))
+  }),
+  
+  CreatorEarnings: object({
+    creator: object({ fid: integer, profile }),
+    totals: object({ settled_auctions: integer, ...earningsAmounts }),
+    daily: arrayOf(ref('EarningsPeriod')),
+    weekly: arrayOf(ref('EarningsPeriod')),
+    monthly: arrayOf(ref('EarningsPeriod')),
+    auctions: arrayOf(ref('EarningsLine')),
+    pagination
+  }),
+  
+  EarningsLine: object({
+    auction_id: integer,
+    cast_hash: string,
+    settled_at: timestamp,
+    transaction_hash: nullable(string),
+    protocol_fee_bps: integer,
+    ...earningsAmounts,
+    winner_fid: nullable(integer),
+    winnerProfile: profile
+  }),
+  
+  OutbidHistory: object({
+    user: object({ fid: integer, profile }),
+    outbidByUser: object({
+      total: integer,
+      victims: arrayOf(object({
+        victim_fid: integer,
+        times_outbid: integer,
+        total_outbid_amount_cents: cents,
+        max_outbid_amount_cents: cents,
+        profile
+      }))
+    }),
+    outbidThisUser: object({
+      total: integer,
+      rivals: arrayOf(object({
+        rival_fid: integer,
+        times_been_outbid: integer,
+        total_outbid_amount_cents: cents,
+        max_outbid_amount_cents: cents,
+        profile
+      }))
+    }),
+    biggestRival: nullable(object({ fid: integer, profile, totalInteractions: integer }))
+  }),
+  
+  SyncResult: object({
+    success: boolean,
+    runId: integer,
+    eventsProcessed: integer,
+    lastBlock: bigint,
+    rpcStats: { type: 'object', description: 'HTTP requests and RPC calls by method' }
+  }),
+  
+  SyncStatus: object({
+    ...syncStatusFields,
+    recentRuns: arrayOf(ref('SyncRun')),
+    recentErrors: arrayOf(object({
+      at: nullable(timestamp),
+      message: nullable({ ...string, description: 'The first 200 characters' })
+    }))
+  }),
+  
+  AdminSyncStatus: object({
+    ...syncStatusFields,
+    lock: nullable(object({
+      ownerId: string,
+      acquiredAt: timestamp,
+      heartbeatAt: nullable(timestamp),
+      expiresAt: timestamp,
+      progress: nullable({ type: 'object' })
+    })),
+    runs: arrayOf(ref('SyncRun')),
+    errors: arrayOf(object({
+      runId: integer,
+      trigger: string,
+      at: nullable(timestamp),
+      message: nullable(string)
+    }))
+  }),
+  
+  ReconcileResult: object({
+    success: boolean,
+    runId: integer,
+    blockNumber: bigint,
+    auctionsChecked: integer,
+    discrepanciesFound: integer,
+    discrepanciesFixed: integer,
+    discrepancies: arrayOf(object({
+      auctionId: integer,
+      castHash: string,
+      field: string,
+      dbValue: string,
+      chainValue: string,
+      fixed: boolean
+    }))
+  }),
+  
+  ReconciliationReport: object({
+    run: reconciliationRun,
+    discrepancies: arrayOf(object({
+      auction_id: integer,
+      cast_hash: string,
+      field: { type: 'string', enum: ['state', 'end_time', 'highest_bid', 'bid_count'] },
+      db_value: nullable(string),
+      chain_value: nullable(string),
+      fixed: boolean
+    })),
+    recentRuns: arrayOf(reconciliationRun)
+  }),
+  
+  TopWinningCastList: object({
+    casts: arrayOf(ref('WinningCast')),
+    pagination
+  }),
+  
+  WinningCast: object({
+    id: integer,
+    castHash: string,
+    creatorAddress: address,
+    creatorFid: integer,
+    creatorProfile: profile,
+    winnerAddress: address,
+    winnerFid: integer,
+    winnerProfile: profile,
+    winningBidCents: cents,
+    minBidCents: cents,
+    totalBids: integer,
+    uniqueBidders: integer,
+    endTime: timestamp,
+    createdAt: timestamp,
+    transactionHash: string,
+    castData: ref('Cast')
+  }),
+  
+  TopCollectorList: object({
+    collectors: arrayOf(ref('Collector')),
+    pagination
+  }),
+  
+  Collector: object({
+    collectorFid: integer,
+    collectorProfile: profile,
+    stats: object({
+      castsCollected: integer,
+      totalSpentCents: cents,
+      avgPriceCents: cents,
+      highestPriceCents: cents,
+      lowestPriceCents: cents
+    }),
+    recentCollections: arrayOf(object({
+      castHash: string,
+      creatorFid: integer,
+      creatorProfile: profile,
+      winningBidCents: cents,
+      endTime: timestamp,
+      createdAt: timestamp,
+      castData
+    })),
+    topCreatorsCollected: arrayOf(object({
+      creatorFid: integer,
+      creatorProfile: profile,
+      castsFromCreator: integer,
+      spentOnCreatorCents: cents
+    }))
+  }),
+  
+  TopCollectedCreatorList: object({
+    creators: arrayOf(ref('CollectedCreator')),
+    pagination
+  }),
+  
+  CollectedCreator: object({
+    creatorFid: integer,
+    creatorProfile: profile,
+    stats: object({
+      castsCollected: integer,
+      totalRevenueCents: cents,
+      avgPriceCents: cents,
+      highestPriceCents: cents,
+      lowestPriceCents: cents,
+      uniqueCollectors: integer
+    }),
+    recentCollectedCasts: arrayOf(object({
+      castHash: string,
+      winnerFid: integer,
+      winnerProfile: profile,
+      winningBidCents: cents,
+      endTime: timestamp,
+      createdAt: timestamp,
+      castData
+    })),
+    topCollectors: arrayOf(object({
+      collectorFid: integer,
+      collectorProfile: profile,
+      timesCollected: integer,
+      revenueFromCollectorCents: cents
+    }))
+  }),
+  
+  P2PTransferList: object({
+    transfers: arrayOf(ref('P2PTransfer')),
+    pagination
+  }),
+  
+  P2PTransfer: object({
+    id: integer,
+    from_address: address,
+    from_fid: nullable(integer),
+    fromProfile: profile,
+    to_address: address,
+    to_fid: nullable(integer),
+    toProfile: profile,
+    token_id: string,
+    transaction_hash: string,
+    block_number: bigint,
+    timestamp,
+    explorer_url: string,
+    opensea_url: string
+  }),
+  
+  HallOfShame: object({
+    user: object({
+      fid: integer,
+      profile: ref('Profile'),
+      simpLevel: object({ level: string, emoji: string, totalBids: integer })
+    }),
+    stats: object({
+      auctionsParticipated: integer,
+      totalBids: integer,
+      totalVolumeCents: cents,
+      highestBidCents: cents,
+      firstBidDate: nullable(timestamp),
+      lastBidDate: nullable(timestamp),
+      bidRank: nullable(integer),
+      volumeRank: nullable(integer)
+    }),
+    topCreators: arrayOf(object({
+      creatorFid: integer,
+      auctionsBidOn: integer,
+      totalSpentCents: cents,
+      highestBidCents: cents,
+      totalBidsPlaced: integer,
+      profile
+    })),
+    mostBidCasts: arrayOf(ref('MostBidCast')),
+    recentBids: arrayOf(ref('HallOfShameBid'))
+  }),
+  
+  MostBidCast: object({
+    auctionId: integer,
+    castHash: string,
+    creatorFid: integer,
+    endTime: timestamp,
+    state: auctionState,
+    userBidCount: integer,
+    userHighestBidCents: cents,
+    firstBidTime: timestamp,
+    lastBidTime: timestamp,
+    auctionHighestBidCents: cents,
+    totalAuctionBids: integer,
+    creatorProfile: profile,
+    castData
+  }),
+  
+  HallOfShameBid: object({
+    auctionId: integer,
+    castHash: string,
+    creatorFid: integer,
+    amountCents: cents,
+    timestamp,
+    transactionHash: string,
+    auctionEndTime: timestamp,
+    auctionState,
+    creatorProfile: profile,
+    castData
+  }),
+  
+  AuthoredCollections: object({
+    user: object({ fid: integer, profile: ref('Profile') }),
+    collections: arrayOf(ref('AuthoredCollection')),
+    pagination
+  }),
+  
+  AuthoredCollection: object({
+    auctionId: integer,
+    castHash: string,
+    creatorFid: integer,
+    winnerFid: integer,
+    winnerProfile: profile,
+    winningBidCents: cents,
+    endTime: timestamp,
+    startTime: timestamp,
+    state: auctionState,
+    minBidCents: cents,
+    totalBids: integer,
+    uniqueBidders: integer,
+    castData
+  })
+};
\ No newline at end of file
@@ -0,0 +1,245 @@
+// Aggregate tables behind the leaderboard and stats routes:
+// - user_bid_stats: one row per bidder
+// - creator_stats: one row per auction creator
+// - global_stats: a single row of site-wide totals
+//
+// A user's or creator's volume counts only their highest bid in each auction,
+// matching how the routes always summed max_bids_per_auction.
+//
+// Every write happens on the caller's db client, inside the same transaction
+// as the rows it summarises.
+
+// Apply one newly inserted bid to all three tables. Deltas are worked out
+// against the other bids already stored, so bids may arrive in any order.
+export async function recordBidStats(db, bid) {
+  const priorResult = await db.query(
+    `SELECT
+      (SELECT MAX(amount) FROM bids WHERE auction_id = $1 AND bidder_fid = $2 AND id <> $3) as previous_bidder_max,
+      (SELECT MAX(amount) FROM bids WHERE auction_id = $1 AND id <> $3) as previous_auction_max,
+      EXISTS (SELECT 1 FROM bids WHERE bidder_fid = $2 AND id <> $3) as bidder_seen,
+      EXISTS (
+        SELECT 1 FROM bids b
+        JOIN auctions a ON a.id = b.auction_id
+        WHERE a.creator_fid = $4 AND b.bidder_fid = $2 AND b.id <> $3
+      ) as creator_seen_bidder`,
+    [bid.auctionId, bid.bidderFid, bid.id, bid.creatorFid]
+  );
+  const prior = priorResult.rows[0];
+  
+  const amount = BigInt(bid.amount);
+  const bidderVolumeDelta = increase(amount, prior.previous_bidder_max);
+  const revenueDelta = increase(amount, prior.previous_auction_max);
+  
+  await db.query(
+    `INSERT INTO user_bid_stats (
+      bidder_fid, total_bids, auctions_participated, total_volume, highest_bid, first_bid_at, last_bid_at
+    ) VALUES ($1, 1, $2, $3, $4, $5, $5)
+    ON CONFLICT (bidder_fid) DO UPDATE SET
+      total_bids = user_bid_stats.total_bids + 1,
+      auctions_participated = user_bid_stats.auctions_participated + EXCLUDED.auctions_participated,
+      total_volume = user_bid_stats.total_volume + EXCLUDED.total_volume,
+      highest_bid = GREATEST(user_bid_stats.highest_bid, EXCLUDED.highest_bid),
+      first_bid_at = LEAST(user_bid_stats.first_bid_at, EXCLUDED.first_bid_at),
+      last_bid_at = GREATEST(user_bid_stats.last_bid_at, EXCLUDED.last_bid_at),
+      updated_at = CURRENT_TIMESTAMP`,
+    [
+      bid.bidderFid,
+      prior.previous_bidder_max === null ? 1 : 0,
+      bidderVolumeDelta.toString(),
+      bid.amount,
+      bid.timestamp
+    ]
+  );
+  
+  // The auction's AuctionStarted normally created the creator row already
+  const creatorResult = await db.query(
+    `UPDATE creator_stats SET
+      total_bids_received = total_bids_received + 1,
+      auctions_with_bids = auctions_with_bids + $2,
+      total_revenue = total_revenue + $3,
+      highest_auction_revenue = GREATEST(highest_auction_revenue, $4),
+      unique_simps = unique_simps + $5,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE creator_fid = $1`,
+    [
+      bid.creatorFid,
+      prior.previous_auction_max === null ? 1 : 0,
+      revenueDelta.toString(),
+      bid.amount,
+      prior.creator_seen_bidder ? 0 : 1
+    ]
+  );
+  if (creatorResult.rowCount === 0) {
+    await refreshCreatorStats(db, [bid.creatorFid]);
+  }
+  
+  await db.query(
+    `UPDATE global_stats SET
+      total_bids = total_bids + 1,
+      total_simps = total_simps + $1,
+      total_volume = total_volume + $2,
+      highest_bid = GREATEST(highest_bid, $3),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1`,
+    [prior.bidder_seen ? 0 : 1, bidderVolumeDelta.toString(), bid.amount]
+  );
+}
+
+// Recompute the rows of the given bidders from bids, e.g. after a reorg
+// rollback deleted some of their bids
+export async function refreshUserBidStats(db, bidderFids) {
+  if (bidderFids.length === 0) return;
+  
+  const summarise = () => db.query(
+    `SELECT COUNT(*) as users, COALESCE(SUM(total_bids), 0) as total_bids, COALESCE(SUM(total_volume), 0) as total_volume
+     FROM user_bid_stats WHERE bidder_fid = ANY($1::integer[])`,
+    [bidderFids]
+  );
+  
+  const before = (await summarise()).rows[0];
+  await db.query('DELETE FROM user_bid_stats WHERE bidder_fid = ANY($1::integer[])', [bidderFids]);
+  await insertUserBidStats(db, 'bidder_fid = ANY($1::integer[])', [bidderFids]);
+  const after = (await summarise()).rows[0];
+  
+  // highest_bid can go down, so take it from the (indexed) per-user maximums
+  await db.query(
+    `UPDATE global_stats SET
+      total_simps = total_simps + $1,
+      total_bids = total_bids + $2,
+      total_volume = total_volume + $3,
+      highest_bid = (SELECT COALESCE(MAX(highest_bid), 0) FROM user_bid_stats),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1`,
+    [
+      parseInt(after.users) - parseInt(before.users),
+      parseInt(after.total_bids) - parseInt(before.total_bids),
+      (BigInt(after.total_volume) - BigInt(before.total_volume)).toString()
+    ]
+  );
+}
+
+// Recompute the rows of the given creators from auctions and bids. Called
+// whenever one of their auctions is created or changes state.
+export async function refreshCreatorStats(db, creatorFids) {
+  if (creatorFids.length === 0) return;
+  
+  const summarise = () => db.query(
+    `SELECT COALESCE(SUM(total_auctions), 0) as total_auctions, COALESCE(SUM(active_auctions), 0) as active_auctions
+     FROM creator_stats WHERE creator_fid = ANY($1::integer[])`,
+    [creatorFids]
+  );
+  
+  const before = (await summarise()).rows[0];
+  await db.query('DELETE FROM creator_stats WHERE creator_fid = ANY($1::integer[])', [creatorFids]);
+  await insertCreatorStats(db, 'a.creator_fid = ANY($1::integer[])', [creatorFids]);
+  const after = (await summarise()).rows[0];
+  
+  await db.query(
+    `UPDATE global_stats SET
+      total_auctions = total_auctions + $1,
+      active_auctions = active_auctions + $2,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = 1`,
+    [
+      parseInt(after.total_auctions) - parseInt(before.total_auctions),
+      parseInt(after.active_auctions) - parseInt(before.active_auctions)
+    ]
+  );
+}
+
+// Throw all three tables away and rebuild them from auctions and bids
+export async function rebuildStats(db) {
+  await db.query('TRUNCATE user_bid_stats, creator_stats');
+  await insertUserBidStats(db, 'TRUE', []);
+  await insertCreatorStats(db, 'TRUE', []);
+  
+  await db.query(
+    `UPDATE global_stats SET
+      total_simps = u.total_simps,
+      total_bids = u.total_bids,
+      total_volume = u.total_volume,
+      highest_bid = u.highest_bid,
+      total_auctions = c.total_auctions,
+      active_auctions = c.active_auctions,
+      updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT COUNT(*) as total_simps, COALESCE(SUM(total_bids), 0) as total_bids,
+             COALESCE(SUM(total_volume), 0) as total_volume, COALESCE(MAX(highest_bid), 0) as highest_bid
+      FROM user_bid_stats
+    ) u, (
+      SELECT COALESCE(SUM(total_auctions), 0) as total_auctions, COALESCE(SUM(active_auctions), 0) as active_auctions
+      FROM creator_stats
+    ) c
+    WHERE global_stats.id = 1`
+  );
+}
+
+// Keep in sync with the backfill in migrations/0015_aggregate_stats.up.sql
+async function insertUserBidStats(db, condition, params) {
+  await db.query(
+    `INSERT INTO user_bid_stats (
+      bidder_fid, total_bids, auctions_participated, total_volume, highest_bid, first_bid_at, last_bid_at
+    )
+    SELECT
+      bidder_fid,
+      SUM(bid_count),
+      COUNT(*),
+      SUM(max_bid_amount),
+      MAX(max_bid_amount),
+      MIN(first_bid_at),
+      MAX(last_bid_at)
+    FROM (
+      SELECT
+        bidder_fid,
+        auction_id,
+        COUNT(*) as bid_count,
+        MAX(amount) as max_bid_amount,
+        MIN(timestamp) as first_bid_at,
+        MAX(timestamp) as last_bid_at
+      FROM bids
+      WHERE ${condition}
+      GROUP BY bidder_fid, auction_id
+    ) max_bids_per_auction
+    GROUP BY bidder_fid`,
+    params
+  );
+}
+
+// Keep in sync with the backfill in migrations/0015_aggregate_stats.up.sql
+async function insertCreatorStats(db, condition, params) {
+  await db.query(
+    `INSERT INTO creator_stats (
+      creator_fid, total_auctions, active_auctions, settled_auctions, auctions_with_bids,
+      total_revenue, highest_auction_revenue, total_bids_received, unique_simps
+    )
+    SELECT
+      a.creator_fid,
+      COUNT(*),
+      COUNT(*) FILTER (WHERE a.state = 1),
+      COUNT(*) FILTER (WHERE a.state >= 3),
+      COUNT(*) FILTER (WHERE b.max_bid IS NOT NULL),
+      COALESCE(SUM(b.max_bid), 0),
+      COALESCE(MAX(b.max_bid), 0),
+      COALESCE(SUM(b.bid_count), 0),
+      (SELECT COUNT(DISTINCT b2.bidder_fid)
+       FROM auctions a2
+       JOIN bids b2 ON b2.auction_id = a2.id
+       WHERE a2.creator_fid = a.creator_fid)
+    FROM auctions a
+    LEFT JOIN LATERAL (
+      SELECT MAX(amount) as max_bid, COUNT(*) as bid_count
+      FROM bids
+      WHERE auction_id = a.id
+    ) b ON true
+    WHERE ${condition}
+    GROUP BY a.creator_fid`,
+    params
+  );
+}
+
+// How much a new amount raises a previous maximum (null when there was none)
+function increase(amount, previousMax) {
+  if (previousMax === null) return amount;
+  const previous = BigInt(previousMax);
+  return amount > previous ? amount - previous : 0n;
+}
\ No newline at end of file
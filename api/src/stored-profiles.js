@@ -0,0 +1,206 @@
+import { executeQuery, getFarcasterUsers, getFarcasterUserByUsername, saveFarcasterUsers, getCasts, saveCasts } from './db.js';
+import { formatCastHash } from './utils.js';
+
+// Stored profiles older than this are refetched by refreshStoredProfiles
+const PROFILE_REFRESH_HOURS = 24;
+
+// Read-through layer over a profile provider: users and casts come from the
+// farcaster_users and casts tables first, and whatever the provider has to
+// fetch is stored for next time. Stored profiles are served however old they
+// are; the hourly refresh job keeps them current.
+export class StoredProfileProvider {
+  constructor(env, provider, { waitUntil = null } = {}) {
+    this.env = env;
+    this.provider = provider;
+    this.waitUntil = waitUntil;
+    this.storedHits = 0;
+  }
+
+  async getUsersByFids(fids) {
+    if (!fids || fids.length === 0) return {};
+    
+    const stored = await this.read(() => getFarcasterUsers(this.env, fids), new Map());
+    const users = {};
+    const missing = [];
+    
+    for (const fid of fids) {
+      const entry = stored.get(Number(fid));
+      if (entry) {
+        users[fid] = entry.user;
+        this.storedHits++;
+      } else {
+        missing.push(fid);
+      }
+    }
+    
+    if (missing.length > 0) {
+      const fetched = await this.provider.getUsersByFids(missing);
+      Object.assign(users, fetched);
+      await this.store(() => saveFarcasterUsers(this.env, Object.values(fetched)));
+    }
+    
+    return users;
+  }
+
+  async getUser(fid) {
+    const users = await this.getUsersByFids([fid]);
+    return users[fid] || null;
+  }
+
+  async getUserByUsername(username) {
+    const stored = await this.read(() => getFarcasterUserByUsername(this.env, username), null);
+    if (stored) {
+      this.storedHits++;
+      return stored;
+    }
+    
+    const user = await this.provider.getUserByUsername(username);
+    if (user) {
+      await this.store(() => saveFarcasterUsers(this.env, [user]));
+    }
+    return user;
+  }
+
+  // Address lookups stay with the provider (address_fids is the stored
+  // mapping), but the users it finds are kept
+  async getUsersByAddresses(addresses) {
+    const usersByAddress = await this.provider.getUsersByAddresses(addresses);
+    
+    const users = new Map(Object.values(usersByAddress).map(user => [user.fid, user]));
+    await this.store(() => saveFarcasterUsers(this.env, [...users.values()]));
+    
+    return usersByAddress;
+  }
+
+  async getCastsByHashes(hashes) {
+    if (!hashes || hashes.length === 0) return {};
+    
+    const uniqueHashes = [...new Set(hashes)];
+    const casts = await this.read(() => getCasts(this.env, uniqueHashes), {});
+    this.storedHits += Object.keys(casts).length;
+    
+    const missing = uniqueHashes.filter(hash => !casts[hash]);
+    if (missing.length > 0) {
+      const fetched = await this.provider.getCastsByHashes(missing);
+      Object.assign(casts, fetched);
+      await this.store(() => saveCasts(this.env, Object.values(fetched)));
+    }
+    
+    return casts;
+  }
+
+  async getCast(hash) {
+    const casts = await this.getCastsByHashes([hash]);
+    return casts[hash] || null;
+  }
+
+  getMetrics() {
+    const metrics = this.provider.getMetrics?.() || { lookups: 0 };
+    return { ...metrics, storedHits: this.storedHits };
+  }
+
+  // A failed read (e.g. before the migration ran) falls back to the provider
+  async read(query, fallback) {
+    try {
+      return await query();
+    } catch (error) {
+      console.error('Failed to read stored profiles:', error.message);
+      return fallback;
+    }
+  }
+
+  // Writes run after the response when the Worker lets us, and never fail a lookup
+  async store(write) {
+    const written = write().catch(error => console.error('Failed to store profiles:', error.message));
+    if (this.waitUntil) {
+      this.waitUntil(written);
+    } else {
+      await written;
+    }
+  }
+}
+
+// Store the creators, bidders, winners and casts of a batch of auction events
+// that aren't stored yet. Sync calls this after each batch; failures are only
+// logged, the refresh job picks up anything missed.
+export async function storeAuctionEventProfiles(env, provider, events) {
+  const fids = new Set();
+  const castHashes = new Set();
+  
+  for (const event of events) {
+    if (event.eventName === 'AuctionStarted') {
+      fids.add(Number(event.args.creatorFid));
+      castHashes.add(formatCastHash(event.args.castHash));
+    } else if (event.eventName === 'BidPlaced') {
+      fids.add(Number(event.args.bidderFid));
+    } else if (event.eventName === 'AuctionSettled') {
+      fids.add(Number(event.args.winnerFid));
+    }
+  }
+  fids.delete(0);
+  
+  const stored = new StoredProfileProvider(env, provider);
+  try {
+    await Promise.all([
+      stored.getUsersByFids([...fids]),
+      stored.getCastsByHashes([...castHashes])
+    ]);
+  } catch (error) {
+    console.error('Failed to store auction profiles:', error);
+  }
+}
+
+// Hourly job: store profiles and casts sync never got (e.g. from before the
+// tables existed, or while Neynar was down) and refetch the oldest profiles.
+// Each part handles at most `limit` rows per run.
+export async function refreshStoredProfiles(env, provider, { limit = 500 } = {}) {
+  const [missingUsersResult, staleUsersResult, missingCastsResult] = await Promise.all([
+    executeQuery(
+      env,
+      `SELECT fid FROM (
+        SELECT bidder_fid as fid FROM user_bid_stats
+        UNION
+        SELECT creator_fid FROM creator_stats
+      ) known
+      WHERE NOT EXISTS (SELECT 1 FROM farcaster_users u WHERE u.fid = known.fid)
+      LIMIT $1`,
+      [limit]
+    ),
+    executeQuery(
+      env,
+      `SELECT fid FROM farcaster_users
+       WHERE fetched_at < NOW() - INTERVAL '${PROFILE_REFRESH_HOURS} hours'
+       ORDER BY fetched_at
+       LIMIT $1`,
+      [limit]
+    ),
+    executeQuery(
+      env,
+      `SELECT a.cast_hash FROM auctions a
+       WHERE NOT EXISTS (SELECT 1 FROM casts c WHERE c.hash = LOWER(a.cast_hash))
+       ORDER BY a.id DESC
+       LIMIT $1`,
+      [limit]
+    )
+  ]);
+  
+  const fids = [...missingUsersResult.rows, ...staleUsersResult.rows].map(row => row.fid);
+  const castHashes = missingCastsResult.rows.map(row => row.cast_hash);
+  
+  const [users, casts] = await Promise.all([
+    fids.length > 0 ? provider.getUsersByFids(fids) : {},
+    castHashes.length > 0 ? provider.getCastsByHashes(castHashes) : {}
+  ]);
+  
+  await saveFarcasterUsers(env, Object.values(users));
+  await saveCasts(env, Object.values(casts));
+  
+  const result = {
+    usersAdded: missingUsersResult.rows.filter(row => users[row.fid]).length,
+    usersRefreshed: staleUsersResult.rows.filter(row => users[row.fid]).length,
+    castsAdded: Object.keys(casts).length
+  };
+  console.log(`Profile refresh: ${result.usersAdded} users added, ${result.usersRefreshed} refreshed, ${result.castsAdded} casts added`);
+  
+  return result;
+}
\ No newline at end of file
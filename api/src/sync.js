@@ -1,32 +1,216 @@
-import { createViemClient, getContractEvents, parseAuctionStartedEvent, parseBidPlacedEvent, getAuctionData, getNFTTransferEvents, parseTransferEvent } from './contract.js';
-import { executeQuery, getLastSyncedBlock, updateLastSyncedBlock, getLastNFTSyncedBlock, updateLastNFTSyncedBlock } from './db.js';
-import { formatCastHash } from './utils.js';
+import { createViemClient, createRpcStats, getContractEvents, getBlocks, getAuctionDataBatch, getNFTTransferEvents } from './contract.js';
+import { getNetwork } from './networks.js';
+import { executeQuery, withTransaction, getLastSyncedBlock, updateLastSyncedBlock, getLastNFTSyncedBlock, updateLastNFTSyncedBlock, getBlockHashesFrom, saveBlockHashes, deleteBlockHashesFrom, pruneBlockHashes, saveVerifiedAddressFids, acquireSyncLock, heartbeatSyncLock, renewSyncLockLease, releaseSyncLock, getSyncLock, startSyncRun, finishSyncRun } from './db.js';
+import { loadBatchContext, resolveTransferAddresses, processEvent } from './processors.js';
+import { refreshUserBidStats, refreshCreatorStats } from './stats.js';
+import { padCastHash } from './utils.js';
+import { createProfileProvider, hasProfileProvider } from './profiles.js';
+import { storeAuctionEventProfiles } from './stored-profiles.js';
+import { cacheTagsForEvents, purgeCacheTags } from './cache.js';
 
-export async function syncEvents(env) {
-  const client = createViemClient(env.BASE_RPC_URL);
+// Blocks newer than head - confirmations can still be reorged away
+const DEFAULT_CONFIRMATIONS = 12n;
+
+// How long a sync lock stays valid without a heartbeat
+const LOCK_LEASE_SECONDS = 120;
+
+// Cap on how far one run advances the NFT indexer, so catching up from the
+// deployment block is spread over several cron runs
+const MAX_NFT_BLOCKS_PER_RUN = 20000n;
+
+// An indexer further behind the head than this (about two cron intervals)
+// is reported as lagging
+const LAG_WARNING_BLOCKS = 300n;
+
+export class SyncInProgressError extends Error {
+  constructor(holder) {
+    super('Sync already in progress');
+    this.name = 'SyncInProgressError';
+    this.holder = holder;
+  }
+}
+
+// Take the shared sync lock or throw SyncInProgressError describing its holder.
+// trigger identifies who is asking ('cron', 'manual', 'reconcile') in the holder info
+export async function takeSyncLock(env, trigger) {
+  const lock = {
+    ownerId: `${trigger}:${crypto.randomUUID()}`,
+    leaseSeconds: LOCK_LEASE_SECONDS
+  };
+  
+  if (!(await acquireSyncLock(env, lock.ownerId, lock.leaseSeconds))) {
+    const holder = await getSyncLock(env);
+    throw new SyncInProgressError(holder ? {
+      ownerId: holder.owner_id,
+      acquiredAt: holder.acquired_at,
+      heartbeatAt: holder.heartbeat_at,
+      expiresAt: holder.expires_at,
+      progress: holder.progress
+    } : null);
+  }
   
-  // Sync both contracts in parallel
-  const [auctionResult, transferResult] = await Promise.all([
-    syncAuctionEvents(env, client),
-    syncNFTEvents(env, client)
+  return lock;
+}
+
+// chainSource swaps the RPC endpoint for another source of chain data, such as
+// a recorded fixture from src/replay.js
+export async function syncEvents(env, { trigger = 'manual', chainSource } = {}) {
+  const lock = await takeSyncLock(env, trigger);
+  
+  try {
+    const runId = await startSyncRun(env, trigger);
+    const rpcStats = createRpcStats();
+    const client = createViemClient(getNetwork(env), { rpcStats, chainSource });
+    const profiles = hasProfileProvider(env) ? createProfileProvider(env, { kvCache: env.NEYNAR_CACHE }) : null;
+    
+    // Response cache tags touched by committed batches, purged once at the end
+    const cacheTags = new Set(['sync']);
+    
+    try {
+      // Sync both contracts in parallel
+      const [auctionResult, transferResult] = await Promise.all([
+        syncAuctionEvents(env, client, lock, profiles, cacheTags),
+        syncNFTEvents(env, client, lock, profiles, cacheTags)
+      ]);
+      
+      console.log(`RPC usage: ${rpcStats.httpRequests} HTTP requests, calls by method: ${JSON.stringify(rpcStats.calls)}`);
+      
+      await finishSyncRun(env, runId, {
+        status: 'success',
+        auctionEventsProcessed: auctionResult.eventsProcessed,
+        transferEventsProcessed: transferResult.eventsProcessed,
+        auctionBlock: auctionResult.lastBlock,
+        nftBlock: transferResult.lastBlock,
+        rpcStats
+      });
+      
+      return {
+        runId,
+        eventsProcessed: auctionResult.eventsProcessed + transferResult.eventsProcessed,
+        auctionEventsProcessed: auctionResult.eventsProcessed,
+        transferEventsProcessed: transferResult.eventsProcessed,
+        lastBlock: auctionResult.lastBlock,
+        rpcStats
+      };
+    } catch (error) {
+      // Record the failure, but never let that hide the original error
+      await finishSyncRun(env, runId, { status: 'failed', rpcStats, error: error.message })
+        .catch(recordError => console.error('Failed to record sync failure:', recordError));
+      throw error;
+    } finally {
+      // Batches committed before a failure still need their cached responses purged
+      await purgeCacheTags(env, [...cacheTags])
+        .catch(error => console.error('Failed to purge response cache:', error));
+    }
+  } finally {
+    await releaseSyncLock(env, lock.ownerId);
+  }
+}
+
+// Indexer health for GET /sync/status: cursors against the chain head plus
+// recent runs from sync_runs
+export async function getSyncStatus(env, { runLimit = 10, errorLimit = 5 } = {}) {
+  const client = createViemClient(getNetwork(env));
+  
+  const [chainHead, cursorsResult, runsResult, errorsResult, lastResult] = await Promise.all([
+    client.getBlockNumber(),
+    executeQuery(
+      env,
+      `SELECT 'auction' as indexer, last_block_number, last_sync_time FROM sync_status WHERE id = 1
+       UNION ALL
+       SELECT 'nft' as indexer, last_block_number, last_sync_time FROM nft_sync_status WHERE id = 1`
+    ),
+    executeQuery(env, 'SELECT * FROM sync_runs ORDER BY id DESC LIMIT $1', [runLimit]),
+    executeQuery(
+      env,
+      `SELECT id, trigger, finished_at, error FROM sync_runs
+       WHERE status = 'failed'
+       ORDER BY id DESC
+       LIMIT $1`,
+      [errorLimit]
+    ),
+    executeQuery(
+      env,
+      `SELECT
+        MAX(finished_at) FILTER (WHERE status = 'success') as last_success_at,
+        MAX(finished_at) FILTER (WHERE status = 'failed') as last_failure_at
+      FROM sync_runs`
+    )
   ]);
   
+  const indexers = {};
+  for (const row of cursorsResult.rows) {
+    const lastBlock = BigInt(row.last_block_number);
+    indexers[row.indexer] = {
+      lastBlock,
+      lastSyncTime: row.last_sync_time,
+      lag: chainHead > lastBlock ? chainHead - lastBlock : 0n
+    };
+  }
+  
+  const lastFinishedRun = runsResult.rows.find(run => run.status !== 'running');
+  let status = 'ok';
+  if (lastFinishedRun?.status === 'failed') {
+    status = 'failing';
+  } else if (Object.values(indexers).some(indexer => indexer.lag > LAG_WARNING_BLOCKS)) {
+    status = 'lagging';
+  }
+  
   return {
-    eventsProcessed: auctionResult.eventsProcessed + transferResult.eventsProcessed,
-    auctionEventsProcessed: auctionResult.eventsProcessed,
-    transferEventsProcessed: transferResult.eventsProcessed,
-    lastBlock: auctionResult.lastBlock
+    status,
+    chainHead,
+    indexers,
+    lastSuccessAt: lastResult.rows[0].last_success_at,
+    lastFailureAt: lastResult.rows[0].last_failure_at,
+    runs: runsResult.rows,
+    errors: errorsResult.rows
   };
 }
 
-async function syncAuctionEvents(env, client) {
+// Renew the lease after each batch so the lock outlives long catch-up runs,
+// and stop writing as soon as another worker has taken it over
+export async function heartbeat(env, lock, indexer, progress) {
+  const stillHeld = await heartbeatSyncLock(env, lock.ownerId, lock.leaseSeconds, indexer, progress);
+  if (!stillHeld) {
+    throw new Error(`Sync lock lost by ${lock.ownerId} during ${indexer} sync`);
+  }
+}
+
+// Last step of every write transaction made under the lock. If the lease ran
+// out mid-batch another worker may already be writing, so throwing here rolls
+// the batch back instead of committing it alongside theirs.
+export async function confirmLease(db, lock, indexer) {
+  if (!(await renewSyncLockLease(db, lock.ownerId, lock.leaseSeconds))) {
+    throw new Error(`Sync lock lost by ${lock.ownerId} during ${indexer} sync, rolling back`);
+  }
+}
+
+async function syncAuctionEvents(env, client, lock, profiles, cacheTags) {
   // Get the last synced block
-  const lastSyncedBlock = await getLastSyncedBlock(env);
+  let lastSyncedBlock = await getLastSyncedBlock(env);
   console.log(`Last synced block from DB: ${lastSyncedBlock}`);
   
+  // Nothing to index before the contract existed
+  const { auctionDeploymentBlock } = client.network;
+  if (lastSyncedBlock < auctionDeploymentBlock) {
+    lastSyncedBlock = auctionDeploymentBlock - 1n;
+  }
+  
   const currentBlock = await client.getBlockNumber();
   console.log(`Current blockchain block: ${currentBlock}`);
   
+  const finalizedBlock = getFinalizedBlock(env, currentBlock);
+  
+  // Undo anything indexed from blocks that are no longer canonical
+  const forkBlock = await detectReorg(env, client, 'auction', currentBlock, finalizedBlock);
+  if (forkBlock !== null) {
+    await rollbackAuctionEvents(env, client, lock, forkBlock);
+    lastSyncedBlock = forkBlock - 1n;
+    
+    // The orphaned rows are gone, so there's no telling whose responses they were in
+    ['auctions', 'bids', 'settlements'].forEach(tag => cacheTags.add(tag));
+  }
+  
   // Don't sync if we're already up to date
   if (lastSyncedBlock >= currentBlock) {
     console.log('Already up to date, no sync needed');
@@ -46,240 +230,280 @@ async function syncAuctionEvents(env, client) {
     const events = await getContractEvents(client, fromBlock, toBlock);
     console.log(`Found ${events.length} auction events in this batch`);
     
-    for (const event of events) {
-      if (event.eventName === 'AuctionStarted') {
-        await processAuctionStartedEvent(env, client, event);
-        eventsProcessed++;
-      } else if (event.eventName === 'BidPlaced') {
-        await processBidPlacedEvent(env, event);
-        eventsProcessed++;
+    const context = await loadBatchContext(client, events, toBlock, finalizedBlock);
+    const blockHashes = collectBlockHashes(context, events, toBlock, finalizedBlock);
+    
+    // Write the whole batch and the cursor atomically, so a crash mid-batch
+    // leaves the database at the previous cursor
+    eventsProcessed += await withTransaction(env, async (db) => {
+      let batchEventsProcessed = 0;
+      
+      for (const event of events) {
+        if (await processEvent(db, context, event)) {
+          batchEventsProcessed++;
+        }
       }
+      
+      await saveBlockHashes(db, 'auction', blockHashes);
+      
+      // Update last synced block after each batch
+      await updateLastSyncedBlock(db, toBlock);
+      await confirmLease(db, lock, 'auction');
+      
+      return batchEventsProcessed;
+    });
+    
+    // Keep the batch's creators, bidders and casts in the database
+    if (profiles) {
+      await storeAuctionEventProfiles(env, profiles, events);
+    }
+    
+    for (const tag of await cacheTagsForEvents(env, client.network, events)) {
+      cacheTags.add(tag);
     }
     
-    // Update last synced block after each batch
-    await updateLastSyncedBlock(env, toBlock);
+    await heartbeat(env, lock, 'auction', {
+      lastBlock: toBlock.toString(),
+      targetBlock: currentBlock.toString(),
+      eventsProcessed
+    });
     
     fromBlock = toBlock + 1n;
   }
   
+  await pruneBlockHashes(env, 'auction', finalizedBlock);
+  
   return { eventsProcessed, lastBlock: currentBlock };
 }
 
-async function syncNFTEvents(env, client) {
+async function syncNFTEvents(env, client, lock, profiles, cacheTags) {
   // Get the last synced block for NFT contract
-  const lastSyncedBlock = await getLastNFTSyncedBlock(env);
+  let lastSyncedBlock = await getLastNFTSyncedBlock(env);
   console.log(`Last NFT synced block from DB: ${lastSyncedBlock}`);
-
-  return { eventsProcessed: 0, lastBlock: lastSyncedBlock };
+  
+  // Nothing to index before the contract existed
+  const { nftDeploymentBlock } = client.network;
+  if (lastSyncedBlock < nftDeploymentBlock) {
+    lastSyncedBlock = nftDeploymentBlock - 1n;
+  }
   
   const currentBlock = await client.getBlockNumber();
   console.log(`Current blockchain block: ${currentBlock}`);
   
+  const finalizedBlock = getFinalizedBlock(env, currentBlock);
+  
+  // Undo anything indexed from blocks that are no longer canonical
+  const forkBlock = await detectReorg(env, client, 'nft', currentBlock, finalizedBlock);
+  if (forkBlock !== null) {
+    await rollbackTransferEvents(env, lock, forkBlock);
+    lastSyncedBlock = forkBlock - 1n;
+    cacheTags.add('transfers');
+  }
+  
   // Don't sync if we're already up to date
   if (lastSyncedBlock >= currentBlock) {
     console.log('NFT sync already up to date, no sync needed');
     return { eventsProcessed: 0, lastBlock: currentBlock };
   }
   
+  const targetBlock = lastSyncedBlock + MAX_NFT_BLOCKS_PER_RUN < currentBlock
+    ? lastSyncedBlock + MAX_NFT_BLOCKS_PER_RUN
+    : currentBlock;
+  
   // Sync in batches to avoid rate limits
   const batchSize = 500n;
   let fromBlock = lastSyncedBlock + 1n;
   let eventsProcessed = 0;
   
-  while (fromBlock <= currentBlock) {
-    const toBlock = fromBlock + batchSize - 1n > currentBlock ? currentBlock : fromBlock + batchSize - 1n;
+  while (fromBlock <= targetBlock) {
+    const toBlock = fromBlock + batchSize - 1n > targetBlock ? targetBlock : fromBlock + batchSize - 1n;
     
     console.log(`Syncing NFT blocks ${fromBlock} to ${toBlock}`);
     
     const events = await getNFTTransferEvents(client, fromBlock, toBlock);
     console.log(`Found ${events.length} transfer events in this batch`);
     
-    for (const event of events) {
-      if (event.eventName === 'Transfer') {
-        await processTransferEvent(env, client, event);
-        eventsProcessed++;
+    const [context, verifiedAddressFids] = await Promise.all([
+      loadBatchContext(client, events, toBlock, finalizedBlock),
+      resolveTransferAddresses(env, profiles, events)
+    ]);
+    const blockHashes = collectBlockHashes(context, events, toBlock, finalizedBlock);
+    
+    // Write the whole batch and the cursor atomically
+    eventsProcessed += await withTransaction(env, async (db) => {
+      let batchEventsProcessed = 0;
+      
+      for (const event of events) {
+        if (await processEvent(db, context, event)) {
+          batchEventsProcessed++;
+        }
       }
+      
+      await saveVerifiedAddressFids(db, verifiedAddressFids);
+      await saveBlockHashes(db, 'nft', blockHashes);
+      
+      // Update last synced block after each batch
+      await updateLastNFTSyncedBlock(db, toBlock);
+      await confirmLease(db, lock, 'nft');
+      
+      return batchEventsProcessed;
+    });
+    
+    for (const tag of await cacheTagsForEvents(env, client.network, events)) {
+      cacheTags.add(tag);
     }
     
-    // Update last synced block after each batch
-    await updateLastNFTSyncedBlock(env, toBlock);
+    await heartbeat(env, lock, 'nft', {
+      lastBlock: toBlock.toString(),
+      targetBlock: targetBlock.toString(),
+      eventsProcessed
+    });
     
     fromBlock = toBlock + 1n;
   }
   
-  return { eventsProcessed, lastBlock: currentBlock };
+  await pruneBlockHashes(env, 'nft', finalizedBlock);
+  
+  return { eventsProcessed, lastBlock: targetBlock };
 }
 
-async function processAuctionStartedEvent(env, client, event) {
-  const data = parseAuctionStartedEvent(event);
-  
-  // Get block timestamp
-  const block = await client.getBlock({ blockNumber: event.blockNumber });
-  const timestamp = new Date(Number(block.timestamp) * 1000);
-  
-  // Get additional auction data from contract
-  const auctionData = await getAuctionData(client, data.castHash);
-  
-  if (!auctionData) {
-    console.error(`Could not read auction data for ${data.castHash}`);
-    return;
-  }
-  
-  // Calculate end time from the event data
-  const endTime = new Date(data.endTime * 1000);
-  
-  await executeQuery(
-    env,
-    `INSERT INTO auctions (
-      cast_hash, creator_address, creator_fid, min_bid, 
-      min_bid_increment_bps, protocol_fee_bps, duration, 
-      extension, extension_threshold, end_time,
-      transaction_hash, block_number, authorizer, created_at
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
-    ON CONFLICT (cast_hash) DO NOTHING`,
-    [
-      formatCastHash(data.castHash),
-      data.creator,
-      data.creatorFid,
-      auctionData.params.minBid,
-      auctionData.params.minBidIncrementBps,
-      auctionData.params.protocolFeeBps,
-      auctionData.params.duration,
-      auctionData.params.extension,
-      auctionData.params.extensionThreshold,
-      endTime,
-      data.transactionHash,
-      data.blockNumber.toString(),
-      data.authorizer,
-      timestamp
-    ]
-  );
+export function getFinalizedBlock(env, currentBlock) {
+  const confirmations = env.SYNC_CONFIRMATIONS ? BigInt(env.SYNC_CONFIRMATIONS) : DEFAULT_CONFIRMATIONS;
+  return currentBlock > confirmations ? currentBlock - confirmations : 0n;
 }
 
-async function processBidPlacedEvent(env, event) {
-  const data = parseBidPlacedEvent(event);
-  
-  // Get block timestamp
-  const client = createViemClient(env.BASE_RPC_URL);
-  const block = await client.getBlock({ blockNumber: event.blockNumber });
-  const timestamp = new Date(Number(block.timestamp) * 1000);
-  
-  // Find the auction ID
-  const auctionResult = await executeQuery(
-    env,
-    'SELECT id FROM auctions WHERE cast_hash = $1',
-    [formatCastHash(data.castHash)]
+// Compare the hashes we recorded for unconfirmed blocks against the chain.
+// Returns the first block that has to be re-indexed, or null if nothing changed.
+async function detectReorg(env, client, indexer, currentBlock, finalizedBlock) {
+  const recorded = await getBlockHashesFrom(env, indexer, finalizedBlock + 1n);
+  const blocks = await getBlocks(
+    client,
+    recorded.map(({ blockNumber }) => blockNumber).filter(blockNumber => blockNumber <= currentBlock)
   );
+  let lastVerifiedBlock = finalizedBlock;
   
-  if (auctionResult.rows.length === 0) {
-    console.error(`Auction not found for bid on cast hash: ${data.castHash}`);
-    return;
+  for (const { blockNumber, blockHash } of recorded) {
+    // A block past the current head means the chain got shorter
+    const block = blocks.get(blockNumber);
+    
+    if (!block || block.hash !== blockHash) {
+      const forkBlock = lastVerifiedBlock + 1n;
+      console.warn(`Reorg detected on ${indexer} indexer at block ${blockNumber}, rolling back to block ${forkBlock}`);
+      return forkBlock;
+    }
+    
+    lastVerifiedBlock = blockNumber;
   }
   
-  const auctionId = auctionResult.rows[0].id;
-  
-  await executeQuery(
-    env,
-    `INSERT INTO bids (
-      auction_id, cast_hash, bidder_address, bidder_fid, 
-      amount, transaction_hash, block_number, authorizer, timestamp
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
-    [
-      auctionId,
-      formatCastHash(data.castHash),
-      data.bidder,
-      data.bidderFid,
-      data.amount,
-      data.transactionHash,
-      data.blockNumber.toString(),
-      data.authorizer,
-      timestamp
-    ]
-  );
+  return null;
 }
 
-async function processAuctionSettledEvent(env, event) {
-  const data = parseAuctionSettledEvent(event);
+// Only blocks above the confirmation depth are worth tracking. We keep the
+// hash of every block that produced events plus the batch's last block.
+function collectBlockHashes(context, events, toBlock, finalizedBlock) {
+  if (toBlock <= finalizedBlock) return [];
+  
+  const hashes = new Map();
+  for (const event of events) {
+    if (event.blockNumber > finalizedBlock) {
+      hashes.set(event.blockNumber, event.blockHash);
+    }
+  }
   
-  // Update the auction state to settled (3) and store winner information
-  await executeQuery(
-    env,
-    `UPDATE auctions 
-     SET state = 3,
-         winner_address = $2,
-         winner_fid = $3,
-         winning_bid = $4
-     WHERE cast_hash = $1`,
-    [
-      formatCastHash(data.castHash),
-      data.winner,
-      data.winnerFid,
-      data.amount
-    ]
-  );
+  hashes.set(toBlock, context.blocks.get(toBlock).hash);
   
-  console.log(`Auction settled: ${data.castHash} - Winner: ${data.winner} (FID: ${data.winnerFid}) - Amount: ${data.amount}`);
+  return [...hashes];
 }
 
-async function processTransferEvent(env, client, event) {
-  const data = parseTransferEvent(event);
+async function rollbackAuctionEvents(env, client, lock, forkBlock) {
+  const fromBlock = forkBlock.toString();
   
-  // Get block timestamp
-  const block = await client.getBlock({ blockNumber: event.blockNumber });
-  const timestamp = new Date(Number(block.timestamp) * 1000);
-  
-  // Only consider transfers as P2P if they meet ALL these criteria:
-  // 1. NOT from the zero address (mints)
-  // 2. NOT to the zero address (burns)
-  // 3. NOT from the auction contract
-  // 4. NOT to the auction contract
-  
-  const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
-  const AUCTION_CONTRACT = '0xFC52e33F48Dd3fcd5EE428c160722efda645D74A';
-  
-  let isP2P = true;
-  
-  // Exclude mints (from zero address)
-  if (data.fromAddress.toLowerCase() === ZERO_ADDRESS.toLowerCase()) {
-    isP2P = false;
-  }
+  // Older auctions extended, settled or cancelled in orphaned blocks are reset
+  // to what the canonical chain says; re-indexing replays any surviving events
+  const touchedResult = await executeQuery(
+    env,
+    'SELECT cast_hash FROM auctions WHERE updated_block_number >= $1 AND block_number < $1',
+    [fromBlock]
+  );
   
-  // Exclude burns (to zero address)
-  if (data.toAddress.toLowerCase() === ZERO_ADDRESS.toLowerCase()) {
-    isP2P = false;
-  }
+  const auctionDataByHash = await getAuctionDataBatch(
+    client,
+    touchedResult.rows.map(row => padCastHash(row.cast_hash))
+  );
   
-  // Exclude transfers from auction contract
-  if (data.fromAddress.toLowerCase() === AUCTION_CONTRACT.toLowerCase()) {
-    isP2P = false;
+  const canonicalAuctions = [];
+  for (const row of touchedResult.rows) {
+    const auctionData = auctionDataByHash.get(padCastHash(row.cast_hash));
+    
+    if (!auctionData) {
+      throw new Error(`Could not read auction data for ${row.cast_hash} during rollback`);
+    }
+    
+    canonicalAuctions.push({ castHash: row.cast_hash, auctionData });
   }
   
-  // Exclude transfers to auction contract
-  if (data.toAddress.toLowerCase() === AUCTION_CONTRACT.toLowerCase()) {
-    isP2P = false;
-  }
+  await withTransaction(env, async (db) => {
+    // Everyone whose aggregates include a row we're about to remove or reset
+    const affectedResult = await db.query(
+      `SELECT
+        ARRAY(
+          SELECT DISTINCT b.bidder_fid FROM bids b
+          JOIN auctions a ON a.id = b.auction_id
+          WHERE b.block_number >= $1 OR a.block_number >= $1
+        ) as bidder_fids,
+        ARRAY(
+          SELECT DISTINCT creator_fid FROM auctions
+          WHERE block_number >= $1 OR updated_block_number >= $1
+             OR id IN (SELECT auction_id FROM bids WHERE block_number >= $1)
+        ) as creator_fids`,
+      [fromBlock]
+    );
+    const { bidder_fids: bidderFids, creator_fids: creatorFids } = affectedResult.rows[0];
+    
+    // Rows created in orphaned blocks go away entirely (bids cascade with their
+    // auction, outbids with their bids)
+    await db.query('DELETE FROM bids WHERE block_number >= $1', [fromBlock]);
+    await db.query('DELETE FROM auction_cancellations WHERE block_number >= $1', [fromBlock]);
+    await db.query('DELETE FROM creator_earnings WHERE block_number >= $1', [fromBlock]);
+    await db.query('DELETE FROM auctions WHERE block_number >= $1', [fromBlock]);
+    
+    for (const { castHash, auctionData } of canonicalAuctions) {
+      await db.query(
+        `UPDATE auctions 
+         SET end_time = $2,
+             state = $3,
+             winner_address = NULL,
+             winner_fid = NULL,
+             winning_bid = NULL,
+             updated_block_number = NULL
+         WHERE cast_hash = $1`,
+        [
+          castHash,
+          new Date(auctionData.endTime * 1000),
+          auctionData.state
+        ]
+      );
+    }
+    
+    await refreshUserBidStats(db, bidderFids);
+    await refreshCreatorStats(db, creatorFids);
+    
+    await deleteBlockHashesFrom(db, 'auction', forkBlock);
+    await updateLastSyncedBlock(db, forkBlock - 1n);
+    await confirmLease(db, lock, 'auction');
+  });
   
-  // Only insert if it's a true P2P transfer
-  if (!isP2P) {
-    return; // Skip non-P2P transfers entirely
-  }
+  console.log(`Rolled back auction data from block ${forkBlock} (${canonicalAuctions.length} auctions reset)`);
+}
+
+async function rollbackTransferEvents(env, lock, forkBlock) {
+  await withTransaction(env, async (db) => {
+    await db.query('DELETE FROM transfers WHERE block_number >= $1', [forkBlock.toString()]);
+    
+    await deleteBlockHashesFrom(db, 'nft', forkBlock);
+    await updateLastNFTSyncedBlock(db, forkBlock - 1n);
+    await confirmLease(db, lock, 'nft');
+  });
   
-  // Insert the P2P transfer record
-  await executeQuery(
-    env,
-    `INSERT INTO transfers (
-      from_address, to_address, token_id, 
-      transaction_hash, block_number, timestamp, is_p2p
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-    ON CONFLICT (transaction_hash, token_id) DO NOTHING`,
-    [
-      data.fromAddress,
-      data.toAddress,
-      data.tokenId,
-      data.transactionHash,
-      data.blockNumber.toString(),
-      timestamp,
-      true // Always true since we're only inserting P2P transfers
-    ]
-  );
+  console.log(`Rolled back transfer data from block ${forkBlock}`);
 }
\ No newline at end of file
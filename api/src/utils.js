@@ -28,4 +28,17 @@ export function usdcToCents(amount) {
   // Convert from 6 decimals to cents (2 decimals)
   // 1 USDC = 1,000,000 units = 100 cents
   return Math.round(Number(amount) / 10000);
+}
+
+// Keep a promise running after the response is sent. Hono throws on
+// c.executionCtx outside the Workers runtime (e.g. app.request in tests), and
+// there the promise simply runs unawaited.
+export function waitUntil(c, promise) {
+  let executionCtx;
+  try {
+    executionCtx = c.executionCtx;
+  } catch {
+    return;
+  }
+  executionCtx.waitUntil(promise);
 }
\ No newline at end of file
@@ -0,0 +1,171 @@
+import { validator } from 'hono/validator';
+import { ApiError } from './errors.js';
+import { decodeCursor } from './pagination.js';
+
+// FIDs are uint32 on-chain but stored as INTEGER
+const MAX_FID = 2147483647;
+
+// Request validation for route query and path params. A schema maps each param
+// to a field parser; routes read the parsed values with c.req.valid('query')
+// and c.req.valid('param'):
+//
+//   app.get('/analytics/user/:fid', validate({ param: { fid: fidParam() }, query: { limit: limitParam(20, 100) } }), async (c) => {
+//     const { fid } = c.req.valid('param');
+//
+// A field parser gets the raw string (undefined when missing) and returns the
+// value, or throws a FieldError. Every bad param in a request is reported at
+// once, as a 400 invalid_params error.
+//
+// Parsers also carry the JSON Schema of what they accept, so the middleware
+// can describe its params in the OpenAPI document (src/openapi.js).
+class FieldError extends Error {}
+
+// Checked by castHashParam and published as its schema pattern
+const CAST_HASH_PATTERN = /^0x([0-9a-fA-F]{40}|[0-9a-fA-F]{64})$/;
+
+export function validate({ query, param }) {
+  const validators = [];
+  if (param) validators.push(validator('param', (value) => parseSchema(param, value, 'path')));
+  if (query) validators.push(validator('query', (value) => parseSchema(query, value, 'query')));
+  
+  const middleware = async (c, next) => {
+    const run = (index) => index < validators.length
+      ? validators[index](c, () => run(index + 1))
+      : next();
+    return run(0);
+  };
+  middleware.openapi = {
+    parameters: [...describeParams(param, 'path'), ...describeParams(query, 'query')],
+    errors: [400]
+  };
+  return middleware;
+}
+
+// OpenAPI parameter objects for a schema; path params are always required
+function describeParams(schema = {}, location) {
+  return Object.entries(schema).map(([name, parseField]) => ({
+    name,
+    in: location,
+    required: location === 'path' || parseField.required,
+    schema: parseField.schema
+  }));
+}
+
+// A field parser with the schema of the values it accepts, and whether a
+// request must send one
+function fieldParser(parse, schema, required) {
+  return Object.assign(parse, { schema, required });
+}
+
+function parseSchema(schema, values, location) {
+  const parsed = {};
+  const errors = [];
+  
+  for (const [name, parseField] of Object.entries(schema)) {
+    // Repeated query params use the first value
+    const raw = Array.isArray(values[name]) ? values[name][0] : values[name];
+    try {
+      parsed[name] = parseField(raw === '' ? undefined : raw);
+    } catch (error) {
+      if (!(error instanceof FieldError)) throw error;
+      errors.push({ param: name, in: location, message: error.message });
+    }
+  }
+  
+  if (errors.length > 0) {
+    const summary = errors.map(error => `${error.param} ${error.message}`).join(', ');
+    throw new ApiError(400, 'invalid_params', `Invalid request: ${summary}`, { params: errors });
+  }
+  return parsed;
+}
+
+// An integer between min and max. Missing values get defaultValue, or fail
+// when there is none.
+export function integerParam({ min = 0, max = Number.MAX_SAFE_INTEGER, defaultValue = undefined } = {}) {
+  const schema = { type: 'integer', minimum: min };
+  if (max !== Number.MAX_SAFE_INTEGER) schema.maximum = max;
+  if (defaultValue !== undefined && defaultValue !== null) schema.default = defaultValue;
+  
+  return fieldParser((raw) => {
+    if (raw === undefined) {
+      if (defaultValue === undefined) throw new FieldError('is required');
+      return defaultValue;
+    }
+    if (!/^-?\d+$/.test(raw.trim())) throw new FieldError('must be a whole number');
+    
+    const value = Number(raw);
+    if (value < min) throw new FieldError(`must be at least ${min}`);
+    if (value > max) throw new FieldError(`must be at most ${max}`);
+    return value;
+  }, schema, defaultValue === undefined);
+}
+
+// Page size, 1 to max
+export function limitParam(defaultValue, max) {
+  return integerParam({ min: 1, max, defaultValue });
+}
+
+// A nextCursor from a previous page of the list sorted by sortKey (see
+// src/pagination.js), decoded to its values; missing is null, the first page
+export function cursorParam(sortKey) {
+  return fieldParser((raw) => {
+    if (raw === undefined) return null;
+    
+    const values = decodeCursor(sortKey, raw);
+    if (!values) throw new FieldError('is not a cursor from this list');
+    return values;
+  }, { type: 'string', description: 'pagination.nextCursor from the previous page; leave out for the first page' }, false);
+}
+
+export function fidParam({ optional = false } = {}) {
+  return fieldParser((raw) => {
+    if (raw === undefined) {
+      if (optional) return null;
+      throw new FieldError('is required');
+    }
+    
+    const value = Number(raw);
+    if (!/^\d+$/.test(raw.trim()) || value < 1 || value > MAX_FID) {
+      throw new FieldError('must be a valid FID (a positive whole number)');
+    }
+    return value;
+  }, { type: 'integer', minimum: 1, maximum: MAX_FID }, !optional);
+}
+
+// A cast hash, either 20 bytes or padded to 32, returned lowercased
+export function castHashParam() {
+  return fieldParser((raw) => {
+    if (raw === undefined) throw new FieldError('is required');
+    if (!CAST_HASH_PATTERN.test(raw)) {
+      throw new FieldError('must be a 0x-prefixed cast hash of 40 or 64 hex characters');
+    }
+    return raw.toLowerCase();
+  }, { type: 'string', pattern: CAST_HASH_PATTERN.source }, true);
+}
+
+export function enumParam(values, { defaultValue = undefined } = {}) {
+  const schema = { type: 'string', enum: values };
+  if (defaultValue !== undefined) schema.default = defaultValue;
+  
+  return fieldParser((raw) => {
+    if (raw === undefined) {
+      if (defaultValue === undefined) throw new FieldError('is required');
+      return defaultValue;
+    }
+    if (!values.includes(raw)) throw new FieldError(`must be one of ${values.join(', ')}`);
+    return raw;
+  }, schema, defaultValue === undefined);
+}
+
+// Trimmed text of at most maxLength characters; missing is null when optional
+export function textParam({ maxLength = 100, optional = false } = {}) {
+  return fieldParser((raw) => {
+    const value = raw?.trim();
+    if (!value) {
+      if (optional) return null;
+      throw new FieldError('is required');
+    }
+    if (value.length > maxLength) throw new FieldError(`must be at most ${maxLength} characters`);
+    return value;
+  }, { type: 'string', minLength: 1, maxLength }, !optional);
+}
\ No newline at end of file
@@ -0,0 +1,78 @@
+import { readdir, readFile } from 'node:fs/promises';
+import { PGlite, types } from '@electric-sql/pglite';
+import { pg_trgm } from '@electric-sql/pglite/contrib/pg_trgm';
+import { setDbClientFactory } from '../src/db.js';
+
+const MIGRATIONS_DIR = new URL('../migrations/', import.meta.url);
+
+// Same as scripts/migrate.js; PGlite runs CREATE INDEX CONCURRENTLY too
+const NO_TRANSACTION_DIRECTIVE = '-- migrate:no-transaction';
+
+// In-process Postgres (PGlite) with every migration applied, wired into
+// src/db.js so executeQuery, withTransaction and everything built on them
+// run against it. Rows come back typed like node-postgres and Neon's driver:
+// BIGINT and NUMERIC as strings.
+export async function createTestDatabase() {
+	const pglite = new PGlite({
+		extensions: { pg_trgm },
+		parsers: {
+			[types.INT8]: value => value,
+			[types.NUMERIC]: value => value
+		}
+	});
+	await pglite.waitReady;
+
+	for (const file of (await readdir(MIGRATIONS_DIR)).filter(file => file.endsWith('.up.sql')).sort()) {
+		const sql = await readFile(new URL(file, MIGRATIONS_DIR), 'utf8');
+		try {
+			if (sql.startsWith(NO_TRANSACTION_DIRECTIVE)) {
+				for (const statement of splitStatements(sql)) {
+					await pglite.exec(statement);
+				}
+			} else {
+				await pglite.exec(sql);
+			}
+		} catch (error) {
+			throw new Error(`Migration ${file} failed: ${error.message}`);
+		}
+	}
+
+	// PGlite has a single connection, so each client holds it from connect()
+	// to end(), like a pooled connection would
+	let queue = Promise.resolve();
+	setDbClientFactory(() => {
+		let release;
+		return {
+			async connect() {
+				const previous = queue;
+				queue = new Promise(resolve => { release = resolve; });
+				await previous;
+			},
+			query: (text, params) => runQuery(pglite, text, params),
+			async end() {
+				release();
+			}
+		};
+	});
+
+	return {
+		query: (text, params) => runQuery(pglite, text, params),
+		close: () => pglite.close()
+	};
+}
+
+// Same as scripts/migrate.js
+function splitStatements(sql) {
+	return sql
+		.split(/;\s*(?:\n|$)/)
+		.map(statement => statement.trim())
+		.filter(statement => statement.split('\n').some(line => line.trim() && !line.trim().startsWith('--')));
+}
+
+async function runQuery(pglite, text, params = []) {
+	// Parameterless scripts may hold several statements, as with node-postgres
+	const result = params.length > 0
+		? await pglite.query(text, params)
+		: (await pglite.exec(text)).at(-1);
+	return { ...result, rowCount: result.affectedRows ?? result.rows.length };
+}
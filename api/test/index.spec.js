@@ -1,20 +1,19 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
-import worker from '../src';
+import worker from '../src/index.js';
 
-describe('Hello World worker', () => {
-	it('responds with Hello World! (unit style)', async () => {
-		const request = new Request('http://example.com');
-		// Create an empty context to pass to `worker.fetch()`.
-		const ctx = createExecutionContext();
-		const response = await worker.fetch(request, env, ctx);
-		// Wait for all `Promise`s passed to `ctx.waitUntil()` to settle before running test assertions
-		await waitOnExecutionContext(ctx);
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+describe('API worker', () => {
+	it('answers the health check', async () => {
+		const response = await worker.fetch(new Request('http://example.com/'), {}, ctx);
+		expect(response.status).toBe(200);
+		expect(await response.json()).toEqual({ message: 'NFT Bidding Tracker API', version: '1.0.0' });
 	});
 
-	it('responds with Hello World! (integration style)', async () => {
-		const response = await SELF.fetch('http://example.com');
-		expect(await response.text()).toMatchInlineSnapshot(`"Hello World!"`);
+	it('serves the OpenAPI document', async () => {
+		const response = await worker.fetch(new Request('http://example.com/openapi.json'), {}, ctx);
+		const document = await response.json();
+		expect(document.openapi).toBe('3.1.0');
+		expect(document.paths['/analytics/simp-battles'].get.operationId).toBe('getSimpBattle');
 	});
 });
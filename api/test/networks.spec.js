@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { getNetwork } from '../src/networks.js';
+
+describe('getNetwork', () => {
+	it('falls back to the chain\'s public RPC without BASE_RPC_URL', () => {
+		expect(getNetwork({}).rpcUrl).toBe('https://mainnet.base.org');
+		expect(getNetwork({ BASE_RPC_URL: 'https://rpc.example.com' }).rpcUrl).toBe('https://rpc.example.com');
+	});
+
+	it('keeps the local profile on the Anvil node', () => {
+		const network = getNetwork({
+			NETWORK: 'local',
+			AUCTION_CONTRACT_ADDRESS: '0x5FbDB2315678afecb367f032d93F642f64180aa3',
+			NFT_CONTRACT_ADDRESS: '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512'
+		});
+		expect(network.rpcUrl).toBe('http://127.0.0.1:8545');
+		expect(network.multicallAddress).toBeUndefined();
+	});
+
+	it('still requires the contracts on networks without a canonical deployment', () => {
+		expect(() => getNetwork({ NETWORK: 'base-sepolia' })).toThrow('NETWORK base-sepolia needs AUCTION_CONTRACT_ADDRESS, NFT_CONTRACT_ADDRESS, AUCTION_DEPLOYMENT_BLOCK, NFT_DEPLOYMENT_BLOCK to be set');
+	});
+});
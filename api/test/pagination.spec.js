@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createTestDatabase } from './db.js';
+import { executeQuery } from '../src/db.js';
+import { encodeCursor, decodeCursor, afterCursor, cursorColumns, toPage, pageInfo } from '../src/pagination.js';
+
+const AUCTIONS_SORT = [{ column: 'a.created_at', type: 'timestamp' }, { column: 'a.id', type: 'integer' }];
+const HIGHEST_BID_SORT = [{ column: 'MAX(b.amount)', type: 'numeric', field: 'highest_bid' }, { column: 'a.id', type: 'integer' }];
+
+describe('cursors', () => {
+	it('round-trips a row through encodeCursor and decodeCursor', () => {
+		const cursor = encodeCursor(AUCTIONS_SORT, { created_at: new Date('2025-07-24T12:00:00Z'), created_at_cursor: '1753358400000123', id: 42, cast_hash: '0xabc' });
+		expect(decodeCursor(AUCTIONS_SORT, cursor)).toEqual(['1753358400000123', 42]);
+	});
+
+	it('keeps numerics as strings and reads the field a key names', () => {
+		const cursor = encodeCursor(HIGHEST_BID_SORT, { highest_bid: '123456789012345678901234', id: '7' });
+		expect(decodeCursor(HIGHEST_BID_SORT, cursor)).toEqual(['123456789012345678901234', 7]);
+	});
+
+	it('produces URL-safe cursors', () => {
+		// Bytes that base64 encodes with + and / and pads with =
+		const cursor = encodeCursor(HIGHEST_BID_SORT, { highest_bid: '1111111111111111111111', id: 1023 });
+		expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+		expect(decodeCursor(HIGHEST_BID_SORT, cursor)).toEqual(['1111111111111111111111', 1023]);
+	});
+
+	it('rejects a cursor from another sort order', () => {
+		const highestBidCursor = encodeCursor(HIGHEST_BID_SORT, { highest_bid: '1500000.5', id: 42 });
+		expect(decodeCursor(AUCTIONS_SORT, highestBidCursor)).toBeNull();
+
+		const threeValues = encodeCursor([...AUCTIONS_SORT, { column: 'a.id', type: 'integer' }], { created_at_cursor: '1753358400000123', id: 42 });
+		expect(decodeCursor(AUCTIONS_SORT, threeValues)).toBeNull();
+	});
+
+	it('rejects cursors that are not base64 JSON', () => {
+		expect(decodeCursor(AUCTIONS_SORT, 'not a cursor!')).toBeNull();
+		expect(decodeCursor(AUCTIONS_SORT, btoa('{"id":1}'))).toBeNull();
+	});
+
+	it('rejects timestamps that are not epoch microseconds', () => {
+		expect(decodeCursor(AUCTIONS_SORT, btoa(JSON.stringify(['2025-07-24T12:00:00.000Z', 42])))).toBeNull();
+	});
+});
+
+describe('afterCursor', () => {
+	it('is TRUE on the first page and leaves params alone', () => {
+		const params = [10];
+		expect(afterCursor(AUCTIONS_SORT, null, params)).toBe('TRUE');
+		expect(params).toEqual([10]);
+	});
+
+	it('compares the sort tuple to the cursor values appended to params', () => {
+		const params = [977233];
+		const clause = afterCursor(AUCTIONS_SORT, ['1753358400000123', 42], params);
+		expect(clause).toBe(`(a.created_at, a.id) < ((TIMESTAMP 'epoch' + $2::bigint * INTERVAL '1 microsecond'), $3::integer)`);
+		expect(params).toEqual([977233, '1753358400000123', 42]);
+	});
+
+	it('selects the timestamps it compares', () => {
+		expect(cursorColumns(AUCTIONS_SORT)).toBe('(EXTRACT(EPOCH FROM a.created_at) * 1000000)::bigint as created_at_cursor');
+		expect(cursorColumns(HIGHEST_BID_SORT)).toBe('');
+	});
+});
+
+describe('toPage', () => {
+	const rows = [
+		{ created_at_cursor: '1753358403000000', id: 3 },
+		{ created_at_cursor: '1753358402000000', id: 2 },
+		{ created_at_cursor: '1753358401000000', id: 1 }
+	];
+
+	it('returns the cursor of the last row kept when there are more rows', () => {
+		const page = toPage(AUCTIONS_SORT, rows, 2);
+		expect(page.rows).toEqual(rows.slice(0, 2));
+		expect(decodeCursor(AUCTIONS_SORT, page.nextCursor)).toEqual(['1753358402000000', 2]);
+		expect(pageInfo(2, '3', page.nextCursor)).toEqual({ limit: 2, total: 3, nextCursor: page.nextCursor, hasMore: true });
+	});
+
+	it('returns no cursor on the last page', () => {
+		const page = toPage(AUCTIONS_SORT, rows, 3);
+		expect(page).toEqual({ rows, nextCursor: null });
+		expect(pageInfo(3, '3', null).hasMore).toBe(false);
+	});
+});
+
+describe('paging through Postgres', () => {
+	let db;
+
+	beforeAll(async () => {
+		db = await createTestDatabase();
+		// Three auctions within the same millisecond, the newest with the lowest id
+		for (const [index, createdAt] of ['2025-07-24 12:00:00.000300', '2025-07-24 12:00:00.000200', '2025-07-24 12:00:00.000100'].entries()) {
+			await db.query(
+				`INSERT INTO auctions (cast_hash, creator_address, creator_fid, min_bid, min_bid_increment_bps, protocol_fee_bps,
+				   duration, extension, extension_threshold, end_time, transaction_hash, block_number, authorizer, created_at)
+				 VALUES ($1, '0x0', 1, 1, 1000, 1000, 86400, 900, 900, '2025-07-25', '0x0', 1, '0x0', $2)`,
+				[`0x${index}`, createdAt]
+			);
+		}
+	});
+
+	afterAll(async () => {
+		await db?.close();
+	});
+
+	it('keeps the microseconds of timestamp cursors', async () => {
+		const ids = [];
+		let cursor = null;
+		do {
+			const params = [1];
+			const result = await executeQuery(
+				{},
+				`SELECT a.id, ${cursorColumns(AUCTIONS_SORT)} FROM auctions a
+				 WHERE ${afterCursor(AUCTIONS_SORT, cursor, params)}
+				 ORDER BY a.created_at DESC, a.id DESC LIMIT $1 + 1`,
+				params
+			);
+			const page = toPage(AUCTIONS_SORT, result.rows, 1);
+			ids.push(...page.rows.map(row => row.id));
+			cursor = page.nextCursor && decodeCursor(AUCTIONS_SORT, page.nextCursor);
+		} while (cursor);
+
+		expect(ids).toEqual([1, 2, 3]);
+	});
+});
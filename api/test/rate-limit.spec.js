@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import worker from '../src/index.js';
+import { RateLimiter } from '../src/rate-limit.js';
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+// Stands in for the RATE_LIMITER binding: one RateLimiter per name, each with
+// in-memory storage
+function createNamespace() {
+	const buckets = new Map();
+	return {
+		buckets,
+		idFromName: (name) => name,
+		get(name) {
+			if (!buckets.has(name)) {
+				const data = new Map();
+				const storage = {
+					data,
+					alarm: null,
+					get: async (key) => data.get(key),
+					put: async (key, value) => { data.set(key, structuredClone(value)); },
+					setAlarm: async (time) => { storage.alarm = time; },
+					deleteAll: async () => data.clear()
+				};
+				buckets.set(name, { limiter: new RateLimiter({ storage }), storage });
+			}
+			const { limiter } = buckets.get(name);
+			return { fetch: (url, init) => limiter.fetch(new Request(url, init)) };
+		}
+	};
+}
+
+function get(env, ip = '203.0.113.7') {
+	return worker.fetch(new Request('http://example.com/', { headers: { 'CF-Connecting-IP': ip } }), env, ctx);
+}
+
+describe('rate limiting', () => {
+	it('spends a token per request and answers 429 once the bucket is empty', async () => {
+		const env = { RATE_LIMITER: createNamespace(), RATE_LIMIT_DEFAULT: '2,1' };
+
+		const first = await get(env);
+		expect(first.status).toBe(200);
+		expect(first.headers.get('RateLimit-Limit')).toBe('2');
+		expect(first.headers.get('RateLimit-Remaining')).toBe('1');
+		expect(first.headers.get('RateLimit-Reset')).toBe('60');
+
+		expect((await get(env)).headers.get('RateLimit-Remaining')).toBe('0');
+
+		const limited = await get(env);
+		expect(limited.status).toBe(429);
+		expect(limited.headers.get('Retry-After')).toBe('60');
+		expect(await limited.json()).toEqual({
+			error: 'Too many requests, slow down',
+			code: 'rate_limited',
+			details: { budget: 'default', limit: 2, retryAfter: 60 }
+		});
+	});
+
+	it('keeps a bucket per client and budget', async () => {
+		const env = { RATE_LIMITER: createNamespace(), RATE_LIMIT_DEFAULT: '1,1' };
+
+		expect((await get(env, '203.0.113.7')).status).toBe(200);
+		expect((await get(env, '203.0.113.8')).status).toBe(200);
+		expect([...env.RATE_LIMITER.buckets.keys()]).toEqual(['default:ip:203.0.113.7', 'default:ip:203.0.113.8']);
+	});
+
+	it('drops a bucket once it would be full again', async () => {
+		const env = { RATE_LIMITER: createNamespace(), RATE_LIMIT_DEFAULT: '2,1' };
+		const before = Date.now();
+		await get(env);
+
+		const { limiter, storage } = env.RATE_LIMITER.buckets.get('default:ip:203.0.113.7');
+		expect(storage.alarm).toBeGreaterThanOrEqual(before + 60000);
+
+		await limiter.alarm();
+		expect(storage.data.size).toBe(0);
+	});
+
+	it('lets everything through without the binding or with the budget off', async () => {
+		expect((await get({})).headers.get('RateLimit-Limit')).toBeNull();
+
+		const env = { RATE_LIMITER: createNamespace(), RATE_LIMIT_DEFAULT: 'off' };
+		expect((await get(env)).status).toBe(200);
+		expect(env.RATE_LIMITER.buckets.size).toBe(0);
+	});
+});
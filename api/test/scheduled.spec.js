@@ -0,0 +1,34 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createTestDatabase } from './db.js';
+import worker from '../src/index.js';
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+describe('scheduled reconciliation cron', () => {
+	let db;
+
+	beforeAll(async () => {
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		db = await createTestDatabase();
+	});
+
+	afterAll(async () => {
+		vi.restoreAllMocks();
+		await db?.close();
+	});
+
+	it('refreshes stored profiles even when another worker holds the sync lock', async () => {
+		await db.query(
+			`UPDATE sync_lock
+			 SET owner_id = 'cron:other', acquired_at = now(), heartbeat_at = now(), expires_at = now() + interval '2 minutes'
+			 WHERE id = 1`
+		);
+		await db.query('INSERT INTO user_bid_stats (bidder_fid) VALUES (42)');
+
+		await worker.scheduled({ cron: '17 * * * *' }, { PROFILE_PROVIDER: 'local' }, ctx);
+
+		expect(console.log).toHaveBeenCalledWith('Skipping scheduled reconciliation, lock held by cron:other');
+		const users = await db.query('SELECT fid, username FROM farcaster_users');
+		expect(users.rows).toEqual([{ fid: 42, username: 'fid-42' }]);
+	});
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { createTestDatabase } from './db.js';
+import { renewSyncLockLease } from '../src/db.js';
+
+describe('renewSyncLockLease', () => {
+	let db;
+
+	beforeAll(async () => {
+		db = await createTestDatabase();
+	});
+
+	afterAll(async () => {
+		await db?.close();
+	});
+
+	async function holdLock(ownerId, leaseMs) {
+		await db.query(
+			`UPDATE sync_lock
+			 SET owner_id = $1, expires_at = clock_timestamp() + make_interval(secs => $2)
+			 WHERE id = 1`,
+			[ownerId, leaseMs / 1000]
+		);
+	}
+
+	it('renews a live lease from the current time', async () => {
+		await holdLock('sync:a', 60000);
+
+		await db.query('BEGIN');
+		expect(await renewSyncLockLease(db, 'sync:a', 120)).toBe(true);
+		await db.query('COMMIT');
+
+		const lock = await db.query(`SELECT expires_at - clock_timestamp() > interval '119 seconds' as renewed FROM sync_lock`);
+		expect(lock.rows[0].renewed).toBe(true);
+	});
+
+	it('fails for a lease that expired after the transaction began', async () => {
+		await holdLock('sync:a', 200);
+
+		await db.query('BEGIN');
+		await db.query('SELECT 1');
+		await new Promise(resolve => setTimeout(resolve, 400));
+		expect(await renewSyncLockLease(db, 'sync:a', 120)).toBe(false);
+		await db.query('ROLLBACK');
+	});
+
+	it('fails for a lease another worker holds', async () => {
+		await holdLock('sync:b', 60000);
+		expect(await renewSyncLockLease(db, 'sync:a', 120)).toBe(false);
+	});
+});
@@ -0,0 +1,228 @@
+import { readFile } from 'node:fs/promises';
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { createTestDatabase } from './db.js';
+import { syncEvents } from '../src/sync.js';
+import { replayChainSource } from '../src/replay.js';
+import { reconcileAuctions } from '../src/reconcile.js';
+
+// Runs the Worker's sync against the fixtures in test/fixtures, which are in
+// the format scripts/replay-sync.js captures (see src/replay.js), on base-mainnet
+const env = {};
+
+const CAST_A = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const CAST_B = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const CAST_C = '0xcccccccccccccccccccccccccccccccccccccccc';
+
+async function loadFixture(name) {
+	return JSON.parse(await readFile(new URL(`fixtures/${name}`, import.meta.url), 'utf8'));
+}
+
+async function replay(name, replayEnv = env) {
+	return syncEvents(replayEnv, { trigger: 'replay', chainSource: replayChainSource(await loadFixture(name)) });
+}
+
+describe('sync replay: auction lifecycle', () => {
+	let db;
+	let result;
+
+	beforeAll(async () => {
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		db = await createTestDatabase();
+		result = await replay('auction-lifecycle.json');
+	});
+
+	afterAll(async () => {
+		vi.restoreAllMocks();
+		await db?.close();
+	});
+
+	const auction = async (castHash) => (await db.query('SELECT * FROM auctions WHERE cast_hash = $1', [castHash])).rows[0];
+
+	it('indexes every event and moves both cursors to the head', async () => {
+		expect(result.auctionEventsProcessed).toBe(9);
+		expect(result.transferEventsProcessed).toBe(2);
+		expect(result.lastBlock).toBe(33201000n);
+
+		const cursors = await db.query(
+			`SELECT (SELECT last_block_number FROM sync_status WHERE id = 1) as auction,
+			        (SELECT last_block_number FROM nft_sync_status WHERE id = 1) as nft`
+		);
+		expect(cursors.rows[0]).toEqual({ auction: '33201000', nft: '33201000' });
+
+		const runs = await db.query('SELECT trigger, status, auction_events_processed, transfer_events_processed FROM sync_runs');
+		expect(runs.rows).toEqual([{ trigger: 'replay', status: 'success', auction_events_processed: 9, transfer_events_processed: 2 }]);
+	});
+
+	it('applies the extension and the settlement', async () => {
+		const settled = await auction(CAST_A);
+		expect(settled).toMatchObject({
+			creator_fid: 100,
+			state: 3,
+			winner_fid: 201,
+			winning_bid: '20000000',
+			updated_block_number: '33200850'
+		});
+		// The late bid at block 33200760 pushed the end out to its timestamp + 120s
+		expect(settled.end_time.getTime()).toBe((1760001520 + 120) * 1000);
+
+		const earnings = await db.query('SELECT creator_fid, winner_fid, gross_amount, protocol_fee, net_amount FROM creator_earnings');
+		expect(earnings.rows).toEqual([
+			{ creator_fid: 100, winner_fid: 201, gross_amount: '20000000', protocol_fee: '2000000', net_amount: '18000000' }
+		]);
+	});
+
+	it('records the cancellation and its refund', async () => {
+		expect(await auction(CAST_B)).toMatchObject({ creator_fid: 101, state: 4, winner_fid: null, updated_block_number: '33200745' });
+
+		const cancellations = await db.query('SELECT cast_hash, refunded_bidder_fid, block_number FROM auction_cancellations');
+		expect(cancellations.rows).toEqual([{ cast_hash: CAST_B, refunded_bidder_fid: 202, block_number: '33200745' }]);
+	});
+
+	it('stores bids with their log index and outbids in chain order', async () => {
+		const bids = await db.query('SELECT cast_hash, bidder_fid, amount, log_index FROM bids ORDER BY block_number');
+		expect(bids.rows).toEqual([
+			{ cast_hash: CAST_A, bidder_fid: 201, amount: '10000000', log_index: 3 },
+			{ cast_hash: CAST_B, bidder_fid: 202, amount: '5000000', log_index: 0 },
+			{ cast_hash: CAST_A, bidder_fid: 202, amount: '15000000', log_index: 0 },
+			{ cast_hash: CAST_A, bidder_fid: 201, amount: '20000000', log_index: 4 }
+		]);
+
+		const outbids = await db.query('SELECT outbidder_fid, victim_fid, winning_amount, losing_amount FROM outbids ORDER BY block_number');
+		expect(outbids.rows).toEqual([
+			{ outbidder_fid: 202, victim_fid: 201, winning_amount: '15000000', losing_amount: '10000000' },
+			{ outbidder_fid: 201, victim_fid: 202, winning_amount: '20000000', losing_amount: '15000000' }
+		]);
+	});
+
+	it('keeps only P2P transfers', async () => {
+		const transfers = await db.query('SELECT from_address, to_address, token_id FROM transfers');
+		expect(transfers.rows).toEqual([{
+			from_address: '0x2222222222222222222222222222222222222222',
+			to_address: '0x5555555555555555555555555555555555555555',
+			token_id: '1'
+		}]);
+	});
+
+	it('maintains the aggregate stats', async () => {
+		const users = await db.query('SELECT bidder_fid, total_bids, auctions_participated, total_volume, highest_bid FROM user_bid_stats ORDER BY bidder_fid');
+		expect(users.rows).toEqual([
+			{ bidder_fid: 201, total_bids: 2, auctions_participated: 1, total_volume: '20000000', highest_bid: '20000000' },
+			{ bidder_fid: 202, total_bids: 2, auctions_participated: 2, total_volume: '20000000', highest_bid: '15000000' }
+		]);
+
+		const creator = await db.query('SELECT total_auctions, active_auctions, total_revenue, total_bids_received, unique_simps FROM creator_stats WHERE creator_fid = 100');
+		expect(creator.rows).toEqual([{ total_auctions: 1, active_auctions: 0, total_revenue: '20000000', total_bids_received: 3, unique_simps: 2 }]);
+
+		const global = await db.query('SELECT total_simps, total_bids, total_volume, highest_bid, total_auctions, active_auctions FROM global_stats');
+		expect(global.rows).toEqual([{ total_simps: 2, total_bids: 4, total_volume: '40000000', highest_bid: '20000000', total_auctions: 2, active_auctions: 0 }]);
+	});
+
+	it('writes nothing twice when the same blocks are synced again', async () => {
+		await db.query('UPDATE sync_status SET last_block_number = 0 WHERE id = 1');
+		await db.query('UPDATE nft_sync_status SET last_block_number = 0 WHERE id = 1');
+		await replay('auction-lifecycle.json');
+
+		const counts = await db.query(
+			`SELECT (SELECT COUNT(*) FROM auctions) as auctions, (SELECT COUNT(*) FROM bids) as bids,
+			        (SELECT COUNT(*) FROM outbids) as outbids, (SELECT COUNT(*) FROM transfers) as transfers,
+			        (SELECT total_bids FROM global_stats) as total_bids`
+		);
+		expect(counts.rows[0]).toEqual({ auctions: '2', bids: '4', outbids: '2', transfers: '1', total_bids: 4 });
+	});
+});
+
+describe('sync replay: reorg', () => {
+	let db;
+
+	beforeAll(async () => {
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		vi.spyOn(console, 'warn').mockImplementation(() => {});
+		db = await createTestDatabase();
+	});
+
+	afterAll(async () => {
+		vi.restoreAllMocks();
+		await db?.close();
+	});
+
+	it('indexes the unconfirmed blocks and records their hashes', async () => {
+		await replay('reorg-before.json');
+
+		const bids = await db.query('SELECT bidder_fid, block_number FROM bids');
+		expect(bids.rows).toEqual([{ bidder_fid: 203, block_number: '33200993' }]);
+
+		const auction = await db.query('SELECT end_time, updated_block_number FROM auctions WHERE cast_hash = $1', [CAST_C]);
+		expect(auction.rows[0].updated_block_number).toBe('33200993');
+
+		const hashes = await db.query(`SELECT block_number FROM block_hashes WHERE indexer = 'auction' ORDER BY block_number`);
+		expect(hashes.rows.map(row => row.block_number)).toEqual(['33200990', '33200993', '33201000']);
+	});
+
+	it('rolls back the orphaned blocks and indexes the new chain', async () => {
+		await replay('reorg-after.json');
+
+		// The orphaned bid and its extension are gone, the replacement bid is in
+		const bids = await db.query('SELECT bidder_fid, amount, block_number FROM bids');
+		expect(bids.rows).toEqual([{ bidder_fid: 204, amount: '8000000', block_number: '33200996' }]);
+
+		const auction = await db.query('SELECT state, end_time, updated_block_number FROM auctions WHERE cast_hash = $1', [CAST_C]);
+		expect(auction.rows[0]).toMatchObject({ state: 1, updated_block_number: null });
+		expect(auction.rows[0].end_time.getTime()).toBe((1760001980 + 180) * 1000);
+
+		const users = await db.query('SELECT bidder_fid, total_bids, total_volume FROM user_bid_stats');
+		expect(users.rows).toEqual([{ bidder_fid: 204, total_bids: 1, total_volume: '8000000' }]);
+
+		const global = await db.query('SELECT total_simps, total_bids, total_volume, highest_bid FROM global_stats');
+		expect(global.rows).toEqual([{ total_simps: 1, total_bids: 1, total_volume: '8000000', highest_bid: '8000000' }]);
+
+		const cursor = await db.query('SELECT last_block_number FROM sync_status WHERE id = 1');
+		expect(cursor.rows[0].last_block_number).toBe('33201002');
+
+		const hashes = await db.query(`SELECT block_number FROM block_hashes WHERE indexer = 'auction' ORDER BY block_number`);
+		expect(hashes.rows.map(row => row.block_number)).toEqual(['33200996', '33201002']);
+	});
+
+	it('lets reconciliation commit its repairs under the lease and release it', async () => {
+		vi.spyOn(console, 'error').mockImplementation(() => {});
+		const report = await reconcileAuctions(env, { trigger: 'replay', chainSource: replayChainSource(await loadFixture('reorg-after.json')) });
+
+		// C's end time has long passed, so the still-Active auction is stored as Ended
+		expect(report.discrepancies).toContainEqual(expect.objectContaining({ castHash: CAST_C, field: 'state', dbValue: '1', chainValue: '2', fixed: true }));
+		const auction = await db.query('SELECT state, updated_block_number FROM auctions WHERE cast_hash = $1', [CAST_C]);
+		expect(auction.rows[0]).toEqual({ state: 2, updated_block_number: '33201002' });
+
+		const lock = await db.query('SELECT owner_id FROM sync_lock WHERE id = 1');
+		expect(lock.rows[0].owner_id).toBeNull();
+	});
+});
+
+describe('sync replay: chain without multicall3', () => {
+	let db;
+
+	beforeAll(async () => {
+		vi.spyOn(console, 'log').mockImplementation(() => {});
+		db = await createTestDatabase();
+	});
+
+	afterAll(async () => {
+		vi.restoreAllMocks();
+		await db?.close();
+	});
+
+	it('reads auctions one by one on the local profile', async () => {
+		// viem's anvil chain has no multicall3, and the fixture would reject a multicall to it anyway
+		await replay('auction-lifecycle.json', {
+			NETWORK: 'local',
+			AUCTION_CONTRACT_ADDRESS: '0xFC52e33F48Dd3fcd5EE428c160722efda645D74A',
+			NFT_CONTRACT_ADDRESS: '0xc011Ec7Ca575D4f0a2eDA595107aB104c7Af7A09',
+			AUCTION_DEPLOYMENT_BLOCK: '33200651',
+			NFT_DEPLOYMENT_BLOCK: '33200645'
+		});
+
+		const auctions = await db.query('SELECT cast_hash, state, winner_fid FROM auctions ORDER BY cast_hash');
+		expect(auctions.rows).toEqual([
+			{ cast_hash: CAST_A, state: 3, winner_fid: 201 },
+			{ cast_hash: CAST_B, state: 4, winner_fid: null }
+		]);
+	});
+});
@@ -0,0 +1,65 @@
+import { describe, it, expect, vi } from 'vitest';
+import worker from '../src/index.js';
+
+const ctx = { waitUntil() {}, passThroughOnException() {} };
+
+// None of these reach the database or any other binding
+async function get(path, headers = {}) {
+	const response = await worker.fetch(new Request(`http://example.com${path}`, { headers }), { HOSTNAME: 'example.com' }, ctx);
+	return { status: response.status, body: await response.json() };
+}
+
+describe('request validation', () => {
+	it('rejects a FID that is not a number', async () => {
+		const { status, body } = await get('/analytics/user/abc');
+		expect(status).toBe(400);
+		expect(body.code).toBe('invalid_params');
+		expect(body.details.params).toEqual([
+			{ param: 'fid', in: 'path', message: 'must be a valid FID (a positive whole number)' }
+		]);
+	});
+
+	it('rejects a limit above the route maximum', async () => {
+		const { status, body } = await get('/auctions?limit=100000');
+		expect(status).toBe(400);
+		expect(body).toEqual({
+			error: 'Invalid request: limit must be at most 100',
+			code: 'invalid_params',
+			details: { params: [{ param: 'limit', in: 'query', message: 'must be at most 100' }] }
+		});
+	});
+
+	it('rejects a malformed cast hash', async () => {
+		const { status, body } = await get('/auctions/0x123');
+		expect(status).toBe(400);
+		expect(body.code).toBe('invalid_params');
+		expect(body.details.params.map(error => error.param)).toEqual(['castHash']);
+	});
+
+	it('reports every bad param at once', async () => {
+		const { body } = await get('/auctions?limit=abc&cursor=zzz');
+		expect(body.details.params.map(error => error.param)).toEqual(['limit', 'cursor']);
+	});
+});
+
+describe('error responses', () => {
+	it('answers 401 missing_token on an authenticated route without a token', async () => {
+		const { status, body } = await get('/me');
+		expect(status).toBe(401);
+		expect(body).toEqual({ error: 'Missing token', code: 'missing_token' });
+	});
+
+	it('answers 401 invalid_token for a token that is not a JWT', async () => {
+		vi.spyOn(console, 'info').mockImplementation(() => {});
+		const { status, body } = await get('/me', { Authorization: 'Bearer not-a-jwt' });
+		vi.restoreAllMocks();
+		expect(status).toBe(401);
+		expect(body).toEqual({ error: 'Invalid token', code: 'invalid_token' });
+	});
+
+	it('answers 404 not_found for an unknown route', async () => {
+		const { status, body } = await get('/no-such-route');
+		expect(status).toBe(404);
+		expect(body).toEqual({ error: 'No route for GET /no-such-route', code: 'not_found' });
+	});
+});
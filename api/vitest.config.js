@@ -1,11 +1,10 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import { defineConfig } from 'vitest/config';
 
-export default defineWorkersConfig({
+export default defineConfig({
 	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
-			},
-		},
+		// Specs that touch the database start their own in-process Postgres
+		// (test/db.js), and applying the migrations takes a few seconds
+		hookTimeout: 30000,
+		testTimeout: 30000,
 	},
 });
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useRef } from 'react'
 import { sdk } from '@farcaster/miniapp-sdk'
 import { api } from './api'
 import { 
@@ -14,6 +14,34 @@ import {
 } from './utils'
 import './App.css'
 
+// Infinite scroll: calls onLoadMore whenever the end of a list comes into
+// view, unless the previous page is still loading. onLoadMore is read through
+// a ref, so a new callback each render doesn't re-create the observer.
+function LoadMoreSentinel({ loading, onLoadMore }) {
+  const sentinelRef = useRef(null)
+  const onLoadMoreRef = useRef(onLoadMore)
+  
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore
+  })
+  
+  useEffect(() => {
+    if (loading || !sentinelRef.current) return
+    
+    const observer = new IntersectionObserver(entries => {
+      if (entries[0].isIntersecting) onLoadMoreRef.current()
+    }, { rootMargin: '300px' })
+    observer.observe(sentinelRef.current)
+    return () => observer.disconnect()
+  }, [loading])
+  
+  return (
+    <div ref={sentinelRef} className="load-more-sentinel">
+      {loading && <div className="loading">DIGGING UP MORE DIRT...</div>}
+    </div>
+  )
+}
+
 function App() {
   // State management
   const [activeView, setActiveView] = useState('top-simps')
@@ -27,12 +55,15 @@ function App() {
   // Data states
   const [frameContext, setFrameContext] = useState(null)
   const [globalStats, setGlobalStats] = useState(null)
+  const [syncStatus, setSyncStatus] = useState(null)
   const [topSimps, setTopSimps] = useState([])
   const [hotUsers, setHotUsers] = useState([])
   const [trending, setTrending] = useState(null)
   const [battleData, setBattleData] = useState(null)
   const [userLevel, setUserLevel] = useState(null)
   const [battleInputs, setBattleInputs] = useState({ fid1: '', fid2: '' })
+  const [battleSuggestions, setBattleSuggestions] = useState({ fid1: [], fid2: [] })
+  const [activeBattleInput, setActiveBattleInput] = useState(null)
   const [selectedUser, setSelectedUser] = useState(null)
   const [selectedUserProfile, setSelectedUserProfile] = useState(null)
   const [topWinningCasts, setTopWinningCasts] = useState([])
@@ -40,6 +71,10 @@ function App() {
   const [topCollectedCreators, setTopCollectedCreators] = useState([])
   const [authoredCollections, setAuthoredCollections] = useState([])
   const [authoredCollectionsPagination, setAuthoredCollectionsPagination] = useState(null)
+  // Cursor for each infinite scroll list's next page, null once it's all loaded
+  const [nextCursors, setNextCursors] = useState({})
+  // The latest page request of each infinite scroll list
+  const pageRequests = useRef({})
 
   // Initialize Farcaster SDK
   useEffect(() => {
@@ -62,6 +97,7 @@ function App() {
   // Load initial data
   useEffect(() => {
     loadGlobalStats()
+    loadSyncStatus()
     loadTopSimps()
   }, [])
 
@@ -103,6 +139,37 @@ function App() {
     }
   }, [activeView, selectedTimeframe, hotGossipTab, simpWarsMode])
 
+  // Autocomplete the battle input being typed in, once typing pauses
+  useEffect(() => {
+    if (!activeBattleInput) return
+    
+    const key = activeBattleInput
+    const query = battleInputs[key].replace('@', '').trim()
+    
+    // FIDs don't need suggestions, and one letter matches half the hall
+    if (query.length < 2 || !isNaN(parseInt(query))) {
+      setBattleSuggestions(prev => ({ ...prev, [key]: [] }))
+      return
+    }
+    
+    let cancelled = false
+    const timeout = setTimeout(async () => {
+      try {
+        const data = await api.searchUsers({ q: query, limit: 6 })
+        if (!cancelled) {
+          setBattleSuggestions(prev => ({ ...prev, [key]: data.users || [] }))
+        }
+      } catch (err) {
+        console.error('Failed to search users:', err)
+      }
+    }, 250)
+    
+    return () => {
+      cancelled = true
+      clearTimeout(timeout)
+    }
+  }, [battleInputs, activeBattleInput])
+
   // Data loading functions
   const loadGlobalStats = async () => {
     try {
@@ -116,61 +183,114 @@ function App() {
     }
   }
 
-  const loadTopSimps = async () => {
+  const loadSyncStatus = async () => {
     try {
-      setLoading(prev => ({ ...prev, topSimps: true }))
+      const data = await api.getSyncStatus()
+      setSyncStatus(data)
+    } catch (err) {
+      console.error('Failed to load sync status:', err)
+    }
+  }
+
+  // Infinite scroll lists load their first page with no cursor, replacing
+  // what's there, and later pages with the last nextCursor, appending to it.
+  // Later pages have their own loading flag so the list stays on screen.
+  const setNextCursor = (list, pagination) => {
+    setNextCursors(prev => ({ ...prev, [list]: pagination?.nextCursor || null }))
+  }
+
+  // Makes this the list's current request and returns a check that it still
+  // is. A response that comes back after another request started, like a page
+  // of the previous timeframe, is dropped. A first page also clears the old
+  // cursor, so the list can't load more from it meanwhile.
+  const startPageRequest = (list, cursor) => {
+    const request = {}
+    pageRequests.current[list] = request
+    if (!cursor) {
+      const moreKey = `more${list[0].toUpperCase()}${list.slice(1)}`
+      setNextCursors(prev => ({ ...prev, [list]: null }))
+      setLoading(prev => ({ ...prev, [moreKey]: false }))
+    }
+    return () => pageRequests.current[list] === request
+  }
+
+  const appendPage = (cursor, rows) => (prev) => cursor ? [...prev, ...rows] : rows
+
+  const loadTopSimps = async (cursor = null) => {
+    const loadingKey = cursor ? 'moreTopSimps' : 'topSimps'
+    const isCurrent = startPageRequest('topSimps', cursor)
+    try {
+      setLoading(prev => ({ ...prev, [loadingKey]: true }))
       const data = selectedTimeframe === 'all-time' 
-        ? await api.getTopSimps(50)
-        : await api.getTopSimpsByTimeframe(selectedTimeframe, 50)
-      setTopSimps(data.topBidders || [])
+        ? await api.getTopSimps({ limit: 50, cursor })
+        : await api.getTopSimpsByTimeframe({ period: selectedTimeframe, limit: 50, cursor })
+      if (!isCurrent()) return
+      setTopSimps(appendPage(cursor, data.topBidders || []))
+      setNextCursor('topSimps', data.pagination)
     } catch (err) {
+      if (!isCurrent()) return
       console.error('Failed to load top simps:', err)
       setError('Failed to load the hall of shame!')
     } finally {
-      setLoading(prev => ({ ...prev, topSimps: false }))
+      if (isCurrent()) setLoading(prev => ({ ...prev, [loadingKey]: false }))
     }
   }
 
-  const loadHotUsers = async () => {
+  const loadHotUsers = async (cursor = null) => {
+    const loadingKey = cursor ? 'moreHotUsers' : 'hotUsers'
+    const isCurrent = startPageRequest('hotUsers', cursor)
     try {
-      setLoading(prev => ({ ...prev, hotUsers: true }))
-      const data = await api.getHotUsers(20)
-      setHotUsers(data.hotUsers || [])
+      setLoading(prev => ({ ...prev, [loadingKey]: true }))
+      const data = await api.getHotUsers({ limit: 20, cursor })
+      if (!isCurrent()) return
+      setHotUsers(appendPage(cursor, data.hotUsers || []))
+      setNextCursor('hotUsers', data.pagination)
     } catch (err) {
+      if (!isCurrent()) return
       console.error('Failed to load hot users:', err)
     } finally {
-      setLoading(prev => ({ ...prev, hotUsers: false }))
+      if (isCurrent()) setLoading(prev => ({ ...prev, [loadingKey]: false }))
     }
   }
 
-  const loadTopWinningCasts = async () => {
+  const loadTopWinningCasts = async (cursor = null) => {
+    const loadingKey = cursor ? 'moreTopWinningCasts' : 'topWinningCasts'
+    const isCurrent = startPageRequest('topWinningCasts', cursor)
     try {
-      setLoading(prev => ({ ...prev, topWinningCasts: true }))
-      const data = await api.getTopWinningCasts(20)
-      setTopWinningCasts(data.casts || [])
+      setLoading(prev => ({ ...prev, [loadingKey]: true }))
+      const data = await api.getTopWinningCasts({ limit: 20, cursor })
+      if (!isCurrent()) return
+      setTopWinningCasts(appendPage(cursor, data.casts || []))
+      setNextCursor('topWinningCasts', data.pagination)
     } catch (err) {
+      if (!isCurrent()) return
       console.error('Failed to load top winning casts:', err)
     } finally {
-      setLoading(prev => ({ ...prev, topWinningCasts: false }))
+      if (isCurrent()) setLoading(prev => ({ ...prev, [loadingKey]: false }))
     }
   }
 
-  const loadTopCollectedCreators = async () => {
+  const loadTopCollectedCreators = async (cursor = null) => {
+    const loadingKey = cursor ? 'moreTopCollectedCreators' : 'topCollectedCreators'
+    const isCurrent = startPageRequest('topCollectedCreators', cursor)
     try {
-      setLoading(prev => ({ ...prev, topCollectedCreators: true }))
-      const data = await api.getTopCollectedCreators(20)
-      setTopCollectedCreators(data.creators || [])
+      setLoading(prev => ({ ...prev, [loadingKey]: true }))
+      const data = await api.getTopCollectedCreators({ limit: 20, cursor })
+      if (!isCurrent()) return
+      setTopCollectedCreators(appendPage(cursor, data.creators || []))
+      setNextCursor('topCollectedCreators', data.pagination)
     } catch (err) {
+      if (!isCurrent()) return
       console.error('Failed to load top collected creators:', err)
     } finally {
-      setLoading(prev => ({ ...prev, topCollectedCreators: false }))
+      if (isCurrent()) setLoading(prev => ({ ...prev, [loadingKey]: false }))
     }
   }
 
   const loadTopCollectors = async () => {
     try {
       setLoading(prev => ({ ...prev, topCollectors: true }))
-      const data = await api.getTopCollectors(20)
+      const data = await api.getTopCollectors({ limit: 20 })
       setTopCollectors(data.collectors || [])
     } catch (err) {
       console.error('Failed to load top collectors:', err)
@@ -204,15 +324,11 @@ function App() {
     }
   }
 
-  const loadAuthoredCollections = async (fid, offset = 0) => {
+  const loadAuthoredCollections = async (fid, cursor = null) => {
     try {
       setLoading(prev => ({ ...prev, authoredCollections: true }))
-      const data = await api.getUserAuthoredCollections(fid, 20, offset)
-      if (offset === 0) {
-        setAuthoredCollections(data.collections || [])
-      } else {
-        setAuthoredCollections(prev => [...prev, ...(data.collections || [])])
-      }
+      const data = await api.getUserAuthoredCollections(fid, { limit: 20, cursor })
+      setAuthoredCollections(appendPage(cursor, data.collections || []))
       setAuthoredCollectionsPagination(data.pagination || null)
     } catch (err) {
       console.error('Failed to load authored collections:', err)
@@ -251,16 +367,7 @@ function App() {
         params.user2 = input2.replace('@', '') // Remove @ if present
       }
       
-      const queryString = new URLSearchParams(params).toString()
-      const response = await fetch(`${api.baseUrl}/analytics/simp-battles?${queryString}`)
-      
-      if (!response.ok) {
-        const error = await response.json()
-        setBattleError(error.error || 'Failed to load battle data')
-        return
-      }
-      
-      const data = await response.json()
+      const data = await api.getSimpBattle(params)
       setBattleData(data)
       
       // Scroll to results after data loads
@@ -272,12 +379,21 @@ function App() {
       }, 100)
     } catch (err) {
       console.error('Failed to load battle:', err)
-      setBattleError('Failed to load battle data')
+      // API errors explain themselves, e.g. "User not found: someone"
+      setBattleError(err.code ? err.message : 'Failed to load battle data')
     } finally {
       setLoading(prev => ({ ...prev, battle: false }))
     }
   }
 
+  // Fill a battle input from an autocomplete suggestion. Suggestions cancel
+  // their mousedown so the input doesn't blur (and close them) first.
+  const selectBattleSuggestion = (key, user) => {
+    setBattleInputs(prev => ({ ...prev, [key]: user.username ? `@${user.username}` : String(user.fid) }))
+    setBattleSuggestions(prev => ({ ...prev, [key]: [] }))
+    setActiveBattleInput(null)
+  }
+
   // View user profile details
   const viewProfile = async (fid) => {
     try {
@@ -311,6 +427,42 @@ function App() {
   }
 
   // Render functions for different views
+  const renderBattleInput = (key) => (
+    <div className="battle-input-wrapper">
+      <input
+        type="text"
+        placeholder="FID or @username"
+        value={battleInputs[key]}
+        onChange={(e) => setBattleInputs(prev => ({ ...prev, [key]: e.target.value }))}
+        onFocus={() => setActiveBattleInput(key)}
+        onBlur={() => setActiveBattleInput(null)}
+        className="battle-input"
+        autoComplete="off"
+      />
+      
+      {activeBattleInput === key && battleSuggestions[key].length > 0 && (
+        <div className="battle-suggestions">
+          {battleSuggestions[key].map((user) => (
+            <button
+              key={user.fid}
+              className="battle-suggestion"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectBattleSuggestion(key, user)}
+            >
+              <img 
+                src={user.pfpUrl || '/default-avatar.png'}
+                alt={user.username || 'Simp'}
+                className="creator-avatar-tiny"
+              />
+              <span className="suggestion-name">{user.displayName || user.username || `FID ${user.fid}`}</span>
+              <span className="suggestion-username">@{user.username || `fid:${user.fid}`}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+
   const renderTopSimps = () => (
     <div className="top-simps-view">
       <div className="section-header">
@@ -400,6 +552,9 @@ function App() {
               </div>
             )
           })}
+          {nextCursors.topSimps && (
+            <LoadMoreSentinel loading={loading.moreTopSimps} onLoadMore={() => loadTopSimps(nextCursors.topSimps)} />
+          )}
         </div>
       )}
     </div>
@@ -484,6 +639,9 @@ function App() {
                 </div>
               )
             })}
+            {nextCursors.hotUsers && (
+              <LoadMoreSentinel loading={loading.moreHotUsers} onLoadMore={() => loadHotUsers(nextCursors.hotUsers)} />
+            )}
           </div>
         )
       )}
@@ -550,6 +708,9 @@ function App() {
                 )}
               </div>
             ))}
+            {nextCursors.topWinningCasts && (
+              <LoadMoreSentinel loading={loading.moreTopWinningCasts} onLoadMore={() => loadTopWinningCasts(nextCursors.topWinningCasts)} />
+            )}
           </div>
         )
       )}
@@ -613,6 +774,9 @@ function App() {
                 )}
               </div>
             ))}
+            {nextCursors.topCollectedCreators && (
+              <LoadMoreSentinel loading={loading.moreTopCollectedCreators} onLoadMore={() => loadTopCollectedCreators(nextCursors.topCollectedCreators)} />
+            )}
           </div>
         )
       )}
@@ -739,23 +903,11 @@ function App() {
       {simpWarsMode === 'battle' && (
         <>
           <div className="battle-inputs">
-            <input
-              type="text"
-              placeholder="FID or @username"
-              value={battleInputs.fid1}
-              onChange={(e) => setBattleInputs(prev => ({ ...prev, fid1: e.target.value }))}
-              className="battle-input"
-            />
+            {renderBattleInput('fid1')}
             
             <div className="vs-divider">VS</div>
             
-            <input
-              type="text"
-              placeholder="FID or @username"
-              value={battleInputs.fid2}
-              onChange={(e) => setBattleInputs(prev => ({ ...prev, fid2: e.target.value }))}
-              className="battle-input"
-            />
+            {renderBattleInput('fid2')}
             
             <button onClick={loadBattle} className="battle-btn" disabled={loading.battle}>
               {loading.battle ? 'CALCULATING...' : 'FIGHT!'}
@@ -1084,8 +1236,8 @@ function App() {
                           className="creator-avatar-tiny"
                         />
                         <span>@{cast.creatorProfile?.username || `fid:${cast.creatorFid}`}</span>
-                        {getAuctionStatus(cast.state, cast.endTime).text !== 'BIDDING WAR!' && (
-                          <span className="auction-status-badge">{getAuctionStatus(cast.state, cast.endTime).text}</span>
+                        {getAuctionStatus(cast.state, cast.endTime, cast.auctionHighestBidCents > 0).text !== 'BIDDING WAR!' && (
+                          <span className="auction-status-badge">{getAuctionStatus(cast.state, cast.endTime, cast.auctionHighestBidCents > 0).text}</span>
                         )}
                       </div>
                       
@@ -1139,7 +1291,7 @@ function App() {
                         className="creator-avatar-tiny"
                       />
                       <span className="creator-name">@{bid.creatorProfile?.username || `fid:${bid.creatorFid}`}</span>
-                      <span className="auction-status-mini">{getAuctionStatus(bid.auctionState, bid.auctionEndTime).text}</span>
+                      <span className="auction-status-mini">{getAuctionStatus(bid.auctionState, bid.auctionEndTime, true).text}</span>
                     </div>
                     
                     {bid.castData && (
@@ -1219,7 +1371,7 @@ function App() {
                 <div className="load-more-container">
                   <button 
                     className="load-more-btn"
-                    onClick={() => loadAuthoredCollections(frameContext.user.fid, authoredCollections.length)}
+                    onClick={() => loadAuthoredCollections(frameContext.user.fid, authoredCollectionsPagination.nextCursor)}
                     disabled={loading.authoredCollections}
                   >
                     {loading.authoredCollections ? 'LOADING...' : 'LOAD MORE'}
@@ -1246,6 +1398,12 @@ function App() {
                 SHOCKING: {formatBigNumber(globalStats.totalSimps)} SIMPS EXPOSED!
               </span>
             )}
+            {syncStatus?.dataAsOfBlock && (
+              <span className={`data-as-of ${syncStatus.status !== 'ok' ? 'stale' : ''}`}>
+                DATA AS OF BLOCK {Number(syncStatus.dataAsOfBlock).toLocaleString()}
+                {syncStatus.status !== 'ok' && ' (RUNNING LATE)'}
+              </span>
+            )}
           </div>
         </div>
       </header>
@@ -1441,8 +1599,8 @@ function App() {
                                 className="creator-avatar-tiny"
                               />
                               <span>@{cast.creatorProfile?.username || `fid:${cast.creatorFid}`}</span>
-                              {getAuctionStatus(cast.state, cast.endTime).text !== 'BIDDING WAR!' && (
-                                <span className="auction-status-badge">{getAuctionStatus(cast.state, cast.endTime).text}</span>
+                              {getAuctionStatus(cast.state, cast.endTime, cast.auctionHighestBidCents > 0).text !== 'BIDDING WAR!' && (
+                                <span className="auction-status-badge">{getAuctionStatus(cast.state, cast.endTime, cast.auctionHighestBidCents > 0).text}</span>
                               )}
                             </div>
                             
@@ -1506,7 +1664,7 @@ function App() {
                               className="creator-avatar-tiny"
                             />
                             <span className="creator-name">@{bid.creatorProfile?.username || `fid:${bid.creatorFid}`}</span>
-                            <span className="auction-status-mini">{getAuctionStatus(bid.auctionState, bid.auctionEndTime).text}</span>
+                            <span className="auction-status-mini">{getAuctionStatus(bid.auctionState, bid.auctionEndTime, true).text}</span>
                           </div>
                           
                           {bid.castData && (
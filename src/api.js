@@ -1,12 +1,41 @@
-// API wrapper for Simps R Us backend
+// Client for the Simps R Us API, generated from its OpenAPI document
+// (GET /openapi.json) by api/scripts/generate-client.js. Don't edit it by
+// hand: change the route or its schema in api/src, then run
+// `npm run generate-client` in api/.
 const API_BASE = 'https://simps-api.kasra.codes';
 
-// Helper function for API calls with error handling
-async function fetchAPI(endpoint) {
+// Error responses from the API are { error, code, details }; the message is
+// meant to be shown, and code says what went wrong (e.g. user_not_found)
+export class ApiError extends Error {
+  constructor(message, { status, code, details }) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Helper function for API calls with error handling. Query params left
+// undefined or null aren't sent.
+async function request(method, path, { query = {}, token = null } = {}) {
+  const url = new URL(path, API_BASE);
+  for (const [name, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) url.searchParams.set(name, value);
+  }
+  
   try {
-    const response = await fetch(`${API_BASE}${endpoint}`);
+    const response = await fetch(url, {
+      method,
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    });
     if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
+      const body = await response.json().catch(() => null);
+      throw new ApiError(body?.error || `Request failed with status ${response.status}`, {
+        status: response.status,
+        code: body?.code || 'http_error',
+        details: body?.details
+      });
     }
     return await response.json();
   } catch (error) {
@@ -15,74 +44,844 @@ async function fetchAPI(endpoint) {
   }
 }
 
+/**
+ * @typedef {object} ErrorResponse
+ * @property {string} error Human-readable message
+ * @property {string} code What went wrong, e.g. invalid_params or user_not_found
+ * @property {object} [details] Depends on the code; invalid_params lists each bad param
+ */
+
+/**
+ * @typedef {object} Pagination
+ * @property {number} limit
+ * @property {number} total
+ * @property {string|null} nextCursor Pass as cursor for the next page; null on the last one
+ * @property {boolean} hasMore
+ */
+
+/**
+ * @typedef {object} Profile
+ * @property {number} fid
+ * @property {string} username
+ * @property {string} [displayName]
+ * @property {string} [pfpUrl]
+ * @property {number} [followerCount]
+ * @property {number} [followingCount]
+ * @property {string} [bio]
+ * @property {string|null} [primaryAddress] Ethereum address
+ * @property {boolean} [powerBadge]
+ */
+
+/**
+ * @typedef {object} Cast
+ * @property {string} hash
+ * @property {string} text
+ * @property {string} timestamp
+ * @property {object|null} firstEmbed The first embed: a quoted cast (type cast, with cast_hash, cast_text and cast_author), an image or link (type image or url, with url and metadata), or as Farcaster sent it
+ */
+
+/**
+ * @typedef {object} SyncRun
+ * @property {number} id
+ * @property {"cron"|"manual"|"capture"|"replay"} trigger What ran the sync: the cron, POST /sync, or scripts/replay-sync.js capturing or replaying a fixture. Reconciliation is not recorded here
+ * @property {"running"|"success"|"failed"} status
+ * @property {string} startedAt
+ * @property {string|null} finishedAt
+ * @property {number|null} durationMs
+ * @property {number|null} auctionEventsProcessed
+ * @property {number|null} transferEventsProcessed
+ * @property {string|null} [auctionBlock]
+ * @property {string|null} [nftBlock]
+ * @property {number|null} [httpRequests]
+ * @property {Object<string, number>|null} [rpcCalls]
+ * @property {string|null} [error]
+ */
+
+/**
+ * @typedef {object} EarningsPeriod
+ * @property {string} period_start
+ * @property {number} settled_auctions
+ * @property {number} gross_cents USD cents
+ * @property {number} protocol_fee_cents USD cents
+ * @property {number} net_cents USD cents
+ * @property {string} gross_usdc_units Raw USDC units (6 decimals)
+ * @property {string} protocol_fee_usdc_units Raw USDC units (6 decimals)
+ * @property {string} net_usdc_units Raw USDC units (6 decimals)
+ */
+
+/**
+ * @typedef {object} Health
+ * @property {string} message
+ * @property {string} version
+ */
+
+/**
+ * @typedef {object} Me
+ * @property {number} fid
+ * @property {string|null} [primaryAddress] Ethereum address
+ * @property {string} [username]
+ * @property {string} [displayName]
+ * @property {string} [pfpUrl]
+ * @property {boolean} powerBadge
+ * @property {{ auctionsParticipated: number, totalBids: number, highestBidCents: number, totalBidVolumeCents: number }} stats
+ */
+
+/**
+ * @typedef {object} AuctionList
+ * @property {Array<AuctionSummary>} auctions
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} AuctionSummary
+ * @property {number} id
+ * @property {string} cast_hash
+ * @property {string} creator_address Ethereum address
+ * @property {number} creator_fid
+ * @property {number} min_bid_cents USD cents
+ * @property {string} end_time
+ * @property {number} state 1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered
+ * @property {number} protocol_fee_bps
+ * @property {string} created_at
+ * @property {number} bid_count
+ * @property {number} highest_bid_cents USD cents
+ * @property {Profile|null} creatorProfile
+ * @property {Cast|null} castData
+ */
+
+/**
+ * @typedef {object} Auction
+ * @property {number} id
+ * @property {string} cast_hash
+ * @property {string} creator_address Ethereum address
+ * @property {number} creator_fid
+ * @property {number} min_bid_cents USD cents
+ * @property {string} end_time
+ * @property {number} state 1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered
+ * @property {number} protocol_fee_bps
+ * @property {string} created_at
+ * @property {Profile|null} creatorProfile
+ * @property {Cast|null} castData
+ * @property {Array<AuctionBid>} bids
+ */
+
+/**
+ * @typedef {object} AuctionBid
+ * @property {number} id
+ * @property {number} auction_id
+ * @property {string} bidder_address Ethereum address
+ * @property {number} bidder_fid
+ * @property {number} amount_cents USD cents
+ * @property {string} timestamp
+ * @property {string} transaction_hash
+ * @property {string} block_number
+ * @property {Profile|null} bidderProfile
+ */
+
+/**
+ * @typedef {object} HotCastList
+ * @property {Array<HotCast>} hotCasts
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} HotCast
+ * @property {number} id
+ * @property {string} castHash
+ * @property {string} creatorAddress Ethereum address
+ * @property {number} creatorFid
+ * @property {Profile|null} creatorProfile
+ * @property {number} minBidCents USD cents
+ * @property {string} endTime
+ * @property {number} state 1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered
+ * @property {"Active"|"Ended"|"Settled"} stateLabel
+ * @property {number} bidCount
+ * @property {number} uniqueBidders
+ * @property {number} highestBidCents USD cents
+ * @property {number} lowestBidCents USD cents
+ * @property {number} averageBidCents USD cents
+ * @property {string} firstBidTime
+ * @property {string} lastBidTime
+ * @property {boolean} isActive
+ * @property {boolean} hasEnded
+ * @property {number} timeLeftMs
+ * @property {Array<{ bidderFid: number, highestBidCents: number, bidCount: number, profile: Profile|null }>} top3Bidders
+ * @property {Cast|null} castData
+ * @property {number} protocolFeeBps
+ * @property {string} createdAt
+ * @property {string} blockNumber
+ * @property {string} transactionHash
+ */
+
+/**
+ * @typedef {object} TopBidderList
+ * @property {Array<TopBidder>} topBidders
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} TimeframeTopBidderList
+ * @property {Array<TopBidder>} topBidders
+ * @property {"day"|"week"|"month"|"all-time"} period
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} TopBidder
+ * @property {number} bidder_fid
+ * @property {number} auctions_participated
+ * @property {number} total_bids
+ * @property {number} total_volume_cents USD cents
+ * @property {number} highest_bid_cents USD cents
+ * @property {number} [rank]
+ * @property {string} [period]
+ * @property {Profile|null} profile
+ * @property {Array<{ creator_fid: number, auctions_bid_on: number, total_spent_cents: number, highest_bid_cents: number, profile: Profile|null }>} top_creators
+ */
+
+/**
+ * @typedef {object} RecentActivity
+ * @property {Array<ActivityBid>} activity
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} ActivityBid
+ * @property {number} id
+ * @property {number} auction_id
+ * @property {string} bidder_address Ethereum address
+ * @property {number} bidder_fid
+ * @property {number} amount_cents USD cents
+ * @property {string} timestamp
+ * @property {string} transaction_hash
+ * @property {string} block_number
+ * @property {string} cast_hash
+ * @property {Profile|null} bidderProfile
+ */
+
+/**
+ * @typedef {object} UserBidHistory
+ * @property {Profile|null} profile
+ * @property {{ auctions_participated: number, total_bids: number, total_volume_cents: number, highest_bid_cents: number }} stats
+ * @property {Array<UserBid>} bids
+ */
+
+/**
+ * @typedef {object} UserBid
+ * @property {number} id
+ * @property {number} auction_id
+ * @property {string} bidder_address Ethereum address
+ * @property {number} bidder_fid
+ * @property {number} amount_cents USD cents
+ * @property {string} timestamp
+ * @property {string} transaction_hash
+ * @property {string} block_number
+ * @property {string} cast_hash
+ * @property {string} creator_address Ethereum address
+ * @property {number} creator_fid
+ * @property {number} min_bid_cents USD cents
+ * @property {string} end_time
+ */
+
+/**
+ * @typedef {object} GlobalStats
+ * @property {number} totalSimps
+ * @property {number} totalBids
+ * @property {number} totalVolumeCents USD cents
+ * @property {number} highestBidCents USD cents
+ * @property {number} activeAuctions
+ * @property {number} endedAuctions
+ * @property {number} totalAuctions
+ */
+
+/**
+ * @typedef {object} UserSearchResults
+ * @property {string} query The query as matched: lowercased, without a leading @
+ * @property {Array<{ fid: number, username: string, displayName: string|null, pfpUrl: string|null, followerCount: number|null, powerBadge: boolean|null, bidsPlaced: number, auctionsCreated: number }>} users
+ */
+
+/**
+ * @typedef {object} SimpBattle
+ * @property {SimpBattleSide} user1
+ * @property {SimpBattleSide} user2
+ * @property {{ total: number, auctions: Array<{ cast_hash: string, creator_fid: number, creatorProfile: Profile|null, castData: Cast|null, user1_highest_bid_cents: number, user2_highest_bid_cents: number, user1_bid_count: number, user2_bid_count: number }> }} commonAuctions
+ * @property {{ fid: number, score: string }|null} winner
+ */
+
+/**
+ * @typedef {object} SimpBattleSide
+ * @property {number} fid
+ * @property {Profile|null} profile
+ * @property {{ bidder_fid: number, auctions_participated: number, total_bids: number, total_volume_cents: number, highest_bid_cents: number, first_bid_date: string, last_bid_date: string }|null} stats
+ */
+
+/**
+ * @typedef {object} Trending
+ * @property {Array<TrendingAuction>} hotAuctions
+ * @property {Array<RisingSimp>} risingSimps
+ */
+
+/**
+ * @typedef {object} TrendingAuction
+ * @property {string} cast_hash
+ * @property {number} creator_fid
+ * @property {Profile|null} creatorProfile
+ * @property {Cast|null} castData
+ * @property {string} end_time
+ * @property {number} recent_bid_count
+ * @property {number} highest_recent_bid_cents USD cents
+ * @property {number} unique_recent_bidders
+ */
+
+/**
+ * @typedef {object} RisingSimp
+ * @property {number} bidder_fid
+ * @property {number} recent_bids
+ * @property {number} recent_volume_cents USD cents
+ * @property {number} previous_bids
+ * @property {number} previous_volume_cents USD cents
+ * @property {number} bid_increase
+ * @property {number} growth_percentage 999 for someone with no bids the week before
+ * @property {Profile|null} profile
+ */
+
+/**
+ * @typedef {object} SimpLevel
+ * @property {number} fid
+ * @property {Profile|null} [profile]
+ * @property {string} level
+ * @property {string} emoji
+ * @property {{ auctions_participated: number, total_bids: number, total_volume_cents: number, highest_bid_cents: number, first_bid_date: string, last_bid_date: string }|null} stats
+ * @property {{ bidRank: number|null, volumeRank: number|null, totalSimps: number }|null} rank
+ * @property {string|null} percentile e.g. Top 4.2%
+ * @property {Array<{ name: string, emoji: string, description: string }>} achievements
+ * @property {{ name: string, requirement: number|string, current: number, type: "bids"|"volume"|"legendary" }} nextMilestone
+ */
+
+/**
+ * @typedef {object} HotUserList
+ * @property {Array<HotUser>} hotUsers
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} HotUser
+ * @property {number} creator_fid
+ * @property {Profile|null} profile
+ * @property {{ total_revenue_cents: number, total_auctions: number, settled_auctions: number, unique_simps: number, total_bids_received: number, highest_auction_revenue_cents: number, avg_auction_revenue_cents: number }} stats
+ * @property {Array<{ cast_hash: string, end_time: string, state: number, revenue_cents: number, bid_count: number, castData: Cast|null }>} recent_auctions
+ */
+
+/**
+ * @typedef {object} CreatorStats
+ * @property {{ fid: number, profile: Profile|null }} creator
+ * @property {{ total_auctions: number, active_auctions: number, ended_auctions: number, total_fees_earned_cents: number, net_earnings_cents: number }} auctionStats
+ * @property {{ unique_simps: number, total_bids_received: number, total_volume_cents: number, highest_bid_received_cents: number, average_bid_cents: number }} biddingStats
+ * @property {Array<{ bidder_fid: number, bid_count: number, total_spent_cents: number, highest_bid_cents: number, profile: Profile|null }>} topSimps
+ * @property {Array<{ cast_hash: string, end_time: string, state: number, bid_count: number, highest_bid_cents: number, castData: Cast|null }>} recentAuctions
+ */
+
+/**
+ * @typedef {object} CreatorEarnings
+ * @property {{ fid: number, profile: Profile|null }} creator
+ * @property {{ settled_auctions: number, gross_cents: number, protocol_fee_cents: number, net_cents: number, gross_usdc_units: string, protocol_fee_usdc_units: string, net_usdc_units: string }} totals
+ * @property {Array<EarningsPeriod>} daily
+ * @property {Array<EarningsPeriod>} weekly
+ * @property {Array<EarningsPeriod>} monthly
+ * @property {Array<EarningsLine>} auctions
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} EarningsLine
+ * @property {number} auction_id
+ * @property {string} cast_hash
+ * @property {string} settled_at
+ * @property {string|null} transaction_hash
+ * @property {number} protocol_fee_bps
+ * @property {number} gross_cents USD cents
+ * @property {number} protocol_fee_cents USD cents
+ * @property {number} net_cents USD cents
+ * @property {string} gross_usdc_units Raw USDC units (6 decimals)
+ * @property {string} protocol_fee_usdc_units Raw USDC units (6 decimals)
+ * @property {string} net_usdc_units Raw USDC units (6 decimals)
+ * @property {number|null} winner_fid
+ * @property {Profile|null} winnerProfile
+ */
+
+/**
+ * @typedef {object} OutbidHistory
+ * @property {{ fid: number, profile: Profile|null }} user
+ * @property {{ total: number, victims: Array<{ victim_fid: number, times_outbid: number, total_outbid_amount_cents: number, max_outbid_amount_cents: number, profile: Profile|null }> }} outbidByUser
+ * @property {{ total: number, rivals: Array<{ rival_fid: number, times_been_outbid: number, total_outbid_amount_cents: number, max_outbid_amount_cents: number, profile: Profile|null }> }} outbidThisUser
+ * @property {{ fid: number, profile: Profile|null, totalInteractions: number }|null} biggestRival
+ */
+
+/**
+ * @typedef {object} SyncResult
+ * @property {boolean} success
+ * @property {number} runId
+ * @property {number} eventsProcessed
+ * @property {string} lastBlock
+ * @property {object} rpcStats HTTP requests and RPC calls by method
+ */
+
+/**
+ * @typedef {object} SyncStatus
+ * @property {"ok"|"lagging"|"failing"} status
+ * @property {string} chainHead
+ * @property {string|null} dataAsOfBlock
+ * @property {Object<string, { lastBlock: string, lastSyncTime: string|null, lag: number }>} indexers
+ * @property {string|null} lastSuccessAt
+ * @property {string|null} lastFailureAt
+ * @property {Array<SyncRun>} recentRuns
+ * @property {Array<{ at: string|null, message: string|null }>} recentErrors
+ */
+
+/**
+ * @typedef {object} AdminSyncStatus
+ * @property {"ok"|"lagging"|"failing"} status
+ * @property {string} chainHead
+ * @property {string|null} dataAsOfBlock
+ * @property {Object<string, { lastBlock: string, lastSyncTime: string|null, lag: number }>} indexers
+ * @property {string|null} lastSuccessAt
+ * @property {string|null} lastFailureAt
+ * @property {{ ownerId: string, acquiredAt: string, heartbeatAt: string|null, expiresAt: string, progress: object|null }|null} lock
+ * @property {Array<SyncRun>} runs
+ * @property {Array<{ runId: number, trigger: string, at: string|null, message: string|null }>} errors
+ */
+
+/**
+ * @typedef {object} ReconcileResult
+ * @property {boolean} success
+ * @property {number} runId
+ * @property {string} blockNumber
+ * @property {number} auctionsChecked
+ * @property {number} discrepanciesFound
+ * @property {number} discrepanciesFixed
+ * @property {Array<{ auctionId: number, castHash: string, field: string, dbValue: string, chainValue: string, fixed: boolean }>} discrepancies
+ */
+
+/**
+ * @typedef {object} ReconciliationReport
+ * @property {{ id: number, block_number: string, auctions_checked: number, discrepancies_found: number, discrepancies_fixed: number, started_at: string, finished_at: string|null }} run
+ * @property {Array<{ auction_id: number, cast_hash: string, field: "state"|"end_time"|"highest_bid"|"bid_count", db_value: string|null, chain_value: string|null, fixed: boolean }>} discrepancies
+ * @property {Array<{ id: number, block_number: string, auctions_checked: number, discrepancies_found: number, discrepancies_fixed: number, started_at: string, finished_at: string|null }>} recentRuns
+ */
+
+/**
+ * @typedef {object} TopWinningCastList
+ * @property {Array<WinningCast>} casts
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} WinningCast
+ * @property {number} id
+ * @property {string} castHash
+ * @property {string} creatorAddress Ethereum address
+ * @property {number} creatorFid
+ * @property {Profile|null} creatorProfile
+ * @property {string} winnerAddress Ethereum address
+ * @property {number} winnerFid
+ * @property {Profile|null} winnerProfile
+ * @property {number} winningBidCents USD cents
+ * @property {number} minBidCents USD cents
+ * @property {number} totalBids
+ * @property {number} uniqueBidders
+ * @property {string} endTime
+ * @property {string} createdAt
+ * @property {string} transactionHash
+ * @property {Cast} castData
+ */
+
+/**
+ * @typedef {object} TopCollectorList
+ * @property {Array<Collector>} collectors
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} Collector
+ * @property {number} collectorFid
+ * @property {Profile|null} collectorProfile
+ * @property {{ castsCollected: number, totalSpentCents: number, avgPriceCents: number, highestPriceCents: number, lowestPriceCents: number }} stats
+ * @property {Array<{ castHash: string, creatorFid: number, creatorProfile: Profile|null, winningBidCents: number, endTime: string, createdAt: string, castData: Cast|null }>} recentCollections
+ * @property {Array<{ creatorFid: number, creatorProfile: Profile|null, castsFromCreator: number, spentOnCreatorCents: number }>} topCreatorsCollected
+ */
+
+/**
+ * @typedef {object} TopCollectedCreatorList
+ * @property {Array<CollectedCreator>} creators
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} CollectedCreator
+ * @property {number} creatorFid
+ * @property {Profile|null} creatorProfile
+ * @property {{ castsCollected: number, totalRevenueCents: number, avgPriceCents: number, highestPriceCents: number, lowestPriceCents: number, uniqueCollectors: number }} stats
+ * @property {Array<{ castHash: string, winnerFid: number, winnerProfile: Profile|null, winningBidCents: number, endTime: string, createdAt: string, castData: Cast|null }>} recentCollectedCasts
+ * @property {Array<{ collectorFid: number, collectorProfile: Profile|null, timesCollected: number, revenueFromCollectorCents: number }>} topCollectors
+ */
+
+/**
+ * @typedef {object} P2PTransferList
+ * @property {Array<P2PTransfer>} transfers
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} P2PTransfer
+ * @property {number} id
+ * @property {string} from_address Ethereum address
+ * @property {number|null} from_fid
+ * @property {Profile|null} fromProfile
+ * @property {string} to_address Ethereum address
+ * @property {number|null} to_fid
+ * @property {Profile|null} toProfile
+ * @property {string} token_id
+ * @property {string} transaction_hash
+ * @property {string} block_number
+ * @property {string} timestamp
+ * @property {string} explorer_url
+ * @property {string} opensea_url
+ */
+
+/**
+ * @typedef {object} HallOfShame
+ * @property {{ fid: number, profile: Profile, simpLevel: { level: string, emoji: string, totalBids: number } }} user
+ * @property {{ auctionsParticipated: number, totalBids: number, totalVolumeCents: number, highestBidCents: number, firstBidDate: string|null, lastBidDate: string|null, bidRank: number|null, volumeRank: number|null }} stats
+ * @property {Array<{ creatorFid: number, auctionsBidOn: number, totalSpentCents: number, highestBidCents: number, totalBidsPlaced: number, profile: Profile|null }>} topCreators
+ * @property {Array<MostBidCast>} mostBidCasts
+ * @property {Array<HallOfShameBid>} recentBids
+ */
+
+/**
+ * @typedef {object} MostBidCast
+ * @property {number} auctionId
+ * @property {string} castHash
+ * @property {number} creatorFid
+ * @property {string} endTime
+ * @property {number} state 1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered
+ * @property {number} userBidCount
+ * @property {number} userHighestBidCents USD cents
+ * @property {string} firstBidTime
+ * @property {string} lastBidTime
+ * @property {number} auctionHighestBidCents USD cents
+ * @property {number} totalAuctionBids
+ * @property {Profile|null} creatorProfile
+ * @property {Cast|null} castData
+ */
+
+/**
+ * @typedef {object} HallOfShameBid
+ * @property {number} auctionId
+ * @property {string} castHash
+ * @property {number} creatorFid
+ * @property {number} amountCents USD cents
+ * @property {string} timestamp
+ * @property {string} transactionHash
+ * @property {string} auctionEndTime
+ * @property {number} auctionState 1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered
+ * @property {Profile|null} creatorProfile
+ * @property {Cast|null} castData
+ */
+
+/**
+ * @typedef {object} AuthoredCollections
+ * @property {{ fid: number, profile: Profile }} user
+ * @property {Array<AuthoredCollection>} collections
+ * @property {Pagination} pagination
+ */
+
+/**
+ * @typedef {object} AuthoredCollection
+ * @property {number} auctionId
+ * @property {string} castHash
+ * @property {number} creatorFid
+ * @property {number} winnerFid
+ * @property {Profile|null} winnerProfile
+ * @property {number} winningBidCents USD cents
+ * @property {string} endTime
+ * @property {string} startTime
+ * @property {number} state 1 active, 2 ended, 3 settled, 4 cancelled, 5 recovered
+ * @property {number} minBidCents USD cents
+ * @property {number} totalBids
+ * @property {number} uniqueBidders
+ * @property {Cast|null} castData
+ */
+
 export const api = {
   baseUrl: API_BASE,
   
-  // Get top simps (main leaderboard)
-  getTopSimps: (limit = 50) => 
-    fetchAPI(`/analytics/top-bidders?limit=${limit}`),
+  /**
+   * Health check
+   * @returns {Promise<Health>}
+   */
+  getHealth: () => 
+    request('GET', '/'),
+  
+  /**
+   * The signed-in user and their bidding stats
+   * @param {object} [auth]
+   * @param {string} [auth.token] Farcaster Quick Auth token
+   * @returns {Promise<Me>}
+   */
+  getMe: ({ token } = {}) => 
+    request('GET', '/me', { token }),
+  
+  /**
+   * Auctions, newest first
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<AuctionList>}
+   */
+  getAuctions: (query = {}) => 
+    request('GET', '/auctions', { query }),
   
-  // Get top simps by time period
-  getTopSimpsByTimeframe: (period = 'all-time', limit = 30) => 
-    fetchAPI(`/analytics/top-bidders/timeframe?period=${period}&limit=${limit}`),
+  /**
+   * An auction and its bids
+   * @param {string} castHash
+   * @returns {Promise<Auction>}
+   */
+  getAuction: (castHash) => 
+    request('GET', `/auctions/${encodeURIComponent(castHash)}`),
+  
+  /**
+   * Casts with the biggest bids
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<HotCastList>}
+   */
+  getHotCasts: (query = {}) => 
+    request('GET', '/analytics/hot-casts', { query }),
   
-  // Get hot casts (most simped on)
-  getHotCasts: (limit = 20) => 
-    fetchAPI(`/analytics/hot-casts?limit=${limit}`),
+  /**
+   * Bidders with the most bids
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<TopBidderList>}
+   */
+  getTopSimps: (query = {}) => 
+    request('GET', '/analytics/top-bidders', { query }),
   
-  // Get hot users (creators with most revenue)
-  getHotUsers: (limit = 30) => 
-    fetchAPI(`/analytics/hot-users?limit=${limit}`),
+  /**
+   * Latest bids
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<RecentActivity>}
+   */
+  getRecentActivity: (query = {}) => 
+    request('GET', '/analytics/recent-activity', { query }),
   
-  // Get global statistics
+  /**
+   * A user's bids and bidding stats
+   * @param {number} fid
+   * @returns {Promise<UserBidHistory>}
+   */
+  getUserProfile: (fid) => 
+    request('GET', `/analytics/user/${encodeURIComponent(fid)}`),
+  
+  /**
+   * Global stats
+   * @returns {Promise<GlobalStats>}
+   */
   getStats: () => 
-    fetchAPI('/analytics/stats'),
+    request('GET', '/analytics/stats'),
   
-  // Get trending data (hot auctions and rising simps)
-  getTrending: () => 
-    fetchAPI('/analytics/trending'),
+  /**
+   * Bidders with the most bids in a period
+   * @param {object} [query]
+   * @param {"day"|"week"|"month"|"all-time"} [query.period]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<TimeframeTopBidderList>}
+   */
+  getTopSimpsByTimeframe: (query = {}) => 
+    request('GET', '/analytics/top-bidders/timeframe', { query }),
   
-  // Compare two simps head-to-head
-  getSimpBattle: (fid1, fid2) => 
-    fetchAPI(`/analytics/simp-battles?fid1=${fid1}&fid2=${fid2}`),
+  /**
+   * Find bidders and creators by username or display name
+   * @param {object} query
+   * @param {string} query.q
+   * @param {number} [query.limit]
+   * @returns {Promise<UserSearchResults>}
+   */
+  searchUsers: (query) => 
+    request('GET', '/users/search', { query }),
   
-  // Get simp level and achievements for a user
-  getSimpLevel: (fid) => 
-    fetchAPI(`/analytics/simp-level/${fid}`),
+  /**
+   * Compare two bidders head to head
+   * @param {object} [query]
+   * @param {string} [query.user1]
+   * @param {string} [query.user2]
+   * @param {number} [query.fid1]
+   * @param {number} [query.fid2]
+   * @returns {Promise<SimpBattle>}
+   */
+  getSimpBattle: (query = {}) => 
+    request('GET', '/analytics/simp-battles', { query }),
   
-  // Get detailed user profile
-  getUserProfile: (fid) => 
-    fetchAPI(`/analytics/user/${fid}`),
+  /**
+   * Auctions and bidders heating up
+   * @returns {Promise<Trending>}
+   */
+  getTrending: () => 
+    request('GET', '/analytics/trending'),
   
-  // Get specific auction details
-  getAuction: (castHash) => 
-    fetchAPI(`/auctions/${castHash}`),
+  /**
+   * A user's simp level, achievements and next milestone
+   * @param {number} fid
+   * @returns {Promise<SimpLevel>}
+   */
+  getSimpLevel: (fid) => 
+    request('GET', `/analytics/simp-level/${encodeURIComponent(fid)}`),
   
-  // Get creator statistics
+  /**
+   * Creators who earned the most
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<HotUserList>}
+   */
+  getHotUsers: (query = {}) => 
+    request('GET', '/analytics/hot-users', { query }),
+  
+  /**
+   * A creator's auctions and the bids they got
+   * @param {number} fid
+   * @returns {Promise<CreatorStats>}
+   */
   getCreatorStats: (fid) => 
-    fetchAPI(`/analytics/creator-stats/${fid}`),
+    request('GET', `/analytics/creator-stats/${encodeURIComponent(fid)}`),
+  
+  /**
+   * What a creator took home, in total, by period and by auction
+   * @param {number} fid
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<CreatorEarnings>}
+   */
+  getCreatorEarnings: (fid, query = {}) => 
+    request('GET', `/analytics/creator-earnings/${encodeURIComponent(fid)}`, { query }),
   
-  // Get outbid history (rivalries)
+  /**
+   * Who a user outbid, and who outbid them
+   * @param {number} fid
+   * @returns {Promise<OutbidHistory>}
+   */
   getOutbidHistory: (fid) => 
-    fetchAPI(`/analytics/outbid-history/${fid}`),
+    request('GET', `/analytics/outbid-history/${encodeURIComponent(fid)}`),
   
-  // Get hall of shame profile (consolidated endpoint)
-  getHallOfShameProfile: (fid) => 
-    fetchAPI(`/analytics/hall-of-shame/${fid}`),
+  /**
+   * Index new chain events now
+   * @param {object} [auth]
+   * @param {string} [auth.token] Farcaster Quick Auth token
+   * @returns {Promise<SyncResult>}
+   */
+  runSync: ({ token } = {}) => 
+    request('POST', '/sync', { token }),
+  
+  /**
+   * Indexer health and the block the data is current to
+   * @returns {Promise<SyncStatus>}
+   */
+  getSyncStatus: () => 
+    request('GET', '/sync/status'),
+  
+  /**
+   * Indexer health with the lock holder and run history
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {object} [auth]
+   * @param {string} [auth.token] Farcaster Quick Auth token
+   * @returns {Promise<AdminSyncStatus>}
+   */
+  getAdminSyncStatus: (query = {}, { token } = {}) => 
+    request('GET', '/admin/sync/status', { query, token }),
   
-  // Get top winning casts (highest winning bids)
-  getTopWinningCasts: (limit = 30, offset = 0) => 
-    fetchAPI(`/analytics/top-winning-casts?limit=${limit}&offset=${offset}`),
+  /**
+   * Check auctions against the contract and fix what differs
+   * @param {object} [auth]
+   * @param {string} [auth.token] Farcaster Quick Auth token
+   * @returns {Promise<ReconcileResult>}
+   */
+  runReconciliation: ({ token } = {}) => 
+    request('POST', '/admin/reconcile', { token }),
   
-  // Get top collectors (most active collectors)
-  getTopCollectors: (limit = 30) => 
-    fetchAPI(`/analytics/top-collectors?limit=${limit}`),
+  /**
+   * Discrepancies found by the latest, or a given, reconciliation run
+   * @param {object} [query]
+   * @param {number} [query.run_id]
+   * @param {object} [auth]
+   * @param {string} [auth.token] Farcaster Quick Auth token
+   * @returns {Promise<ReconciliationReport>}
+   */
+  getReconciliation: (query = {}, { token } = {}) => 
+    request('GET', '/admin/reconciliation', { query, token }),
   
-  // Get top collected creators (most collected casters)
-  getTopCollectedCreators: (limit = 30) => 
-    fetchAPI(`/analytics/top-collected-creators?limit=${limit}`),
+  /**
+   * Settled auctions with the highest winning bids
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<TopWinningCastList>}
+   */
+  getTopWinningCasts: (query = {}) => 
+    request('GET', '/analytics/top-winning-casts', { query }),
+  
+  /**
+   * Users who collected the most casts
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<TopCollectorList>}
+   */
+  getTopCollectors: (query = {}) => 
+    request('GET', '/analytics/top-collectors', { query }),
+  
+  /**
+   * Creators whose casts were collected the most
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<TopCollectedCreatorList>}
+   */
+  getTopCollectedCreators: (query = {}) => 
+    request('GET', '/analytics/top-collected-creators', { query }),
+  
+  /**
+   * Cast NFTs traded between users, latest first
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<P2PTransferList>}
+   */
+  getP2PTransfers: (query = {}) => 
+    request('GET', '/analytics/p2p-transfers', { query }),
+  
+  /**
+   * Everything about a user's bidding, for the profile popup
+   * @param {number} fid
+   * @returns {Promise<HallOfShame>}
+   */
+  getHallOfShameProfile: (fid) => 
+    request('GET', `/analytics/hall-of-shame/${encodeURIComponent(fid)}`),
   
-  // Get user's authored casts that have been collected
-  getUserAuthoredCollections: (fid, limit = 20, offset = 0) => 
-    fetchAPI(`/analytics/user-authored-collections/${fid}?limit=${limit}&offset=${offset}`),
+  /**
+   * A user's casts that were collected
+   * @param {number} fid
+   * @param {object} [query]
+   * @param {number} [query.limit]
+   * @param {string} [query.cursor] pagination.nextCursor from the previous page; leave out for the first page
+   * @returns {Promise<AuthoredCollections>}
+   */
+  getUserAuthoredCollections: (fid, query = {}) => 
+    request('GET', `/analytics/user-authored-collections/${encodeURIComponent(fid)}`, { query })
 };
\ No newline at end of file
@@ -94,21 +94,32 @@ export function formatTimeAgo(timestamp) {
   return time.toLocaleDateString();
 }
 
-// Get auction status with dramatic flair
-export function getAuctionStatus(state, endTime) {
+// Get auction status with dramatic flair. hasBid says whether anyone bid, so
+// an auction that ran out without bids reads ENDED rather than SOLD
+export function getAuctionStatus(state, endTime, hasBid = false) {
   const now = new Date();
   const end = new Date(endTime);
+  const ended = hasBid
+    ? { text: "SOLD!", color: "#FFD700", pulse: false }
+    : { text: "ENDED", color: "#808080", pulse: false };
   
   switch(state) {
     case 1: // Active
+      if (end <= now) { // Over but not reconciled to Ended yet
+        return ended;
+      }
       if (end - now < 3600000) { // Less than 1 hour
         return { text: "ENDING SOON!", color: "#FF0000", pulse: true };
       }
       return { text: "BIDDING WAR!", color: "#00FF00", pulse: false };
     case 2: // Ended
-      return { text: "SOLD!", color: "#FFD700", pulse: false };
+      return ended;
     case 3: // Settled
       return { text: "HISTORY!", color: "#808080", pulse: false };
+    case 4: // Cancelled
+      return { text: "CANCELLED!", color: "#FF00FF", pulse: false };
+    case 5: // Recovered
+      return { text: "RECOVERED!", color: "#808080", pulse: false };
     default:
       return { text: "UNKNOWN", color: "#808080", pulse: false };
   }
@@ -167,7 +178,7 @@ export function parseFid(input) {
   const fid = parseInt(cleaned);
   if (!isNaN(fid)) return fid;
   
-  // Otherwise, we'd need to look up the username
-  // For now, return null and handle in the component
+  // Usernames are resolved by the API (user1/user2 on /analytics/simp-battles,
+  // or /users/search for partial names)
   return null;
 }
\ No newline at end of file